@@ -222,21 +222,27 @@ const GameEvents = {
     ACTION_SUCCESS: 'action:success',
     ACTION_FAILURE: 'action:failure',
     PERFECT_CYCLE: 'action:perfect_cycle',
+    COMBO_TRIGGERED: 'action:combo',
 
     // Episode Events
     EPISODE_STARTED: 'episode:started',
     EPISODE_COMPLETED: 'episode:completed',
     EPISODE_GOAL_PROGRESS: 'episode:goal:progress',
+    HYBRID_MOMENT: 'episode1:hybrid_moment',
 
     // Dialogue Events
     DIALOGUE_STARTED: 'dialogue:started',
     DIALOGUE_ADVANCED: 'dialogue:advanced',
     DIALOGUE_COMPLETED: 'dialogue:completed',
     DIALOGUE_SKIPPED: 'dialogue:skipped',
+    DIALOGUE_REWOUND: 'dialogue:rewound',
+    DIALOGUE_SHAKE: 'dialogue:shake',
+    BACKLOG_UPDATED: 'dialogue:backlog:updated',
 
     // Scene Events
     SCENE_CHANGED: 'scene:changed',
     SCENE_BACKGROUND_CHANGED: 'scene:background:changed',
+    SCENE_SCRIPT_ENDED: 'scene:script:ended',
 
     // Choice Events
     CHOICE_PRESENTED: 'choice:presented',
@@ -246,6 +252,7 @@ const GameEvents = {
     UI_UPDATE_REQUESTED: 'ui:update:requested',
     UI_OVERLAY_SHOW: 'ui:overlay:show',
     UI_OVERLAY_HIDE: 'ui:overlay:hide',
+    LANGUAGE_CHANGED: 'ui:language:changed',
 
     // Character Events
     CHARACTER_SPEAKING: 'character:speaking',
@@ -257,12 +264,38 @@ const GameEvents = {
     REQUIREMENT_CHANGED: 'special:requirement:changed',
     MINA_TIP_SHOWN: 'mina:tip:shown',
 
+    // Order Events (Episode 2 order queue)
+    ORDER_ARRIVED: 'order:arrived',
+    ORDER_COMPLETED: 'order:completed',
+    ORDER_FAILED: 'order:failed',
+    ORDER_EXPIRED: 'order:expired',
+
+    // Kitchen Damage Events (Episode 3 Dragonoid)
+    KITCHEN_DAMAGED: 'kitchen:damaged',
+    KITCHEN_REPAIRED: 'kitchen:repaired',
+
+    // Rival Events (Episode 4 cooking battle)
+    RIVAL_ACTED: 'rival:acted',
+    RIVAL_UPDATED: 'rival:updated',
+
+    // Affinity Events (好感度)
+    AFFINITY_CHANGED: 'affinity:changed',
+    AFFINITY_THRESHOLD_REACHED: 'affinity:threshold',
+
     // Game End Events
     GAME_OVER: 'game:over',
     GAME_VICTORY: 'game:victory',
 
     // Intro Events
-    INTRO_COMPLETED: 'intro:completed'
+    INTRO_COMPLETED: 'intro:completed',
+
+    // Save Events
+    SAVE_WRITTEN: 'save:written',
+    SAVE_LOADED: 'save:loaded',
+    PROGRESS_UPDATED: 'save:progress:updated',
+
+    // Journal Events (every input that drives the simulation, for record/replay)
+    PLAYER_INPUT: 'input:player'
 };
 
 // Singleton instance
@@ -288,6 +288,25 @@ const GameConfig = {
         phaseTransitionDelay: 1000
     },
 
+    // ===== SPRINT PLANNING (スプリント計画, Episode 1 Day 1) =====
+    sprintPlanning: {
+        /** Morning of the mid-sprint review (Mina reads the goals out at the stand-up) */
+        reviewDay: 4,
+
+        /** Target level per Chimera Stew skill: the stew's requirement by default, 1 to skills.maxLevel */
+        skillTargets: { min: 1 },
+
+        /** Dish progress (%) to reach by the judgment */
+        dishProgress: { options: [50, 75, 100], default: 100 },
+
+        /** Technical debt to stay at or under at the judgment */
+        techDebtCeiling: { options: [5, 10, 15], default: 10 },
+
+        /** Commitment accuracy (%) for the owner's verdict: all kept, at least partly kept, below that missed */
+        keptAccuracy: 100,
+        partialAccuracy: 50
+    },
+
     // ===== SUCCESS RATE MODIFIERS =====
     successRate: {
         /** Base success rate for actions */
@@ -334,6 +353,106 @@ const GameConfig = {
         warningThreshold: 15
     },
 
+    // ===== COMBOS (コンボ) =====
+    combos: {
+        /** Bonus added per combo already in the chain (x1, x1.5, x2...) */
+        chainStep: 0.5,
+
+        /** Chain length at which the multiplier stops growing */
+        maxChain: 5,
+
+        /**
+         * Combo definitions by id, checked in this order after every action.
+         * sequence: actions that end today's actions (anyOrder: in any order)
+         * after: a combo that must have fired earlier today (night follow-ups)
+         * effects: stagnation / oldManMood / ingredientQuality / technicalDebt / stamina / dishProgress,
+         *     multiplied by the chain multiplier.
+         * The chain breaks when an action repeats the one before it or a day ends without a combo.
+         * 'perfectCycle' also emits GameEvents.PERFECT_CYCLE.
+         */
+        list: {
+            perfectCycle: {
+                name: 'パーフェクトサイクル',
+                icon: '🔄',
+                sequence: ['chopping', 'heatControl', 'cleaning'],
+                anyOrder: true,
+                effects: { stagnation: -15, oldManMood: 5, technicalDebt: -3 }
+            },
+            prepToFire: {
+                name: '仕込みから火入れ',
+                icon: '🔪',
+                sequence: ['chopping', 'heatControl'],
+                effects: { ingredientQuality: 5 }
+            },
+            cleanSlate: {
+                name: '片付けてから仕込み',
+                icon: '🧹',
+                sequence: ['cleaning', 'chopping'],
+                effects: { stamina: 5 }
+            },
+            tasteTest: {
+                name: '火加減の味見',
+                icon: '🍲',
+                sequence: ['heatControl', 'trialCooking'],
+                effects: { dishProgress: 2 }
+            },
+            fullCourse: {
+                name: 'フルコース',
+                icon: '🌟',
+                after: 'perfectCycle',
+                sequence: ['trialCooking'],
+                effects: { dishProgress: 3, oldManMood: 5 }
+            },
+            reviewNight: {
+                name: '今日の復習',
+                icon: '📖',
+                after: 'perfectCycle',
+                sequence: ['study'],
+                effects: { stagnation: -10 }
+            }
+        }
+    },
+
+    // ===== TRADITION / INNOVATION BALANCE (伝統と革新) =====
+    balance: {
+        /** Gauge at the start of a sprint (0 = all innovation, 100 = all tradition) */
+        initial: 50,
+
+        /** The gauge counts as balanced from min to max (inclusive) */
+        balancedMin: 35,
+        balancedMax: 65,
+
+        /** Shift per action (+ toward the owner's tradition, - toward Fuji's innovation) */
+        actions: {
+            chopping: 3,
+            heatControl: 3,
+            cleaning: 2,
+            trialCooking: -8,
+            study: -5,
+            rest: 0
+        },
+
+        /** Extra shift toward tradition for repeating the previous action (stuck in the old ways) */
+        repeatShift: 5,
+
+        /** Shift per morning focus (the owner's careful cooking vs. Fuji's experiments) */
+        policies: {
+            quality: 6,
+            speed: 0,
+            experiment: -10
+        },
+
+        /** Owner's mood change every night by which way the gauge leans */
+        mood: {
+            tradition: 2,
+            innovation: -4,
+            balanced: 1
+        },
+
+        /** Episode 1 day whose evening plays HYBRID_MOMENT when the gauge is balanced */
+        hybridMomentDay: 6
+    },
+
     // ===== UI ANIMATION TIMINGS =====
     ui: {
         /** Level-up notification display duration (ms) */
@@ -355,6 +474,103 @@ const GameConfig = {
         criticalGlowDuration: 1500
     },
 
+    // ===== DIALOGUE BACKLOG =====
+    backlog: {
+        /** Lines kept in the backlog (oldest are dropped first) */
+        maxEntries: 500
+    },
+
+    // ===== AFFINITY (好感度) =====
+    affinity: {
+        /** Highest affinity with a character (the lowest is 0) */
+        max: 100,
+
+        /** Affinity per heart in the HUD (max / heartSize hearts) */
+        heartSize: 20,
+
+        /**
+         * Affinity change per action by character ('guest' = the episode's guest)
+         * success: work that went well, critical: extra on a critical,
+         * failure: a failed day action (the owner frowns, Mina cheers Fuji up).
+         * An action with its own entry uses it instead (rest is a chat with Mina).
+         */
+        actions: {
+            success: { owner: 1, guest: 1 },
+            critical: { owner: 2 },
+            failure: { owner: -1, mina: 1 },
+            rest: { mina: 2 }
+        },
+
+        /** Stat perks unlocked at affinity thresholds (data/characters.json "affinity") */
+        perks: {
+            /** Mina's tea: rest recovers this much more stamina */
+            minaTea: { stamina: 10 },
+            /** The owner's secret recipe: trial cooking progress x (1 + dishProgress) */
+            secretRecipe: { dishProgress: 0.2 }
+        }
+    },
+
+    // ===== CARRY-OVER (between sprints, episodes and New Game+) =====
+    carryOver: {
+        /** Share of EXP kept when a sprint is retried (skill levels are kept) */
+        retryExpRate: 0.95,
+
+        /**
+         * What an episode keeps from the run before it; data/episodes.json "carryOver" overrides per episode.
+         * skills: skill levels, expRate: share of EXP, items: rewards like the owner's knife,
+         * affinity: 好感度 with its thresholds and perks. Story flags are always kept.
+         */
+        episode: { skills: true, expRate: 0.5, items: true, affinity: true },
+
+        /** New Game+: Episode 1 again after the finale */
+        newGamePlus: {
+            /** Added to every Chimera Stew requirement per cycle (capped at skills.maxLevel) */
+            requirementBonus: 2,
+
+            /** Carried skill levels are lowered to this ceiling */
+            skillCeiling: 5,
+
+            /** What the new cycle keeps (same shape as episode) */
+            keep: { skills: true, expRate: 0.5, items: true, affinity: true }
+        }
+    },
+
+    // ===== SAVE SYSTEM =====
+    save: {
+        /** Current save schema version (bump when the persisted state shape changes) */
+        schemaVersion: 13,
+
+        /** localStorage key prefix for save slots */
+        storageKey: 'chef_game.save',
+
+        /** Named manual save slots */
+        slots: ['slot1', 'slot2', 'slot3'],
+
+        /** Slot written automatically at the end of each day */
+        autosaveSlot: 'autosave'
+    },
+
+    // ===== EPISODE PROGRESS (chapter select) =====
+    progress: {
+        /** localStorage key prefix for each profile's cleared episodes and best results */
+        storageKey: 'chef_game.progress',
+
+        /** Player profiles, each with its own clear status */
+        profiles: ['profile1', 'profile2', 'profile3']
+    },
+
+    // ===== LANGUAGE =====
+    i18n: {
+        /** Source language of the content and the fallback for missing messages */
+        defaultLanguage: 'ja',
+
+        /** Languages with a catalog in data/i18n/ (order of the language buttons) */
+        languages: ['ja', 'en'],
+
+        /** localStorage key remembering the chosen language */
+        storageKey: 'chef_game.language'
+    },
+
     // ===== LEGACY SUPPORT =====
     growth: {
         scaleFactor: 50 / 26,
@@ -386,12 +602,39 @@ Object.freeze(GameConfig.dishProgress.skillWeights);
 Object.freeze(GameConfig.episode1);
 Object.freeze(GameConfig.episode1.chimeraStewRequirements);
 Object.freeze(GameConfig.ceremony);
+Object.freeze(GameConfig.sprintPlanning);
+Object.freeze(GameConfig.sprintPlanning.skillTargets);
+Object.freeze(GameConfig.sprintPlanning.dishProgress);
+Object.freeze(GameConfig.sprintPlanning.dishProgress.options);
+Object.freeze(GameConfig.sprintPlanning.techDebtCeiling);
+Object.freeze(GameConfig.sprintPlanning.techDebtCeiling.options);
 Object.freeze(GameConfig.successRate);
 Object.freeze(GameConfig.successRate.penalties);
 Object.freeze(GameConfig.successRate.bonuses);
 Object.freeze(GameConfig.techDebt);
+Object.freeze(GameConfig.combos);
+Object.freeze(GameConfig.combos.list);
+Object.values(GameConfig.combos.list).forEach(combo => [combo, combo.sequence, combo.effects].forEach(Object.freeze));
+Object.freeze(GameConfig.balance);
+Object.freeze(GameConfig.balance.actions);
+Object.freeze(GameConfig.balance.policies);
+Object.freeze(GameConfig.balance.mood);
 Object.freeze(GameConfig.ui);
+Object.freeze(GameConfig.backlog);
+Object.freeze(GameConfig.affinity);
+Object.freeze(GameConfig.affinity.actions);
+Object.freeze(GameConfig.affinity.perks);
+Object.freeze(GameConfig.carryOver);
+Object.freeze(GameConfig.carryOver.episode);
+Object.freeze(GameConfig.carryOver.newGamePlus);
+Object.freeze(GameConfig.carryOver.newGamePlus.keep);
 Object.freeze(GameConfig.growth);
+Object.freeze(GameConfig.save);
+Object.freeze(GameConfig.save.slots);
+Object.freeze(GameConfig.progress);
+Object.freeze(GameConfig.progress.profiles);
+Object.freeze(GameConfig.i18n);
+Object.freeze(GameConfig.i18n.languages);
 
 // Export for ES6 modules
 if (typeof module !== 'undefined' && module.exports) {
@@ -11,13 +11,126 @@
  *
  * @class GameState
  */
+
+// ===== SAVE MIGRATIONS =====
+/**
+ * Save data migrations keyed by the version they upgrade FROM.
+ * Each migration receives save data of version N and returns version N+1.
+ * When the persisted state shape changes, bump GameConfig.save.schemaVersion
+ * and add a migration here.
+ */
+const GAME_STATE_MIGRATIONS = {
+    // v0: unversioned raw getState() dump (no envelope) → v1 envelope
+    0: (data) => ({
+        version: 1,
+        state: { ...data.state, ceremonyPhase: data.state.ceremonyPhase || 'standup' }
+    }),
+
+    // v1 → v2: RNG seed added (older runs keep the current seed)
+    1: (data) => ({
+        ...data,
+        version: 2,
+        state: { ...data.state, seed: typeof data.state.seed === 'number' ? data.state.seed : null },
+        rngState: null
+    }),
+
+    // v2 → v3: Episode 2-5 progress fields (orders, rival, princess)
+    2: (data) => ({
+        ...data,
+        version: 3,
+        state: {
+            ordersCompleted: 0,
+            rivalGrowth: 0,
+            princessSatisfaction: 0,
+            princessAnger: 0,
+            princessDemand: null,
+            ...data.state
+        }
+    }),
+
+    // v3 → v4: Episode 2 order queue
+    3: (data) => ({
+        ...data,
+        version: 4,
+        state: { orders: [], nextOrderId: 1, ...data.state }
+    }),
+
+    // v4 → v5: Episode 3 kitchen damage
+    4: (data) => ({
+        ...data,
+        version: 5,
+        state: { kitchenDamage: [], nextDamageId: 1, ...data.state }
+    }),
+
+    // v5 → v6: Story flags set by scene scripts
+    5: (data) => ({
+        ...data,
+        version: 6,
+        state: { flags: {}, ...data.state }
+    }),
+
+    // v6 → v7: Affinity with the cast and guests
+    6: (data) => ({
+        ...data,
+        version: 7,
+        state: { affinity: {}, affinityMilestones: [], perks: [], ...data.state }
+    }),
+
+    // v7 → v8: Items and the New Game+ cycle
+    7: (data) => ({
+        ...data,
+        version: 8,
+        state: { items: [], newGamePlus: 0, ...data.state }
+    }),
+
+    // v8 → v9: Tradition/innovation gauge and the perfect cycle streak
+    8: (data) => ({
+        ...data,
+        version: 9,
+        state: { traditionScore: GameConfig.balance.initial, perfectCycleStreak: 0, ...data.state }
+    }),
+
+    // v9 → v10: Combos (the perfect cycle streak becomes the combo chain)
+    9: (data) => {
+        const { perfectCycleStreak, ...state } = data.state;
+        return {
+            ...data,
+            version: 10,
+            state: { comboChain: perfectCycleStreak || 0, combosToday: [], comboCounts: {}, ...state }
+        };
+    },
+
+    // v10 → v11: How HYBRID_MOMENT went this sprint
+    10: (data) => ({
+        ...data,
+        version: 11,
+        state: { hybridMoment: null, ...data.state }
+    }),
+
+    // v11 → v12: Sprint goals (a sprint already underway has none)
+    11: (data) => ({
+        ...data,
+        version: 12,
+        state: { sprintGoals: null, ...data.state }
+    }),
+
+    // v12 → v13: Per-day metrics (the days before the upgrade were not recorded)
+    12: (data) => ({
+        ...data,
+        version: 13,
+        state: { dayHistory: [], ...data.state }
+    })
+};
+
 class GameState {
     /**
      * Create a new GameState instance
      * @param {EventBus} eventBus - Event bus for state change notifications
+     * @param {SeededRandom} [rng=null] - Shared RNG (a randomly seeded one is created if omitted)
      */
-    constructor(eventBus) {
+    constructor(eventBus, rng = null) {
         this._eventBus = eventBus;
+        this._rng = rng || new SeededRandom();
         this._state = this._getInitialState();
     }
 
@@ -31,6 +144,12 @@ class GameState {
         return {
             // Core game state
             day: 1,
+
+            /**
+             * RNG seed of this run (same seed + same inputs = same sprint)
+             */
+            seed: this._rng.getSeed(),
+
             maxDays: GameConfig.episode1.maxDays,
 
             // ===== PHASE SYSTEM =====
@@ -42,6 +161,12 @@ class GameState {
             dayActionsRemaining: GameConfig.phases.DAY.actionsAllowed,
             nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed,
 
+            /**
+             * Ceremony step within the day (used to restore saves):
+             * 'standup' (朝会), 'action' (昼/夜の行動), 'retro' (振り返り), 'judgment' (審判)
+             */
+            ceremonyPhase: 'standup',
+
             // ===== CONDITION SYSTEM (調子) =====
             /**
              * Player condition affecting exp gains and success rates
@@ -88,12 +213,38 @@ class GameState {
             // ===== EPISODE STATE =====
             currentEpisode: 1,
             chimeraStewRequirements: { ...GameConfig.episode1.chimeraStewRequirements },
+            /** New Game+ cycle (0 = first playthrough), raises chimeraStewRequirements */
+            newGamePlus: 0,
+            /** Items received as rewards ('ownerKnife'), carried over per GameConfig.carryOver */
+            items: [],
 
             // Episode 1 specific
             judgmentTriggered: false,
 
+            // Episode 2-5 progress (see EpisodeManager episode rules)
+            ...this._getEpisodeRuleDefaults(),
+
+            // Sprint record (balance, combos, planning, daily metrics)
+            ...this._getSprintRecordDefaults(),
+
             // Story state
             introComplete: false,
+            /**
+             * Story flags set by scene scripts ({ "set": { "metGoblin": true } })
+             * Kept across episodes and retries: the story remembers how you played
+             */
+            flags: {},
+
+            // ===== AFFINITY (好感度) =====
+            /**
+             * Affinity by character id (0 - GameConfig.affinity.max), filled in by AffinityEngine
+             * Kept across episodes and retries like the story flags
+             */
+            affinity: {},
+            /** Thresholds already reached ('mina:40'), each one unlocks once */
+            affinityMilestones: [],
+            /** Unlocked perks ('specificTips', 'minaTea'...: CONTENT_SCHEMA.affinityPerks) */
+            perks: [],
 
             // ===== POLICY SYSTEM (朝の方針選択) =====
             /**
@@ -122,6 +273,63 @@ class GameState {
         };
     }
 
+    /**
+     * Episode 2-5 rule progress (OrderQueue / QualityDecayEngine / RivalEngine / DemandEngine),
+     * reset by startEpisode() / retrySprint() / resetToDay1()
+     * @private
+     * @returns {Object}
+     */
+    _getEpisodeRuleDefaults() {
+        return {
+            ordersCompleted: 0,        // Ep2: ゴブリンの注文をこなした数
+            rivalGrowth: 0,            // Ep4: スリモンの成長（見えないスコア）
+            princessSatisfaction: 0,   // Ep5: 姫の満足度 (0-100)
+            princessAnger: 0,          // Ep5: 姫の怒り (0-100)
+            princessDemand: null,      // Ep5: 姫の今の要望（DemandEngine の demand id）
+            orders: [],                // Ep2: 待っている注文（OrderQueue）
+            nextOrderId: 1,
+            kitchenDamage: [],         // Ep3: ドラゴノイドが壊した設備（QualityDecayEngine）
+            nextDamageId: 1
+        };
+    }
+
+    /**
+     * How the current sprint has been played: balance gauge, combos, story outcome,
+     * planning and daily metrics. Starts over with every sprint (startEpisode() / retrySprint() / resetToDay1())
+     * @private
+     * @returns {Object}
+     */
+    _getSprintRecordDefaults() {
+        return {
+            traditionScore: GameConfig.balance.initial,  // 伝統と革新のゲージ (0 = 革新, 100 = 伝統)
+            comboChain: 0,             // 途切れずに続いたコンボの数（ComboEngine）
+            combosToday: [],           // 今日出したコンボの id
+            comboCounts: {},           // このスプリントでコンボを出した回数（id → 回数）
+            hybridMoment: null,        // Ep1: HYBRID_MOMENT の結末（'acknowledged' = 親父が認めた / 'stubborn'）
+            sprintGoals: null,         // Ep1: スプリント計画で約束した目標（{ skills, dishProgress, techDebtCeiling }）
+            dayHistory: []             // 1日ごとの記録（バーンダウン・ベロシティ・負債の推移）
+        };
+    }
+
+    // ===== RANDOM NUMBER GENERATOR =====
+
+    /**
+     * Get the shared RNG that every system draws from
+     * @returns {SeededRandom}
+     */
+    getRng() {
+        return this._rng;
+    }
+
+    /**
+     * Reseed the RNG and record the seed in state
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        this._rng.setSeed(seed);
+        this.update({ seed: this._rng.getSeed() });
+    }
+
     // ===== STATE ACCESS (Immutable) =====
 
     /**
@@ -181,6 +389,63 @@ class GameState {
         return newValue;
     }
 
+    // ===== AFFINITY (好感度) =====
+
+    /**
+     * Change the affinity with a character (clamped to 0 - GameConfig.affinity.max)
+     * Emits AFFINITY_CHANGED only when the value actually changes.
+     * @param {string} characterId - Character id (cast or guest)
+     * @param {number} delta - Amount to change
+     * @param {string} [reason='action'] - What caused it ('action', 'scene'...)
+     * @returns {number} The new affinity
+     */
+    adjustAffinity(characterId, delta, reason = 'action') {
+        const affinity = this._state.affinity;
+        const from = affinity[characterId] || 0;
+        if (typeof delta !== 'number' || isNaN(delta)) {
+            console.error(`GameState.adjustAffinity: delta must be a number`);
+            return from;
+        }
+
+        const to = Math.max(0, Math.min(GameConfig.affinity.max, from + delta));
+        if (to === from) return to;
+
+        this.update({ affinity: { ...affinity, [characterId]: to } });
+        this._eventBus.emit(GameEvents.AFFINITY_CHANGED, { characterId, from, to, delta: to - from, reason });
+        return to;
+    }
+
+    /**
+     * @param {string} perk - Perk id (CONTENT_SCHEMA.affinityPerks)
+     * @returns {boolean} True once an affinity threshold unlocked the perk
+     */
+    hasPerk(perk) {
+        return (this._state.perks || []).includes(perk);
+    }
+
+    // ===== ITEMS =====
+
+    /**
+     * Receive an item (each item is held once)
+     * @param {string} itemId - Item id ('ownerKnife')
+     * @returns {boolean} True if it was new
+     */
+    addItem(itemId) {
+        const items = this._state.items || [];
+        if (items.includes(itemId)) return false;
+
+        this.update({ items: [...items, itemId] });
+        return true;
+    }
+
+    /**
+     * @param {string} itemId
+     * @returns {boolean} True if the item is held
+     */
+    hasItem(itemId) {
+        return (this._state.items || []).includes(itemId);
+    }
+
     // ===== PHASE SYSTEM =====
 
     /**
@@ -286,17 +551,22 @@ class GameState {
         // No tech debt system (removed)
 
         // Possible condition decay (unified for all days)
-        if (Math.random() < GameConfig.condition.dailyDecayChance) {
+        if (this._rng.chance(GameConfig.condition.dailyDecayChance)) {
             this._decayCondition();
         }
 
+        // The owner's mood follows which way the kitchen leans
+        this._applyBalanceMood();
+
         // Reset day state (unified for all days)
         this.update({
             day: newDay,
             currentPhase: 'day',
+            ceremonyPhase: 'standup',
             dayActionsRemaining: GameConfig.phases.DAY.actionsAllowed,
             nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed,
             todayActions: [],
+            combosToday: [],
             // Reset policy at the start of each day (player will choose new policy)
             currentPolicy: null,
             // Reset rest bonus at the start of each day
@@ -353,7 +623,7 @@ class GameState {
     tryImproveCondition() {
         const current = this._state.condition;
         const transitions = GameConfig.condition.restTransitions[current];
-        const roll = Math.random();
+        const roll = this._rng.next();
 
         let cumulative = 0;
         for (const [newCondition, probability] of Object.entries(transitions)) {
@@ -729,6 +999,180 @@ class GameState {
         };
     }
 
+    // ===== SPRINT GOALS (スプリント計画) =====
+
+    /**
+     * Goals proposed at sprint planning: the stew's requirements and the config defaults
+     * @returns {{skills: Object, dishProgress: number, techDebtCeiling: number}}
+     */
+    getDefaultSprintGoals() {
+        const { dishProgress, techDebtCeiling } = GameConfig.sprintPlanning;
+        return {
+            skills: { ...this._state.chimeraStewRequirements },
+            dishProgress: dishProgress.default,
+            techDebtCeiling: techDebtCeiling.default
+        };
+    }
+
+    /**
+     * Check the goals the player wants to commit to (omitted goals take the defaults)
+     * @param {Object} goals - { skills: { cutting: 6, ... }, dishProgress, techDebtCeiling }
+     * @returns {Object|null} Complete goals, or null (reported) if any value is out of range
+     */
+    normalizeSprintGoals(goals) {
+        const defaults = this.getDefaultSprintGoals();
+        const { skillTargets, dishProgress, techDebtCeiling } = GameConfig.sprintPlanning;
+        const maxLevel = GameConfig.skills.maxLevel;
+        const normalized = {
+            skills: { ...defaults.skills, ...(goals?.skills || {}) },
+            dishProgress: goals?.dishProgress ?? defaults.dishProgress,
+            techDebtCeiling: goals?.techDebtCeiling ?? defaults.techDebtCeiling
+        };
+
+        const errors = [];
+        Object.entries(normalized.skills).forEach(([skill, level]) => {
+            if (!(skill in defaults.skills)) {
+                errors.push(`unknown skill "${skill}"`);
+            } else if (!Number.isInteger(level) || level < skillTargets.min || level > maxLevel) {
+                errors.push(`skills.${skill} must be a level from ${skillTargets.min} to ${maxLevel}`);
+            }
+        });
+        if (!dishProgress.options.includes(normalized.dishProgress)) {
+            errors.push(`dishProgress must be one of ${dishProgress.options.join(', ')}`);
+        }
+        if (!techDebtCeiling.options.includes(normalized.techDebtCeiling)) {
+            errors.push(`techDebtCeiling must be one of ${techDebtCeiling.options.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            errors.forEach(error => console.error(`GameState.normalizeSprintGoals: ${error}`));
+            return null;
+        }
+        return normalized;
+    }
+
+    /**
+     * The sprint's commitments against a state (mid-sprint review and the judgment)
+     * @param {Object} state - Game state
+     * @returns {Object|null} { goals: [{ id, skill?, target, current, met }], met, total, accuracy (%) },
+     *     null when nothing was committed
+     */
+    static evaluateSprintGoals(state) {
+        const goals = state && state.sprintGoals;
+        if (!goals) return null;
+
+        const results = Object.entries(goals.skills).map(([skill, target]) => {
+            const current = state.skills[skill] || 0;
+            return { id: 'skill', skill, target, current, met: current >= target };
+        });
+        results.push({
+            id: 'dishProgress',
+            target: goals.dishProgress,
+            current: state.dishProgress,
+            met: state.dishProgress >= goals.dishProgress
+        });
+        results.push({
+            id: 'techDebt',
+            target: goals.techDebtCeiling,
+            current: state.technicalDebt,
+            met: state.technicalDebt <= goals.techDebtCeiling
+        });
+
+        const met = results.filter(goal => goal.met).length;
+        return { goals: results, met, total: results.length, accuracy: Math.round(met / results.length * 100) };
+    }
+
+    // ===== DAY METRICS (バーンダウン・ベロシティ) =====
+
+    /**
+     * All EXP earned so far (levels count as expPerLevel each)
+     * @param {Object} state - Game state
+     * @returns {number}
+     */
+    static getTotalExp(state) {
+        const { expPerLevel } = GameConfig.skills;
+        return Object.keys(state.skills || {}).reduce((total, skill) =>
+            total + state.skills[skill] * expPerLevel + ((state.experience || {})[skill] || 0), 0);
+    }
+
+    /**
+     * Skill levels still missing for the Chimera Stew (the burndown's remaining work)
+     * @param {Object} state - Game state
+     * @returns {number}
+     */
+    static getRequirementGap(state) {
+        return Object.entries(state.chimeraStewRequirements || {}).reduce((gap, [skill, required]) =>
+            gap + Math.max(0, required - ((state.skills || {})[skill] || 0)), 0);
+    }
+
+    /**
+     * Record how today went (called at the night retrospective; recording a day again replaces it)
+     * @param {Object} dayStartState - State when the day started
+     * @param {number} failedActions - Actions that failed today
+     * @returns {Object} The recorded entry
+     */
+    recordDayMetrics(dayStartState, failedActions) {
+        const state = this._state;
+        const start = dayStartState || state;
+        const exp = GameState.getTotalExp(state);
+        const entry = {
+            day: state.day,
+            skills: { ...state.skills },
+            exp,
+            expGained: exp - GameState.getTotalExp(start),
+            dishProgress: state.dishProgress,
+            technicalDebt: state.technicalDebt,
+            stamina: state.stamina,
+            condition: state.condition,
+            failedActions,
+            gapAtStart: GameState.getRequirementGap(start),
+            requirementGap: GameState.getRequirementGap(state)
+        };
+
+        const dayHistory = (state.dayHistory || []).filter(recorded => recorded.day !== entry.day);
+        dayHistory.push(entry);
+        dayHistory.sort((a, b) => a.day - b.day);
+        this.update({ dayHistory });
+        return entry;
+    }
+
+    /**
+     * Chart data from the day history: requirement burndown, EXP velocity and tech debt trend
+     *
+     * The burndown counts down the Chimera Stew skill requirements, which only
+     * Episode 1 judges; Episodes 2-5 have other goals and get no burndown.
+     * @param {Object} state - Game state
+     * @returns {Object|null} { maxDays, burndown (null outside Episode 1), velocity, techDebt }, null before the first night
+     */
+    static getSprintCharts(state) {
+        const history = (state && state.dayHistory) || [];
+        if (history.length === 0) return null;
+
+        const maxDays = state.maxDays || 7;
+        const start = history[0].gapAtStart;
+        const velocity = history.map(entry => ({ day: entry.day, value: entry.expGained }));
+        const totalExp = velocity.reduce((sum, point) => sum + point.value, 0);
+
+        return {
+            maxDays,
+            burndown: state.currentEpisode === 1 ? {
+                start,
+                remaining: [{ day: history[0].day - 1, value: start },
+                    ...history.map(entry => ({ day: entry.day, value: entry.requirementGap }))],
+                ideal: [{ day: history[0].day - 1, value: start }, { day: maxDays, value: 0 }]
+            } : null,
+            velocity: {
+                points: velocity,
+                average: Math.round(totalExp / velocity.length)
+            },
+            techDebt: {
+                points: history.map(entry => ({ day: entry.day, value: entry.technicalDebt })),
+                ceiling: state.sprintGoals ? state.sprintGoals.techDebtCeiling : null,
+                max: GameConfig.techDebt.max
+            }
+        };
+    }
+
     /**
      * Check if game is over
      * @returns {boolean} True if game should end in defeat
@@ -753,7 +1197,7 @@ class GameState {
     // ===== ACTION TRACKING =====
 
     /**
-     * Record an action taken
+     * Record an action taken (also shifts the tradition/innovation gauge)
      * @param {string} actionId - Action identifier
      */
     recordAction(actionId) {
@@ -765,8 +1209,171 @@ class GameState {
         this.update({
             actionHistory: history,
             todayActions,
-            lastAction: actionId
+            lastAction: actionId,
+            traditionScore: this._shiftTradition(actionId)
+        });
+    }
+
+    /**
+     * Day actions not used yet today (what is left of today's perfect cycle)
+     * @returns {string[]} Day action ids in GameConfig.dayActions order
+     */
+    getMissingActions() {
+        return Object.keys(GameConfig.dayActions).filter(id => !this._state.todayActions.includes(id));
+    }
+
+    // ===== TRADITION / INNOVATION BALANCE =====
+
+    /**
+     * Which way a tradition score leans
+     * @param {number} traditionScore - 0 (innovation) to 100 (tradition)
+     * @returns {string} 'tradition' | 'innovation' | 'balanced'
+     */
+    static getBalanceLean(traditionScore) {
+        const { balancedMin, balancedMax } = GameConfig.balance;
+        if (traditionScore > balancedMax) return 'tradition';
+        if (traditionScore < balancedMin) return 'innovation';
+        return 'balanced';
+    }
+
+    /**
+     * Check if the tradition/innovation gauge is balanced
+     * @returns {boolean}
+     */
+    isBalanced() {
+        return GameState.getBalanceLean(this._state.traditionScore) === 'balanced';
+    }
+
+    /**
+     * Shift the tradition/innovation gauge (the morning focus, see GameConfig.balance.policies)
+     * @param {number} amount - + toward tradition, - toward innovation
+     * @returns {number} New score (0-100)
+     */
+    shiftBalance(amount) {
+        return this.adjust('traditionScore', amount, 0, 100);
+    }
+
+    /**
+     * Tradition score after an action (repeating the previous action leans toward tradition)
+     * @private
+     * @param {string} actionId - Action identifier
+     * @returns {number} New score (0-100)
+     */
+    _shiftTradition(actionId) {
+        const { actions, repeatShift } = GameConfig.balance;
+        let shift = actions[actionId] || 0;
+        if (actionId === this._state.lastAction) {
+            shift += repeatShift;
+        }
+        return Math.max(0, Math.min(100, this._state.traditionScore + shift));
+    }
+
+    /**
+     * Overnight mood change by the gauge: the owner likes his own ways and
+     * grumbles at too much experimenting (GameConfig.balance.mood)
+     * @private
+     */
+    _applyBalanceMood() {
+        const lean = GameState.getBalanceLean(this._state.traditionScore);
+        const shift = GameConfig.balance.mood[lean] || 0;
+        if (shift !== 0) {
+            this.adjust('oldManMood', shift, 0, 100);
+        }
+    }
+
+    // ===== SAVE / LOAD =====
+
+    /**
+     * Serialize persistent state into a versioned plain object
+     * Transient UI flags (auto mode) are not saved.
+     * @returns {Object} { version, state }
+     */
+    serialize() {
+        const { isAutoMode, ...persisted } = this._state;
+        return {
+            version: GameConfig.save.schemaVersion,
+            state: JSON.parse(JSON.stringify(persisted)),
+            // RNG position so a loaded run continues the exact same random sequence
+            rngState: this._rng.getState()
+        };
+    }
+
+    /**
+     * Restore state from serialized data (runs migrations for older versions)
+     * Missing fields fall back to initial values so older saves stay loadable.
+     * @param {Object} data - Output of serialize() (or an older save shape)
+     * @returns {boolean} True if the state was restored
+     */
+    deserialize(data) {
+        const migrated = this._migrateSaveData(data);
+        if (!migrated) {
+            return false;
+        }
+
+        const initial = this._getInitialState();
+        const saved = migrated.state;
+        const oldState = { ...this._state };
+
+        this._state = {
+            ...initial,
+            ...saved,
+            skills: { ...initial.skills, ...saved.skills },
+            experience: { ...initial.experience, ...saved.experience },
+            isAutoMode: false
+        };
+
+        // Restore the RNG: exact position if saved, otherwise restart the saved seed
+        if (typeof saved.seed === 'number') {
+            this._rng.setSeed(saved.seed);
+            if (typeof migrated.rngState === 'number') {
+                this._rng.setState(migrated.rngState);
+            }
+        }
+        this._state.seed = this._rng.getSeed();
+
+        this._eventBus.emit(GameEvents.GAME_STATE_CHANGED, {
+            oldState,
+            newState: this.getState(),
+            changes: this._state
         });
+        return true;
+    }
+
+    /**
+     * Upgrade save data to the current schema version
+     * @private
+     * @param {Object} data - Save data of any known version
+     * @returns {Object|null} Migrated data, or null if invalid/unsupported
+     */
+    _migrateSaveData(data) {
+        if (!data || typeof data !== 'object') {
+            console.error('GameState.deserialize: Invalid save data');
+            return null;
+        }
+
+        // Unversioned data is a raw state dump (version 0)
+        let migrated = typeof data.version === 'number' ? data : { version: 0, state: data };
+
+        while (migrated.version < GameConfig.save.schemaVersion) {
+            const migrate = GAME_STATE_MIGRATIONS[migrated.version];
+            if (!migrate) {
+                console.error(`GameState.deserialize: No migration from version ${migrated.version}`);
+                return null;
+            }
+            migrated = migrate(migrated);
+        }
+
+        if (migrated.version > GameConfig.save.schemaVersion) {
+            console.error(`GameState.deserialize: Save version ${migrated.version} is newer than supported (${GameConfig.save.schemaVersion})`);
+            return null;
+        }
+
+        if (!migrated.state || typeof migrated.state !== 'object') {
+            console.error('GameState.deserialize: Save data has no state');
+            return null;
+        }
+
+        return migrated;
     }
 
     // ===== GAME LIFECYCLE =====
@@ -804,12 +1411,13 @@ class GameState {
         // Apply 5% experience decay on retry
         const decayedExperience = {};
         for (const [skill, exp] of Object.entries(currentExperience)) {
-            decayedExperience[skill] = Math.floor(exp * 0.95);
+            decayedExperience[skill] = Math.floor(exp * GameConfig.carryOver.retryExpRate);
         }
 
         this.update({
             day: 1,
             currentPhase: 'day',
+            ceremonyPhase: 'standup',
             dayActionsRemaining: GameConfig.phases.DAY.actionsAllowed,
             nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed,
             stamina: GameConfig.stamina.initial,
@@ -822,7 +1430,9 @@ class GameState {
             todayActions: [],
             actionHistory: [],
             judgmentTriggered: false,
-            introComplete: false
+            introComplete: false,
+            ...this._getEpisodeRuleDefaults(),
+            ...this._getSprintRecordDefaults()
         });
 
         this._eventBus.emit('game:reset_to_day_one', {
@@ -835,6 +1445,8 @@ class GameState {
      * Reset game to initial state
      */
     reset() {
+        // Restart the same seed's sequence (main.js picks a new seed for a fresh run)
+        this._rng.setSeed(this._rng.getSeed());
         this._state = this._getInitialState();
         this._eventBus.emit(GameEvents.GAME_STATE_CHANGED, {
             oldState: null,
@@ -848,11 +1460,13 @@ class GameState {
      * Resets day to 1, recovers stamina, but keeps skill levels
      */
     retrySprint() {
+        this._eventBus.emit(GameEvents.PLAYER_INPUT, { type: 'retrySprint', args: [] });
+
         const currentSkills = { ...this._state.skills };
         const currentExperience = { ...this._state.experience };
         
         // Apply slight skill decay (optional - makes retry a bit harder but not too punishing)
-        const decayFactor = 0.95; // 5% reduction
+        const decayFactor = GameConfig.carryOver.retryExpRate; // 5% reduction
         const decayedSkills = {};
         const decayedExperience = {};
         
@@ -866,6 +1480,7 @@ class GameState {
         this.update({
             day: 1,
             currentPhase: 'day',
+            ceremonyPhase: 'standup',
             dayActionsRemaining: GameConfig.phases.DAY.actionsAllowed,
             nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed,
             stamina: GameConfig.stamina.max, // Full stamina
@@ -879,7 +1494,12 @@ class GameState {
             condition: GameConfig.condition.initial,
             todayActions: [],
             actionHistory: [], // Keep history or reset? Resetting for now
-            judgmentTriggered: false
+            judgmentTriggered: false,
+            // Episode progress starts over (the episode itself is kept)
+            ingredientQuality: 50,
+            currentIngredients: 3,
+            ...this._getEpisodeRuleDefaults(),
+            ...this._getSprintRecordDefaults()
         });
 
         // Recalculate growth from skills
@@ -894,37 +1514,97 @@ class GameState {
     /**
      * Start an episode
      * @param {number} episodeNumber - Episode to start
+     * @param {Object} [options]
+     * @param {number} [options.maxDays] - Episode length (from data/episodes.json)
+     * @param {Object} [options.carryOver={}] - What is kept from the run before
+     *     ({ skills, expRate, items, affinity }, see GameConfig.carryOver.episode); omitted = nothing but the story flags
      */
-    startEpisode(episodeNumber) {
+    startEpisode(episodeNumber, options = {}) {
         const updates = {
+            ...this._getCarryOverState(options.carryOver || {}),
             currentEpisode: episodeNumber,
             day: 1,
             currentPhase: 'day',
+            ceremonyPhase: 'standup',
             dayActionsRemaining: GameConfig.phases.DAY.actionsAllowed,
             nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed,
             condition: GameConfig.condition.initial,
             stamina: GameConfig.stamina.initial,
             technicalDebt: GameConfig.techDebt.initial,
             dishProgress: GameConfig.dishProgress.initial,
-            skills: { cutting: 0, boiling: 0, frying: 0, analysis: 0 },
-            experience: { cutting: 0, boiling: 0, frying: 0, analysis: 0 },
             growth: 0,
             oldManMood: 70,
+            ingredientQuality: 50,
+            currentIngredients: 3,
             todayActions: [],
-            actionHistory: []
+            actionHistory: [],
+            judgmentTriggered: false,
+            ...this._getEpisodeRuleDefaults(),
+            ...this._getSprintRecordDefaults()
         };
 
         if (episodeNumber === 1) {
             updates.maxDays = GameConfig.episode1.maxDays;
-            updates.judgmentTriggered = false;
+        } else if (options.maxDays) {
+            updates.maxDays = options.maxDays;
         }
 
         this.update(updates);
+        this._recalculateGrowth();
         this._eventBus.emit(GameEvents.EPISODE_STARTED, { episode: episodeNumber });
     }
+
+    /**
+     * Start New Game+ after the finale: Episode 1 again with harder Chimera Stew requirements
+     * Every cycle raises each requirement by GameConfig.carryOver.newGamePlus.requirementBonus;
+     * carried skill levels are lowered to its skillCeiling.
+     */
+    startNewGamePlus() {
+        const { requirementBonus, skillCeiling, keep } = GameConfig.carryOver.newGamePlus;
+        const cycle = (this._state.newGamePlus || 0) + 1;
+
+        const requirements = {};
+        for (const [skill, level] of Object.entries(GameConfig.episode1.chimeraStewRequirements)) {
+            requirements[skill] = Math.min(GameConfig.skills.maxLevel, level + requirementBonus * cycle);
+        }
+        const skills = {};
+        for (const [skill, level] of Object.entries(this._state.skills)) {
+            skills[skill] = Math.min(level, skillCeiling);
+        }
+
+        this.update({ newGamePlus: cycle, chimeraStewRequirements: requirements, skills });
+        this.startEpisode(1, { carryOver: keep });
+    }
+
+    /**
+     * State a new episode starts with, by what it keeps from the run before
+     * @private
+     * @param {Object} carryOver - { skills, expRate, items, affinity }
+     * @returns {Object} State updates
+     */
+    _getCarryOverState(carryOver) {
+        const expRate = typeof carryOver.expRate === 'number' ? carryOver.expRate : 1;
+        const skills = {};
+        const experience = {};
+        for (const [skill, level] of Object.entries(this._state.skills)) {
+            skills[skill] = carryOver.skills ? level : 0;
+            experience[skill] = carryOver.skills ? Math.floor((this._state.experience[skill] || 0) * expRate) : 0;
+        }
+
+        const updates = { skills, experience };
+        if (!carryOver.items) {
+            updates.items = [];
+        }
+        if (!carryOver.affinity) {
+            updates.affinity = {};
+            updates.affinityMilestones = [];
+            updates.perks = [];
+        }
+        return updates;
+    }
 }
 
 // Export for ES6 modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GameState };
+    module.exports = { GameState, GAME_STATE_MIGRATIONS };
 }
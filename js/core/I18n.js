@@ -0,0 +1,311 @@
+/**
+ * I18n - Message catalogs and runtime language switching
+ *
+ * Two kinds of text are translated:
+ * - Messages built by code (result logs, HUD labels, ceremony lines) are looked up by key:
+ *   I18n.t('kitchen.notEnoughStamina', { cost: 20 }) → "体力が足りない！（必要: 20）"
+ * - Display text defined as data (data/*.json, names in GameConfig, strategy names) is written
+ *   in Japanese and looked up by its source text: I18n.text('ミナ') → "Mina"
+ *
+ * Catalogs live in data/i18n/<language>.json:
+ *   { "name": "English", "messages": { nested keys }, "content": { "Japanese source": "translation" } }
+ *
+ * Japanese is the source language: anything missing in another catalog falls back to Japanese
+ * (messages) or to the source text itself (content), so a half-translated catalog never breaks
+ * the game. I18n.validate reports the gaps with console.warn when the catalogs are loaded.
+ *
+ * Placeholders are {name}. Only names passed in params are replaced, so dialogue markup such as
+ * {b} or {pause=500} passes through untouched.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only looks up and formats text, renderers decide when to re-render
+ * - Open/Closed: A new language is a new catalog file plus an entry in GameConfig.i18n.languages
+ * - Dependency Inversion: The file reader is injected (fetch in the browser, fs in Node)
+ *
+ * @class I18n
+ */
+
+// ===== CATALOG FILES =====
+const I18N_DIRECTORY = 'data/i18n';
+
+class I18n {
+    /**
+     * @param {Object<string, Object>} catalogs - Language id → { name, messages, content }
+     * @param {string} [language] - Initial language (defaults to GameConfig.i18n.defaultLanguage)
+     */
+    constructor(catalogs, language = GameConfig.i18n.defaultLanguage) {
+        this._catalogs = catalogs;
+        this._language = GameConfig.i18n.defaultLanguage;
+        this.setLanguage(language);
+    }
+
+    // ===== LANGUAGE =====
+
+    /**
+     * @returns {string} Current language id
+     */
+    getLanguage() {
+        return this._language;
+    }
+
+    /**
+     * Switch the language (unknown languages are ignored)
+     * @param {string} language
+     * @returns {boolean} Whether the language is available
+     */
+    setLanguage(language) {
+        if (!this._catalogs[language]) return false;
+        this._language = language;
+        return true;
+    }
+
+    /**
+     * Languages with a loaded catalog, in GameConfig order
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getLanguages() {
+        return GameConfig.i18n.languages
+            .filter(id => this._catalogs[id])
+            .map(id => ({ id, name: this._catalogs[id].name || id }));
+    }
+
+    // ===== LOOKUP =====
+
+    /**
+     * Message by key
+     * @param {string} key - Dotted key, e.g. 'ceremony.focusMessage'
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} The message (the key itself when no catalog has it)
+     */
+    t(key, params = {}) {
+        const message = this._lookup(key);
+        return typeof message === 'string' ? I18n.format(message, params) : key;
+    }
+
+    /**
+     * List of messages by key (e.g. a pool of random lines)
+     * @param {string} key
+     * @param {Object} [params] - Placeholder values applied to every item
+     * @returns {Array<string>} Empty when no catalog has the key
+     */
+    list(key, params = {}) {
+        const messages = this._lookup(key);
+        return Array.isArray(messages) ? messages.map(message => I18n.format(message, params)) : [];
+    }
+
+    /**
+     * Translate display text written in Japanese (content, config names)
+     * @param {string} source - Japanese source text
+     * @param {Object} [params] - Placeholder values
+     * @returns {string} The translation, or the source when there is none
+     */
+    text(source, params = {}) {
+        if (typeof source !== 'string' || source === '') return source;
+
+        const content = (this._catalogs[this._language] || {}).content || {};
+        const translated = Object.prototype.hasOwnProperty.call(content, source) ? content[source] : source;
+        return I18n.format(translated, params);
+    }
+
+    /**
+     * Current language first, then the source language
+     * @private
+     */
+    _lookup(key) {
+        const languages = [this._language, GameConfig.i18n.defaultLanguage];
+        for (const language of languages) {
+            const value = I18n.resolve((this._catalogs[language] || {}).messages, key);
+            if (value !== undefined) return value;
+        }
+        return undefined;
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * Replace {name} placeholders that have a value in params
+     * @param {string} template
+     * @param {Object} params
+     * @returns {string}
+     */
+    static format(template, params = {}) {
+        return template.replace(/\{(\w+)\}/g, (match, name) =>
+            Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+        );
+    }
+
+    /**
+     * Value at a dotted key in a nested message object
+     * @param {Object} messages
+     * @param {string} key
+     * @returns {*} undefined when missing
+     */
+    static resolve(messages, key) {
+        return key.split('.').reduce(
+            (node, part) => (node && typeof node === 'object' && !Array.isArray(node) ? node[part] : undefined),
+            messages
+        );
+    }
+
+    // ===== LOADING =====
+
+    /**
+     * Load every catalog in GameConfig.i18n.languages (browser)
+     * @param {Function} [readText] - (path) => Promise<string>, defaults to fetch
+     * @returns {Promise<I18n>}
+     */
+    static async load(readText = (file) => fetch(file).then(response => {
+        if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+        return response.text();
+    })) {
+        const entries = await Promise.all(
+            GameConfig.i18n.languages.map(async (language) => {
+                const file = I18n.getFile(language);
+                return [language, I18n._parse(file, await readText(file))];
+            })
+        );
+        return I18n.build(Object.fromEntries(entries));
+    }
+
+    /**
+     * Load every catalog synchronously (Node: tests, simulator)
+     * @param {Function} readText - (path) => string
+     * @returns {I18n}
+     */
+    static loadSync(readText) {
+        const catalogs = {};
+        GameConfig.i18n.languages.forEach(language => {
+            const file = I18n.getFile(language);
+            catalogs[language] = I18n._parse(file, readText(file));
+        });
+        return I18n.build(catalogs);
+    }
+
+    /**
+     * Check the catalogs and create the translator
+     * @param {Object<string, Object>} catalogs
+     * @param {string} [language]
+     * @returns {I18n}
+     */
+    static build(catalogs, language) {
+        I18n.validate(catalogs).forEach(problem => console.warn(`I18n: ${problem}`));
+        return new I18n(catalogs, language);
+    }
+
+    /**
+     * Compare every catalog with the source language: missing keys, lists of another
+     * length and placeholders that differ
+     * @param {Object<string, Object>} catalogs
+     * @returns {Array<string>} Problems (empty when complete)
+     */
+    static validate(catalogs) {
+        const problems = [];
+        const base = catalogs[GameConfig.i18n.defaultLanguage];
+        if (!base) return [`missing source catalog "${GameConfig.i18n.defaultLanguage}"`];
+
+        Object.entries(catalogs).forEach(([language, catalog]) => {
+            if (language === GameConfig.i18n.defaultLanguage) return;
+            I18n._compare(base.messages || {}, catalog.messages || {}, '', language, problems);
+        });
+        return problems;
+    }
+
+    /**
+     * @private
+     */
+    static _compare(base, other, prefix, language, problems) {
+        Object.entries(base).forEach(([name, value]) => {
+            const key = prefix + name;
+            const translated = other[name];
+
+            if (translated === undefined) {
+                problems.push(`${language}: missing message "${key}"`);
+            } else if (Array.isArray(value)) {
+                if (!Array.isArray(translated) || translated.length !== value.length) {
+                    problems.push(`${language}: "${key}" must be a list of ${value.length}`);
+                } else {
+                    value.forEach((item, i) => I18n._comparePlaceholders(item, translated[i], `${key}[${i}]`, language, problems));
+                }
+            } else if (typeof value === 'object') {
+                I18n._compare(value, translated || {}, `${key}.`, language, problems);
+            } else {
+                I18n._comparePlaceholders(value, translated, key, language, problems);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    static _comparePlaceholders(source, translated, key, language, problems) {
+        const placeholders = (text) => [...String(text).matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort().join(',');
+        if (placeholders(source) !== placeholders(translated)) {
+            problems.push(`${language}: "${key}" placeholders differ from the source`);
+        }
+    }
+
+    /**
+     * @param {string} language
+     * @returns {string} Catalog path
+     */
+    static getFile(language) {
+        return `${I18N_DIRECTORY}/${language}.json`;
+    }
+
+    /**
+     * @private
+     */
+    static _parse(file, text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    }
+
+    // ===== DEFAULT TRANSLATOR =====
+
+    /**
+     * Translator used by the engine and the renderers
+     * @param {I18n} i18n
+     */
+    static setDefault(i18n) {
+        I18n._default = i18n;
+    }
+
+    /**
+     * @returns {I18n|null}
+     */
+    static getDefault() {
+        return I18n._default;
+    }
+
+    /**
+     * I18n#t on the default translator (the key when none is loaded)
+     */
+    static t(key, params = {}) {
+        return I18n._default ? I18n._default.t(key, params) : key;
+    }
+
+    /**
+     * I18n#list on the default translator
+     */
+    static list(key, params = {}) {
+        return I18n._default ? I18n._default.list(key, params) : [];
+    }
+
+    /**
+     * I18n#text on the default translator (the source when none is loaded)
+     */
+    static text(source, params = {}) {
+        if (I18n._default) return I18n._default.text(source, params);
+        return typeof source === 'string' ? I18n.format(source, params) : source;
+    }
+}
+
+I18n._default = null;
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, I18N_DIRECTORY };
+}
@@ -0,0 +1,192 @@
+/**
+ * ProgressStore - Which episodes each player profile has cleared (chapter select)
+ *
+ * Kept apart from the save slots: a save is one run, progress is what the
+ * profile has achieved over all its runs. Per episode it remembers
+ * - cleared: the episode was won at least once
+ * - bestGrowth: the highest growth any run of it finished with
+ * - bestClearDay: the earliest day it was cleared on
+ *
+ * Results are recorded from the judgment events (Day 7 for Episode 1, the
+ * episode verdict for Episodes 2-5) and game overs. Recording is idempotent,
+ * so a judgment shown again after loading a save changes nothing.
+ *
+ * Single Responsibility: Only handles episode progress persistence.
+ * Storage is injected (localStorage in the browser, in-memory in tests).
+ *
+ * @class ProgressStore
+ */
+class ProgressStore {
+    /**
+     * @param {EventBus} eventBus - Event bus for episode results
+     * @param {GameState} gameState - State the results are read from
+     * @param {Storage} [storage=null] - Storage with getItem/setItem/removeItem
+     */
+    constructor(eventBus, gameState, storage = null) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._storage = storage || SaveManager.getDefaultStorage();
+        this._activeProfile = this._readActiveProfile();
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        // Episode 1's judgment has no episode id: the current episode is the one judged
+        this._eventBus.on('ceremony:judgment_success', () => this._recordFinish(true));
+        this._eventBus.on('ceremony:judgment_failure', () => this._recordFinish(false));
+        this._eventBus.on(GameEvents.GAME_OVER, () => this._recordFinish(false));
+    }
+
+    // ===== PROFILES =====
+
+    /**
+     * @returns {string[]} Profile ids (GameConfig.progress.profiles)
+     */
+    getProfileIds() {
+        return [...GameConfig.progress.profiles];
+    }
+
+    /**
+     * @returns {string} Profile the results are recorded for
+     */
+    getActiveProfile() {
+        return this._activeProfile;
+    }
+
+    /**
+     * Switch profile (remembered for the next visit)
+     * @param {string} profileId
+     * @returns {boolean} True if switched
+     */
+    setActiveProfile(profileId) {
+        if (!GameConfig.progress.profiles.includes(profileId)) {
+            console.error(`ProgressStore.setActiveProfile: Unknown profile "${profileId}"`);
+            return false;
+        }
+
+        this._activeProfile = profileId;
+        try {
+            this._storage.setItem(this._getKey('active'), profileId);
+        } catch (error) {
+            console.error('ProgressStore: Failed to remember the active profile', error);
+        }
+
+        this._emitUpdated();
+        return true;
+    }
+
+    // ===== RESULTS =====
+
+    /**
+     * Results of every episode the profile has finished
+     * @param {string} [profileId] - Defaults to the active profile
+     * @returns {Object<number, {cleared: boolean, bestGrowth: number, bestClearDay: number|null}>}
+     */
+    getRecords(profileId = this._activeProfile) {
+        try {
+            const raw = this._storage.getItem(this._getKey(profileId));
+            const progress = raw ? JSON.parse(raw) : null;
+            return progress && progress.episodes && typeof progress.episodes === 'object' ? progress.episodes : {};
+        } catch (error) {
+            console.error(`ProgressStore: Corrupted progress for "${profileId}"`, error);
+            return {};
+        }
+    }
+
+    /**
+     * @param {number} episodeId
+     * @returns {boolean} True if the active profile cleared the episode
+     */
+    isCleared(episodeId) {
+        const record = this.getRecords()[episodeId];
+        return !!(record && record.cleared);
+    }
+
+    /**
+     * @returns {boolean} True if the active profile cleared any episode
+     */
+    hasAnyClear() {
+        return Object.values(this.getRecords()).some(record => record.cleared);
+    }
+
+    /**
+     * Merge a finished run into the active profile's record of the episode
+     * @param {number} episodeId
+     * @param {Object} result
+     * @param {boolean} result.cleared - The episode was won
+     * @param {number} result.growth - Growth at the end of the run
+     * @param {number} result.day - Day the run ended on
+     * @returns {Object} The episode's record afterwards
+     */
+    recordResult(episodeId, { cleared, growth, day }) {
+        const records = this.getRecords();
+        const previous = records[episodeId] || { cleared: false, bestGrowth: 0, bestClearDay: null };
+        const record = {
+            cleared: previous.cleared || cleared,
+            bestGrowth: Math.max(previous.bestGrowth, growth || 0),
+            bestClearDay: cleared && (previous.bestClearDay === null || day < previous.bestClearDay)
+                ? day
+                : previous.bestClearDay
+        };
+
+        try {
+            this._storage.setItem(this._getKey(this._activeProfile), JSON.stringify({
+                episodes: { ...records, [episodeId]: record }
+            }));
+        } catch (error) {
+            // Quota exceeded or storage disabled
+            console.error(`ProgressStore.recordResult: Failed to write "${this._activeProfile}"`, error);
+            return record;
+        }
+
+        this._emitUpdated();
+        return record;
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * @private
+     * @param {boolean} cleared
+     */
+    _recordFinish(cleared) {
+        const state = this._gameState.getState();
+        this.recordResult(state.currentEpisode, { cleared, growth: state.growth, day: state.day });
+    }
+
+    /**
+     * @private
+     */
+    _readActiveProfile() {
+        try {
+            const saved = this._storage.getItem(this._getKey('active'));
+            if (GameConfig.progress.profiles.includes(saved)) return saved;
+        } catch (error) {
+            console.warn('ProgressStore: Could not read the active profile', error);
+        }
+        return GameConfig.progress.profiles[0];
+    }
+
+    /**
+     * @private
+     */
+    _getKey(name) {
+        return `${GameConfig.progress.storageKey}.${name}`;
+    }
+
+    /**
+     * @private
+     */
+    _emitUpdated() {
+        this._eventBus.emit(GameEvents.PROGRESS_UPDATED, {
+            profileId: this._activeProfile,
+            records: this.getRecords()
+        });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressStore };
+}
@@ -0,0 +1,272 @@
+/**
+ * SaveManager - Versioned save/load with multiple slots
+ *
+ * Persists the whole run so a browser refresh does not throw away the sprint:
+ * - GameState.serialize()/deserialize() (schema version + migrations)
+ * - CeremonyManager snapshot (daily focus, failed actions, day start state)
+ * - DialogueBacklog snapshot (the lines read so far)
+ * - Named manual slots + autosave at the end of each day
+ *
+ * Single Responsibility: Only handles persistence.
+ * Storage is injected (localStorage in the browser, in-memory in tests).
+ */
+
+class SaveManager {
+    /**
+     * @param {EventBus} eventBus - Event bus for autosave triggers
+     * @param {GameState} gameState - State to persist
+     * @param {CeremonyManager} [ceremonyManager=null] - Ceremony flow to persist/resume
+     * @param {Storage} [storage=null] - Storage with getItem/setItem/removeItem
+     */
+    constructor(eventBus, gameState, ceremonyManager = null, storage = null) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._ceremonyManager = ceremonyManager;
+        this._storage = storage || SaveManager.getDefaultStorage();
+        this._dialogueBacklog = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Save the dialogue backlog with the game
+     * @param {DialogueBacklog} dialogueBacklog
+     */
+    setDialogueBacklog(dialogueBacklog) {
+        this._dialogueBacklog = dialogueBacklog;
+    }
+
+    /**
+     * Use localStorage when available, otherwise keep saves in memory
+     * Shared with ProgressStore.
+     * @returns {Object} Storage-like object
+     */
+    static getDefaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return localStorage;
+            }
+        } catch (error) {
+            // localStorage access can throw (e.g. disabled cookies)
+            console.warn('SaveManager: localStorage unavailable, using memory storage', error);
+        }
+
+        const memory = new Map();
+        return {
+            getItem: (key) => (memory.has(key) ? memory.get(key) : null),
+            setItem: (key, value) => memory.set(key, String(value)),
+            removeItem: (key) => memory.delete(key)
+        };
+    }
+
+    _setupEventListeners() {
+        // Autosave when the day counter advances and when the ceremony finishes the day.
+        // Both fire before CeremonyManager's end check, so a run lost overnight is not
+        // written over the last playable autosave.
+        const autosave = () => {
+            if (this._gameState.isGameOver()) return;
+            this.autosave();
+        };
+        this._eventBus.on('day:advanced', autosave);
+        this._eventBus.on('ceremony:day_complete', autosave);
+    }
+
+    // ===== SLOTS =====
+
+    /**
+     * Get all slot ids (manual slots + autosave)
+     * @returns {string[]}
+     */
+    getSlotIds() {
+        return [...GameConfig.save.slots, GameConfig.save.autosaveSlot];
+    }
+
+    /**
+     * Check if a slot id is known
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    isValidSlot(slotId) {
+        return this.getSlotIds().includes(slotId);
+    }
+
+    /**
+     * Check if a slot contains a save
+     * @param {string} slotId
+     * @returns {boolean}
+     */
+    hasSave(slotId) {
+        return this._readRecord(slotId) !== null;
+    }
+
+    /**
+     * Check if any slot contains a save
+     * @returns {boolean}
+     */
+    hasAnySave() {
+        return this.getSlotIds().some(slotId => this.hasSave(slotId));
+    }
+
+    /**
+     * Get display info for a slot (without loading it)
+     * @param {string} slotId
+     * @returns {Object|null} Slot summary or null if empty
+     */
+    getSlotInfo(slotId) {
+        const record = this._readRecord(slotId);
+        if (!record) return null;
+
+        return {
+            slotId,
+            isAutosave: slotId === GameConfig.save.autosaveSlot,
+            savedAt: record.savedAt,
+            version: record.game.version,
+            ...record.summary
+        };
+    }
+
+    /**
+     * Get info for every slot (null entries for empty slots)
+     * @returns {Array<{slotId: string, info: Object|null}>}
+     */
+    listSlots() {
+        return this.getSlotIds().map(slotId => ({
+            slotId,
+            info: this.getSlotInfo(slotId)
+        }));
+    }
+
+    // ===== SAVE / LOAD =====
+
+    /**
+     * Save the current run into a slot
+     * @param {string} slotId - One of GameConfig.save.slots or the autosave slot
+     * @returns {boolean} True if written
+     */
+    save(slotId) {
+        if (!this.isValidSlot(slotId)) {
+            console.error(`SaveManager.save: Unknown slot "${slotId}"`);
+            return false;
+        }
+
+        const state = this._gameState.getState();
+        const record = {
+            slotId,
+            savedAt: Date.now(),
+            summary: {
+                episode: state.currentEpisode,
+                day: state.day,
+                maxDays: state.maxDays,
+                currentPhase: state.currentPhase,
+                ceremonyPhase: state.ceremonyPhase
+            },
+            game: this._gameState.serialize(),
+            ceremony: this._ceremonyManager ? this._ceremonyManager.getSnapshot() : null,
+            backlog: this._dialogueBacklog ? this._dialogueBacklog.getSnapshot() : null
+        };
+
+        try {
+            this._storage.setItem(this._getKey(slotId), JSON.stringify(record));
+        } catch (error) {
+            // Quota exceeded or storage disabled
+            console.error(`SaveManager.save: Failed to write slot "${slotId}"`, error);
+            return false;
+        }
+
+        this._eventBus.emit(GameEvents.SAVE_WRITTEN, {
+            slotId,
+            isAutosave: slotId === GameConfig.save.autosaveSlot,
+            summary: record.summary
+        });
+        return true;
+    }
+
+    /**
+     * Write the autosave slot
+     * @returns {boolean} True if written
+     */
+    autosave() {
+        return this.save(GameConfig.save.autosaveSlot);
+    }
+
+    /**
+     * Load a slot into GameState, CeremonyManager and DialogueBacklog
+     * Call CeremonyManager.resume() afterwards to rebuild the UI for the saved phase.
+     * @param {string} slotId
+     * @returns {boolean} True if loaded
+     */
+    load(slotId) {
+        const record = this._readRecord(slotId);
+        if (!record) {
+            console.error(`SaveManager.load: Slot "${slotId}" is empty or corrupted`);
+            return false;
+        }
+
+        if (!this._gameState.deserialize(record.game)) {
+            return false;
+        }
+
+        if (this._ceremonyManager) {
+            this._ceremonyManager.restoreSnapshot(record.ceremony);
+        }
+        if (this._dialogueBacklog) {
+            this._dialogueBacklog.restoreSnapshot(record.backlog || null);
+        }
+
+        this._eventBus.emit(GameEvents.SAVE_LOADED, {
+            slotId,
+            summary: record.summary,
+            state: this._gameState.getState()
+        });
+        return true;
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} slotId
+     */
+    deleteSave(slotId) {
+        try {
+            this._storage.removeItem(this._getKey(slotId));
+        } catch (error) {
+            console.error(`SaveManager.deleteSave: Failed to delete slot "${slotId}"`, error);
+        }
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * @private
+     */
+    _getKey(slotId) {
+        return `${GameConfig.save.storageKey}.${slotId}`;
+    }
+
+    /**
+     * Read and parse a slot record
+     * @private
+     * @returns {Object|null} Record or null if empty/corrupted
+     */
+    _readRecord(slotId) {
+        if (!this.isValidSlot(slotId)) return null;
+
+        try {
+            const raw = this._storage.getItem(this._getKey(slotId));
+            if (!raw) return null;
+
+            const record = JSON.parse(raw);
+            if (!record || typeof record !== 'object' || !record.game) {
+                return null;
+            }
+            return record;
+        } catch (error) {
+            console.error(`SaveManager: Corrupted save in slot "${slotId}"`, error);
+            return null;
+        }
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveManager };
+}
@@ -0,0 +1,143 @@
+/**
+ * SeededRandom - Deterministic, seedable random number generator
+ *
+ * Every random roll in the game (success rates, critical hits, condition
+ * changes, dialogue variations) draws from one injected instance, so a given
+ * seed and set of inputs always produces the same sprint.
+ *
+ * Algorithm: mulberry32 (32-bit state, fast, good enough for gameplay)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only generates random numbers
+ * - Dependency Inversion: Systems receive an instance instead of calling Math.random()
+ *
+ * @class SeededRandom
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} [seed] - Seed (random if omitted)
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this._seed = 0;
+        this._state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Create a fresh random seed (the only place Math.random() is allowed)
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * Normalize a seed value to an unsigned 32-bit integer
+     * Numeric strings are used as-is, other strings are hashed (e.g. ?seed=curry)
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a string hash
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ===== SEED =====
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {number|string} seed
+     */
+    setSeed(seed) {
+        this._seed = SeededRandom.normalizeSeed(seed);
+        this._state = this._seed;
+    }
+
+    /**
+     * @returns {number} Current seed
+     */
+    getSeed() {
+        return this._seed;
+    }
+
+    /**
+     * Get internal position (for save files)
+     * @returns {number}
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Restore internal position (from save files)
+     * @param {number} state
+     */
+    setState(state) {
+        if (typeof state !== 'number' || !Number.isFinite(state)) {
+            console.error('SeededRandom.setState: state must be a number');
+            return;
+        }
+        this._state = state >>> 0;
+    }
+
+    // ===== ROLLS =====
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - 0.0 - 1.0
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element
+     * @param {Array} items
+     * @returns {*} Element or undefined for empty arrays
+     */
+    pick(items) {
+        if (!items || items.length === 0) return undefined;
+        return items[this.int(items.length)];
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom };
+}
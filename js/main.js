@@ -14,22 +14,31 @@ class GameApp {
     constructor() {
         // Core systems (initialized in order of dependency)
         this._eventBus = null;
+        this._rng = null;
         this._gameState = null;
         this._dialogueSystem = null;
         this._kitchenEngine = null;
         this._episodeManager = null;
         this._ceremonyManager = null;
+        this._saveManager = null;
+        this._progressStore = null;
+        this._journalRecorder = null;
+        this._autoPlayer = null;
+        this._autoPlayStrategies = null;
 
         // UI Renderers
         this._characterDisplay = null;
         this._gameUIRenderer = null;
         this._dialogueUIRenderer = null;
         this._ceremonyUIRenderer = null;
+        this._saveMenuUIRenderer = null;
+        this._chapterSelectUIRenderer = null;
 
         // State flags
         this._isInitialized = false;
         this._autoMode = false;
         this._autoInterval = null;
+        this._urlSeed = null;
     }
 
     /**
@@ -44,37 +53,99 @@ class GameApp {
         // 1. Create EventBus (foundation for all communication)
         this._eventBus = new EventBus();
 
-        // 2. Create GameState (depends on EventBus)
-        this._gameState = new GameState(this._eventBus);
-
-        // 3. Create DialogueSystem (depends on EventBus)
-        this._dialogueSystem = new DialogueSystem(this._eventBus, {
+        // 2. Create shared RNG and GameState (depends on EventBus)
+        // ?seed= URL parameter fixes the seed so a run can be reproduced
+        this._urlSeed = this._getUrlSeed();
+        this._rng = new SeededRandom(this._urlSeed !== null ? this._urlSeed : SeededRandom.createSeed());
+        this._gameState = new GameState(this._eventBus, this._rng);
+        console.log(`GameApp: RNG seed = ${this._rng.getSeed()}`);
+
+        // 3. Create DialogueSystem (depends on EventBus, GameState for auto mode)
+        // Speakers come from data/characters.json (loaded by initGame)
+        this._content = ContentLoader.getDefault();
+        this._dialogueSystem = new DialogueSystem(this._eventBus, this._gameState, {
             typingSpeed: 30,
-            characters: DEFAULT_CHARACTERS
+            characters: { ...this._content.characters }
         });
 
+        // 3b. Create DialogueBacklog (records every line shown, saved with the game)
+        this._dialogueBacklog = new DialogueBacklog(this._eventBus, this._dialogueSystem);
+
         // 4. Create game engine (depends on EventBus, GameState)
-        this._kitchenEngine = new KitchenEngine(this._eventBus, this._gameState);
+        this._kitchenEngine = new KitchenEngine(this._eventBus, this._gameState, this._rng);
 
         // 5. Create EpisodeManager (depends on EventBus, DialogueSystem, GameState)
         this._episodeManager = new EpisodeManager(
             this._eventBus,
             this._dialogueSystem,
-            this._gameState
+            this._gameState,
+            this._content
         );
 
         // 5b. Wire EpisodeManager to KitchenEngine for episode modifiers
         this._kitchenEngine.setEpisodeManager(this._episodeManager);
 
+        // Action combos (perfect cycle, night follow-ups) and their chain
+        this._comboEngine = new ComboEngine(this._eventBus, this._gameState);
+        this._kitchenEngine.setComboEngine(this._comboEngine);
+
+        // 5b'. Episode subsystems: goblin order queue (Ep2), kitchen damage (Ep3), rival Srimon (Ep4), princess demands (Ep5)
+        this._orderQueue = new OrderQueue(this._eventBus, this._gameState);
+        this._episodeManager.setOrderQueue(this._orderQueue);
+        this._qualityDecayEngine = new QualityDecayEngine(this._eventBus, this._gameState);
+        this._episodeManager.setQualityDecayEngine(this._qualityDecayEngine);
+        this._rivalEngine = new RivalEngine(this._eventBus, this._gameState);
+        this._episodeManager.setRivalEngine(this._rivalEngine);
+        this._demandEngine = new DemandEngine(this._eventBus, this._gameState);
+        this._episodeManager.setDemandEngine(this._demandEngine);
+
+        // 5b''. Affinity with Mina, the owner and the guests (perks and bonus scenes)
+        this._affinityEngine = new AffinityEngine(this._eventBus, this._gameState, this._content);
+
         // 5c. Create CeremonyManager (depends on EventBus, GameState)
-        this._ceremonyManager = new CeremonyManager(this._eventBus, this._gameState);
+        this._ceremonyManager = new CeremonyManager(this._eventBus, this._gameState, this._rng);
+        this._ceremonyManager.setEpisodeManager(this._episodeManager);
+
+        // 5d. Create SaveManager (depends on EventBus, GameState, CeremonyManager)
+        // Autosaves at the end of each day
+        this._saveManager = new SaveManager(this._eventBus, this._gameState, this._ceremonyManager);
+        this._saveManager.setDialogueBacklog(this._dialogueBacklog);
+
+        // 5d'. Create ProgressStore (cleared episodes and best results per profile)
+        this._progressStore = new ProgressStore(this._eventBus, this._gameState);
+
+        // 5e. Create JournalRecorder (records every input for bug reports / replay)
+        this._journalRecorder = new JournalRecorder(this._eventBus, this._gameState, this._ceremonyManager);
+        this._journalRecorder.start();
+
+        // 5f. Create AutoPlayer (auto-play sprint with a bot strategy)
+        // Waits while dialogue or the save menu is open
+        this._autoPlayStrategies = createAutoPlayStrategies();
+        this._autoPlayer = new AutoPlayer(
+            this._eventBus,
+            this._gameState,
+            this._kitchenEngine,
+            this._ceremonyManager,
+            {
+                isBusy: () => this._dialogueSystem.isActive()
+                    || this._saveMenuUIRenderer.isVisible()
+                    || this._chapterSelectUIRenderer.isVisible()
+                    || this._dialogueUIRenderer.isBacklogVisible()
+            }
+        );
 
         // 6. Create UI Renderers (depend on EventBus)
         // CharacterDisplay handles sprite showing/hiding/dimming (SRP)
-        this._characterDisplay = new CharacterDisplay(this._eventBus);
+        // Episode guests are added to the stage the first time they appear
+        this._characterDisplay = new CharacterDisplay(this._eventBus, {
+            sprites: this._content.sprites,
+            getGuest: () => this._episodeManager.getEpisodeGuest()
+        });
 
         this._gameUIRenderer = new GameUIRenderer(this._eventBus, {
-            maxGrowth: this._gameState.get('maxGrowth')
+            maxGrowth: this._gameState.get('maxGrowth'),
+            getAffinityCharacters: (state) => this._affinityEngine.getTrackedCharacters(state),
+            getComboHints: (state) => this._comboEngine.getHints(state)
         });
 
         // DialogueUIRenderer only handles dialogue box (SRP)
@@ -82,6 +153,13 @@ class GameApp {
 
         // CeremonyUIRenderer handles ceremony overlays
         this._ceremonyUIRenderer = new CeremonyUIRenderer(this._eventBus);
+        this._ceremonyUIRenderer.setChartRenderer(new SprintChartUIRenderer());
+
+        // SaveMenuUIRenderer handles the save/load slot list
+        this._saveMenuUIRenderer = new SaveMenuUIRenderer(this._eventBus);
+
+        // ChapterSelectUIRenderer handles the episode list of the title prompt
+        this._chapterSelectUIRenderer = new ChapterSelectUIRenderer(this._eventBus);
 
         // 7. Setup global event handlers
         this._setupGlobalEvents();
@@ -89,10 +167,28 @@ class GameApp {
         // 8. Setup DOM event listeners
         this._setupDOMListeners();
 
+        // 9. Static HTML text in the selected language
+        this._applyStaticText();
+
         this._isInitialized = true;
         console.log('GameApp: Initialized successfully');
     }
 
+    /**
+     * Read the ?seed= URL parameter
+     * @private
+     * @returns {string|null} Seed or null if not given
+     */
+    _getUrlSeed() {
+        try {
+            const seed = new URLSearchParams(window.location.search).get('seed');
+            return seed !== null && seed.trim() !== '' ? seed : null;
+        } catch (error) {
+            console.warn('GameApp: Could not read seed from URL', error);
+            return null;
+        }
+    }
+
     /**
      * Setup global event handlers
      */
@@ -120,6 +216,16 @@ class GameApp {
             }
         });
 
+        // Lines can arrive while the backlog is open (auto mode)
+        this._eventBus.on(GameEvents.BACKLOG_UPDATED, () => {
+            if (this._dialogueUIRenderer.isBacklogVisible()) {
+                this._dialogueUIRenderer.renderBacklog(
+                    this._dialogueBacklog.getEntries(),
+                    (position) => this._dialogueBacklog.canRewind(position)
+                );
+            }
+        });
+
         // Perfect cycle - play celebration effect
         this._eventBus.on(GameEvents.PERFECT_CYCLE, () => {
             if (typeof gameEffects !== 'undefined') {
@@ -127,11 +233,6 @@ class GameApp {
             }
         });
 
-        // Mina cheer on perfect cycle
-        this._eventBus.on('mina:cheer_perfect_cycle', (data) => {
-            this._dialogueUIRenderer.showMinaTip(data.message);
-        });
-
         // Intro completion - start first day with Morning Stand-up
         this._eventBus.on(GameEvents.INTRO_COMPLETED, () => {
             document.body.classList.remove('vn-active');
@@ -173,6 +274,49 @@ class GameApp {
         this._eventBus.on(GameEvents.GAME_VICTORY, (data) => {
             console.log('Victory:', data.state);
         });
+
+        // Auto-play sprint: dialogue advances by itself while the bot plays
+        this._eventBus.on(GameEvents.DIALOGUE_STARTED, () => {
+            if (this._autoPlayer.isRunning()) {
+                this._startAutoAdvance();
+            }
+        });
+
+        // Auto-play closes the retro overlay the same way the continue button does
+        this._eventBus.on('autoplay:input', (data) => {
+            if (data.type === 'proceedToNextDay') {
+                this._closeCeremonyOverlays();
+            }
+        });
+
+        this._eventBus.on('autoplay:started', () => this._updateAutoPlayButton(true));
+        this._eventBus.on('autoplay:stopped', () => this._updateAutoPlayButton(false));
+
+        // Language toggle in the save menu
+        this._eventBus.on('ui:language_selected', (data) => {
+            this.setLanguage(data.language);
+        });
+
+        // Save menu slot buttons
+        this._eventBus.on('ui:save_slot_selected', (data) => {
+            if (data.mode === 'save') {
+                this._saveManager.save(data.slotId);
+                this._saveMenuUIRenderer.render(this._saveManager.listSlots());
+            } else if (data.mode === 'load') {
+                this.loadGame(data.slotId);
+            }
+        });
+
+        // Chapter select
+        this._eventBus.on('ui:chapter_selected', (data) => {
+            this.playChapter(data.episodeId);
+        });
+        this._eventBus.on('ui:profile_selected', (data) => {
+            this._progressStore.setActiveProfile(data.profileId);
+        });
+        this._eventBus.on(GameEvents.PROGRESS_UPDATED, () => {
+            if (this._chapterSelectUIRenderer.isVisible()) this.openChapterSelect();
+        });
     }
 
     /**
@@ -187,15 +331,13 @@ class GameApp {
             });
         });
 
-        // Choice buttons
-        const choiceA = document.getElementById('choice-a');
-        const choiceB = document.getElementById('choice-b');
-
-        if (choiceA) {
-            choiceA.addEventListener('click', () => this.selectChoice('obedient'));
-        }
-        if (choiceB) {
-            choiceB.addEventListener('click', () => this.selectChoice('agile'));
+        // Choice buttons (rendered per choice by DialogueUIRenderer)
+        const choiceButtons = document.getElementById('choice-buttons');
+        if (choiceButtons) {
+            choiceButtons.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-choice-id]');
+                if (button) this.selectChoice(button.dataset.choiceId);
+            });
         }
 
         // Mina tip button
@@ -224,6 +366,57 @@ class GameApp {
             });
         }
 
+        // Backlog: LOG button, L key or mouse wheel up over the dialogue
+        const logBtn = document.getElementById('vn-log-btn');
+        if (logBtn) {
+            logBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openBacklog();
+            });
+        }
+
+        const vnOverlay = document.getElementById('vn-overlay');
+        if (vnOverlay) {
+            vnOverlay.addEventListener('wheel', (e) => {
+                if (e.deltaY < 0) this.openBacklog();
+            }, { passive: true });
+        }
+
+        const backlogList = document.getElementById('backlog-list');
+        if (backlogList) {
+            // Rewindable lines: show that line again
+            backlogList.addEventListener('click', (e) => {
+                const entry = e.target.closest('[data-backlog-position]');
+                if (entry && this._dialogueBacklog.rewindTo(Number(entry.dataset.backlogPosition))) {
+                    this.closeBacklog();
+                }
+            });
+            // Scrolling down past the latest line closes the log
+            backlogList.addEventListener('wheel', (e) => {
+                const atBottom = backlogList.scrollTop + backlogList.clientHeight >= backlogList.scrollHeight - 1;
+                if (e.deltaY > 0 && atBottom) this.closeBacklog();
+            }, { passive: true });
+        }
+
+        const backlogClose = document.getElementById('backlog-close');
+        if (backlogClose) {
+            backlogClose.addEventListener('click', () => this.closeBacklog());
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+            if (e.key === 'l' || e.key === 'L') {
+                if (this._dialogueUIRenderer.isBacklogVisible()) {
+                    this.closeBacklog();
+                } else {
+                    this.openBacklog();
+                }
+            } else if (e.key === 'Escape' && this._dialogueUIRenderer.isBacklogVisible()) {
+                this.closeBacklog();
+            }
+        });
+
         // Auto button
         const autoBtn = document.getElementById('vn-auto-btn');
         if (autoBtn) {
@@ -246,6 +439,20 @@ class GameApp {
 
         // ===== CEREMONY SYSTEM BUTTONS =====
 
+        // Sprint goal commit button (Sprint Planning)
+        const planningCommit = document.getElementById('planning-commit');
+        if (planningCommit) {
+            planningCommit.addEventListener('click', () => {
+                this._ceremonyManager.commitSprintGoals(this._ceremonyUIRenderer.getPlannedGoals());
+            });
+        }
+
+        // Sprint goals badge opens the goal list
+        const sprintGoalsBadge = document.getElementById('sprint-goals-badge');
+        if (sprintGoalsBadge) {
+            sprintGoalsBadge.addEventListener('click', () => this._gameUIRenderer.toggleSprintGoals());
+        }
+
         // Daily Focus selection buttons (Morning Stand-up)
         document.querySelectorAll('[data-focus]').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -273,13 +480,7 @@ class GameApp {
         const retroContinue = document.getElementById('retro-continue');
         if (retroContinue) {
             retroContinue.addEventListener('click', () => {
-                // CRITICAL: Clear ALL ceremony overlays to prevent interaction lock
-                this._ceremonyUIRenderer.hideNightRetro();
-                this._ceremonyUIRenderer.hideMorningStandup();
-
-                // Also ensure result panel is cleared
-                const resultEl = document.getElementById('result');
-                if (resultEl) resultEl.innerHTML = '';
+                this._closeCeremonyOverlays();
 
                 // Start next day's morning stand-up
                 setTimeout(() => {
@@ -288,6 +489,58 @@ class GameApp {
             });
         }
 
+        // ===== AUTO-PLAY SPRINT =====
+
+        const autoPlaySelect = document.getElementById('autoplay-strategy');
+        this._renderAutoPlayOptions();
+
+        const autoPlayBtn = document.getElementById('autoplay-btn');
+        if (autoPlayBtn) {
+            autoPlayBtn.addEventListener('click', () => {
+                this.toggleAutoPlay(autoPlaySelect ? autoPlaySelect.value : null);
+            });
+        }
+
+        // ===== SAVE / LOAD MENU =====
+
+        const saveMenuBtn = document.getElementById('save-menu-btn');
+        if (saveMenuBtn) {
+            saveMenuBtn.addEventListener('click', () => {
+                this._saveMenuUIRenderer.show(this._saveManager.listSlots());
+            });
+        }
+
+        // Bug report: download the input journal of this run
+        const journalBtn = document.getElementById('save-menu-journal');
+        if (journalBtn) {
+            journalBtn.addEventListener('click', () => this.downloadJournal());
+        }
+
+        const saveMenuClose = document.getElementById('save-menu-close');
+        if (saveMenuClose) {
+            saveMenuClose.addEventListener('click', () => this._saveMenuUIRenderer.hide());
+        }
+
+        // "はじめから" on the title prompt - play the intro as usual
+        const saveMenuNewGame = document.getElementById('save-menu-new-game');
+        if (saveMenuNewGame) {
+            saveMenuNewGame.addEventListener('click', () => {
+                this._saveMenuUIRenderer.hide();
+                this._playIntro();
+            });
+        }
+
+        // "チャプター選択" on the title prompt - skip to a cleared episode
+        const saveMenuChapters = document.getElementById('save-menu-chapters');
+        if (saveMenuChapters) {
+            saveMenuChapters.addEventListener('click', () => this.openChapterSelect());
+        }
+
+        const chapterSelectClose = document.getElementById('chapter-select-close');
+        if (chapterSelectClose) {
+            chapterSelectClose.addEventListener('click', () => this._chapterSelectUIRenderer.hide());
+        }
+
         // ===== EPISODE 1: 7-DAY SPRINT BUTTONS =====
 
         // Spice Crisis continue button
@@ -310,8 +563,11 @@ class GameApp {
                 this._ceremonyUIRenderer.hideJudgment();
 
                 if (action === 'next-episode') {
-                    // Success: Advance to Episode 2
-                    this.startEpisode(2);
+                    // Success: Advance to the next episode
+                    this.startEpisode(this._gameState.get('currentEpisode') + 1);
+                } else if (action === 'new-game-plus') {
+                    // Finale cleared: Episode 1 again, harder, keeping what carries over
+                    this.startNewGamePlus();
                 } else if (action === 'show-continue') {
                     // Failure: Show continue screen (will be handled by event)
                     // Continue screen is shown automatically after judgment failure
@@ -322,6 +578,15 @@ class GameApp {
             });
         }
 
+        // Finale cleared but no New Game+: back to the title
+        const judgmentTitle = document.getElementById('judgment-title');
+        if (judgmentTitle) {
+            judgmentTitle.addEventListener('click', () => {
+                this._ceremonyUIRenderer.hideJudgment();
+                this.restart();
+            });
+        }
+
         // Continue screen buttons
         const continueRetry = document.getElementById('continue-retry');
         const continueTitle = document.getElementById('continue-title');
@@ -353,6 +618,20 @@ class GameApp {
         // Hide all characters initially
         this._characterDisplay.hideAllCharacters();
 
+        // Offer to continue from an existing save (or jump to a cleared chapter) before the intro
+        if (this._saveManager.hasAnySave() || this._progressStore.hasAnyClear()) {
+            this._saveMenuUIRenderer.show(this._saveManager.listSlots(), { titlePrompt: true });
+            return;
+        }
+
+        this._playIntro();
+    }
+
+    /**
+     * Play the Episode 1 intro from the beginning
+     * @private
+     */
+    _playIntro() {
         // Set initial background (night street for opening scene)
         this._dialogueUIRenderer.setInitialBackground('bg-night-street');
 
@@ -368,6 +647,233 @@ class GameApp {
         });
     }
 
+    /**
+     * Show the chapter select for the active profile
+     */
+    openChapterSelect() {
+        const records = this._progressStore.getRecords();
+        this._chapterSelectUIRenderer.show(
+            this._episodeManager.getChapters(records),
+            this._progressStore.getProfileIds(),
+            this._progressStore.getActiveProfile()
+        );
+    }
+
+    /**
+     * Start an unlocked episode from the chapter select
+     * @param {number} episodeId - Episode ID
+     * @returns {boolean} True if started
+     */
+    playChapter(episodeId) {
+        const chapter = this._episodeManager.getChapters(this._progressStore.getRecords())
+            .find(entry => entry.id === episodeId);
+        if (!chapter || chapter.locked) {
+            console.warn(`GameApp.playChapter: Episode ${episodeId} is locked`);
+            return false;
+        }
+
+        this._chapterSelectUIRenderer.hide();
+        this._saveMenuUIRenderer.hide();
+
+        if (episodeId === 1) {
+            this._playIntro();
+        } else {
+            this.startEpisode(episodeId);
+        }
+        return true;
+    }
+
+    /**
+     * Load a save slot and resume at the saved ceremony phase
+     * @param {string} slotId - Save slot id
+     * @returns {boolean} True if loaded
+     */
+    loadGame(slotId) {
+        // Drop any dialogue in progress (e.g. loading during the intro)
+        this._dialogueSystem.destroy();
+        this._stopAutoAdvance();
+
+        if (!this._saveManager.load(slotId)) {
+            return false;
+        }
+
+        // Clear VN and ceremony overlays
+        document.body.classList.remove('vn-active');
+        this._dialogueUIRenderer.hideOverlay();
+        this._characterDisplay.hideAllCharacters();
+        this._saveMenuUIRenderer.hide();
+        this.closeBacklog();
+        this._ceremonyUIRenderer.hideSprintPlanning();
+        this._ceremonyUIRenderer.hideMorningStandup();
+        this._ceremonyUIRenderer.hideNightRetro();
+        this._ceremonyUIRenderer.hideJudgment();
+        this._ceremonyUIRenderer.hideContinueScreen();
+        ['choice-overlay', 'gameover', 'ending', 'episode1-clear'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.classList.add('hidden');
+        });
+
+        const resultEl = document.getElementById('result');
+        if (resultEl) resultEl.innerHTML = '';
+
+        // Command menu is shown again by 'ceremony:action_phase_start'
+        const commandMenu = document.querySelector('.pawa-command-menu');
+        if (commandMenu) commandMenu.style.display = 'none';
+
+        // CRITICAL: Clear dirty-check cache so every HUD value is redrawn
+        this._gameUIRenderer.clearCache();
+        this._gameUIRenderer.showGameUI();
+        this._gameUIRenderer.update(this._gameState.getState());
+
+        this._ceremonyManager.resume();
+        return true;
+    }
+
+    /**
+     * Download the recorded input journal as a JSON file (attach to bug reports)
+     */
+    downloadJournal() {
+        const json = this._journalRecorder.exportJSON();
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chef_game_journal_seed${this._gameState.get('seed')}_day${this._gameState.get('day')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Start / stop the auto-play sprint
+     * @param {string} [strategyId] - Bot to play with (defaults to the first one)
+     * @returns {boolean} True if auto-play is running afterwards
+     */
+    toggleAutoPlay(strategyId = null) {
+        if (this._autoPlayer.isRunning()) {
+            this._autoPlayer.stop();
+            this._stopAutoAdvance();
+            return false;
+        }
+
+        const strategy = this._autoPlayStrategies[strategyId] || Object.values(this._autoPlayStrategies)[0];
+        return this._autoPlayer.start(strategy);
+    }
+
+    /**
+     * @private
+     */
+    _updateAutoPlayButton(isRunning) {
+        const control = document.getElementById('autoplay-control');
+        const btn = document.getElementById('autoplay-btn');
+        const select = document.getElementById('autoplay-strategy');
+
+        if (control) control.classList.toggle('active', isRunning);
+        if (btn) {
+            btn.classList.toggle('active', isRunning);
+            btn.innerHTML = isRunning ? '&#x23F8;' : '&#x25B6;';
+            btn.title = I18n.t(isRunning ? 'html.hud.autoplayStop' : 'html.hud.autoplayStart');
+        }
+        if (select) select.disabled = isRunning;
+    }
+
+    /**
+     * Fill the strategy select (names are translated, the selection is kept)
+     * @private
+     */
+    _renderAutoPlayOptions() {
+        const select = document.getElementById('autoplay-strategy');
+        if (!select) return;
+
+        const selected = select.value;
+        select.innerHTML = '';
+        Object.values(this._autoPlayStrategies).forEach(strategy => {
+            const option = document.createElement('option');
+            option.value = strategy.id;
+            option.textContent = I18n.text(strategy.name);
+            option.title = I18n.text(strategy.description);
+            select.appendChild(option);
+        });
+        if (selected) select.value = selected;
+    }
+
+    /**
+     * Switch the display language and redraw the current screen
+     * @param {string} language - Language id in GameConfig.i18n.languages
+     * @returns {boolean} True if the language is available
+     */
+    setLanguage(language) {
+        const i18n = I18n.getDefault();
+        if (!i18n || !i18n.setLanguage(language)) {
+            return false;
+        }
+        saveLanguagePreference(language);
+
+        this._applyStaticText();
+        this._renderAutoPlayOptions();
+        this._updateAutoPlayButton(this._autoPlayer.isRunning());
+
+        // Renderers redraw what they show, the typed line is retyped
+        this._eventBus.emit(GameEvents.LANGUAGE_CHANGED, { language });
+        this._dialogueSystem.refreshLine();
+        if (this._dialogueUIRenderer.isBacklogVisible()) {
+            this.openBacklog();
+        }
+        return true;
+    }
+
+    /**
+     * Translate the static HTML: data-i18n (text), data-i18n-title, data-i18n-alt, data-i18n-aria-label
+     * @private
+     */
+    _applyStaticText() {
+        document.documentElement.lang = I18n.getDefault() ? I18n.getDefault().getLanguage() : GameConfig.i18n.defaultLanguage;
+
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = I18n.t(el.dataset.i18n);
+        });
+        [['title', 'i18nTitle'], ['alt', 'i18nAlt'], ['aria-label', 'i18nAriaLabel']].forEach(([attribute, dataKey]) => {
+            document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, I18n.t(el.dataset[dataKey]));
+            });
+        });
+    }
+
+    /**
+     * Close the retro / stand-up overlays before the next day starts
+     * @private
+     */
+    _closeCeremonyOverlays() {
+        // CRITICAL: Clear ALL ceremony overlays to prevent interaction lock
+        this._ceremonyUIRenderer.hideNightRetro();
+        this._ceremonyUIRenderer.hideSprintPlanning();
+        this._ceremonyUIRenderer.hideMorningStandup();
+
+        // Also ensure result panel is cleared
+        const resultEl = document.getElementById('result');
+        if (resultEl) resultEl.innerHTML = '';
+    }
+
+    /**
+     * Open the dialogue backlog
+     */
+    openBacklog() {
+        if (this._saveMenuUIRenderer.isVisible()) return;
+        this._dialogueUIRenderer.showBacklog(
+            this._dialogueBacklog.getEntries(),
+            (position) => this._dialogueBacklog.canRewind(position)
+        );
+    }
+
+    /**
+     * Close the dialogue backlog
+     */
+    closeBacklog() {
+        this._dialogueUIRenderer.hideBacklog();
+    }
+
     /**
      * Toggle auto-advance mode for dialogue
      * @param {HTMLElement} btn - Auto button element
@@ -390,7 +896,8 @@ class GameApp {
         if (this._autoInterval) return;
 
         this._autoInterval = setInterval(() => {
-            if (this._dialogueSystem.isActive() && !this._dialogueSystem.isTyping()) {
+            if (this._dialogueSystem.isActive() && !this._dialogueSystem.isTyping()
+                && !this._dialogueUIRenderer.isBacklogVisible()) {
                 this._dialogueSystem.advance();
             }
         }, 2500); // Auto-advance every 2.5 seconds
@@ -425,24 +932,39 @@ class GameApp {
 
     /**
      * Handle player choice selection
-     * @param {string} choiceId - 'obedient' or 'agile'
+     * @param {string} choiceId - Option id of the scene script's choice
      */
     selectChoice(choiceId) {
         this._episodeManager.handleChoice(choiceId);
     }
 
     /**
-     * Start a specific episode
+     * Start a specific episode and play its intro
+     * The first day's stand-up starts from the INTRO_COMPLETED handler.
      * @param {number} episodeId - Episode ID
      */
     startEpisode(episodeId) {
-        this._gameState.startEpisode(episodeId);
+        if (!this._episodeManager.startEpisode(episodeId)) {
+            return;
+        }
 
         // Hide episode clear modal if visible
         const clearEl = document.getElementById('episode1-clear');
         if (clearEl) clearEl.classList.add('hidden');
 
         this._gameUIRenderer.update(this._gameState.getState());
+
+        document.body.classList.add('vn-active');
+        this._episodeManager.playEpisodeIntro(episodeId);
+    }
+
+    /**
+     * Start New Game+ after the finale and play the Episode 1 intro again
+     */
+    startNewGamePlus() {
+        this._episodeManager.startNewGamePlus();
+        this._gameUIRenderer.update(this._gameState.getState());
+        this._playIntro();
     }
 
     /**
@@ -474,7 +996,18 @@ class GameApp {
         // Reset state
         this._gameState.reset();
 
-        // Stop auto mode
+        // Fresh run gets a fresh seed unless fixed by ?seed=
+        if (this._urlSeed === null) {
+            this._gameState.setSeed(SeededRandom.createSeed());
+        }
+
+        // New run = new journal and an empty backlog
+        this._journalRecorder.start();
+        this._dialogueBacklog.clear();
+        this.closeBacklog();
+
+        // Stop auto mode and auto-play
+        this._autoPlayer.stop();
         this._stopAutoAdvance();
         this._autoMode = false;
         const autoBtn = document.getElementById('vn-auto-btn');
@@ -517,6 +1050,10 @@ class GameApp {
         return this._dialogueSystem;
     }
 
+    get dialogueBacklog() {
+        return this._dialogueBacklog;
+    }
+
     get kitchenEngine() {
         return this._kitchenEngine;
     }
@@ -528,6 +1065,22 @@ class GameApp {
     get characterDisplay() {
         return this._characterDisplay;
     }
+
+    get saveManager() {
+        return this._saveManager;
+    }
+
+    get progressStore() {
+        return this._progressStore;
+    }
+
+    get journalRecorder() {
+        return this._journalRecorder;
+    }
+
+    get autoPlayer() {
+        return this._autoPlayer;
+    }
 }
 
 // ===== Global instance and initialization =====
@@ -535,11 +1088,75 @@ class GameApp {
 let gameApp = null;
 
 /**
- * Initialize and start the game when DOM is ready
+ * Language to start with: the saved choice, else the browser's language
+ * @returns {string}
+ */
+function getPreferredLanguage() {
+    try {
+        const saved = localStorage.getItem(GameConfig.i18n.storageKey);
+        if (saved && GameConfig.i18n.languages.includes(saved)) return saved;
+    } catch (error) {
+        console.warn('getPreferredLanguage: Could not read the saved language', error);
+    }
+
+    const browserLanguage = (navigator.language || '').slice(0, 2).toLowerCase();
+    return GameConfig.i18n.languages.includes(browserLanguage) ? browserLanguage : GameConfig.i18n.defaultLanguage;
+}
+
+/**
+ * @param {string} language
+ */
+function saveLanguagePreference(language) {
+    try {
+        localStorage.setItem(GameConfig.i18n.storageKey, language);
+    } catch (error) {
+        console.warn('saveLanguagePreference: Could not save the language', error);
+    }
+}
+
+/**
+ * Show the load error screen with a retry button instead of leaving a blank page
+ * @param {Error} error - Why ContentLoader.load() / I18n.load() failed
+ */
+function showLoadError(error) {
+    const overlay = document.getElementById('load-error');
+    if (!overlay) return;
+
+    const detail = document.getElementById('load-error-detail');
+    if (detail) detail.textContent = (error && error.message) || String(error);
+
+    const retryBtn = document.getElementById('load-error-retry');
+    if (retryBtn) {
+        retryBtn.onclick = () => {
+            overlay.classList.add('hidden');
+            initGame();
+        };
+    }
+
+    overlay.classList.remove('hidden');
+}
+
+/**
+ * Load the story content and message catalogs, then initialize and start the game
+ * A failed load shows the load error screen; the game is only built once both loaded.
  */
 function initGame() {
-    gameApp = new GameApp();
-    gameApp.start();
+    Promise.all([ContentLoader.load(), I18n.load()])
+        .then(([content, i18n]) => {
+            ContentLoader.setDefault(content);
+            i18n.setLanguage(getPreferredLanguage());
+            I18n.setDefault(i18n);
+        })
+        .then(() => {
+            gameApp = new GameApp();
+            gameApp.start();
+        }, error => {
+            console.error('initGame: Failed to load content (data/*.json, data/i18n/*.json)', error);
+            showLoadError(error);
+        })
+        .catch(error => {
+            console.error('initGame: Failed to start the game', error);
+        });
 }
 
 // Auto-initialize when DOM is ready
@@ -0,0 +1,188 @@
+/**
+ * AffinityEngine - How close Fuji is to Mina, the owner and the episode guests (好感度)
+ *
+ * Affinity (0 - GameConfig.affinity.max) is kept in state.affinity and changes with:
+ * - actions (GameConfig.affinity.actions: the owner likes good work, Mina a chat over a rest)
+ * - scene scripts and choices ({ "affinity": { "owner": 5 } }, see SceneScriptRunner)
+ *
+ * Starting values and thresholds are content (data/characters.json "affinity").
+ * Reaching a threshold for the first time unlocks its perk (state.perks) and
+ * emits AFFINITY_THRESHOLD_REACHED; EpisodeManager plays its bonus scene.
+ * Nothing here draws from the RNG, so affinity never changes a seeded run's rolls.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only tracks affinity and its thresholds
+ * - Open/Closed: Characters, thresholds and perks are data, not code
+ * - Dependency Inversion: Reacts to and reports through EventBus, never touches the DOM
+ *
+ * @class AffinityEngine
+ */
+class AffinityEngine {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     * @param {GameContent} [content] - Loaded content (defaults to ContentLoader.getDefault())
+     */
+    constructor(eventBus, gameState, content = ContentLoader.getDefault()) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._affinity = (content && content.affinity) || {};
+        this._episodes = (content && content.episodes) || {};
+        this._guests = (content && content.guests) || {};
+
+        this._setupEventListeners();
+        this._meetCast();
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        [GameEvents.EPISODE_STARTED, GameEvents.SAVE_LOADED].forEach(event => {
+            this._eventBus.on(event, () => this._meetCast());
+        });
+        // GameState.reset() (new game) reports the whole state with no old state
+        this._eventBus.on(GameEvents.GAME_STATE_CHANGED, (data) => {
+            if (data && data.oldState === null) this._meetCast();
+        });
+        this._eventBus.on(GameEvents.ACTION_EXECUTED, (data) => {
+            // Rejected actions (not enough stamina etc.) changed nothing
+            if (data && data.result && data.result.success) {
+                this._onAction(data.actionId, data.result);
+            }
+        });
+        this._eventBus.on(GameEvents.AFFINITY_CHANGED, (data) => this._checkThresholds(data));
+    }
+
+    // ===== Public Methods =====
+
+    /**
+     * Characters whose affinity the HUD shows: the cast with affinity data and the episode's guest
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Array<string>} Character ids
+     */
+    getTrackedCharacters(state = this._gameState.getState()) {
+        const guestId = this._getGuestId(state);
+        return Object.keys(this._affinity).filter(id => !this._isGuest(id) || id === guestId);
+    }
+
+    /**
+     * @param {string} characterId
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {number} Affinity (the starting value before the character was met)
+     */
+    getAffinity(characterId, state = this._gameState.getState()) {
+        const affinity = state.affinity || {};
+        if (characterId in affinity) return affinity[characterId];
+        return this._affinity[characterId] ? this._affinity[characterId].initial : 0;
+    }
+
+    /**
+     * Affinity as hearts for the HUD
+     * @param {number} value - Affinity
+     * @returns {{filled: number, total: number}}
+     */
+    static toHearts(value) {
+        const { max, heartSize } = GameConfig.affinity;
+        return {
+            filled: Math.floor(Math.max(0, Math.min(max, value)) / heartSize),
+            total: Math.floor(max / heartSize)
+        };
+    }
+
+    // ===== Affinity Changes =====
+
+    /**
+     * Give the cast and the current guest their starting affinity (once per character)
+     * @private
+     */
+    _meetCast() {
+        const state = this._gameState.getState();
+        const affinity = state.affinity || {};
+        const met = {};
+        this.getTrackedCharacters(state).forEach(id => {
+            if (!(id in affinity)) met[id] = this._affinity[id].initial;
+        });
+
+        if (Object.keys(met).length > 0) {
+            this._gameState.update({ affinity: { ...affinity, ...met } });
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} actionId - Action name ('chopping', 'rest'...)
+     * @param {Object} result - KitchenEngine action result
+     */
+    _onAction(actionId, result) {
+        const gains = GameConfig.affinity.actions;
+        let changes;
+        if (gains[actionId]) {
+            changes = [gains[actionId]];
+        } else if (result.actionSuccess === false) {
+            changes = [gains.failure];
+        } else {
+            changes = result.isCritical ? [gains.success, gains.critical] : [gains.success];
+        }
+
+        this._meetCast();
+        const guestId = this._getGuestId(this._gameState.getState());
+        changes.forEach(change => {
+            Object.entries(change).forEach(([who, delta]) => {
+                const characterId = who === 'guest' ? guestId : who;
+                if (characterId) this._gameState.adjustAffinity(characterId, delta, 'action');
+            });
+        });
+    }
+
+    /**
+     * Unlock every threshold the new value passed for the first time
+     * @private
+     * @param {Object} data - AFFINITY_CHANGED payload
+     */
+    _checkThresholds(data) {
+        const config = this._affinity[data.characterId];
+        if (!config || data.to <= data.from) return;
+
+        config.thresholds
+            .filter(threshold => threshold.level > data.from && threshold.level <= data.to)
+            .forEach(threshold => {
+                const milestone = `${data.characterId}:${threshold.level}`;
+                const state = this._gameState.getState();
+                if (state.affinityMilestones.includes(milestone)) return;
+
+                const updates = { affinityMilestones: [...state.affinityMilestones, milestone] };
+                if (threshold.perk && !state.perks.includes(threshold.perk)) {
+                    updates.perks = [...state.perks, threshold.perk];
+                }
+                this._gameState.update(updates);
+
+                this._eventBus.emit(GameEvents.AFFINITY_THRESHOLD_REACHED, {
+                    characterId: data.characterId,
+                    level: threshold.level,
+                    perk: threshold.perk || null,
+                    scene: threshold.scene || null
+                });
+            });
+    }
+
+    /**
+     * @private
+     */
+    _getGuestId(state) {
+        const episode = this._episodes[state.currentEpisode];
+        return (episode && episode.guest) || null;
+    }
+
+    /**
+     * @private
+     */
+    _isGuest(characterId) {
+        return characterId in this._guests;
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AffinityEngine };
+}
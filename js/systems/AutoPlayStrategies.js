@@ -0,0 +1,363 @@
+/**
+ * AutoPlayStrategies - AI players for the action phase
+ *
+ * A strategy looks only at GameState.getState() and
+ * KitchenEngine.getAvailableActions() and decides:
+ * - the sprint goals (スプリント計画)
+ * - the daily focus (朝会の方針)
+ * - each day / night action, including the study target (研究対象)
+ * - whether to pivot when the night retro offers it
+ *
+ * Strategy interface (duck-typed, also accepted by BalanceSimulator):
+ * {
+ *   id: string,
+ *   name: string,
+ *   chooseSprintGoals(state, defaults, rng) → goals for sprint planning (optional, defaults if missing),
+ *   chooseFocus(state, rng) → 'quality' | 'speed' | 'experiment',
+ *   chooseAction(state, availableActions, rng) → { actionId, options },
+ *   choosePivot(state, rng) → boolean
+ * }
+ * `actionId` is an action name ('chopping', 'study', ...) and
+ * `options.targetSkill` is set for study.
+ *
+ * Used by AutoPlayer (in-browser auto-play sprint) and the balance simulator.
+ *
+ * SOLID Principles:
+ * - Open/Closed: New bots extend AutoPlayStrategy and override only their decisions
+ * - Liskov Substitution: Every bot can replace any other in AutoPlayer / simulator
+ *
+ * @module AutoPlayStrategies
+ */
+
+/** Skills that can be studied */
+const AUTO_PLAY_SKILLS = ['cutting', 'boiling', 'frying', 'analysis'];
+
+/**
+ * Base strategy: greedy for EXP with safe defaults
+ * Subclasses override chooseDayAction / chooseNightAction / chooseStudyTarget etc.
+ */
+class AutoPlayStrategy {
+    /**
+     * @param {string} id
+     * @param {string} name - Display name
+     * @param {string} description - Shown in the auto-play menu
+     */
+    constructor(id, name, description) {
+        this.id = id;
+        this.name = name;
+        this.description = description;
+    }
+
+    // ===== DECISIONS =====
+
+    /**
+     * @param {Object} state
+     * @param {Object} defaults - GameState.getDefaultSprintGoals() (the stew's requirements)
+     * @param {SeededRandom} [rng]
+     * @returns {Object} Goals to commit to at sprint planning
+     */
+    chooseSprintGoals(state, defaults, rng) {
+        return defaults;
+    }
+
+    /**
+     * @param {Object} state
+     * @param {SeededRandom} [rng]
+     * @returns {string} Daily focus id
+     */
+    chooseFocus(state, rng) {
+        return 'quality';
+    }
+
+    /**
+     * @param {Object} state
+     * @param {Object} availableActions - KitchenEngine.getAvailableActions()
+     * @param {SeededRandom} [rng]
+     * @returns {Object} { actionId, options }
+     */
+    chooseAction(state, availableActions, rng) {
+        const actionId = state.currentPhase === 'night'
+            ? this.chooseNightAction(state, availableActions, rng)
+            : this.chooseDayAction(state, availableActions, rng);
+
+        return {
+            actionId,
+            options: actionId === 'study' ? { targetSkill: this.chooseStudyTarget(state, rng) } : {}
+        };
+    }
+
+    /**
+     * @returns {string} Day action name
+     */
+    chooseDayAction(state, availableActions, rng) {
+        return this._bestExpAction(state, availableActions) || AutoPlayStrategy.cheapestAction(availableActions);
+    }
+
+    /**
+     * @returns {string} Night action name
+     */
+    chooseNightAction(state, availableActions, rng) {
+        return this._canAfford(state, availableActions.study) ? 'study' : 'rest';
+    }
+
+    /**
+     * @returns {string} Skill to study (lowest level first)
+     */
+    chooseStudyTarget(state, rng) {
+        return [...AUTO_PLAY_SKILLS].sort((a, b) => state.skills[a] - state.skills[b])[0];
+    }
+
+    /**
+     * @returns {boolean} True to pivot (trade growth for less tech debt)
+     */
+    choosePivot(state, rng) {
+        return state.technicalDebt >= GameConfig.techDebt.warningThreshold;
+    }
+
+    // ===== HELPERS =====
+
+    /**
+     * @protected
+     */
+    _canAfford(state, config) {
+        return !!config && state.stamina >= (config.staminaCost || 0);
+    }
+
+    /**
+     * Expected base EXP of an action (before condition / policy multipliers)
+     * @protected
+     */
+    _expValue(config) {
+        if (!config) return 0;
+        if (config.id === 'study') {
+            return Math.floor(30 * config.expMultiplier);
+        }
+        return Object.values(config.expRewards || {}).reduce((sum, reward) => sum + reward.base, 0);
+    }
+
+    /**
+     * Affordable action with the highest EXP (null if it gives no EXP)
+     * @protected
+     */
+    _bestExpAction(state, availableActions) {
+        const best = Object.keys(availableActions)
+            .filter(name => this._canAfford(state, availableActions[name]))
+            .sort((a, b) => this._expValue(availableActions[b]) - this._expValue(availableActions[a]))[0];
+
+        return best && this._expValue(availableActions[best]) > 0 ? best : null;
+    }
+
+    /**
+     * Action with the lowest stamina cost, never study (it needs a target skill)
+     * Also AutoPlayer's fallback when the strategy's choice is rejected.
+     * @param {Object} availableActions - KitchenEngine.getAvailableActions()
+     * @returns {string|undefined} Action name
+     */
+    static cheapestAction(availableActions) {
+        return Object.keys(availableActions)
+            .filter(name => name !== 'study')
+            .sort((a, b) => (availableActions[a].staminaCost || 0) - (availableActions[b].staminaCost || 0))[0];
+    }
+
+    /**
+     * EXP still missing per skill for the Chimera Stew requirements
+     * @protected
+     * @returns {Object} skill → missing EXP (0 when met)
+     */
+    _requirementGaps(state) {
+        const reqs = state.chimeraStewRequirements || GameConfig.episode1.chimeraStewRequirements;
+        const expPerLevel = GameConfig.skills.expPerLevel;
+        const gaps = {};
+
+        AUTO_PLAY_SKILLS.forEach(skill => {
+            const have = state.skills[skill] * expPerLevel + (state.experience?.[skill] || 0);
+            gaps[skill] = Math.max(0, reqs[skill] * expPerLevel - have);
+        });
+        return gaps;
+    }
+}
+
+/**
+ * greedy-exp: Always the action with the most EXP, never pivots
+ */
+class GreedyExpStrategy extends AutoPlayStrategy {
+    constructor() {
+        super('greedy-exp', '経験値優先', '常に経験値が一番多い行動を選ぶ');
+    }
+
+    choosePivot() {
+        return false;
+    }
+}
+
+/**
+ * rest-when-tired: Greedy, but rests / cleans when stamina is low
+ */
+class RestWhenTiredStrategy extends AutoPlayStrategy {
+    constructor() {
+        super('rest-when-tired', '疲れたら休む', '体力が半分を切ったら軽い仕事と休息で立て直す');
+        this._tiredThreshold = GameConfig.stamina.lowThreshold * 2;
+    }
+
+    chooseFocus(state) {
+        return state.stamina < this._tiredThreshold ? 'speed' : 'quality';
+    }
+
+    chooseDayAction(state, availableActions, rng) {
+        if (state.stamina < this._tiredThreshold) {
+            return AutoPlayStrategy.cheapestAction(availableActions);
+        }
+        return super.chooseDayAction(state, availableActions, rng);
+    }
+
+    chooseNightAction(state, availableActions, rng) {
+        if (state.stamina < this._tiredThreshold) {
+            return 'rest';
+        }
+        return super.chooseNightAction(state, availableActions, rng);
+    }
+}
+
+/**
+ * debt-averse: Cleans whenever there is tech debt, pivots whenever offered with debt
+ */
+class DebtAverseStrategy extends AutoPlayStrategy {
+    constructor() {
+        super('debt-averse', '負債回避', '技術的負債があれば先に掃除し、振り返りでは方向転換する');
+    }
+
+    chooseDayAction(state, availableActions, rng) {
+        if (state.technicalDebt > 0 && this._canAfford(state, availableActions.cleaning)) {
+            return 'cleaning';
+        }
+        return super.chooseDayAction(state, availableActions, rng);
+    }
+
+    choosePivot(state) {
+        return state.technicalDebt > 0;
+    }
+}
+
+/**
+ * chimera-target: Plays for the Day 7 judgment
+ * Fills the largest chimeraStewRequirements gap first and switches to
+ * trial cooking when the remaining nights are just enough for the dish.
+ */
+class ChimeraTargetStrategy extends AutoPlayStrategy {
+    constructor() {
+        super('chimera-target', 'キメラシチュー狙い', '審判の要求スキルと完成度から逆算して行動する');
+    }
+
+    chooseDayAction(state, availableActions, rng) {
+        // High debt lowers every success roll: clean it up first
+        if (state.technicalDebt > GameConfig.techDebt.warningThreshold &&
+            this._canAfford(state, availableActions.cleaning)) {
+            return 'cleaning';
+        }
+
+        const remaining = this._remainingRatios(state);
+        const weights = GameConfig.dishProgress.skillWeights;
+
+        // Score = EXP weighted by how far behind each skill is (dish weights once all are met)
+        const allMet = Object.values(remaining).every(ratio => ratio === 0);
+        const score = (config) => Object.entries(config.expRewards || {}).reduce((sum, [skill, reward]) => {
+            return sum + reward.base * (allMet ? weights[skill] : remaining[skill]);
+        }, 0);
+
+        const best = Object.keys(availableActions)
+            .filter(name => this._canAfford(state, availableActions[name]))
+            .sort((a, b) => score(availableActions[b]) - score(availableActions[a]))[0];
+
+        return best && score(availableActions[best]) > 0 ? best : AutoPlayStrategy.cheapestAction(availableActions);
+    }
+
+    chooseNightAction(state, availableActions) {
+        const preferred = this._needsTrialCooking(state) || !this._hasGap(state)
+            ? 'trialCooking'
+            : 'study';
+
+        return this._canAfford(state, availableActions[preferred]) ? preferred : 'rest';
+    }
+
+    chooseStudyTarget(state) {
+        const remaining = this._remainingRatios(state);
+        const weights = GameConfig.dishProgress.skillWeights;
+
+        return [...AUTO_PLAY_SKILLS].sort((a, b) =>
+            (remaining[b] - remaining[a]) || (weights[b] - weights[a])
+        )[0];
+    }
+
+    /**
+     * Share of each requirement still missing (1 = nothing done, 0 = met)
+     * @private
+     */
+    _remainingRatios(state) {
+        const reqs = state.chimeraStewRequirements || GameConfig.episode1.chimeraStewRequirements;
+        const gaps = this._requirementGaps(state);
+        const ratios = {};
+
+        AUTO_PLAY_SKILLS.forEach(skill => {
+            const required = reqs[skill] * GameConfig.skills.expPerLevel;
+            ratios[skill] = required > 0 ? gaps[skill] / required : 0;
+        });
+        return ratios;
+    }
+
+    /**
+     * @private
+     */
+    _hasGap(state) {
+        return Object.values(this._requirementGaps(state)).some(gap => gap > 0);
+    }
+
+    /**
+     * True when the dish can still be finished but only by trial cooking every remaining night
+     * (out of reach = study the requirement gaps instead of cooking toward a dish that never comes)
+     * @private
+     */
+    _needsTrialCooking(state) {
+        const remaining = GameConfig.dishProgress.victoryThreshold - state.dishProgress;
+        if (remaining <= 0) return false;
+
+        const weights = GameConfig.dishProgress.skillWeights;
+        const gainPerTrial = GameConfig.dishProgress.baseProgressPerTrial +
+            AUTO_PLAY_SKILLS.reduce((sum, skill) => sum + state.skills[skill] * weights[skill], 0);
+        const trialsNeeded = Math.ceil(remaining / Math.max(1, gainPerTrial));
+        const nightsLeft = (state.maxDays || GameConfig.episode1.maxDays) - state.day + 1;
+
+        return trialsNeeded === nightsLeft;
+    }
+}
+
+/**
+ * Create one instance of every reference bot
+ * @returns {Object} id → strategy
+ */
+function createAutoPlayStrategies() {
+    const strategies = [
+        new GreedyExpStrategy(),
+        new RestWhenTiredStrategy(),
+        new DebtAverseStrategy(),
+        new ChimeraTargetStrategy()
+    ];
+
+    const byId = {};
+    strategies.forEach(strategy => {
+        byId[strategy.id] = strategy;
+    });
+    return byId;
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AutoPlayStrategy,
+        GreedyExpStrategy,
+        RestWhenTiredStrategy,
+        DebtAverseStrategy,
+        ChimeraTargetStrategy,
+        createAutoPlayStrategies,
+        AUTO_PLAY_SKILLS
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * AutoPlayer - Plays the sprint with an AutoPlayStrategy
+ *
+ * Makes the same calls a player would (CeremonyManager / KitchenEngine),
+ * so auto-played inputs go through validation and into the journal.
+ *
+ * Two ways to drive it:
+ * - step(): one decision, synchronously (BalanceSimulator / tests)
+ * - start(): timed loop for the in-browser "auto-play sprint" mode;
+ *   waits while dialogue or phase transitions are running
+ *
+ * Events emitted:
+ * - 'autoplay:started'  { strategy }
+ * - 'autoplay:input'    { type, strategy } (before each input)
+ * - 'autoplay:stopped'  { reason: 'user' | 'finished', outcome }
+ *
+ * @class AutoPlayer
+ */
+class AutoPlayer {
+    /**
+     * @param {EventBus} eventBus
+     * @param {GameState} gameState
+     * @param {KitchenEngine} kitchenEngine
+     * @param {CeremonyManager} ceremonyManager
+     * @param {Object} [options]
+     * @param {SeededRandom} [options.rng] - RNG for strategy decisions (separate from game rolls)
+     * @param {number} [options.stepDelay=900] - ms between decisions in start() mode
+     * @param {Function} [options.isBusy] - Returns true while the UI must not be interrupted
+     * @param {Function} [options.scheduler] - (callback, delay) => void, defaults to setTimeout
+     */
+    constructor(eventBus, gameState, kitchenEngine, ceremonyManager, options = {}) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._kitchenEngine = kitchenEngine;
+        this._ceremonyManager = ceremonyManager;
+
+        // Own stream so bot decisions never shift the game's rolls
+        this._rng = options.rng || new SeededRandom(`${gameState.get('seed')}:autoplay`);
+        this._stepDelay = options.stepDelay ?? 900;
+        this._isBusy = options.isBusy || (() => false);
+        this._schedule = options.scheduler || ((callback, delay) => setTimeout(callback, delay));
+
+        this._strategy = null;
+        this._isRunning = false;
+        this._outcome = null;
+
+        // Flow flags mirrored from ceremony events
+        this._standupOpen = false;
+        this._isTransitioning = false;
+        this._pivotOffered = false;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this._eventBus.on('ceremony:morning_standup', () => {
+            this._standupOpen = true;
+        });
+        this._eventBus.on('ceremony:focus_selected', () => {
+            this._standupOpen = false;
+        });
+        this._eventBus.on('ceremony:transition_start', () => {
+            this._isTransitioning = true;
+        });
+        this._eventBus.on('ceremony:phase_changed', () => {
+            this._isTransitioning = false;
+        });
+        this._eventBus.on('ceremony:night_retro', (data) => {
+            this._pivotOffered = !!data?.triggerPivot;
+        });
+
+        this._eventBus.on('ceremony:judgment_success', () => {
+            this._finish({ result: 'pass', reason: null });
+        });
+        this._eventBus.on('ceremony:judgment_failure', () => {
+            this._finish({ result: 'fail', reason: null });
+        });
+        this._eventBus.on(GameEvents.GAME_OVER, (data) => {
+            this._finish({ result: 'gameover', reason: data?.reason || 'unknown' });
+        });
+
+        // A new attempt starts a new sprint
+        this._eventBus.on('game:retry_sprint', () => {
+            this._outcome = null;
+        });
+        this._eventBus.on(GameEvents.SAVE_LOADED, () => {
+            this._outcome = null;
+        });
+    }
+
+    // ===== STRATEGY =====
+
+    /**
+     * @param {Object} strategy - See AutoPlayStrategies.js for the interface
+     */
+    setStrategy(strategy) {
+        this._strategy = strategy;
+    }
+
+    /**
+     * @returns {Object|null}
+     */
+    getStrategy() {
+        return this._strategy;
+    }
+
+    // ===== DRIVING =====
+
+    /**
+     * Make one decision for the current ceremony step
+     * @returns {string|null} Input type that was made, or null if there is nothing to do yet
+     */
+    step() {
+        if (!this._strategy || this._outcome) return null;
+
+        const state = this._gameState.getState();
+
+        switch (state.ceremonyPhase) {
+            case 'planning':
+                return this._input('commitSprintGoals', () => {
+                    const defaults = this._gameState.getDefaultSprintGoals();
+                    this._ceremonyManager.commitSprintGoals(this._strategy.chooseSprintGoals
+                        ? this._strategy.chooseSprintGoals(state, defaults, this._rng)
+                        : defaults);
+                });
+
+            case 'standup':
+                if (!this._standupOpen) return null;
+                return this._input('selectDailyFocus', () => {
+                    this._ceremonyManager.selectDailyFocus(this._strategy.chooseFocus(state, this._rng));
+                });
+
+            case 'action':
+                return this._playAction(state);
+
+            case 'retro':
+                return this._input('proceedToNextDay', () => {
+                    if (this._pivotOffered) {
+                        this._pivotOffered = false;
+                        this._ceremonyManager.handlePivotChoice(!!this._strategy.choosePivot(state, this._rng));
+                        if (this._outcome) return; // Game over at the end of the day
+                    }
+                    this._ceremonyManager.proceedToNextDay();
+                });
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Start the timed auto-play loop (in-browser auto-play sprint)
+     * @param {Object} [strategy] - Strategy to use (keeps the current one if omitted)
+     * @returns {boolean} True if started
+     */
+    start(strategy = null) {
+        if (strategy) this.setStrategy(strategy);
+        if (!this._strategy) {
+            console.error('AutoPlayer.start: No strategy set');
+            return false;
+        }
+        if (this._isRunning) return true;
+
+        this._isRunning = true;
+        this._outcome = null;
+        this._eventBus.emit('autoplay:started', { strategy: this._strategy.id });
+        this._scheduleTick();
+        return true;
+    }
+
+    /**
+     * Stop the timed loop
+     * @param {string} [reason='user']
+     */
+    stop(reason = 'user') {
+        if (!this._isRunning) return;
+        this._isRunning = false;
+        this._eventBus.emit('autoplay:stopped', { reason, outcome: this._outcome });
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this._isRunning;
+    }
+
+    /**
+     * @returns {Object|null} { result: 'pass' | 'fail' | 'gameover', reason } once the sprint ended
+     */
+    getOutcome() {
+        return this._outcome;
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * @private
+     */
+    _scheduleTick() {
+        this._schedule(() => this._tick(), this._stepDelay);
+    }
+
+    /**
+     * @private
+     */
+    _tick() {
+        if (!this._isRunning) return;
+
+        if (!this._isBusy()) {
+            this.step();
+        }
+
+        if (this._outcome) {
+            this.stop('finished');
+            return;
+        }
+        this._scheduleTick();
+    }
+
+    /**
+     * Announce an input, then make it
+     * @private
+     */
+    _input(type, apply) {
+        this._eventBus.emit('autoplay:input', { type, strategy: this._strategy.id });
+        apply();
+        return type;
+    }
+
+    /**
+     * Day / night action with a fallback when the bot's choice is rejected
+     * @private
+     */
+    _playAction(state) {
+        if (this._isTransitioning || this._gameState.getActionsRemaining() <= 0) {
+            return null; // Phase change is on its way
+        }
+        if (this._gameState.isGameOver()) {
+            // Every action is refused from here on, so the sprint can't go on: it ends as a game over
+            this._finish({ result: 'gameover', reason: this._ceremonyManager.getGameOverReason(state) });
+            return null;
+        }
+
+        const availableActions = this._kitchenEngine.getAvailableActions();
+        const choice = this._strategy.chooseAction(state, availableActions, this._rng) || {};
+
+        return this._input('executeAction', () => {
+            const result = this._kitchenEngine.executeAction(choice.actionId, choice.options || {});
+            if (result && result.success) return;
+
+            // Rejected (not enough stamina / no study target): take the cheapest action instead
+            const cheapest = AutoPlayStrategy.cheapestAction(availableActions);
+
+            if (state.stamina >= (availableActions[cheapest].staminaCost || 0)) {
+                this._kitchenEngine.executeAction(cheapest);
+            } else if (state.currentPhase === 'day') {
+                // Too tired for any day action: the day ends early
+                this._ceremonyManager.endActionPhase();
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _finish(outcome) {
+        this._outcome = outcome;
+        this._standupOpen = false;
+        this._pivotOffered = false;
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AutoPlayer };
+}
@@ -0,0 +1,388 @@
+/**
+ * BalanceSimulator - Monte Carlo sprint statistics for balancing GameConfig
+ *
+ * Plays many Episode 1 sprints headlessly (HeadlessGame) under a strategy
+ * and aggregates the outcomes:
+ * - Day 7 judgment pass rate
+ * - Distribution of final skill levels (and how often each requirement is met)
+ * - Game over rate, including tech-debt game overs
+ * - Stalled rate (soft-locks where the sprint can't reach Day 7)
+ *
+ * Node only: tools/simulate.js loads the game's browser scripts into a VM
+ * context and drives them from there (index.html does not load this file).
+ *
+ * Strategies are pluggable: any object with the AutoPlayStrategy interface
+ * (see AutoPlayStrategies.js). Each sprint is driven by an AutoPlayer, the same
+ * driver as the in-browser auto-play sprint.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only drives sprints and aggregates results
+ * - Open/Closed: New strategies are registered, not hard-coded into the loop
+ *
+ * @class BalanceSimulator
+ */
+
+/** Skills checked by the Chimera Stew judgment */
+const SIMULATION_SKILLS = ['cutting', 'boiling', 'frying', 'analysis'];
+
+/** Per-run CSV columns (order matters) */
+const SIMULATION_CSV_COLUMNS = [
+    'run', 'strategy', 'seed', 'outcome', 'gameOverReason', 'finalDay',
+    'cutting', 'boiling', 'frying', 'analysis',
+    'dishProgress', 'technicalDebt', 'stamina', 'condition',
+    'skillsPassed', 'dishComplete', 'failedActions'
+];
+
+/**
+ * Baseline strategies (reference points for comparing smarter bots)
+ */
+const BASELINE_STRATEGIES = {
+    /** Uniformly random among actions the player can afford */
+    random: {
+        id: 'random',
+        name: 'ランダム',
+        chooseFocus(state, rng) {
+            return rng.pick(['quality', 'speed', 'experiment']);
+        },
+        chooseAction(state, availableActions, rng) {
+            const affordable = Object.keys(availableActions)
+                .filter(name => (availableActions[name].staminaCost || 0) <= state.stamina);
+            const actionId = rng.pick(affordable.length > 0 ? affordable : Object.keys(availableActions));
+            return {
+                actionId,
+                options: actionId === 'study' ? { targetSkill: rng.pick(SIMULATION_SKILLS) } : {}
+            };
+        },
+        choosePivot(state, rng) {
+            return rng.chance(0.5);
+        }
+    },
+
+    /** Fixed rotation: prep → heat → cleaning by day, trial cooking by night */
+    rotation: {
+        id: 'rotation',
+        name: 'ローテーション',
+        chooseFocus() {
+            return 'quality';
+        },
+        chooseAction(state) {
+            if (state.currentPhase === 'night') {
+                return { actionId: 'trialCooking', options: {} };
+            }
+            const order = ['chopping', 'heatControl', 'cleaning'];
+            const done = GameConfig.phases.DAY.actionsAllowed - state.dayActionsRemaining;
+            return { actionId: order[done % order.length], options: {} };
+        },
+        choosePivot() {
+            return false;
+        }
+    }
+};
+
+class BalanceSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.strategies] - Extra strategies (id → strategy)
+     */
+    constructor(options = {}) {
+        this._strategies = new Map();
+        Object.values(BASELINE_STRATEGIES).forEach(strategy => this.registerStrategy(strategy));
+        Object.values(options.strategies || {}).forEach(strategy => this.registerStrategy(strategy));
+    }
+
+    // ===== STRATEGY REGISTRY =====
+
+    /**
+     * Register a strategy (replaces one with the same id)
+     * @param {Object} strategy - See the strategy interface above
+     * @returns {boolean} True if registered
+     */
+    registerStrategy(strategy) {
+        const valid = strategy && strategy.id &&
+            typeof strategy.chooseFocus === 'function' &&
+            typeof strategy.chooseAction === 'function' &&
+            typeof strategy.choosePivot === 'function';
+
+        if (!valid) {
+            console.error('BalanceSimulator.registerStrategy: Invalid strategy', strategy);
+            return false;
+        }
+        this._strategies.set(strategy.id, strategy);
+        return true;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getStrategy(id) {
+        return this._strategies.get(id) || null;
+    }
+
+    /**
+     * @returns {string[]} Registered strategy ids
+     */
+    getStrategyIds() {
+        return [...this._strategies.keys()];
+    }
+
+    // ===== SIMULATION =====
+
+    /**
+     * Play many sprints with one strategy
+     * Run i uses seed (baseSeed + i), so a whole batch is reproducible.
+     * @param {Object} options
+     * @param {string|Object} options.strategy - Strategy id or object
+     * @param {number} [options.runs=1000]
+     * @param {number|string} [options.seed] - Base seed (random if omitted)
+     * @returns {Object} { strategy, runs, baseSeed, results, summary }
+     */
+    run(options = {}) {
+        const strategy = this._resolveStrategy(options.strategy);
+        if (!strategy) {
+            return null;
+        }
+
+        const runs = Math.max(1, Math.floor(options.runs || 1000));
+        const baseSeed = options.seed !== undefined && options.seed !== null
+            ? SeededRandom.normalizeSeed(options.seed)
+            : SeededRandom.createSeed();
+
+        const results = [];
+        for (let i = 0; i < runs; i++) {
+            const result = this.runSprint(strategy, (baseSeed + i) >>> 0);
+            result.run = i + 1;
+            results.push(result);
+        }
+
+        return {
+            strategy: strategy.id,
+            runs,
+            baseSeed,
+            results,
+            summary: this.summarize(results)
+        };
+    }
+
+    /**
+     * Play one Episode 1 sprint until the Day 7 judgment or a game over
+     * @param {string|Object} strategyOrId
+     * @param {number|string} seed
+     * @returns {Object} Result row (see SIMULATION_CSV_COLUMNS)
+     */
+    runSprint(strategyOrId, seed) {
+        const strategy = this._resolveStrategy(strategyOrId);
+        if (!strategy) {
+            return null;
+        }
+
+        const game = new HeadlessGame({ seed });
+        const gameState = game.gameState;
+
+        // Decisions use their own stream so strategy randomness never shifts game rolls
+        const autoPlayer = new AutoPlayer(game.eventBus, gameState, game.kitchenEngine, game.ceremonyManager, {
+            rng: new SeededRandom(`${gameState.get('seed')}:${strategy.id}`)
+        });
+        autoPlayer.setStrategy(strategy);
+
+        let failedActions = 0;
+        game.eventBus.on(GameEvents.ACTION_EXECUTED, (data) => {
+            if (data?.result && data.result.actionSuccess === false) failedActions++;
+        });
+
+        game.ceremonyManager.startNewDay();
+        game.runPending();
+
+        // Guard: a sprint is ~5 decisions per day; anything far beyond means a soft-lock
+        const maxSteps = (gameState.get('maxDays') || GameConfig.episode1.maxDays) * 20;
+        let steps = 0;
+
+        // A game over mid-phase ends the sprint through AutoPlayer's outcome; step()
+        // returning null without an outcome means a real soft-lock → 'stalled'
+        while (!autoPlayer.getOutcome() && steps < maxSteps && autoPlayer.step()) {
+            steps++;
+            game.runPending();
+        }
+
+        const outcome = autoPlayer.getOutcome();
+        const finalState = gameState.getState();
+        const skillCheck = gameState.checkChimeraStewRequirements();
+
+        return {
+            run: 1,
+            strategy: strategy.id,
+            seed: finalState.seed,
+            outcome: outcome ? outcome.result : 'stalled',
+            gameOverReason: outcome ? outcome.reason : null,
+            finalDay: finalState.day,
+            cutting: finalState.skills.cutting,
+            boiling: finalState.skills.boiling,
+            frying: finalState.skills.frying,
+            analysis: finalState.skills.analysis,
+            dishProgress: finalState.dishProgress,
+            technicalDebt: finalState.technicalDebt,
+            stamina: finalState.stamina,
+            condition: finalState.condition,
+            skillsPassed: skillCheck.skillsPassed,
+            dishComplete: skillCheck.dishComplete,
+            failedActions
+        };
+    }
+
+    // ===== AGGREGATION =====
+
+    /**
+     * Aggregate run results
+     * @param {Object[]} results - Rows from runSprint()
+     * @returns {Object} Summary statistics
+     */
+    summarize(results) {
+        const runs = results.length;
+        const count = (predicate) => results.filter(predicate).length;
+        const rate = (n) => runs > 0 ? n / runs : 0;
+        const reqs = GameConfig.episode1.chimeraStewRequirements;
+
+        const skills = {};
+        SIMULATION_SKILLS.forEach(skill => {
+            const levels = results.map(r => r[skill]);
+            skills[skill] = {
+                ...this._describe(levels),
+                required: reqs[skill],
+                requirementMetRate: rate(count(r => r[skill] >= reqs[skill])),
+                distribution: this._histogram(levels)
+            };
+        });
+
+        const gameOverReasons = {};
+        results.filter(r => r.outcome === 'gameover').forEach(r => {
+            gameOverReasons[r.gameOverReason] = (gameOverReasons[r.gameOverReason] || 0) + 1;
+        });
+
+        return {
+            runs,
+            passRate: rate(count(r => r.outcome === 'pass')),
+            failRate: rate(count(r => r.outcome === 'fail')),
+            gameOverRate: rate(count(r => r.outcome === 'gameover')),
+            techDebtGameOverRate: rate(count(r => r.gameOverReason === 'techDebt')),
+            stalledRate: rate(count(r => r.outcome === 'stalled')),
+            gameOverReasons,
+            skillsPassedRate: rate(count(r => r.skillsPassed)),
+            dishCompleteRate: rate(count(r => r.dishComplete)),
+            skills,
+            dishProgress: this._describe(results.map(r => r.dishProgress)),
+            technicalDebt: this._describe(results.map(r => r.technicalDebt)),
+            failedActions: this._describe(results.map(r => r.failedActions))
+        };
+    }
+
+    /**
+     * Balancing parameters the results depend on (stored with JSON reports)
+     * @returns {Object}
+     */
+    getConfigSnapshot() {
+        return JSON.parse(JSON.stringify({
+            dayActions: GameConfig.dayActions,
+            nightActions: GameConfig.nightActions,
+            successRate: GameConfig.successRate,
+            dishProgress: GameConfig.dishProgress,
+            chimeraStewRequirements: GameConfig.episode1.chimeraStewRequirements,
+            techDebt: GameConfig.techDebt
+        }));
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * Per-run rows as CSV (header + one line per run)
+     * @param {Object[]} results
+     * @returns {string}
+     */
+    toCSV(results) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [SIMULATION_CSV_COLUMNS.join(',')];
+        results.forEach(result => {
+            lines.push(SIMULATION_CSV_COLUMNS.map(column => escape(result[column])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Batch reports as a JSON document
+     * @param {Object[]} reports - Outputs of run()
+     * @param {Object} [options]
+     * @param {boolean} [options.includeRuns=false] - Include every per-run row
+     * @returns {string}
+     */
+    toJSON(reports, options = {}) {
+        return JSON.stringify({
+            config: this.getConfigSnapshot(),
+            reports: reports.map(report => ({
+                strategy: report.strategy,
+                runs: report.runs,
+                baseSeed: report.baseSeed,
+                summary: report.summary,
+                ...(options.includeRuns ? { results: report.results } : {})
+            }))
+        }, null, 2);
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * @private
+     */
+    _resolveStrategy(strategyOrId) {
+        const strategy = typeof strategyOrId === 'string'
+            ? this.getStrategy(strategyOrId)
+            : strategyOrId;
+
+        if (!strategy) {
+            console.error(`BalanceSimulator: Unknown strategy "${strategyOrId}"`);
+            return null;
+        }
+        return strategy;
+    }
+
+    /**
+     * mean / min / max / percentiles of a numeric list
+     * @private
+     */
+    _describe(values) {
+        if (values.length === 0) {
+            return { mean: 0, min: 0, max: 0, p10: 0, p50: 0, p90: 0 };
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+        const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+
+        return {
+            mean: Math.round(mean * 100) / 100,
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            p10: percentile(0.1),
+            p50: percentile(0.5),
+            p90: percentile(0.9)
+        };
+    }
+
+    /**
+     * value → count
+     * @private
+     */
+    _histogram(values) {
+        const histogram = {};
+        values.forEach(value => {
+            histogram[value] = (histogram[value] || 0) + 1;
+        });
+        return histogram;
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BalanceSimulator, BASELINE_STRATEGIES, SIMULATION_CSV_COLUMNS };
+}
@@ -45,10 +45,13 @@ class CeremonyManager {
     /**
      * @param {EventBus} eventBus
      * @param {GameState} gameState
+     * @param {SeededRandom} [rng=null] - RNG for dialogue variations (defaults to GameState's shared RNG)
      */
-    constructor(eventBus, gameState) {
+    constructor(eventBus, gameState, rng = null) {
         this._eventBus = eventBus;
         this._gameState = gameState;
+        this._rng = rng || gameState.getRng();
+        this._episodeManager = null;
 
         // Phase tracking now uses GameState's remainingActions (unified for all days)
 
@@ -63,9 +66,37 @@ class CeremonyManager {
         // Guard flags to prevent double-triggering
         this._isTransitioningToNight = false;
 
+        // Timer used for phase transition delays (replaced by a queue in headless runs)
+        this._schedule = (callback, delay) => setTimeout(callback, delay);
+
         this._setupEventListeners();
     }
 
+    /**
+     * Replace the timer used for transition delays
+     * Headless runs (replay, simulator) queue callbacks and flush them manually.
+     * @param {Function} scheduler - (callback, delayMs) => void
+     */
+    setScheduler(scheduler) {
+        this._schedule = scheduler;
+    }
+
+    /**
+     * Set EpisodeManager reference for the Episode 2-5 win / loss checks
+     * @param {EpisodeManager} episodeManager - Episode manager instance
+     */
+    setEpisodeManager(episodeManager) {
+        this._episodeManager = episodeManager;
+    }
+
+    /**
+     * Emit a journal input event (recorded by JournalRecorder)
+     * @private
+     */
+    _emitInput(type, args = []) {
+        this._eventBus.emit(GameEvents.PLAYER_INPUT, { type, args });
+    }
+
     _setupEventListeners() {
         // Listen for action execution to track progress
         this._eventBus.on(GameEvents.ACTION_EXECUTED, (data) => {
@@ -77,6 +108,10 @@ class CeremonyManager {
             this._resetDay();
         });
 
+        this._eventBus.on('game:retry_sprint', () => {
+            this._resetDay();
+        });
+
         // Listen for game over/victory to stop ceremony
         this._eventBus.on(GameEvents.GAME_OVER, () => {
             this._currentPhase = 'gameover';
@@ -93,6 +128,15 @@ class CeremonyManager {
      * Start a new day with Morning Stand-up
      */
     startNewDay() {
+        this._emitInput('startNewDay');
+        this._startDay();
+    }
+
+    /**
+     * Begin the day (shared by startNewDay and proceedToNextDay)
+     * @private
+     */
+    _startDay() {
         // Reset action counters
         this._actionsThisDay = 0;
         this._actionsThisNight = 0;
@@ -111,6 +155,7 @@ class CeremonyManager {
                 nightActionsRemaining: GameConfig.phases.NIGHT.actionsAllowed
             });
         }
+        this._gameState.update({ ceremonyPhase: 'standup' });
 
         // CRITICAL: Force UI update by emitting state change
         this._eventBus.emit(GameEvents.UI_UPDATE_REQUESTED, {
@@ -123,10 +168,98 @@ class CeremonyManager {
             day: currentDay
         });
 
+        // Episode 1 opens with sprint planning before the first stand-up
+        if (this._needsSprintPlanning()) {
+            this._showSprintPlanning();
+            return;
+        }
+
         // Show morning stand-up UI
         this._showMorningStandup();
     }
 
+    // ===== SPRINT PLANNING =====
+
+    /**
+     * Sprint planning is held on Day 1 of Episode 1 until goals are committed
+     * @private
+     * @returns {boolean}
+     */
+    _needsSprintPlanning() {
+        const state = this._gameState.getState();
+        return state.currentEpisode === 1 && state.day === 1 && !state.sprintGoals;
+    }
+
+    /**
+     * Show the sprint planning ceremony: the player commits to goals for the sprint
+     * @private
+     */
+    _showSprintPlanning() {
+        const state = this._gameState.getState();
+        const { dishProgress, techDebtCeiling } = GameConfig.sprintPlanning;
+        const lines = I18n.list('ceremony.planning.intro', { days: state.maxDays || this._maxDays });
+
+        this._gameState.update({ ceremonyPhase: 'planning' });
+        this._eventBus.emit('ceremony:sprint_planning', {
+            day: state.day,
+            maxDays: state.maxDays || this._maxDays,
+            dialogues: [
+                { speaker: 'owner', text: lines[0] },
+                { speaker: 'fuji', text: lines[1] },
+                { speaker: 'mina', text: lines[2], expression: 'happy' }
+            ],
+            defaults: this._gameState.getDefaultSprintGoals(),
+            options: {
+                skillMin: GameConfig.sprintPlanning.skillTargets.min,
+                skillMax: GameConfig.skills.maxLevel,
+                dishProgress: [...dishProgress.options],
+                techDebtCeiling: [...techDebtCeiling.options]
+            }
+        });
+    }
+
+    /**
+     * Player commits to the sprint goals, then the first stand-up starts
+     * @param {Object} goals - { skills: { cutting: 6, ... }, dishProgress, techDebtCeiling } (omitted = defaults)
+     * @returns {boolean} True if the goals were committed
+     */
+    commitSprintGoals(goals) {
+        if (this._gameState.get('ceremonyPhase') !== 'planning') {
+            console.warn('CeremonyManager.commitSprintGoals: Not in sprint planning');
+            return false;
+        }
+        const sprintGoals = this._gameState.normalizeSprintGoals(goals);
+        if (!sprintGoals) return false;
+
+        this._emitInput('commitSprintGoals', [sprintGoals]);
+        this._gameState.update({ sprintGoals, ceremonyPhase: 'standup' });
+        this._eventBus.emit('ceremony:sprint_goals_committed', { goals: sprintGoals });
+
+        this._showMorningStandup();
+        return true;
+    }
+
+    /**
+     * Where the sprint stands against the committed goals (mid-sprint review)
+     * @returns {Object|null} GameState.evaluateSprintGoals() result, null before planning
+     */
+    getSprintReview() {
+        return GameState.evaluateSprintGoals(this._gameState.getState());
+    }
+
+    /**
+     * One goal as text ("包丁 Lv6", "完成度 100%", "負債 10 以下")
+     * @private
+     * @param {Object} goal - Entry of GameState.evaluateSprintGoals().goals
+     * @returns {string}
+     */
+    _describeGoal(goal) {
+        return I18n.t(`ceremony.goals.${goal.id}`, {
+            skill: goal.skill ? I18n.text(GameConfig.skills.names[goal.skill] || goal.skill) : '',
+            target: goal.target
+        });
+    }
+
     /**
      * Show Morning Stand-up dialogue and focus selection
      */
@@ -163,30 +296,57 @@ class CeremonyManager {
         const masterLine = this._getMasterMorningLine(state, daysRemaining);
         dialogues.push(masterLine);
 
+        // ===== TRADITION / INNOVATION (the owner comments on a lopsided gauge) =====
+        // Picked by day (no RNG) so the gauge never changes a seeded run's rolls
+        const lean = GameState.getBalanceLean(state.traditionScore);
+        if (lean !== 'balanced') {
+            const leanLines = I18n.list(`ceremony.owner.balance.${lean}`);
+            dialogues.push({
+                speaker: 'owner',
+                text: leanLines[(state.day - 1) % leanLines.length],
+                expression: lean === 'tradition' ? 'happy' : 'angry'
+            });
+        }
+
+        // ===== MID-SPRINT REVIEW (the goals committed at sprint planning) =====
+        const review = state.day === GameConfig.sprintPlanning.reviewDay ? GameState.evaluateSprintGoals(state) : null;
+        if (review) {
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.planning.review', { met: review.met, total: review.total }) });
+            const behind = review.goals.find(goal => !goal.met);
+            dialogues.push(behind
+                ? { speaker: 'mina', text: I18n.t('ceremony.planning.reviewBehind', { goal: this._describeGoal(behind), current: behind.current }), expression: 'worried' }
+                : { speaker: 'mina', text: I18n.t('ceremony.planning.reviewOnTrack'), expression: 'happy' });
+        }
+
+        // ===== SECRET RECIPE HINT (affinity with the owner) =====
+        // Picked by day (no RNG) so the perk never changes a seeded run
+        if (this._gameState.hasPerk('recipeHints')) {
+            const hints = I18n.list('ceremony.owner.recipeHints');
+            dialogues.push({ speaker: 'owner', text: hints[(state.day - 1) % hints.length] });
+        }
+
         // ===== MINA'S ENCOURAGEMENT =====
         // Unified logic: No day-specific branches (Day 1-7 all use same logic)
         if (daysRemaining <= 2) {
-            dialogues.push({ speaker: 'ミナ', text: `あと${daysRemaining}日...ラストスパートだね！` });
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.mina.lastSpurt', { days: daysRemaining }) });
         } else if (state.growth >= 40) {
-            dialogues.push({ speaker: 'ミナ', text: 'いい感じ！合格ラインが見えてきたよ！' });
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.mina.closeToPass') });
         } else {
-            const minaLines = [
-                { speaker: 'ミナ', text: `${state.day}日目！今日の作戦は？` },
-                { speaker: 'ミナ', text: '新しい発見があるかも...挑戦してみよう！' },
-                { speaker: 'ミナ', text: 'お父さんを唸らせる味を見つけよう！' }
-            ];
-            dialogues.push(minaLines[Math.floor(Math.random() * minaLines.length)]);
+            // Same pool size in every language, so the pick does not depend on the language
+            const minaLines = I18n.list('ceremony.mina.daily', { day: state.day })
+                .map(text => ({ speaker: 'mina', text }));
+            dialogues.push(this._rng.pick(minaLines));
         }
 
         // ===== CONTEXTUAL ADVICE (Stat warnings) =====
         if (state.ingredientQuality < 40) {
-            dialogues.push({ speaker: 'ミナ', text: '厨房の状態が良くないね...レシピ改善が必要かも。' });
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.mina.lowQuality') });
         }
         if (state.stagnation >= 60) {
-            dialogues.push({ speaker: 'ミナ', text: '同じやり方だと限界がきてる...新しい挑戦を！' });
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.mina.stagnation') });
         }
         if (state.technicalDebt >= 5) {
-            dialogues.push({ speaker: 'ミナ', text: '技術的負債が溜まってるね...整理した方がいいかも。' });
+            dialogues.push({ speaker: 'mina', text: I18n.t('ceremony.mina.debt') });
         }
 
         return dialogues;
@@ -198,36 +358,31 @@ class CeremonyManager {
     _getMasterMorningLine(state, daysRemaining) {
         // Priority-based grumpy comments
         if (state.technicalDebt >= 8) {
-            return { speaker: '老店主', text: '...厨房がぐちゃぐちゃだ。こんな状態で料理ができると思うな。' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.messyKitchen') };
         }
         // Unified logic: No day-specific branches
         if (state.growth < 10) {
-            return { speaker: '老店主', text: 'ふん...まだ素人の味だな。ワシを舐めているのか？' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.amateur') };
         }
         if (state.stagnation >= 70) {
-            return { speaker: '老店主', text: '同じことの繰り返しか...お前に才能はないのかもしれん。' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.repetition') };
         }
         if (state.ingredientQuality < 30) {
-            return { speaker: '老店主', text: '品質が落ちている。こんな食材で客に出せるか！' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.lowQuality') };
         }
         if (state.oldManMood < 40) {
-            return { speaker: '老店主', text: '...まだ諦めてないのか。しつこいヤツだ。' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.stubborn') };
         }
         if (daysRemaining <= 2 && state.growth < 40) {
-            return { speaker: '老店主', text: '残り時間は少ない...このままでは不合格だぞ。' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.timeRunningOut') };
         }
         if (state.growth >= 40) {
-            return { speaker: '老店主', text: '...悪くない。だが、まだ足りん。' };
+            return { speaker: 'owner', text: I18n.t('ceremony.owner.notBad') };
         }
 
         // Default grumpy lines by day
-        const defaultLines = [
-            { speaker: '老店主', text: '今日も無駄にするつもりか？考えて動け。' },
-            { speaker: '老店主', text: '口より手を動かせ。結果で示せ。' },
-            { speaker: '老店主', text: 'キメラシチューは一朝一夕でできるものではない...わかっているな？' },
-            { speaker: '老店主', text: '...何をボーッとしている。時間は待ってくれんぞ。' }
-        ];
-        return defaultLines[Math.floor(Math.random() * defaultLines.length)];
+        const defaultLines = I18n.list('ceremony.owner.daily').map(text => ({ speaker: 'owner', text }));
+        return this._rng.pick(defaultLines);
     }
 
     /**
@@ -238,6 +393,8 @@ class CeremonyManager {
         const focus = DAILY_FOCUS_OPTIONS[focusId];
         if (!focus) return;
 
+        this._emitInput('selectDailyFocus', [focusId]);
+
         this._dailyFocus = focus;
 
         // Apply immediate effects (like stagnation reset)
@@ -245,18 +402,22 @@ class CeremonyManager {
             this._gameState.update({ stagnation: 20 });
         }
 
+        // Careful cooking is the owner's way, experiments are Fuji's
+        this._gameState.shiftBalance(GameConfig.balance.policies[focusId] || 0);
+
         // Store in game state for KitchenEngine to use
         // Also clear pivotBonus after it's been "used" for this day's success calculation
         this._gameState.update({
             dailyFocus: focusId,
             dailyFocusEffect: focus.effect,
-            pivotBonus: false  // Clear pivot bonus after morning stand-up
+            pivotBonus: false,  // Clear pivot bonus after morning stand-up
+            ceremonyPhase: 'action'
         });
 
         // Emit selection event
         this._eventBus.emit('ceremony:focus_selected', {
             focus,
-            message: `今日の方針：${focus.name}（${focus.description}）`
+            message: I18n.t('ceremony.focusMessage', { name: I18n.text(focus.name), description: I18n.text(focus.description) })
         });
 
         // Transition to day phase (昼の業務)
@@ -276,7 +437,7 @@ class CeremonyManager {
         });
 
         // After transition animation, set new phase in GameState
-        setTimeout(() => {
+        this._schedule(() => {
             // Update GameState phase
             if (newPhase === 'day') {
                 this._gameState.update({
@@ -335,7 +496,7 @@ class CeremonyManager {
                 this._isTransitioningToNight = true;
 
                 // Small delay before transitioning to night
-                setTimeout(() => {
+                this._schedule(() => {
                     this._transitionToPhase('night');
                     this._isTransitioningToNight = false;
                 }, 1500);
@@ -352,7 +513,7 @@ class CeremonyManager {
             // Unified logic: Works the same for Day 1, Day 2, ..., Day 7
             if (remainingActions <= 0) {
                 // Night phase complete, proceed to retrospective
-                setTimeout(() => {
+                this._schedule(() => {
                     this._showNightRetrospective();
                 }, 1500);
             }
@@ -365,6 +526,7 @@ class CeremonyManager {
     endActionPhase() {
         const currentPhase = this._gameState.get('currentPhase');
         if (currentPhase === 'day') {
+            this._emitInput('endActionPhase');
             this._transitionToPhase('night');
         }
     }
@@ -377,10 +539,15 @@ class CeremonyManager {
     _showNightRetrospective() {
         // CRITICAL: Error handling to ensure retrospective always shows
         try {
+            this._gameState.update({ ceremonyPhase: 'retro' });
             const state = this._gameState.getState();
             const daySummary = this._calculateDaySummary(state);
             const maxDays = state?.maxDays || this._maxDays || 7;
 
+            // Keep today's metrics for the burndown / velocity / tech debt charts
+            this._gameState.recordDayMetrics(this._dayStartState, this._failedActions.length);
+            const charts = GameState.getSprintCharts(this._gameState.getState());
+
             // Check for Day 7 Judgment (Episode 1 final evaluation)
             // Triggers when we've completed the LAST day's actions (Day 7)
             if (state?.currentEpisode === 1 && state?.day === maxDays) {
@@ -393,6 +560,21 @@ class CeremonyManager {
                 }
             }
 
+            // Episodes 2-5: the episode's own win / loss conditions (checked every night)
+            if (state?.currentEpisode !== 1 && this._episodeManager) {
+                const verdict = this._episodeManager.evaluateEpisode(state);
+                if (verdict) {
+                    this._triggerEpisodeJudgment(state, verdict);
+                    return;
+                }
+            }
+
+            // Episode 1: a balanced kitchen on the evening before the judgment opens HYBRID_MOMENT
+            if (state?.currentEpisode === 1 && state?.day === GameConfig.balance.hybridMomentDay &&
+                !state.hybridMoment && this._gameState.isBalanced()) {
+                this._eventBus.emit(GameEvents.HYBRID_MOMENT, { day: state.day, traditionScore: state.traditionScore });
+            }
+
             // Check for Adapt/Pivot trigger (same action failed twice)
             const shouldTriggerPivot = this._checkPivotTrigger();
 
@@ -400,9 +582,9 @@ class CeremonyManager {
                 day: state?.day || 1,
                 maxDays,
                 summary: daySummary || {},
+                charts,
                 triggerPivot: shouldTriggerPivot,
-                pivotMessage: shouldTriggerPivot ?
-                    'このやり方は上手くいってない…アプローチを変えるべき？' : null
+                pivotMessage: shouldTriggerPivot ? I18n.t('ceremony.pivot.prompt') : null
             });
         } catch (error) {
             // CRITICAL: Fallback to show basic retrospective even on error
@@ -449,87 +631,163 @@ class CeremonyManager {
         const isSuccess = skillCheck?.passed || false;
         const skillDetails = skillCheck?.details || {};
 
-        this._gameState.update({ judgmentTriggered: true });
+        this._gameState.update({ judgmentTriggered: true, ceremonyPhase: 'judgment' });
+
+        // Commitment accuracy: the goals from sprint planning against the final state
+        const commitment = GameState.evaluateSprintGoals(this._gameState.getState());
 
         // Build skill report for dialogue with safe data
-        const skillReport = this._buildSkillReport(skillDetails);
+        const skillReport = this._buildSkillReport(skillDetails, commitment);
+        const commitmentLines = skillReport.commitmentComment
+            ? [{ speaker: 'owner', text: skillReport.commitmentComment, expression: commitment.accuracy >= GameConfig.sprintPlanning.keptAccuracy ? 'happy' : 'angry' }]
+            : [];
 
         if (isSuccess) {
+            // Hybrid ending: the owner acknowledged Fuji in HYBRID_MOMENT and the gauge is still balanced
+            const hybrid = this._gameState.get('hybridMoment') === 'acknowledged' && this._gameState.isBalanced();
+
+            // The reward is an item: it carries over per GameConfig.carryOver
+            this._gameState.addItem('ownerKnife');
+            if (hybrid) {
+                this._gameState.addItem('ownerRecipeBook');
+            }
+            const lines = I18n.list('ceremony.judgment.success');
+            const hybridLines = I18n.list('ceremony.judgment.hybrid');
+            const verdict = hybrid
+                ? [
+                    { speaker: 'owner', text: hybridLines[0] },
+                    { speaker: 'owner', text: hybridLines[1] },
+                    { speaker: 'fuji', text: hybridLines[2], expression: 'surprised' },
+                    { speaker: 'owner', text: hybridLines[3], expression: 'happy' }
+                ]
+                : [{ speaker: 'owner', text: lines[9], expression: 'happy' }];
             this._eventBus.emit('ceremony:judgment_success', {
                 growth: state.growth,
                 skillCheck: skillCheck.details,
+                ending: hybrid ? 'hybrid' : 'standard',
+                commitment,
+                charts: GameState.getSprintCharts(this._gameState.getState()),
+                title: hybrid ? I18n.t('ceremony.judgment.hybridTitle') : undefined,
                 dialogues: [
-                    { speaker: 'narrator', text: '7日目の夜。ついに審判の時が来た。' },
-                    { speaker: 'narrator', text: 'フジが作った「キメラシチュー」が、老店主の前に置かれる。' },
-                    { speaker: '老店主', text: '...ふむ。' },
-                    { speaker: 'narrator', text: '老店主は無言でスプーンを手に取り、一口すくった。' },
-                    { speaker: 'ミナ', text: '（ドキドキ...）' },
-                    { speaker: 'narrator', text: '長い沈黙。店内に緊張が走る。' },
-                    { speaker: '老店主', text: '......。' },
-                    { speaker: '老店主', text: skillReport.masterComment },
-                    { speaker: 'fuji', text: '...！' },
-                    { speaker: '老店主', text: 'まだ荒削りだ。だが...芯は捉えている。' },
-                    { speaker: '老店主', text: 'お前の「やり方」...認めてやる。明日から正式に働け。' },
-                    { speaker: 'ミナ', text: 'やったー！フジくん合格だよ！' },
-                    { speaker: 'fuji', text: 'ありがとうございます...！必ず期待に応えます！' },
-                    { speaker: '老店主', text: 'ふん...調子に乗るな。これからが本番だ。' },
-                    { speaker: 'narrator', text: '「アジャイル」の力で不可能を可能にしたフジ。' },
-                    { speaker: 'narrator', text: 'こうして、「ネコノヒゲ亭」での本当の修行が始まる...' }
+                    { speaker: 'narrator', text: lines[0] },
+                    { speaker: 'narrator', text: lines[1] },
+                    { speaker: 'owner', text: lines[2] },
+                    { speaker: 'narrator', text: lines[3] },
+                    { speaker: 'mina', text: lines[4], expression: 'worried' },
+                    { speaker: 'narrator', text: lines[5] },
+                    { speaker: 'owner', text: lines[6] },
+                    { speaker: 'owner', text: skillReport.masterComment },
+                    ...commitmentLines,
+                    { speaker: 'fuji', text: lines[7], expression: 'surprised' },
+                    { speaker: 'owner', text: lines[8] },
+                    ...verdict,
+                    { speaker: 'mina', text: lines[10], expression: 'happy' },
+                    { speaker: 'fuji', text: lines[11], expression: 'happy' },
+                    { speaker: 'owner', text: lines[12], expression: 'angry' },
+                    { speaker: 'narrator', text: hybrid ? hybridLines[4] : lines[13] },
+                    { speaker: 'narrator', text: lines[14] }
                 ],
-                reward: {
-                    item: '老店主の包丁',
-                    description: '正式採用の証として、年季の入った包丁を受け取った'
-                }
+                reward: hybrid
+                    ? {
+                        item: I18n.t('ceremony.judgment.hybridRewardItem'),
+                        description: I18n.t('ceremony.judgment.hybridRewardDescription')
+                    }
+                    : {
+                        item: I18n.t('ceremony.judgment.rewardItem'),
+                        description: I18n.t('ceremony.judgment.rewardDescription')
+                    }
             });
         } else {
             // Generate failure dialogue based on which skills were lacking
             // CRITICAL: Safe access with fallback
             const failureComment = this._getFailureComment(skillDetails);
+            const lines = I18n.list('ceremony.judgment.failure');
 
             this._eventBus.emit('ceremony:judgment_failure', {
                 growth: state?.growth || 0,
                 skillCheck: skillDetails,
+                commitment,
+                charts: GameState.getSprintCharts(this._gameState.getState()),
                 state: state, // Include full state for continue screen
                 dialogues: [
-                    { speaker: 'narrator', text: '7日目の夜。審判の時が来た。' },
-                    { speaker: 'narrator', text: 'フジが作った「キメラシチュー」が、老店主の前に置かれる。' },
-                    { speaker: '老店主', text: '...。' },
-                    { speaker: 'narrator', text: '老店主は一口含み、すぐにスプーンを置いた。' },
-                    { speaker: '老店主', text: '...話にならん。' },
-                    { speaker: 'fuji', text: 'そんな...！' },
-                    { speaker: '老店主', text: failureComment },
-                    { speaker: '老店主', text: '約束通りだ...出て行け。' },
-                    { speaker: 'ミナ', text: 'お父さん...！もう少しだけ...！' },
-                    { speaker: '老店主', text: '甘やかすな、ミナ。ここは厨房だ。結果が全てだ。' },
-                    { speaker: 'fuji', text: '...すみませんでした。' },
+                    { speaker: 'narrator', text: lines[0] },
+                    { speaker: 'narrator', text: lines[1] },
+                    { speaker: 'owner', text: lines[2] },
+                    { speaker: 'narrator', text: lines[3] },
+                    { speaker: 'owner', text: lines[4], expression: 'angry' },
+                    { speaker: 'fuji', text: lines[5], expression: 'surprised' },
+                    { speaker: 'owner', text: failureComment, expression: 'angry' },
+                    ...commitmentLines,
+                    { speaker: 'owner', text: lines[6], expression: 'angry' },
+                    { speaker: 'mina', text: lines[7], expression: 'worried' },
+                    { speaker: 'owner', text: lines[8], expression: 'angry' },
+                    { speaker: 'fuji', text: lines[9], expression: 'worried' },
                     { speaker: 'narrator', text: skillReport.failureSummary },
-                    { speaker: 'narrator', text: 'フジは「ネコノヒゲ亭」を後にした。しかし...' }
+                    { speaker: 'narrator', text: lines[10] }
                 ]
             });
         }
     }
 
+    /**
+     * Trigger the end of Episodes 2-5
+     * Reuses the judgment events so the same overlay / continue screen is shown.
+     * @param {Object} state - Current game state
+     * @param {Object} verdict - EpisodeManager.evaluateEpisode() result
+     */
+    _triggerEpisodeJudgment(state, verdict) {
+        const episodeId = state.currentEpisode;
+        const nextEpisode = this._episodeManager.getEpisode(episodeId + 1);
+        const progress = this._episodeManager.getEpisodeProgress(state);
+        const goalText = progress ? `${progress.label}: ${progress.text}` : '';
+
+        this._gameState.update({ judgmentTriggered: true, ceremonyPhase: 'judgment' });
+
+        if (verdict.result === 'success') {
+            this._eventBus.emit('ceremony:judgment_success', {
+                episode: episodeId,
+                nextEpisode: nextEpisode ? nextEpisode.id : null,
+                title: nextEpisode ? I18n.t('ceremony.episodeClear', { episode: episodeId }) : I18n.t('ceremony.storyComplete'),
+                goalText,
+                growth: state.growth,
+                charts: GameState.getSprintCharts(this._gameState.getState()),
+                dialogues: this._episodeManager.getEndingDialogue(episodeId, 'success')
+            });
+        } else {
+            this._eventBus.emit('ceremony:judgment_failure', {
+                episode: episodeId,
+                reason: verdict.reason,
+                title: I18n.t(verdict.reason === 'timeUp' ? 'ceremony.timeUp' : 'ceremony.businessFailed'),
+                goalText,
+                growth: state.growth,
+                state,
+                charts: GameState.getSprintCharts(this._gameState.getState()),
+                dialogues: this._episodeManager.getEndingDialogue(episodeId, 'failure')
+            });
+        }
+    }
+
     /**
      * Build skill report for judgment dialogue
+     * @param {Object} details - checkChimeraStewRequirements().details
+     * @param {Object|null} [commitment=null] - GameState.evaluateSprintGoals() (the owner weighs the promises too)
      */
-    _buildSkillReport(details) {
+    _buildSkillReport(details, commitment = null) {
+        const commitmentComment = this._getCommitmentComment(commitment);
+
         // CRITICAL: Defensive programming - handle undefined details
         if (!details || typeof details !== 'object') {
             console.warn('CeremonyManager._buildSkillReport: Invalid details, using defaults');
             return {
-                masterComment: '...判定に必要なデータが不足している。',
-                failureSummary: 'データ不足により判定できませんでした。',
+                masterComment: I18n.t('ceremony.report.noData'),
+                failureSummary: I18n.t('ceremony.report.noDataSummary'),
+                commitmentComment,
                 passedSkills: [],
                 failedSkills: []
             };
         }
 
-        const skillNames = {
-            cutting: '包丁さばき',
-            boiling: '煮込み',
-            frying: '炒め',
-            analysis: '食材分析'
-        };
+        const skillName = (skill) => I18n.text(GameConfig.skills.names[skill] || skill);
 
         const passedSkills = [];
         const failedSkills = [];
@@ -537,10 +795,10 @@ class CeremonyManager {
         Object.entries(details).forEach(([skill, data]) => {
             // CRITICAL: Safe access with null checks
             if (data && typeof data === 'object' && data.passed) {
-                passedSkills.push(skillNames[skill] || skill);
+                passedSkills.push(skillName(skill));
             } else if (data && typeof data === 'object') {
                 failedSkills.push({
-                    name: skillNames[skill] || skill,
+                    name: skillName(skill),
                     current: data.current || 0,
                     required: data.required || 0
                 });
@@ -548,19 +806,41 @@ class CeremonyManager {
         });
 
         // Master's comment based on performance
-        let masterComment = '...ワシが2年かけた味を、7日で再現しおったか。';
+        let masterComment = I18n.t('ceremony.report.passed');
         if (passedSkills.length === 4) {
-            masterComment = '...完璧だ。この味...ワシを超える日も近いかもしれん。';
+            masterComment = I18n.t('ceremony.report.perfect');
         } else if (details?.boiling?.passed && details?.cutting?.passed) {
-            masterComment = '...煮込みと包丁さばき...キメラシチューの核を理解している。';
+            masterComment = I18n.t('ceremony.report.core');
         }
 
         // Failure summary
         const failureSummary = failedSkills.length > 0
-            ? `${failedSkills.map(s => s.name).join('、')}の技術が足りなかった...`
-            : '7日間では足りなかった...';
+            ? I18n.t('ceremony.report.lackingSkills', {
+                skills: failedSkills.map(s => s.name).join(I18n.t('ceremony.report.skillSeparator'))
+            })
+            : I18n.t('ceremony.report.notEnoughDays');
+
+        return { masterComment, failureSummary, commitmentComment, passedSkills, failedSkills };
+    }
+
+    /**
+     * Owner's word on the commitments from sprint planning (null when none were made)
+     * @private
+     * @param {Object|null} commitment - GameState.evaluateSprintGoals() result
+     * @returns {string|null}
+     */
+    _getCommitmentComment(commitment) {
+        if (!commitment) return null;
 
-        return { masterComment, failureSummary, passedSkills, failedSkills };
+        const { keptAccuracy, partialAccuracy } = GameConfig.sprintPlanning;
+        const params = { met: commitment.met, total: commitment.total, accuracy: commitment.accuracy };
+        if (commitment.accuracy >= keptAccuracy) {
+            return I18n.t('ceremony.report.commitmentKept', params);
+        }
+        if (commitment.accuracy >= partialAccuracy) {
+            return I18n.t('ceremony.report.commitmentPartial', params);
+        }
+        return I18n.t('ceremony.report.commitmentMissed', params);
     }
 
     /**
@@ -570,25 +850,29 @@ class CeremonyManager {
         // CRITICAL: Defensive programming - handle undefined details
         if (!details || typeof details !== 'object') {
             console.warn('CeremonyManager._getFailureComment: Invalid details, using default');
-            return '判定データが不足している。基本ができていない。';
+            return I18n.t('ceremony.failure.noData');
         }
 
         const failedSkills = [];
 
         // CRITICAL: Safe access with null checks
-        if (!details?.boiling?.passed) failedSkills.push('煮込み');
-        if (!details?.cutting?.passed) failedSkills.push('包丁');
-        if (!details?.frying?.passed) failedSkills.push('炒め');
-        if (!details?.analysis?.passed) failedSkills.push('食材分析');
-
-        if (failedSkills.includes('煮込み')) {
-            return 'この煮込み...全く火加減がなっておらん。基本ができていない。';
-        } else if (failedSkills.includes('包丁')) {
-            return '食材の切り方が雑だ。これでは味が均一にならん。';
+        if (!details?.boiling?.passed) failedSkills.push('boiling');
+        if (!details?.cutting?.passed) failedSkills.push('cutting');
+        if (!details?.frying?.passed) failedSkills.push('frying');
+        if (!details?.analysis?.passed) failedSkills.push('analysis');
+
+        if (failedSkills.includes('boiling')) {
+            return I18n.t('ceremony.failure.boiling');
+        } else if (failedSkills.includes('cutting')) {
+            return I18n.t('ceremony.failure.cutting');
         } else if (failedSkills.length >= 2) {
-            return `${failedSkills.join('も')}も...何も身についておらんじゃないか。`;
+            return I18n.t('ceremony.failure.many', {
+                skills: failedSkills
+                    .map(skill => I18n.text(GameConfig.skills.names[skill]))
+                    .join(I18n.t('ceremony.failure.skillSeparator'))
+            });
         } else {
-            return 'ワシの料理を舐めていたようだな。2年の重みがわかるか？';
+            return I18n.t('ceremony.failure.default');
         }
     }
 
@@ -605,7 +889,7 @@ class CeremonyManager {
             moodChange: currentState.oldManMood - (start.oldManMood || 0),
             actionsCompleted: this._actionsThisDay,
             failedActions: this._failedActions.length,
-            dailyFocus: this._dailyFocus ? this._dailyFocus.name : 'なし'
+            dailyFocus: this._dailyFocus ? I18n.text(this._dailyFocus.name) : I18n.t('ceremony.noFocus')
         };
     }
 
@@ -628,6 +912,8 @@ class CeremonyManager {
      * @param {boolean} doPivot - True if player chooses to change approach
      */
     handlePivotChoice(doPivot) {
+        this._emitInput('handlePivotChoice', [doPivot]);
+
         if (doPivot) {
             // "Stop/Change" - Lose growth, gain debt reduction and success buff
             const state = this._gameState.getState();
@@ -642,11 +928,11 @@ class CeremonyManager {
             });
 
             this._eventBus.emit('ceremony:pivot_executed', {
-                message: `アプローチを変更！成長-${growthLoss}、負債-${debtReduction}、明日の成功率UP!`
+                message: I18n.t('ceremony.pivot.executed', { growth: growthLoss, debt: debtReduction })
             });
         } else {
             this._eventBus.emit('ceremony:pivot_declined', {
-                message: 'このまま続行する…'
+                message: I18n.t('ceremony.pivot.declined')
             });
         }
 
@@ -712,7 +998,7 @@ class CeremonyManager {
         if (this._gameState.isGameOver()) {
             this._eventBus.emit(GameEvents.GAME_OVER, {
                 state: state,
-                reason: this._getGameOverReason(state)
+                reason: this.getGameOverReason(state)
             });
             return;
         }
@@ -735,8 +1021,11 @@ class CeremonyManager {
 
     /**
      * Get reason for game over
+     * @param {Object} state - Game state where isGameOver() is true
+     * @returns {string} 'techDebt' | 'stagnation' | 'mood' | 'quality' | 'ingredients' | 'unknown'
      */
-    _getGameOverReason(state) {
+    getGameOverReason(state) {
+        if (state.technicalDebt >= GameConfig.techDebt.max) return 'techDebt';
         if (state.stagnation >= 100) return 'stagnation';
         if (state.oldManMood <= 0) return 'mood';
         if (state.ingredientQuality <= 0) return 'quality';
@@ -749,6 +1038,8 @@ class CeremonyManager {
      * This is called when user clicks "Continue" button on Night Retrospective
      */
     proceedToNextDay() {
+        this._emitInput('proceedToNextDay');
+
         // CRITICAL: End the retrospective first to advance the day counter
         // This handles the case where there was no Pivot decision
         const currentPhase = this._gameState.get('currentPhase');
@@ -757,7 +1048,7 @@ class CeremonyManager {
         }
 
         // Start the new day's morning ceremony
-        this.startNewDay();
+        this._startDay();
     }
 
     /**
@@ -772,6 +1063,95 @@ class CeremonyManager {
         this._isTransitioningToNight = false;
     }
 
+    // ===== SAVE / RESUME =====
+
+    /**
+     * Get ceremony-internal daily state for save files
+     * @returns {Object} Plain serializable snapshot
+     */
+    getSnapshot() {
+        return {
+            dailyFocusId: this._dailyFocus ? this._dailyFocus.id : null,
+            failedActions: [...this._failedActions],
+            dayStartState: this._dayStartState
+                ? JSON.parse(JSON.stringify(this._dayStartState))
+                : null
+        };
+    }
+
+    /**
+     * Restore ceremony-internal daily state from a save file
+     * @param {Object|null} snapshot - Output of getSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this._resetDay();
+        if (!snapshot) return;
+
+        this._dailyFocus = DAILY_FOCUS_OPTIONS[snapshot.dailyFocusId] || null;
+        this._failedActions = Array.isArray(snapshot.failedActions) ? [...snapshot.failedActions] : [];
+        this._dayStartState = snapshot.dayStartState || null;
+    }
+
+    /**
+     * Resume the ceremony flow after a save was loaded
+     * Re-emits the events of the saved step so the UI renderers rebuild themselves:
+     * sprint planning, morning stand-up, day/night action phase, or night retro (incl. judgment).
+     * A save of a lost run goes straight to the game over screen: no action would be allowed.
+     */
+    resume() {
+        this._emitInput('resume');
+
+        const state = this._gameState.getState();
+        this._isTransitioningToNight = false;
+
+        if (!this._dayStartState) {
+            this._dayStartState = { ...state };
+        }
+
+        this._eventBus.emit(GameEvents.UI_UPDATE_REQUESTED, { state });
+
+        if (this._gameState.isGameOver()) {
+            this._eventBus.emit(GameEvents.GAME_OVER, { state, reason: this.getGameOverReason(state) });
+            return;
+        }
+
+        switch (state.ceremonyPhase) {
+            case 'action':
+                // Saved right after the last action of a phase: continue the normal flow
+                if (this._gameState.getActionsRemaining() <= 0) {
+                    if (state.currentPhase === 'day') {
+                        this._transitionToPhase('night');
+                    } else {
+                        this._showNightRetrospective();
+                    }
+                    return;
+                }
+                this._eventBus.emit('ceremony:phase_changed', {
+                    phase: state.currentPhase,
+                    day: state.day
+                });
+                this._eventBus.emit('ceremony:action_phase_start', { resumed: true });
+                break;
+
+            case 'retro':
+            case 'judgment':
+                this._eventBus.emit('ceremony:phase_changed', { phase: 'night', day: state.day });
+                this._showNightRetrospective();
+                break;
+
+            case 'planning':
+                this._eventBus.emit('ceremony:phase_changed', { phase: 'day', day: state.day });
+                this._showSprintPlanning();
+                break;
+
+            default:
+                this._eventBus.emit('ceremony:phase_changed', { phase: 'day', day: state.day });
+                this._showMorningStandup();
+        }
+
+        console.log(`CeremonyManager: Resumed at Day ${state.day} (${state.ceremonyPhase}/${state.currentPhase})`);
+    }
+
     // ===== PUBLIC GETTERS =====
 
     getCurrentPhase() {
@@ -0,0 +1,261 @@
+/**
+ * ComboEngine - Action combos and the combo chain (コンボ)
+ *
+ * After every action the end of today's actions is matched against the combos in
+ * GameConfig.combos.list: day sequences of chopping / heatControl / cleaning
+ * (the perfect cycle is all three in any order) and night follow-ups such as
+ * trial cooking after a perfect cycle.
+ *
+ * Every combo adds to the chain and its effects grow with it (x1, x1.5, x2...
+ * up to maxChain). Repeating the previous action or ending a day without a combo
+ * breaks the chain. Nothing here draws from the RNG, so combos never change a
+ * seeded run's rolls.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only recognizes combos and applies their bonuses
+ * - Open/Closed: Combos are config (GameConfig.combos.list), not code
+ * - Dependency Inversion: Reports through EventBus, never touches the DOM
+ *
+ * @class ComboEngine
+ */
+
+// ===== COMBO EFFECTS =====
+/**
+ * Stats a combo may change, with their ranges ([min, max(state)])
+ * dishProgress goes through GameState.addDishProgress instead.
+ */
+const COMBO_EFFECT_RANGES = {
+    stagnation: () => [0, 100],
+    oldManMood: () => [0, 100],
+    ingredientQuality: () => [0, 100],
+    technicalDebt: () => [0, GameConfig.techDebt.max],
+    stamina: (state) => [0, state.maxStamina]
+};
+
+/** Combo id that also reports GameEvents.PERFECT_CYCLE (scene and celebration) */
+const PERFECT_CYCLE_COMBO = 'perfectCycle';
+
+class ComboEngine {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     * @param {Object} [config] - { chainStep, maxChain, list } (defaults to GameConfig.combos)
+     */
+    constructor(eventBus, gameState, config = GameConfig.combos) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._config = config;
+        this._combos = this._validate(config.list || {});
+    }
+
+    // ===== Public Methods =====
+
+    /**
+     * Bonus multiplier of the n-th combo in a chain
+     * @param {number} chain - Chain length including the combo (1 = first)
+     * @param {Object} [config=GameConfig.combos]
+     * @returns {number}
+     */
+    static getMultiplier(chain, config = GameConfig.combos) {
+        return 1 + config.chainStep * (Math.min(Math.max(chain, 1), config.maxChain) - 1);
+    }
+
+    /**
+     * Combo definitions that passed validation
+     * @returns {Object} id → combo
+     */
+    getCombos() {
+        return { ...this._combos };
+    }
+
+    /**
+     * Check the action just recorded for combos and apply their bonuses
+     * (called by KitchenEngine after GameState.recordAction; announce() reports them)
+     * @param {string} actionId - Action name ('chopping', 'trialCooking'...)
+     * @param {Object} result - KitchenEngine action result (combo lines are added to its message)
+     * @returns {Array<Object>} Triggered combos ({ comboId, name, icon, chain, multiplier, effects, count })
+     */
+    checkAction(actionId, result) {
+        const state = this._gameState.getState();
+        let chain = state.comboChain || 0;
+        const brokenChain = chain;
+
+        // Repeating the previous action breaks the rhythm
+        const today = state.todayActions;
+        if (today.length >= 2 && today[today.length - 2] === actionId) {
+            chain = 0;
+        }
+
+        const triggered = [];
+        const combosToday = [...(state.combosToday || [])];
+        const comboCounts = { ...(state.comboCounts || {}) };
+        for (const [comboId, combo] of Object.entries(this._combos)) {
+            if (combosToday.includes(comboId) || !this._matches(combo, today, combosToday)) continue;
+
+            chain++;
+            combosToday.push(comboId);
+            comboCounts[comboId] = (comboCounts[comboId] || 0) + 1;
+            const multiplier = ComboEngine.getMultiplier(chain, this._config);
+            triggered.push({
+                comboId,
+                name: combo.name,
+                icon: combo.icon,
+                chain,
+                multiplier,
+                effects: this._applyEffects(combo.effects, multiplier),
+                count: comboCounts[comboId]
+            });
+        }
+
+        // The night action ends the day's actions: a day without a combo breaks the chain
+        if (actionId in GameConfig.nightActions && combosToday.length === 0) {
+            chain = 0;
+        }
+
+        this._gameState.update({ comboChain: chain, combosToday, comboCounts });
+
+        triggered.forEach(combo => {
+            result.message += `<div class="result-item combo">${I18n.t('kitchen.combo', {
+                icon: combo.icon,
+                name: I18n.text(combo.name),
+                effects: this._describeEffects(combo.effects)
+            })}</div>`;
+            if (combo.chain > 1) {
+                result.message += `<div class="result-item combo-chain">${I18n.t('kitchen.comboChain', { chain: combo.chain, multiplier: combo.multiplier })}</div>`;
+            }
+        });
+        if (brokenChain > 0 && chain === 0) {
+            result.message += `<div class="result-item negative">${I18n.t('kitchen.comboBroken', { chain: brokenChain })}</div>`;
+        }
+        return triggered;
+    }
+
+    /**
+     * Report combos from checkAction() once the action itself has been reported
+     * @param {Array<Object>} triggered - Output of checkAction()
+     */
+    announce(triggered) {
+        triggered.forEach(combo => {
+            this._eventBus.emit(GameEvents.COMBO_TRIGGERED, combo);
+            if (combo.comboId === PERFECT_CYCLE_COMBO) {
+                this._eventBus.emit(GameEvents.PERFECT_CYCLE, combo);
+            }
+        });
+    }
+
+    /**
+     * Combos the next action would complete (the HUD combo meter's hint)
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Array<{comboId: string, actionId: string}>}
+     */
+    getHints(state = this._gameState.getState()) {
+        const phaseActions = state.currentPhase === 'night' ? GameConfig.nightActions : GameConfig.dayActions;
+        const combosToday = state.combosToday || [];
+        const hints = [];
+        for (const [comboId, combo] of Object.entries(this._combos)) {
+            if (combosToday.includes(comboId)) continue;
+            const actionId = Object.keys(phaseActions).find(id =>
+                this._matches(combo, [...state.todayActions, id], combosToday)
+            );
+            if (actionId) hints.push({ comboId, actionId });
+        }
+        return hints;
+    }
+
+    // ===== Matching =====
+
+    /**
+     * @private
+     * @param {Object} combo - Combo definition
+     * @param {Array<string>} today - Today's actions, the newest last
+     * @param {Array<string>} combosToday - Combos that already fired today
+     * @returns {boolean}
+     */
+    _matches(combo, today, combosToday) {
+        if (combo.after && !combosToday.includes(combo.after)) return false;
+
+        const tail = today.slice(-combo.sequence.length);
+        if (tail.length < combo.sequence.length) return false;
+        if (combo.anyOrder) {
+            return [...tail].sort().join() === [...combo.sequence].sort().join();
+        }
+        return tail.every((id, i) => id === combo.sequence[i]);
+    }
+
+    // ===== Effects =====
+
+    /**
+     * @private
+     * @param {Object} effects - Combo effects
+     * @param {number} multiplier - Chain multiplier
+     * @returns {Object} Effects as applied (after the multiplier and clamping)
+     */
+    _applyEffects(effects, multiplier) {
+        const applied = {};
+        for (const [key, base] of Object.entries(effects)) {
+            const amount = Math.round(base * multiplier);
+            if (key === 'dishProgress') {
+                applied[key] = this._gameState.addDishProgress(amount).gained;
+                continue;
+            }
+            const [min, max] = COMBO_EFFECT_RANGES[key](this._gameState.getState());
+            const before = this._gameState.get(key);
+            applied[key] = this._gameState.adjust(key, amount, min, max) - before;
+        }
+        return applied;
+    }
+
+    /**
+     * "停滞 -15、技術的負債 -3" style summary of applied effects
+     * @private
+     */
+    _describeEffects(effects) {
+        return Object.entries(effects)
+            .filter(([, value]) => value !== 0)
+            .map(([key, value]) => I18n.t(`kitchen.comboEffects.${key}`, { value: value > 0 ? `+${value}` : value }))
+            .join(I18n.t('kitchen.comboEffectSeparator'));
+    }
+
+    // ===== Validation =====
+
+    /**
+     * Drop combos that use unknown actions, combos or effects (reported like content errors)
+     * @private
+     * @param {Object} list - Combo definitions by id
+     * @returns {Object} Valid combos by id
+     */
+    _validate(list) {
+        const actions = { ...GameConfig.dayActions, ...GameConfig.nightActions };
+        const valid = {};
+        for (const [comboId, combo] of Object.entries(list)) {
+            const errors = [];
+            if (!Array.isArray(combo.sequence) || combo.sequence.length === 0) {
+                errors.push('sequence must be a non-empty list of actions');
+            } else {
+                combo.sequence.filter(id => !(id in actions)).forEach(id => errors.push(`unknown action "${id}"`));
+            }
+            if (combo.after && !(combo.after in list)) {
+                errors.push(`unknown combo "${combo.after}" in after`);
+            }
+            Object.entries(combo.effects || {}).forEach(([key, value]) => {
+                if (key !== 'dishProgress' && !(key in COMBO_EFFECT_RANGES)) {
+                    errors.push(`unknown effect "${key}"`);
+                } else if (typeof value !== 'number') {
+                    errors.push(`effects.${key} must be a number`);
+                }
+            });
+
+            if (errors.length > 0) {
+                errors.forEach(error => console.error(`ComboEngine: combo ${comboId}: ${error}`));
+            } else {
+                valid[comboId] = { effects: {}, ...combo };
+            }
+        }
+        return valid;
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ComboEngine, COMBO_EFFECT_RANGES };
+}
@@ -0,0 +1,449 @@
+/**
+ * ContentLoader - Loads the story content (episodes, scenes, characters) from JSON
+ *
+ * Writers edit the files in data/ without touching engine code:
+ * - data/episodes.json   - episode configs, win / loss conditions, scene references
+ * - data/scenes.json     - scene id → scene script (lines, labels, choices: see SceneScriptRunner)
+ * - data/characters.json - cast (speakers) and the guests of Episodes 2-5
+ *
+ * ContentValidator runs at load time and reports every problem with console.error
+ * (missing speakers, unknown scene ids and labels, bad condition types, broken text markup...). Problems never stop
+ * the game: an unknown scene plays as an empty scene. Only unreadable files are fatal.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only reads and checks content, the engine interprets it
+ * - Open/Closed: New episodes and scenes are data, not code
+ * - Dependency Inversion: The file reader is injected (fetch in the browser, fs in Node)
+ *
+ * @class ContentLoader
+ */
+
+// ===== CONTENT FILES =====
+const CONTENT_FILES = {
+    episodes: 'data/episodes.json',
+    scenes: 'data/scenes.json',
+    characters: 'data/characters.json'
+};
+
+// ===== SCHEMA =====
+const CONTENT_SCHEMA = {
+    // Evaluated by EpisodeManager._checkEpisodeWin / _checkEpisodeLoss
+    winConditionTypes: ['growth_target', 'growth_and_balance', 'survive_orders', 'quality_survival', 'rival_battle', 'final_satisfaction'],
+    lossConditionTypes: ['day_limit_failed', 'stagnation', 'ingredients_zero', 'quality_zero', 'rival_ahead', 'princess_rage'],
+
+    // Episode mechanic → config block its subsystem needs
+    mechanics: {
+        orders: 'orders',
+        qualityDecay: 'hazards',
+        rival: 'rivalConfig',
+        demands: 'demands'
+    },
+
+    // Scenes played by the engine itself (Episode 1 intro, event dialogue)
+    engineScenes: [
+        'SCENE1_RESCUE', 'SCENE2_KITCHEN', 'SCENE3_MASTER', 'SCENE4_CHALLENGE', 'SCENE4_GIVE_UP',
+        'SCENE5_START', 'PERFECT_CYCLE', 'STAGNATION_CRISIS', 'HYBRID_MOMENT'
+    ],
+
+    // Keys of episode.scenes
+    episodeSceneKeys: ['intro', 'clear', 'failed'],
+
+    // Sprite expressions a line may name (CharacterDisplay falls back to the base sprite)
+    expressions: ['neutral', 'angry', 'happy', 'surprised', 'worried'],
+
+    // Slots on the VN stage, left to right (a guest's "stage", see CharacterDisplay)
+    stagePositions: ['far-left', 'left', 'center-left', 'center', 'center-right', 'right', 'far-right'],
+
+    // Perks an affinity threshold may unlock (see AffinityEngine / GameConfig.affinity.perks)
+    affinityPerks: ['specificTips', 'recipeHints', 'minaTea', 'secretRecipe'],
+
+    // Keys of episode.carryOver (see GameConfig.carryOver.episode); expRate is a number, the rest flags
+    carryOverKeys: ['skills', 'expRate', 'items', 'affinity']
+};
+
+// Scene script commands other than lines and choices (see SceneScriptRunner)
+const SCENE_COMMANDS = ['label', 'jump', 'goto', 'set', 'adjust', 'affinity', 'end'];
+
+/**
+ * Checks raw content against CONTENT_SCHEMA
+ * @class ContentValidator
+ */
+class ContentValidator {
+    /**
+     * @param {Object} raw - { episodes, scenes, characters } as parsed from the files
+     * @returns {Array<string>} Problems (empty when valid)
+     */
+    validate(raw) {
+        const errors = [];
+        const speakers = new Set([
+            ...Object.keys(raw.characters.cast || {}),
+            ...Object.keys(raw.characters.guests || {})
+        ]);
+        const scenes = raw.scenes.scenes || {};
+
+        this._validateCharacters({ ...(raw.characters.cast || {}), ...(raw.characters.guests || {}) }, scenes, errors);
+        this._validateScenes(scenes, speakers, errors);
+        this._validateEpisodes(raw.episodes.episodes || [], raw.characters.guests || {}, speakers, scenes, errors);
+
+        CONTENT_SCHEMA.engineScenes.forEach(sceneId => {
+            if (!scenes[sceneId]) {
+                errors.push(`scenes: missing engine scene "${sceneId}"`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Expression sprites must use known expression names, stage slots known positions
+     * @private
+     */
+    _validateCharacters(characters, scenes, errors) {
+        Object.entries(characters).forEach(([id, character]) => {
+            if (character.stage !== undefined && !CONTENT_SCHEMA.stagePositions.includes(character.stage)) {
+                errors.push(`character ${id}: unknown stage position "${character.stage}"`);
+            }
+            if (character.affinity !== undefined) {
+                this._validateAffinity(`character ${id}`, character.affinity, scenes, errors);
+            }
+            if (character.expressions === undefined) return;
+            if (typeof character.expressions !== 'object' || character.expressions === null) {
+                errors.push(`character ${id}: expressions must be an object of sprites`);
+                return;
+            }
+            if (!character.sprite) {
+                errors.push(`character ${id}: expressions need a base sprite`);
+            }
+            Object.entries(character.expressions).forEach(([expression, sprite]) => {
+                if (!CONTENT_SCHEMA.expressions.includes(expression)) {
+                    errors.push(`character ${id}: unknown expression "${expression}"`);
+                } else if (typeof sprite !== 'string' || sprite === '') {
+                    errors.push(`character ${id}: expression "${expression}" needs a sprite`);
+                }
+            });
+        });
+    }
+
+    /**
+     * { initial, thresholds: [{ level, perk?, scene? }] } within 0 - GameConfig.affinity.max
+     * @private
+     */
+    _validateAffinity(where, affinity, scenes, errors) {
+        const max = GameConfig.affinity.max;
+        const inRange = (value) => typeof value === 'number' && value >= 0 && value <= max;
+
+        if (!inRange(affinity.initial)) {
+            errors.push(`${where}: affinity.initial must be a number from 0 to ${max}`);
+        }
+        (affinity.thresholds || []).forEach((threshold, i) => {
+            const thresholdWhere = `${where}: affinity.thresholds[${i}]`;
+            if (!inRange(threshold.level) || threshold.level === 0) {
+                errors.push(`${thresholdWhere}: level must be a number from 1 to ${max}`);
+            }
+            if (threshold.perk !== undefined && !CONTENT_SCHEMA.affinityPerks.includes(threshold.perk)) {
+                errors.push(`${thresholdWhere}: unknown perk "${threshold.perk}"`);
+            }
+            if (threshold.scene !== undefined && !scenes[threshold.scene]) {
+                errors.push(`${thresholdWhere}: unknown scene id "${threshold.scene}"`);
+            }
+        });
+    }
+
+    /**
+     * Scenes are SceneScriptRunner scripts: lines, labels, jumps, choices...
+     * @private
+     */
+    _validateScenes(scenes, speakers, errors) {
+        Object.entries(scenes).forEach(([sceneId, script]) => {
+            if (!Array.isArray(script) || script.length === 0) {
+                errors.push(`scene ${sceneId}: must be a non-empty list of commands`);
+                return;
+            }
+
+            const labels = new Set();
+            script.forEach((command, i) => {
+                if (command.label === undefined) return;
+                if (labels.has(command.label)) {
+                    errors.push(`scene ${sceneId}[${i}]: duplicate label "${command.label}"`);
+                }
+                labels.add(command.label);
+            });
+
+            script.forEach((command, i) => {
+                const where = `scene ${sceneId}[${i}]`;
+                this._validateTargets(where, command, speakers, labels, scenes, errors);
+
+                if (SceneScriptRunner.isLine(command)) {
+                    if (!speakers.has(command.speaker)) {
+                        errors.push(`${where}: unknown speaker "${command.speaker}"`);
+                    }
+                    if (typeof command.text !== 'string' || command.text === '') {
+                        errors.push(`${where}: missing text`);
+                    } else {
+                        DialogueMarkup.validate(command.text).forEach(error => errors.push(`${where}: ${error}`));
+                    }
+                    if (command.expression !== undefined && !CONTENT_SCHEMA.expressions.includes(command.expression)) {
+                        errors.push(`${where}: unknown expression "${command.expression}"`);
+                    }
+                } else if (command.choice !== undefined) {
+                    this._validateChoice(where, command, speakers, labels, scenes, errors);
+                } else if (!SCENE_COMMANDS.some(key => command[key] !== undefined)) {
+                    errors.push(`${where}: unknown command ${JSON.stringify(command)}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _validateChoice(where, command, speakers, labels, scenes, errors) {
+        if (!Array.isArray(command.choice) || command.choice.length === 0) {
+            errors.push(`${where}: choice needs at least one option`);
+            return;
+        }
+        if (command.speaker !== undefined && !speakers.has(command.speaker)) {
+            errors.push(`${where}: unknown speaker "${command.speaker}"`);
+        }
+
+        const ids = new Set();
+        command.choice.forEach((option, j) => {
+            const optionWhere = `${where}.choice[${j}]`;
+            if (typeof option.id !== 'string' || option.id === '') {
+                errors.push(`${optionWhere}: missing id`);
+            } else if (ids.has(option.id)) {
+                errors.push(`${optionWhere}: duplicate id "${option.id}"`);
+            }
+            ids.add(option.id);
+
+            if (typeof option.text !== 'string' || option.text === '') {
+                errors.push(`${optionWhere}: missing text`);
+            }
+            this._validateTargets(optionWhere, option, speakers, labels, scenes, errors);
+        });
+    }
+
+    /**
+     * Parts shared by commands and choice options: if / jump / goto / set / adjust / affinity
+     * @private
+     */
+    _validateTargets(where, command, speakers, labels, scenes, errors) {
+        if (command.if !== undefined) {
+            try {
+                SceneScriptRunner.compileCondition(String(command.if));
+            } catch (error) {
+                errors.push(`${where}: ${error.message}`);
+            }
+        }
+        if (command.jump !== undefined && !labels.has(command.jump)) {
+            errors.push(`${where}: unknown label "${command.jump}"`);
+        }
+        if (command.goto !== undefined && !scenes[command.goto]) {
+            errors.push(`${where}: unknown scene id "${command.goto}"`);
+        }
+        if (command.set !== undefined && (typeof command.set !== 'object' || command.set === null)) {
+            errors.push(`${where}: set must be an object of flags`);
+        }
+        Object.entries(command.adjust || {}).forEach(([stat, delta]) => {
+            if (!SCENE_SCRIPT_STATS[stat]) {
+                errors.push(`${where}: stat "${stat}" cannot be adjusted`);
+            } else if (typeof delta !== 'number') {
+                errors.push(`${where}: adjust.${stat} must be a number`);
+            }
+        });
+        Object.entries(command.affinity || {}).forEach(([characterId, delta]) => {
+            if (!speakers.has(characterId)) {
+                errors.push(`${where}: unknown character "${characterId}" in affinity`);
+            } else if (typeof delta !== 'number') {
+                errors.push(`${where}: affinity.${characterId} must be a number`);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _validateEpisodes(episodes, guests, speakers, scenes, errors) {
+        const ids = new Set();
+
+        episodes.forEach((episode, i) => {
+            const where = `episode ${episode.id !== undefined ? episode.id : `#${i}`}`;
+
+            if (!Number.isInteger(episode.id) || episode.id < 1) {
+                errors.push(`${where}: id must be a positive integer`);
+            } else if (ids.has(episode.id)) {
+                errors.push(`${where}: duplicate id`);
+            }
+            ids.add(episode.id);
+
+            if (!Number.isInteger(episode.maxDays) || episode.maxDays < 1) {
+                errors.push(`${where}: maxDays must be a positive integer`);
+            }
+
+            this._validateCondition(where, 'winCondition', episode.winCondition, CONTENT_SCHEMA.winConditionTypes, errors);
+            this._validateCondition(where, 'lossCondition', episode.lossCondition, CONTENT_SCHEMA.lossConditionTypes, errors);
+
+            if (episode.guest && !guests[episode.guest]) {
+                errors.push(`${where}: unknown guest "${episode.guest}"`);
+            }
+            (episode.characters || []).forEach(id => {
+                if (!speakers.has(id)) {
+                    errors.push(`${where}: unknown character "${id}"`);
+                }
+            });
+
+            Object.entries(episode.scenes || {}).forEach(([key, sceneId]) => {
+                if (!CONTENT_SCHEMA.episodeSceneKeys.includes(key)) {
+                    errors.push(`${where}: unknown scene key "${key}"`);
+                } else if (!scenes[sceneId]) {
+                    errors.push(`${where}: unknown scene id "${sceneId}" (scenes.${key})`);
+                }
+            });
+
+            if (episode.mechanic !== undefined) {
+                const block = CONTENT_SCHEMA.mechanics[episode.mechanic];
+                if (!block) {
+                    errors.push(`${where}: unknown mechanic "${episode.mechanic}"`);
+                } else if (!episode[block]) {
+                    errors.push(`${where}: mechanic "${episode.mechanic}" needs "${block}"`);
+                }
+            }
+
+            Object.entries(episode.carryOver || {}).forEach(([key, value]) => {
+                if (!CONTENT_SCHEMA.carryOverKeys.includes(key)) {
+                    errors.push(`${where}: unknown carryOver key "${key}"`);
+                } else if (key === 'expRate') {
+                    if (typeof value !== 'number' || value < 0 || value > 1) {
+                        errors.push(`${where}: carryOver.expRate must be a number from 0 to 1`);
+                    }
+                } else if (typeof value !== 'boolean') {
+                    errors.push(`${where}: carryOver.${key} must be true or false`);
+                }
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _validateCondition(where, key, condition, types, errors) {
+        if (!condition) {
+            errors.push(`${where}: missing ${key}`);
+        } else if (!types.includes(condition.type)) {
+            errors.push(`${where}: bad ${key} type "${condition.type}"`);
+        }
+    }
+}
+
+/**
+ * @typedef {Object} GameContent
+ * @property {Object<number, Object>} episodes - Episode config by id
+ * @property {Object<string, Array>} scenes - Scene scripts by scene id
+ * @property {Object<string, Object>} characters - Every speaker ({ name, position }) for DialogueSystem
+ * @property {Object<string, Object>} sprites - Sprite of every character that has one ({ base, expressions }) for CharacterDisplay
+ * @property {Object<string, Object>} guests - Guest definitions of Episodes 2-5
+ * @property {Object<string, Object>} affinity - Affinity of every character that has one ({ initial, thresholds }) for AffinityEngine
+ * @property {Array<string>} errors - Validation problems
+ */
+
+class ContentLoader {
+    /**
+     * Load the content files (browser)
+     * @param {Function} [readText] - (path) => Promise<string>, defaults to fetch
+     * @returns {Promise<GameContent>}
+     */
+    static async load(readText = (file) => fetch(file).then(response => {
+        if (!response.ok) throw new Error(`${file}: HTTP ${response.status}`);
+        return response.text();
+    })) {
+        const entries = await Promise.all(
+            Object.entries(CONTENT_FILES).map(async ([key, file]) => [key, ContentLoader._parse(file, await readText(file))])
+        );
+        return ContentLoader.build(Object.fromEntries(entries));
+    }
+
+    /**
+     * Load the content files synchronously (Node: tests, simulator)
+     * @param {Function} readText - (path) => string
+     * @returns {GameContent}
+     */
+    static loadSync(readText) {
+        const raw = {};
+        Object.entries(CONTENT_FILES).forEach(([key, file]) => {
+            raw[key] = ContentLoader._parse(file, readText(file));
+        });
+        return ContentLoader.build(raw);
+    }
+
+    /**
+     * Validate raw content and index it for the engine
+     * @param {Object} raw - { episodes, scenes, characters } as parsed from the files
+     * @returns {GameContent}
+     */
+    static build(raw) {
+        const errors = new ContentValidator().validate(raw);
+        errors.forEach(error => console.error(`ContentLoader: ${error}`));
+
+        const episodes = {};
+        (raw.episodes.episodes || []).forEach(episode => {
+            episodes[episode.id] = episode;
+        });
+
+        const guests = raw.characters.guests || {};
+        const characters = {};
+        const sprites = {};
+        const affinity = {};
+        Object.entries({ ...(raw.characters.cast || {}), ...guests }).forEach(([id, character]) => {
+            characters[id] = { name: character.name, position: character.position };
+            if (character.sprite) {
+                sprites[id] = { base: character.sprite, expressions: character.expressions || {} };
+            }
+            if (character.affinity) {
+                affinity[id] = { initial: character.affinity.initial, thresholds: character.affinity.thresholds || [] };
+            }
+        });
+
+        return {
+            episodes,
+            scenes: raw.scenes.scenes || {},
+            characters,
+            sprites,
+            guests,
+            affinity,
+            errors
+        };
+    }
+
+    /**
+     * Content used when none is passed explicitly (HeadlessGame, ReplayEngine)
+     * @param {GameContent} content
+     */
+    static setDefault(content) {
+        ContentLoader._default = content;
+    }
+
+    /**
+     * @returns {GameContent|null}
+     */
+    static getDefault() {
+        return ContentLoader._default;
+    }
+
+    /**
+     * @private
+     */
+    static _parse(file, text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+    }
+}
+
+ContentLoader._default = null;
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContentLoader, ContentValidator, CONTENT_FILES, CONTENT_SCHEMA };
+}
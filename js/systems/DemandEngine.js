@@ -0,0 +1,128 @@
+/**
+ * DemandEngine - The Elf Princess's shifting demands (最終話)
+ *
+ * The princess always wants one thing: a skill emphasis (包丁さばき, 煮込み...)
+ * or a flavor profile (サクサク, とろける...) that several skills can deliver.
+ * - Every completed day she changes her mind with modifiers.demandChangeChance
+ *   and GameEvents.REQUIREMENT_CHANGED is emitted
+ * - A successful dish that uses one of the demanded skills raises satisfaction
+ * - Anything else she is served (wrong skill or a failed dish) raises anger
+ * Cleaning and rest serve nothing, so she ignores them.
+ *
+ * `princessDemand` in GameState holds the demand id. Skill demands use the skill
+ * id itself, so saves from before flavor profiles stay valid.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages the princess's demands
+ * - Open/Closed: New demands are `demands` entries (kind skill / flavor with their
+ *   skills and line); the engine only matches dish skills against them
+ * - Dependency Inversion: Announces changes with REQUIREMENT_CHANGED, never touches the DOM
+ *
+ * @class DemandEngine
+ */
+class DemandEngine {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     */
+    constructor(eventBus, gameState) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._configs = new Map(); // episode id → episode config
+    }
+
+    // ===== Episode Rules =====
+
+    /**
+     * Rule hooks for EpisodeManager.registerEpisodeRules()
+     * @param {Object} config - Episode config (data/episodes.json entry with `demands`)
+     * @returns {EpisodeRules}
+     */
+    createEpisodeRules(config) {
+        this._configs.set(config.id, config);
+
+        return {
+            onStart: () => {
+                this._changeDemand(config, null);
+            },
+            onAction: (state, data) => {
+                this._judgeDish(config, state, data);
+            },
+            onDayComplete: (state) => {
+                if (this._gameState.getRng().chance(config.modifiers.demandChangeChance)) {
+                    this._changeDemand(config, state.princessDemand);
+                }
+            }
+        };
+    }
+
+    // ===== Demand Access =====
+
+    /**
+     * Definition of a demand in the current episode
+     * @param {string} [demandId] - Defaults to the current demand
+     * @returns {Object|null} { id, kind, name, icon, skills, line }
+     */
+    getDemand(demandId = this._gameState.get('princessDemand')) {
+        const config = this._configs.get(this._gameState.get('currentEpisode'));
+        if (!config || !demandId) return null;
+        const demand = config.demands.find(d => d.id === demandId);
+        return demand ? { ...demand, skills: [...demand.skills] } : null;
+    }
+
+    /**
+     * Does a dish cooked with these skills meet the demand?
+     * @param {string} demandId
+     * @param {Array<string>} usedSkills - Skills that gained EXP
+     * @returns {boolean}
+     */
+    matches(demandId, usedSkills) {
+        const demand = this.getDemand(demandId);
+        return !!demand && demand.skills.some(skill => usedSkills.includes(skill));
+    }
+
+    // ===== Mechanics =====
+
+    /**
+     * @private
+     */
+    _judgeDish(config, state, data) {
+        const usedSkills = Object.keys(data.result.expGains || {});
+        if (usedSkills.length === 0) return; // Cleaning / rest: nothing served
+
+        const rules = config.rules;
+        if (data.result.actionSuccess && this.matches(state.princessDemand, usedSkills)) {
+            this._gameState.adjust('princessSatisfaction', rules.satisfactionPerMatch, 0, 100);
+        } else {
+            this._gameState.adjust('princessAnger', rules.angerPerMiss, 0, 100);
+        }
+    }
+
+    /**
+     * Pick a new demand (never the same one twice in a row)
+     * @private
+     * @param {Object} config - Episode config
+     * @param {string|null} previous - Current demand id
+     */
+    _changeDemand(config, previous) {
+        const candidates = config.demands.filter(d => d.id !== previous);
+        const demand = this._gameState.getRng().pick(candidates);
+
+        this._gameState.update({ princessDemand: demand.id });
+        this._eventBus.emit(GameEvents.REQUIREMENT_CHANGED, {
+            episode: config.id,
+            demand: demand.id,
+            previous,
+            kind: demand.kind,
+            name: demand.name,
+            icon: demand.icon,
+            line: demand.line,
+            message: I18n.t(previous ? 'demand.changed' : 'demand.first', { name: I18n.text(demand.name) })
+        });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DemandEngine };
+}
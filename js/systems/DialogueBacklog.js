@@ -0,0 +1,179 @@
+/**
+ * DialogueBacklog - Log of every dialogue line of the run
+ *
+ * Records each line DialogueSystem shows (and the lines a skip jumps over)
+ * with its speaker, text, scene id and dialogue type. The log survives scene
+ * and episode changes and is saved with the game (SaveManager snapshot).
+ *
+ * Rewind: a line can be shown again while its sequence is still on screen.
+ * Scene script commands (choices, set / adjust) run between sequences, so
+ * going back across them would replay their effects - those lines are read-only.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only records lines, DialogueUIRenderer draws the log
+ * - Dependency Inversion: Listens to EventBus, rewinds through the DialogueSystem interface
+ *
+ * @class DialogueBacklog
+ */
+
+/**
+ * @typedef {Object} BacklogEntry
+ * @property {string} speaker - Character ID
+ * @property {string} name - Display name when the line was shown
+ * @property {string} text - Dialogue text
+ * @property {string|null} sceneId - Scene the line belongs to (null for lines not from a scene)
+ * @property {string} type - Dialogue type ('intro', 'event', ...)
+ * @property {number} sequence - Dialogue sequence number (one DialogueSystem.start call)
+ * @property {number} index - Line index in the sequence
+ * @property {boolean} skipped - True if the line was skipped, not shown
+ */
+
+class DialogueBacklog {
+    /**
+     * @param {EventBus} eventBus - Event bus for dialogue events
+     * @param {DialogueSystem} dialogueSystem - Dialogue engine (rewind target)
+     */
+    constructor(eventBus, dialogueSystem) {
+        this._eventBus = eventBus;
+        this._dialogueSystem = dialogueSystem;
+
+        this._entries = [];
+        this._sequence = 0;
+        this._isSequenceActive = false;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this._eventBus.on(GameEvents.DIALOGUE_STARTED, () => {
+            this._sequence++;
+            this._isSequenceActive = true;
+        });
+        this._eventBus.on(GameEvents.DIALOGUE_COMPLETED, () => {
+            this._isSequenceActive = false;
+        });
+        this._eventBus.on(GameEvents.DIALOGUE_ADVANCED, (data) => {
+            this._record(data.line, data.character, data.index, data.type, false);
+        });
+        this._eventBus.on(GameEvents.DIALOGUE_SKIPPED, (data) => {
+            (data.lines || []).forEach((line, i) => {
+                const character = this._dialogueSystem.getCharacter
+                    ? this._dialogueSystem.getCharacter(line.speaker)
+                    : null;
+                this._record(line, character, data.startIndex + i, data.type, true);
+            });
+        });
+        this._eventBus.on(GameEvents.DIALOGUE_REWOUND, (data) => {
+            // The rewound line and everything after it are shown again
+            this._entries = this._entries.filter(entry =>
+                entry.sequence !== this._sequence || entry.index < data.index
+            );
+            this._emitUpdated();
+        });
+    }
+
+    // ===== Public Methods =====
+
+    /**
+     * @returns {BacklogEntry[]} Oldest first
+     */
+    getEntries() {
+        return this._entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Check if the line at a backlog position can be shown again
+     * @param {number} position - Index in getEntries()
+     * @returns {boolean}
+     */
+    canRewind(position) {
+        const entry = this._entries[position];
+        if (!entry || entry.skipped || !this._isSequenceActive || entry.sequence !== this._sequence) {
+            return false;
+        }
+        return entry.index < this._dialogueSystem.getProgress().current - 1;
+    }
+
+    /**
+     * Show the line at a backlog position again (see canRewind)
+     * @param {number} position - Index in getEntries()
+     * @returns {boolean} True if rewound
+     */
+    rewindTo(position) {
+        if (!this.canRewind(position)) {
+            console.warn(`DialogueBacklog.rewindTo: Line ${position} cannot be rewound`);
+            return false;
+        }
+        return this._dialogueSystem.rewind(this._entries[position].index);
+    }
+
+    /**
+     * Forget every line (new game)
+     */
+    clear() {
+        this._entries = [];
+        this._emitUpdated();
+    }
+
+    // ===== Save / Load =====
+
+    /**
+     * @returns {Object} Plain data for SaveManager
+     */
+    getSnapshot() {
+        return { entries: this.getEntries() };
+    }
+
+    /**
+     * Restore a snapshot (null / older saves without a backlog start empty)
+     * Restored lines are read-only: their sequence is no longer on screen.
+     * @param {Object|null} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const entries = snapshot && Array.isArray(snapshot.entries) ? snapshot.entries : [];
+        this._sequence++;
+        this._isSequenceActive = false;
+        this._entries = entries
+            .filter(entry => entry && typeof entry.text === 'string')
+            .slice(-GameConfig.backlog.maxEntries)
+            .map(entry => ({ ...entry, sequence: -1 }));
+        this._emitUpdated();
+    }
+
+    // ===== Private Methods =====
+
+    /**
+     * @private
+     */
+    _record(line, character, index, type, skipped) {
+        if (!line) return;
+
+        this._entries.push({
+            speaker: line.speaker,
+            name: line.speaker === 'narrator' ? '' : (character ? character.name : line.speaker),
+            text: line.text,
+            sceneId: line.scene || null,
+            type: type || 'default',
+            sequence: this._sequence,
+            index,
+            skipped
+        });
+
+        if (this._entries.length > GameConfig.backlog.maxEntries) {
+            this._entries.splice(0, this._entries.length - GameConfig.backlog.maxEntries);
+        }
+        this._emitUpdated();
+    }
+
+    /**
+     * @private
+     */
+    _emitUpdated() {
+        this._eventBus.emit(GameEvents.BACKLOG_UPDATED, { count: this._entries.length });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DialogueBacklog };
+}
@@ -13,8 +13,151 @@
  * @typedef {Object} DialogueLine
  * @property {string} speaker - Character ID
  * @property {string} text - Dialogue text
+ * @property {string} [expression] - Sprite expression ('angry', 'happy'...); neutral when omitted
  */
 
+/**
+ * @typedef {Object} MarkupSegment
+ * @property {string} type - 'text' | 'pause' | 'shake'
+ * @property {string} [text] - Text of a 'text' segment (markup removed)
+ * @property {boolean} [bold] - {b}...{/b}
+ * @property {string|null} [color] - {color=red}...{/color}
+ * @property {number|null} [speed] - {speed=80}...{/speed}: ms per character
+ * @property {string|null} [ruby] - {ruby=よみ}...{/ruby}: furigana over the text
+ * @property {number} [duration] - Pause length in ms
+ */
+
+// ===== DIALOGUE MARKUP =====
+const MARKUP_TAG = /\{\{|\{(\/?)([a-z]+)(?:=([^{}]*))?\}/g;
+
+// Tags that wrap text ({tag}...{/tag}) and the segment property they set
+const MARKUP_STYLE_TAGS = {
+    b: { key: 'bold', parse: () => true, isValid: () => true },
+    color: { key: 'color', parse: (value) => value, isValid: (value) => /^(#[0-9a-f]{3}|#[0-9a-f]{6}|[a-z]+)$/i.test(value || '') },
+    speed: { key: 'speed', parse: (value) => Number(value), isValid: (value) => /^\d+$/.test(value || '') },
+    ruby: { key: 'ruby', parse: (value) => value, isValid: (value) => !!value }
+};
+
+/**
+ * Inline markup of dialogue text
+ *
+ * - {pause=600} / {pause}   wait before typing on (ms, default 500)
+ * - {speed=90}...{/speed}   typing speed inside the tag (ms per character)
+ * - {b}...{/b}              bold emphasis
+ * - {color=red}...{/color}  colored text (color name or #hex)
+ * - {ruby=よみ}漢字{/ruby}   furigana
+ * - {shake}                 screen shake when typing reaches this point
+ * - {{                      a literal "{"
+ *
+ * Unknown tags stay in the text as written; ContentValidator reports them.
+ *
+ * @class DialogueMarkup
+ */
+class DialogueMarkup {
+    /**
+     * Split text into typed segments
+     * @param {string} text - Dialogue text with markup
+     * @returns {{ segments: MarkupSegment[], text: string }} text = plain text without markup
+     */
+    static parse(text) {
+        const segments = [];
+        const open = { bold: [], color: [], speed: [], ruby: [] };
+        const source = String(text === undefined || text === null ? '' : text);
+        let plain = '';
+
+        const pushText = (value) => {
+            if (!value) return;
+            const style = {
+                bold: open.bold.length > 0,
+                color: open.color.length > 0 ? open.color[open.color.length - 1] : null,
+                speed: open.speed.length > 0 ? open.speed[open.speed.length - 1] : null,
+                ruby: open.ruby.length > 0 ? open.ruby[open.ruby.length - 1] : null
+            };
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'text' && !style.ruby && !last.ruby
+                && last.bold === style.bold && last.color === style.color && last.speed === style.speed) {
+                last.text += value;
+            } else {
+                segments.push({ type: 'text', text: value, ...style });
+            }
+            plain += value;
+        };
+
+        let position = 0;
+        MARKUP_TAG.lastIndex = 0;
+        let match;
+        while ((match = MARKUP_TAG.exec(source)) !== null) {
+            pushText(source.slice(position, match.index));
+            position = MARKUP_TAG.lastIndex;
+
+            const [tag, closing, name, value] = match;
+            if (tag === '{{') {
+                pushText('{');
+            } else if (name === 'pause' && !closing) {
+                const duration = value !== undefined && /^\d+$/.test(value) ? Number(value) : DialogueMarkup.DEFAULT_PAUSE;
+                segments.push({ type: 'pause', duration });
+            } else if (name === 'shake' && !closing) {
+                segments.push({ type: 'shake' });
+            } else if (MARKUP_STYLE_TAGS[name]) {
+                const style = MARKUP_STYLE_TAGS[name];
+                if (closing) {
+                    open[style.key].pop();
+                } else {
+                    open[style.key].push(style.parse(value));
+                }
+            } else {
+                pushText(tag);
+            }
+        }
+        pushText(source.slice(position));
+
+        return { segments, text: plain };
+    }
+
+    /**
+     * List markup mistakes (for ContentValidator)
+     * @param {string} text - Dialogue text with markup
+     * @returns {Array<string>} Problems (empty when valid)
+     */
+    static validate(text) {
+        const errors = [];
+        const open = [];
+        const source = String(text);
+
+        MARKUP_TAG.lastIndex = 0;
+        let match;
+        while ((match = MARKUP_TAG.exec(source)) !== null) {
+            const [tag, closing, name, value] = match;
+            if (tag === '{{') continue;
+
+            if (name === 'pause' || name === 'shake') {
+                if (closing) {
+                    errors.push(`markup ${tag} has no closing form`);
+                } else if (name === 'pause' && value !== undefined && !/^\d+$/.test(value)) {
+                    errors.push(`markup ${tag} needs a duration in ms`);
+                }
+            } else if (!MARKUP_STYLE_TAGS[name]) {
+                errors.push(`unknown markup ${tag}`);
+            } else if (closing) {
+                if (open[open.length - 1] !== name) {
+                    errors.push(`markup ${tag} does not close an open tag`);
+                } else {
+                    open.pop();
+                }
+            } else if (!MARKUP_STYLE_TAGS[name].isValid(value)) {
+                errors.push(`markup ${tag} has a bad value`);
+            } else {
+                open.push(name);
+            }
+        }
+        open.forEach(name => errors.push(`markup {${name}} is not closed`));
+
+        return errors;
+    }
+}
+
+DialogueMarkup.DEFAULT_PAUSE = 500;
+
 /**
  * @typedef {Object} Character
  * @property {string} name - Display name
@@ -40,9 +183,11 @@ class DialogueSystem {
         this._queue = [];
         this._currentIndex = 0;
         this._isTyping = false;
-        this._currentText = '';
+        this._markup = { segments: [], text: '' };
+        this._typingSteps = [];
+        this._stepIndex = 0;
         this._charIndex = 0;
-        this._typingInterval = null;
+        this._typingTimer = null;
         this._autoAdvanceTimeout = null;
         this._onComplete = null;
         this._dialogueType = 'default';
@@ -123,18 +268,64 @@ class DialogueSystem {
 
     /**
      * Skip entire dialogue sequence
+     * The lines that were not shown go with the event (the backlog keeps them).
      */
     skip() {
         this._stopTyping();
+        const skippedLines = this._queue.slice(this._currentIndex + 1);
+        const firstSkipped = this._currentIndex + 1;
         this._currentIndex = this._queue.length;
 
         this._eventBus.emit(GameEvents.DIALOGUE_SKIPPED, {
-            type: this._dialogueType
+            type: this._dialogueType,
+            lines: skippedLines,
+            startIndex: firstSkipped
         });
 
         this._complete();
     }
 
+    /**
+     * Go back to an earlier line of the sequence on screen and show it again
+     * @param {number} index - Line index in the current sequence
+     * @returns {boolean} True if rewound
+     */
+    rewind(index) {
+        if (!this.isActive() || !Number.isInteger(index) || index < 0 || index > this._currentIndex) {
+            console.warn(`DialogueSystem.rewind: Line ${index} is not in the current sequence`);
+            return false;
+        }
+
+        this._stopTyping();
+        this._currentIndex = index;
+
+        this._eventBus.emit(GameEvents.DIALOGUE_REWOUND, {
+            index,
+            type: this._dialogueType
+        });
+
+        this._showCurrentLine();
+        return true;
+    }
+
+    /**
+     * Show the line on screen again in the current language (after a language switch)
+     * A line still being typed starts over, a finished one is shown in full.
+     */
+    refreshLine() {
+        const line = this._queue[this._currentIndex];
+        if (!this.isActive() || !line) return;
+
+        if (this._isTyping) {
+            this._startTyping(I18n.text(line.text));
+            return;
+        }
+
+        this._markup = DialogueMarkup.parse(I18n.text(line.text));
+        this._charIndex = this._markup.text.length;
+        this._emitTyping(true);
+    }
+
     /**
      * Check if dialogue is active
      * @returns {boolean}
@@ -203,44 +394,93 @@ class DialogueSystem {
         if (character) {
             this._eventBus.emit(GameEvents.CHARACTER_SPEAKING, {
                 characterId: line.speaker,
-                character
+                character,
+                expression: line.expression || null
             });
         }
 
-        this._startTyping(line.text);
+        this._startTyping(I18n.text(line.text));
     }
 
+    /**
+     * Type the line one step at a time: characters at their markup speed,
+     * pauses, and shake cues when typing reaches them
+     * @private
+     */
     _startTyping(text) {
+        this._stopTyping(); // Clear any running timer
+
         this._isTyping = true;
-        this._currentText = text;
+        this._markup = DialogueMarkup.parse(text);
+        this._typingSteps = [];
+        this._markup.segments.forEach(segment => {
+            if (segment.type === 'text') {
+                const delay = segment.speed !== null ? segment.speed : this._config.typingSpeed;
+                for (let i = 0; i < segment.text.length; i++) {
+                    this._typingSteps.push({ type: 'char', delay });
+                }
+            } else {
+                this._typingSteps.push(segment);
+            }
+        });
+        this._stepIndex = 0;
         this._charIndex = 0;
 
-        this._stopTyping(); // Clear any existing interval
+        this._typeNextStep();
+    }
 
-        this._typingInterval = setInterval(() => {
-            if (this._charIndex < this._currentText.length) {
-                this._charIndex++;
+    /**
+     * @private
+     */
+    _typeNextStep() {
+        while (this._stepIndex < this._typingSteps.length) {
+            const step = this._typingSteps[this._stepIndex++];
 
-                this._eventBus.emit('dialogue:typing', {
-                    text: this._currentText.substring(0, this._charIndex),
-                    fullText: this._currentText,
-                    isComplete: false
-                });
-            } else {
-                this._completeTyping();
+            if (step.type === 'shake') {
+                this._eventBus.emit(GameEvents.DIALOGUE_SHAKE, { type: this._dialogueType });
+                continue;
             }
-        }, this._config.typingSpeed);
+            if (step.type === 'pause') {
+                this._typingTimer = setTimeout(() => this._typeNextStep(), step.duration);
+                return;
+            }
+
+            this._typingTimer = setTimeout(() => {
+                this._charIndex++;
+                this._emitTyping(false);
+                this._typeNextStep();
+            }, step.delay);
+            return;
+        }
+
+        this._completeTyping();
+    }
+
+    /**
+     * @private
+     */
+    _emitTyping(isComplete) {
+        this._eventBus.emit('dialogue:typing', {
+            text: this._markup.text.substring(0, this._charIndex),
+            fullText: this._markup.text,
+            segments: this._markup.segments,
+            visibleChars: this._charIndex,
+            isComplete
+        });
     }
 
     _completeTyping() {
         this._stopTyping();
         this._isTyping = false;
 
-        this._eventBus.emit('dialogue:typing', {
-            text: this._currentText,
-            fullText: this._currentText,
-            isComplete: true
-        });
+        // A shake cue the player clicked past still lands once
+        if (this._typingSteps.slice(this._stepIndex).some(step => step.type === 'shake')) {
+            this._eventBus.emit(GameEvents.DIALOGUE_SHAKE, { type: this._dialogueType });
+        }
+        this._stepIndex = this._typingSteps.length;
+        this._charIndex = this._markup.text.length;
+
+        this._emitTyping(true);
 
         // CRITICAL: Auto-advance if auto mode is enabled
         // Check GameState's isAutoMode flag and auto-advance after delay
@@ -272,9 +512,9 @@ class DialogueSystem {
     }
 
     _stopTyping() {
-        if (this._typingInterval) {
-            clearInterval(this._typingInterval);
-            this._typingInterval = null;
+        if (this._typingTimer) {
+            clearTimeout(this._typingTimer);
+            this._typingTimer = null;
         }
         // Also clear auto-advance timeout when stopping typing
         if (this._autoAdvanceTimeout) {
@@ -314,15 +554,7 @@ class DialogueSystem {
     }
 }
 
-// Character definitions (can be extended)
-const DEFAULT_CHARACTERS = {
-    fuji: { name: 'フジ', position: 'left' },
-    owner: { name: '老店主', position: 'right' },
-    mina: { name: 'ミナ', position: 'center' },
-    narrator: { name: 'ナレーター', position: 'center' }
-};
-
 // Export for ES6 modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DialogueSystem, DEFAULT_CHARACTERS };
+    module.exports = { DialogueSystem, DialogueMarkup };
 }
@@ -1,9 +1,13 @@
 /**
  * EpisodeManager - Manages episode content and progression
  *
+ * Episodes, scenes and guests are content loaded by ContentLoader (data/*.json);
+ * this class interprets them: win / loss conditions, scene playback and the
+ * subsystem (episode.mechanic) that runs each episode's rules.
+ *
  * SOLID Principles:
  * - Single Responsibility: Only manages episode definitions and flow
- * - Open/Closed: New episodes can be added via registerEpisode()
+ * - Open/Closed: New episodes can be added via registerEpisode() or data/episodes.json
  * - Dependency Inversion: Uses EventBus for communication
  */
 
@@ -13,209 +17,52 @@ const BACKGROUNDS = {
     INTERIOR_DINER: 'interior_diner'   // 食堂.png
 };
 
-// ===== SCENE IDENTIFIERS =====
-const SCENES = {
-    RESCUE: 'SCENE1_RESCUE',
-    KITCHEN: 'SCENE2_KITCHEN',
-    MASTER: 'SCENE3_MASTER',
-    START: 'SCENE5_START',
-    PERFECT_CYCLE: 'PERFECT_CYCLE',
-    STAGNATION_CRISIS: 'STAGNATION_CRISIS',
-    HYBRID_MOMENT: 'HYBRID_MOMENT'
-};
-
-// ===== 5-EPISODE CONFIGURATION =====
-const EPISODE_CONFIG = {
-    1: {
-        id: 1,
-        title: '第1話：不可能な弟子入り',
-        subtitle: 'The Impossible Apprenticeship',
-        description: '親父の伝説料理「キメラシチュー」を7日間で再現せよ！',
-        dish: 'キメラシチュー',
-        dishEnglish: 'Chimera Stew',
-        guest: null,
-        characters: ['mina', 'owner', 'fuji'],
-        maxDays: 7,
-        maxGrowth: 50,
-        actionsPerDay: 3,
-        modifiers: {
-            qualityDecayRate: 1.0,
-            orderFrequency: 1.0,
-            ingredientConsumption: 1
-        },
-        // Mid-week crisis event (Days 3-4)
-        spiceCrisis: {
-            triggerDay: 3,
-            endDay: 4,
-            qualityPenalty: -0.20,      // -20% success for quality/cooking
-            experimentBonus: 0.20        // +20% success for experiment
-        },
-        winCondition: {
-            type: 'growth_target',
-            growth: 50,
-            byDay: 7
-        },
-        lossCondition: {
-            type: 'day_limit_failed',
-            maxDay: 7,
-            requiredGrowth: 50
-        }
-    },
-    2: {
-        id: 2,
-        title: '第2話：ゴブリン襲来！底なしの胃袋',
-        subtitle: 'Goblin Raid! The Bottomless Pit',
-        description: '食材切れ即ゲームオーバー！高頻度の注文に対応せよ',
-        guest: 'goblin',
-        characters: ['mina', 'owner', 'fuji', 'goblin'],
-        modifiers: {
-            qualityDecayRate: 1.0,
-            orderFrequency: 2.0,      // Orders come 2x faster
-            ingredientConsumption: 2  // Uses 2x ingredients per order
-        },
-        winCondition: {
-            type: 'survive_orders',
-            ordersCompleted: 10
-        },
-        lossCondition: {
-            type: 'ingredients_zero',  // SPECIAL: Ingredients = 0 = Game Over!
-            ingredients: 0
-        }
-    },
-    3: {
-        id: 3,
-        title: '第3話：ドラゴン猛襲！破壊者',
-        subtitle: 'Dragon Onslaught! The Destroyer',
-        description: '品質が2倍速で劣化！整備で厨房を安定させろ',
-        guest: 'dragonoid',
-        characters: ['mina', 'owner', 'fuji', 'dragonoid'],
-        modifiers: {
-            qualityDecayRate: 2.0,    // Quality decays 2x faster!
-            orderFrequency: 1.0,
-            ingredientConsumption: 1
-        },
-        winCondition: {
-            type: 'quality_survival',
-            minQuality: 30,
-            turnsToSurvive: 12
-        },
-        lossCondition: {
-            type: 'quality_zero',
-            quality: 0
-        }
-    },
-    4: {
-        id: 4,
-        title: '第4話：天才ライバル、スリモン登場！',
-        subtitle: 'The Genius Rival: Srimon Appears!',
-        description: '料理対決！ライバルの見えないスコアを超えろ',
-        guest: 'srimon',
-        characters: ['mina', 'owner', 'fuji', 'srimon'],
-        isRivalBattle: true,
-        modifiers: {
-            qualityDecayRate: 1.0,
-            orderFrequency: 1.0,
-            ingredientConsumption: 1
-        },
-        rivalConfig: {
-            baseGrowthPerTurn: 2,     // Rival gains 2 growth per turn
-            variability: 1,            // +/- 1 random
-            catchUpBonus: 0.5          // Gains 50% more when behind
-        },
-        winCondition: {
-            type: 'rival_battle',
-            turnsToWin: 15,
-            mustBeAhead: true
-        },
-        lossCondition: {
-            type: 'rival_ahead',
-            rivalLeadThreshold: 15     // Lose if rival is 15+ ahead
-        }
-    },
-    5: {
-        id: 5,
-        title: '最終話：食堂危機！わがまま姫',
-        subtitle: 'Diner in Crisis! The Tomboy Elf Princess',
-        description: '最終試練！学んだ全てを使い、姫の無理難題をクリアせよ',
-        guest: 'elfPrincess',
-        characters: ['mina', 'owner', 'fuji', 'elfPrincess'],
-        isFinalBoss: true,
-        modifiers: {
-            qualityDecayRate: 1.5,
-            orderFrequency: 1.5,
-            ingredientConsumption: 1,
-            demandChangeChance: 0.4    // 40% chance of demand change per turn
-        },
-        winCondition: {
-            type: 'final_satisfaction',
-            growth: 50,
-            princessSatisfaction: 100
-        },
-        lossCondition: {
-            type: 'princess_rage',
-            princessAnger: 100
-        }
-    }
-};
-
-// ===== GUEST CHARACTER DEFINITIONS =====
-const GUEST_CHARACTERS = {
-    goblin: {
-        id: 'goblin',
-        name: 'ゴブリン',
-        sprite: 'goblin.png',
-        personality: 'hungry',
-        catchphrase: 'もっと食わせろ！腹減った！'
-    },
-    dragonoid: {
-        id: 'dragonoid',
-        name: 'ドラゴノイド',
-        sprite: 'dragonoid.png',
-        personality: 'destructive',
-        catchphrase: '熱いのをよこせ！ぬるいと焼き尽くすぞ！'
-    },
-    srimon: {
-        id: 'srimon',
-        name: 'スリモン',
-        sprite: 'srimon.png',
-        personality: 'rival',
-        catchphrase: 'ふん、その程度か？僕の料理を見せてやる'
-    },
-    elfPrincess: {
-        id: 'elfPrincess',
-        name: 'エルフ姫',
-        sprite: 'elf_princess.png',
-        personality: 'demanding',
-        catchphrase: 'これじゃない！もっと...こう...キラキラした感じ！'
-    }
-};
-
 /**
  * @typedef {Object} EpisodeDefinition
  * @property {number} id - Episode ID
  * @property {string} title - Episode title
  * @property {Object} goals - Completion goals
- * @property {Array} scenes - VN scenes for this episode
+ * @property {Object} scenes - Scene ids { intro, clear, failed } (Episode 1 plays its own intro)
+ * @property {string|null} mechanic - Subsystem that runs the episode rules ('orders', 'rival'...)
+ * @property {number} maxDays - Days until the episode judgment
  * @property {Function} checkCompletion - Check if episode is complete
+ * @property {Function} checkFailure - Check if episode is lost
+ */
+
+/**
+ * @typedef {Object} EpisodeRules
+ * Episode-specific mechanics (all hooks optional, receive the current state)
+ * @property {Function} [onStart] - (state) on episode start / retry
+ * @property {Function} [onAction] - (state, actionData) after each executed action
+ * @property {Function} [onDayComplete] - (state) after the day counter advanced
  */
 
 class EpisodeManager {
     /**
      * @param {EventBus} eventBus - Event bus for communication
-     * @param {DialogueSystem} dialogueSystem - Dialogue system
+     * @param {DialogueSystem} dialogueSystem - Dialogue system (driven by SceneScriptRunner)
      * @param {GameState} gameState - Game state manager
+     * @param {GameContent} [content] - Loaded content (defaults to ContentLoader.getDefault())
      */
-    constructor(eventBus, dialogueSystem, gameState) {
+    constructor(eventBus, dialogueSystem, gameState, content = ContentLoader.getDefault()) {
         this._eventBus = eventBus;
         this._dialogueSystem = dialogueSystem;
         this._gameState = gameState;
+        this._content = content;
 
         // Episode registry (Open/Closed: can be extended)
         this._episodes = new Map();
         this._sceneData = new Map();
+        this._episodeRules = new Map();
 
-        // Register default episodes
-        this._registerDefaultEpisodes();
+        // Affinity bonus scenes wait here until no other scene or dialogue is playing
+        this._bonusScenes = [];
+
+        // Scenes are scripts (branches, choices, flags) run on top of DialogueSystem
+        this._sceneRunner = new SceneScriptRunner(eventBus, dialogueSystem, gameState, (sceneId) => this._sceneData.get(sceneId) || null);
+
+        // Register the loaded episodes and scenes
+        this._registerContent();
 
         // Setup event listeners
         this._setupEventListeners();
@@ -240,11 +87,70 @@ class EpisodeManager {
         this._sceneData.set(sceneId, dialogues);
     }
 
-    // ===== Default Episodes =====
+    /**
+     * Register the mechanics of an episode (replaces existing rules)
+     * @param {number} episodeId - Episode ID
+     * @param {EpisodeRules} rules - Rule hooks
+     */
+    registerEpisodeRules(episodeId, rules) {
+        this._episodeRules.set(episodeId, rules);
+    }
+
+    /**
+     * Plug in the Goblin order queue (episodes with mechanic 'orders')
+     * @param {OrderQueue} orderQueue - Order queue subsystem
+     */
+    setOrderQueue(orderQueue) {
+        this._registerMechanic('orders', orderQueue);
+    }
+
+    /**
+     * Plug in the Dragonoid's kitchen-condition model (mechanic 'qualityDecay')
+     * @param {QualityDecayEngine} qualityDecayEngine - Quality decay subsystem
+     */
+    setQualityDecayEngine(qualityDecayEngine) {
+        this._registerMechanic('qualityDecay', qualityDecayEngine);
+    }
+
+    /**
+     * Plug in Srimon (mechanic 'rival')
+     * @param {RivalEngine} rivalEngine - Rival subsystem
+     */
+    setRivalEngine(rivalEngine) {
+        this._registerMechanic('rival', rivalEngine);
+    }
+
+    /**
+     * Plug in the Elf Princess's demands (mechanic 'demands')
+     * @param {DemandEngine} demandEngine - Demand subsystem
+     */
+    setDemandEngine(demandEngine) {
+        this._registerMechanic('demands', demandEngine);
+    }
+
+    /**
+     * Use a subsystem as the rules of every episode with this mechanic
+     * @private
+     * @param {string} mechanic - episode.mechanic in data/episodes.json
+     * @param {Object} engine - Subsystem with createEpisodeRules(config)
+     */
+    _registerMechanic(mechanic, engine) {
+        this._episodes.forEach(episode => {
+            if (episode.mechanic === mechanic) {
+                this.registerEpisodeRules(episode.id, engine.createEpisodeRules(this.getEpisodeConfig(episode.id)));
+            }
+        });
+    }
+
+    // ===== Content =====
 
-    _registerDefaultEpisodes() {
-        // Register all 5 episodes from EPISODE_CONFIG
-        Object.values(EPISODE_CONFIG).forEach(config => {
+    _registerContent() {
+        if (!this._content) {
+            console.error('EpisodeManager: No content loaded (ContentLoader)');
+            return;
+        }
+
+        Object.values(this._content.episodes).forEach(config => {
             this.registerEpisode({
                 id: config.id,
                 title: config.title,
@@ -252,9 +158,12 @@ class EpisodeManager {
                 description: config.description,
                 guest: config.guest,
                 characters: config.characters,
+                maxDays: config.maxDays,
                 modifiers: config.modifiers,
                 winCondition: config.winCondition,
                 lossCondition: config.lossCondition,
+                mechanic: config.mechanic || null,
+                scenes: config.scenes || {},
                 isRivalBattle: config.isRivalBattle || false,
                 rivalConfig: config.rivalConfig || null,
                 isFinalBoss: config.isFinalBoss || false,
@@ -263,8 +172,18 @@ class EpisodeManager {
             });
         });
 
-        // Register default scenes
-        this._registerDefaultScenes();
+        Object.entries(this._content.scenes).forEach(([sceneId, dialogues]) => {
+            this.registerScene(sceneId, dialogues);
+        });
+    }
+
+    /**
+     * Full config of an episode as loaded from data/episodes.json
+     * @param {number} episodeId - Episode ID
+     * @returns {Object|null}
+     */
+    getEpisodeConfig(episodeId) {
+        return (this._content && this._content.episodes[episodeId]) || null;
     }
 
     /**
@@ -274,11 +193,14 @@ class EpisodeManager {
      * @returns {boolean}
      */
     _checkEpisodeWin(episodeId, state) {
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         if (!config) return false;
 
         const win = config.winCondition;
         switch (win.type) {
+            case 'growth_target':
+                return state.growth >= win.growth;
+
             case 'growth_and_balance':
                 return state.growth >= win.growth && this._gameState.isBalanced();
 
@@ -309,11 +231,14 @@ class EpisodeManager {
      * @returns {boolean}
      */
     _checkEpisodeLoss(episodeId, state) {
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         if (!config) return false;
 
         const loss = config.lossCondition;
         switch (loss.type) {
+            case 'day_limit_failed':
+                return state.day >= loss.maxDay && state.growth < loss.requiredGrowth;
+
             case 'stagnation':
                 return state.stagnation >= loss.stagnation;
 
@@ -341,7 +266,7 @@ class EpisodeManager {
      */
     getEpisodeModifiers() {
         const episodeId = this._gameState.get('currentEpisode');
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         return config ? config.modifiers : {
             qualityDecayRate: 1.0,
             orderFrequency: 1.0,
@@ -355,9 +280,9 @@ class EpisodeManager {
      */
     getEpisodeGuest() {
         const episodeId = this._gameState.get('currentEpisode');
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         if (!config || !config.guest) return null;
-        return GUEST_CHARACTERS[config.guest] || null;
+        return this._content.guests[config.guest] || null;
     }
 
     /**
@@ -366,7 +291,7 @@ class EpisodeManager {
      */
     isRivalBattle() {
         const episodeId = this._gameState.get('currentEpisode');
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         return config ? config.isRivalBattle : false;
     }
 
@@ -376,102 +301,145 @@ class EpisodeManager {
      */
     getRivalConfig() {
         const episodeId = this._gameState.get('currentEpisode');
-        const config = EPISODE_CONFIG[episodeId];
+        const config = this.getEpisodeConfig(episodeId);
         return config ? config.rivalConfig : null;
     }
 
-    _registerDefaultScenes() {
-        // ===== EPISODE 1: THE IMPOSSIBLE APPRENTICESHIP =====
-
-        // Scene 1: The Rescue (Reincarnation)
-        this.registerScene('SCENE1_RESCUE', [
-            { speaker: 'narrator', text: '気がつくと、あなたは見知らぬ路上で倒れていた。' },
-            { speaker: 'narrator', text: '記憶がぼんやりとしている...前世では確か、ITエンジニアだったような...？' },
-            { speaker: 'mina', text: 'あ！大丈夫ですか！？しっかりして！' },
-            { speaker: 'narrator', text: '若い女性の声が聞こえる。ピンク色の髪...猫耳...？' },
-            { speaker: 'mina', text: 'お父さーん！誰か倒れてる！' },
-            { speaker: 'narrator', text: 'これは...異世界転生というやつか...？' }
-        ]);
-
-        // Scene 2: Nekonohige Kitchen - Fuji wakes up
-        this.registerScene('SCENE2_KITCHEN', [
-            { speaker: 'narrator', text: '目を覚ますと、あなたは古びた食堂の中にいた。' },
-            { speaker: 'mina', text: 'あ、目が覚めた！よかったぁ〜' },
-            { speaker: 'mina', text: '私はミナ！ここは「ネコノヒゲ亭」だよ。お父さんがやってる食堂なの。' },
-            { speaker: 'fuji', text: '...（自分の名前は...フジ、だったか？記憶が曖昧だ）' },
-            { speaker: 'mina', text: 'えっと...お名前は？' },
-            { speaker: 'fuji', text: 'フジ...だと思う。' },
-            { speaker: 'mina', text: 'フジさんね！変わった格好してるけど...旅の人？' }
-        ]);
-
-        // Scene 3: The Master's Rejection
-        this.registerScene('SCENE3_MASTER', [
-            { speaker: 'narrator', text: '厨房から重い足音が聞こえてくる。' },
-            { speaker: 'owner', text: 'ミナ、騒がしいぞ。客でも来たか？' },
-            { speaker: 'mina', text: 'お父さん！この人、道で倒れてたの！働きたいって！' },
-            { speaker: 'owner', text: 'ふん...見るからに素人だな。帰れ。' },
-            { speaker: 'fuji', text: 'え...？' },
-            { speaker: 'owner', text: 'ウチは人を育てる余裕はない。よそを当たれ。' },
-            { speaker: 'mina', text: 'お父さん！そんな言い方ないよ！' },
-            { speaker: 'mina', text: '最近お客さん減ってるし、手伝いがいた方がいいでしょ！' },
-            { speaker: 'owner', text: '...チッ。うるさい娘だ。' },
-            { speaker: 'narrator', text: '老店主はしばらく黙った後、厳しい目つきでフジを見た。' }
-        ]);
-
-        // Scene 4: The Impossible Challenge
-        this.registerScene('SCENE4_CHALLENGE', [
-            { speaker: 'owner', text: 'いいだろう。だが、条件がある。' },
-            { speaker: 'owner', text: 'ワシの看板料理「キメラシチュー」を知っているか？' },
-            { speaker: 'fuji', text: 'いえ...' },
-            { speaker: 'owner', text: '異界の獣肉と薬草を煮込んだ伝説の一品だ。ワシが完成させるのに2年かかった。' },
-            { speaker: 'owner', text: 'お前が本気で働きたいなら...7日以内にこれを再現してみろ。' },
-            { speaker: 'mina', text: '7日！？お父さん、それは無茶だよ！' },
-            { speaker: 'owner', text: '無茶？ならば帰れ。才能のない奴に使う時間はない。' },
-            { speaker: 'fuji', text: '...（2年かかった料理を7日で？普通なら不可能だ）' },
-            { speaker: 'fuji', text: '...（でも待てよ。前世で学んだ「アジャイル」の考え方なら...）' },
-            { speaker: 'fuji', text: '...（小さく試して、フィードバックを得て、すばやく改善する）' },
-            { speaker: 'fuji', text: '...（2年分の「経験」を7日で圧縮できるかもしれない！）' }
-        ]);
-
-        // Scene 5: Fuji accepts the challenge
-        this.registerScene('SCENE5_START', [
-            { speaker: 'fuji', text: 'やります。7日間で、必ず。' },
-            { speaker: 'owner', text: 'ほう...？目だけは一人前だな。' },
-            { speaker: 'owner', text: 'いいだろう。7日後にワシが味見する。合格ラインに届かなければ...出て行け。' },
-            { speaker: 'mina', text: 'フジさん...！' },
-            { speaker: 'fuji', text: '（伝統的な修行は時間がかかる。だが「反復実験」と「即時フィードバック」で）' },
-            { speaker: 'fuji', text: '（不可能を可能にしてみせる...！）' },
-            { speaker: 'narrator', text: 'こうして、フジの「7日間の試用期間」が始まった。' },
-            { speaker: 'narrator', text: '伝統の味を「アジャイル」で攻略できるのか...？' }
-        ]);
-
-        // Perfect cycle event dialogue
-        this.registerScene('PERFECT_CYCLE', [
-            { speaker: 'mina', text: 'すごい！完璧なリズムだね！' },
-            { speaker: 'owner', text: 'ふむ...悪くない動きだ。' }
-        ]);
-
-        // Stagnation crisis dialogue
-        this.registerScene('STAGNATION_CRISIS', [
-            { speaker: 'owner', text: 'また同じやり方か...少しは変化をつけろ！' },
-            { speaker: 'mina', text: 'フジさん、違うアプローチも試してみて！' }
-        ]);
-
-        // Hybrid moment dialogue (Day 6)
-        this.registerScene('HYBRID_MOMENT', [
-            { speaker: 'narrator', text: '6日目の夕方。店主がめずらしく話しかけてきた。' },
-            { speaker: 'owner', text: 'フジ。お前のやり方...認めたくはないが、客の反応は悪くない。' },
-            { speaker: 'owner', text: 'だが、伝統を完全に捨てるつもりはない。わかっているな？' },
-            { speaker: 'fuji', text: '...伝統と革新のバランス、ですね。' },
-            { speaker: 'owner', text: 'ふん。生意気な奴だ。だが...その通りだ。' },
-            { speaker: 'mina', text: '（お父さんがフジさんを認め始めてる...！）' }
-        ]);
+    // ===== Episode Rules (Episode 2-5 mechanics) =====
+    // The rules themselves come from the subsystems plugged in with
+    // setOrderQueue / setQualityDecayEngine / setRivalEngine / setDemandEngine.
+
+    /**
+     * Run a rule hook of the current episode
+     * @private
+     * @param {string} hook - 'onStart' | 'onAction' | 'onDayComplete'
+     * @param {Object} [data] - Event data (ACTION_EXECUTED payload for onAction)
+     */
+    _runEpisodeRule(hook, data) {
+        const rules = this._episodeRules.get(this._gameState.get('currentEpisode'));
+        const handler = rules ? rules[hook] : null;
+
+        if (typeof handler === 'function') {
+            try {
+                handler(this._gameState.getState(), data);
+            } catch (error) {
+                console.error(`EpisodeManager: Error in episode rule ${hook}:`, error);
+            }
+        } else if (hook !== 'onStart') {
+            return;
+        }
+
+        // onStart always reports so the HUD also clears when Episode 1 starts
+        this._emitGoalProgress();
+    }
+
+    /**
+     * @private
+     */
+    _emitGoalProgress() {
+        this._eventBus.emit(GameEvents.EPISODE_GOAL_PROGRESS, {
+            episode: this._gameState.get('currentEpisode'),
+            progress: this.getEpisodeProgress()
+        });
+    }
+
+    /**
+     * Current goal of Episodes 2-5 for the HUD
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Object|null} { episode, label, text } or null for Episode 1
+     */
+    getEpisodeProgress(state = this._gameState.getState()) {
+        const config = this.getEpisodeConfig(state.currentEpisode);
+        if (!config || state.currentEpisode === 1) return null;
+
+        const win = config.winCondition;
+        switch (win.type) {
+            case 'survive_orders':
+                return {
+                    episode: config.id,
+                    label: I18n.t('episode.progress.orders'),
+                    text: I18n.t('episode.progress.ordersText', {
+                        completed: state.ordersCompleted,
+                        target: win.ordersCompleted,
+                        waiting: (state.orders || []).length
+                    })
+                };
+
+            case 'quality_survival':
+                return {
+                    episode: config.id,
+                    label: I18n.t('episode.progress.quality'),
+                    text: I18n.t('episode.progress.qualityText', { quality: state.ingredientQuality, min: win.minQuality }) +
+                        ((state.kitchenDamage || []).length > 0 ? I18n.t('episode.progress.damaged') : '')
+                };
+
+            case 'rival_battle':
+                // The score itself is hidden: see RivalEngine.getReport() for the rival indicator
+                return {
+                    episode: config.id,
+                    label: I18n.t('episode.progress.contest'),
+                    text: I18n.t('episode.progress.daysLeft', { days: Math.max(0, win.turnsToWin - state.day) })
+                };
+
+            case 'final_satisfaction': {
+                const demand = (config.demands || []).find(d => d.id === state.princessDemand);
+                return {
+                    episode: config.id,
+                    label: I18n.t('episode.progress.princess'),
+                    text: I18n.t('episode.progress.princessText', {
+                        satisfaction: state.princessSatisfaction,
+                        anger: state.princessAnger,
+                        demand: demand ? demand.icon + I18n.text(demand.name) : '？'
+                    })
+                };
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Decide whether the current episode (2-5) ends tonight
+     * Called by CeremonyManager at the night retrospective.
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Object|null} { result: 'success' | 'failure', reason: 'goal' | 'loss' | 'timeUp' }, null to continue
+     */
+    evaluateEpisode(state = this._gameState.getState()) {
+        const episode = this.getEpisode(state.currentEpisode);
+        if (!episode || episode.id === 1) return null;
+
+        if (episode.checkFailure(state)) {
+            return { result: 'failure', reason: 'loss' };
+        }
+        if (episode.checkCompletion(state)) {
+            return { result: 'success', reason: 'goal' };
+        }
+        if (state.day >= (state.maxDays || episode.maxDays)) {
+            return { result: 'failure', reason: 'timeUp' };
+        }
+        return null;
+    }
+
+    /**
+     * Judgment dialogue for the end of Episodes 2-5
+     * @param {number} episodeId - Episode ID
+     * @param {string} result - 'success' | 'failure'
+     * @returns {Array} Dialogue lines
+     */
+    getEndingDialogue(episodeId, result) {
+        const episode = this.getEpisode(episodeId);
+        const sceneId = episode && episode.scenes[result === 'success' ? 'clear' : 'failed'];
+        // Shown as a list in the judgment modal: branches follow the current state
+        return this._sceneRunner.getLines(this._sceneData.get(sceneId) || []);
     }
 
     _setupEventListeners() {
-        // Listen for perfect cycle
+        // Listen for perfect cycle (the scene plays for the sprint's first one, not every day)
         this._eventBus.on(GameEvents.PERFECT_CYCLE, (data) => {
-            this._playEventDialogue('PERFECT_CYCLE');
+            if (data.count === 1) {
+                this._playEventDialogue('PERFECT_CYCLE');
+            }
         });
 
         // Listen for stagnation crisis
@@ -479,8 +447,8 @@ class EpisodeManager {
             this._playEventDialogue('STAGNATION_CRISIS');
         });
 
-        // Listen for hybrid moment
-        this._eventBus.on('episode1:hybrid_moment', () => {
+        // Listen for hybrid moment (Episode 1, a balanced gauge on the evening before the judgment)
+        this._eventBus.on(GameEvents.HYBRID_MOMENT, () => {
             this._playHybridMoment();
         });
 
@@ -488,6 +456,41 @@ class EpisodeManager {
         this._eventBus.on(GameEvents.EPISODE_COMPLETED, (data) => {
             this._onEpisodeCompleted(data.episode);
         });
+
+        // Episode rules (Episode 2-5 mechanics)
+        this._eventBus.on(GameEvents.EPISODE_STARTED, () => {
+            this._runEpisodeRule('onStart');
+        });
+        this._eventBus.on('game:retry_sprint', () => {
+            this._runEpisodeRule('onStart');
+        });
+        this._eventBus.on(GameEvents.ACTION_EXECUTED, (data) => {
+            // Rejected actions (not enough stamina etc.) changed nothing
+            if (data && data.result && data.result.success) {
+                this._runEpisodeRule('onAction', data);
+            }
+        });
+        this._eventBus.on('ceremony:day_complete', () => {
+            this._runEpisodeRule('onDayComplete');
+        });
+        this._eventBus.on(GameEvents.SAVE_LOADED, () => {
+            this._emitGoalProgress();
+        });
+        // The goal text is built here, so it is rebuilt in the new language
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, () => {
+            this._emitGoalProgress();
+        });
+
+        // Affinity thresholds unlock bonus scenes (AffinityEngine)
+        this._eventBus.on(GameEvents.AFFINITY_THRESHOLD_REACHED, (data) => {
+            if (data.scene) {
+                this._bonusScenes.push(data.scene);
+                this._playBonusScenes();
+            }
+        });
+        [GameEvents.SCENE_SCRIPT_ENDED, GameEvents.DIALOGUE_COMPLETED].forEach(event => {
+            this._eventBus.on(event, () => this._playBonusScenes());
+        });
     }
 
     // ===== Scene Playback =====
@@ -501,23 +504,39 @@ class EpisodeManager {
         if (episodeId === 1) {
             this._playScene1Intro(onComplete);
         } else {
-            // Other episodes can have their intros defined here
-            if (onComplete) onComplete();
+            this._playGuestIntro(episodeId, onComplete);
         }
     }
 
+    /**
+     * Play the intro of Episodes 2-5 (the guest arrives at the diner)
+     * @param {number} episodeId - Episode ID
+     * @param {Function} onComplete - Callback when complete
+     */
+    _playGuestIntro(episodeId, onComplete) {
+        const episode = this.getEpisode(episodeId);
+
+        this._eventBus.emit(GameEvents.SCENE_BACKGROUND_CHANGED, { scene: BACKGROUNDS.INTERIOR_DINER });
+        this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'mina' });
+        this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'owner' });
+
+        this._sceneRunner.runScene(episode ? episode.scenes.intro : null, 'intro', () => {
+            this._gameState.update({ introComplete: true });
+            this._eventBus.emit(GameEvents.INTRO_COMPLETED, { episode: episodeId });
+            if (onComplete) onComplete();
+        });
+    }
+
     /**
      * Play Episode 1 intro sequence
      * @param {Function} onComplete - Callback when complete
      */
     _playScene1Intro(onComplete) {
-        const scene1 = this._sceneData.get('SCENE1_RESCUE');
-
         // Opening scene: Fuji collapsed outside (食堂前夜.png - Exterior Night)
         this._eventBus.emit(GameEvents.SCENE_BACKGROUND_CHANGED, { scene: 'road' });
         this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'mina' });
 
-        this._dialogueSystem.start(scene1, 'intro', () => {
+        this._sceneRunner.runScene('SCENE1_RESCUE', 'intro', () => {
             // Scene 1 complete - trigger fade-to-black transition
             this._transitionToKitchen(onComplete);
         });
@@ -544,129 +563,156 @@ class EpisodeManager {
     }
 
     _playScene2Kitchen(onComplete) {
-        const scene2 = this._sceneData.get('SCENE2_KITCHEN');
-
         // Characters appear after fade-in (inside the warm diner)
         setTimeout(() => {
             this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'fuji' });
             this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'mina' });
         }, 300);
 
-        this._dialogueSystem.start(scene2, 'intro', () => {
+        this._sceneRunner.runScene('SCENE2_KITCHEN', 'intro', () => {
             this._playScene3Master(onComplete);
         });
     }
 
     _playScene3Master(onComplete) {
-        const scene3 = this._sceneData.get('SCENE3_MASTER');
-
         // Owner enters the scene
         this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'owner' });
 
-        this._dialogueSystem.start(scene3, 'intro', () => {
+        this._sceneRunner.runScene('SCENE3_MASTER', 'intro', () => {
             // Continue to Scene 4: The Impossible Challenge
             this._playScene4Challenge(onComplete);
         });
     }
 
     _playScene4Challenge(onComplete) {
-        const scene4 = this._sceneData.get('SCENE4_CHALLENGE');
-
-        this._dialogueSystem.start(scene4, 'intro', () => {
-            // Show choice: Accept the challenge or give up
-            this._eventBus.emit(GameEvents.CHOICE_PRESENTED, {
-                choices: [
-                    { id: 'agile', text: 'A. 挑戦を受ける「7日で証明してみせます！」' },
-                    { id: 'obedient', text: 'B. 諦める「...無理です、他を探します」' }
-                ]
-            });
-
-            // Store callback for after choice
-            this._pendingChoiceCallback = onComplete;
+        // The script asks the player to accept the challenge and continues
+        // with SCENE5_START or SCENE4_GIVE_UP (outcome 'gave_up')
+        this._pendingChoiceCallback = onComplete;
+        this._sceneRunner.runScene('SCENE4_CHALLENGE', 'intro', (outcome) => {
+            this._onChallengeAnswered(outcome);
         });
     }
 
     /**
-     * Handle player choice selection
-     * @param {string} choiceId - 'obedient' or 'agile'
+     * Handle player choice selection (player input: recorded in the journal)
+     * Answers the choice the running scene script waits for. The Episode 1
+     * challenge can be answered without its scene too (replays skip dialogue).
+     * @param {string} choiceId - Option id ('agile' / 'obedient' for the challenge)
      */
     handleChoice(choiceId) {
+        this._eventBus.emit(GameEvents.PLAYER_INPUT, { type: 'handleChoice', args: [choiceId] });
         this._gameState.update({ playerChoice: choiceId });
 
-        if (choiceId === 'obedient') {
-            // Player gave up - bad ending
-            this._gameState.adjust('oldManMood', -10, 0, 100);
-            this._eventBus.emit(GameEvents.CHOICE_SELECTED, { choice: choiceId });
-            this._playGiveUpEnding();
-        } else {
-            // Player accepts the challenge!
-            this._gameState.adjust('oldManMood', 5, 0, 100);
-            this._eventBus.emit(GameEvents.CHOICE_SELECTED, { choice: choiceId });
-            this._playScene5Start();
+        if (!this._sceneRunner.isWaitingForChoice()) {
+            this._sceneRunner.runScene('SCENE4_CHALLENGE', 'intro', (outcome) => {
+                this._onChallengeAnswered(outcome);
+            }, { label: 'choice' });
         }
+        this._sceneRunner.choose(choiceId);
     }
 
-    _playGiveUpEnding() {
-        const giveUpScene = [
-            { speaker: 'owner', text: '...そうか。賢明な判断だ。' },
-            { speaker: 'owner', text: '素人が厨房で働くのは甘くない。他を当たれ。' },
-            { speaker: 'mina', text: 'フジさん...' },
-            { speaker: 'narrator', text: 'フジは「ネコノヒゲ亭」を後にした...' },
-            { speaker: 'narrator', text: '【BAD END：挑戦なき者に道は開かれず】' }
-        ];
+    _onChallengeAnswered(outcome) {
+        const onComplete = this._pendingChoiceCallback;
+        this._pendingChoiceCallback = null;
 
-        this._dialogueSystem.start(giveUpScene, 'intro', () => {
-            // Show game over
+        if (outcome === 'gave_up') {
+            // Player gave up - bad ending
             this._eventBus.emit(GameEvents.GAME_OVER, {
                 state: this._gameState.getState(),
                 reason: 'gave_up'
             });
-        });
-    }
-
-    _playScene5Start() {
-        const scene5 = this._sceneData.get('SCENE5_START');
-
-        this._dialogueSystem.start(scene5, 'intro', () => {
-            this._gameState.update({ introComplete: true });
-
-            this._eventBus.emit(GameEvents.DIALOGUE_COMPLETED, { type: 'intro' });
-            this._eventBus.emit(GameEvents.INTRO_COMPLETED, {});
+            return;
+        }
 
-            if (this._pendingChoiceCallback) {
-                this._pendingChoiceCallback();
-                this._pendingChoiceCallback = null;
-            }
-        });
+        this._gameState.update({ introComplete: true });
+        this._eventBus.emit(GameEvents.DIALOGUE_COMPLETED, { type: 'intro' });
+        this._eventBus.emit(GameEvents.INTRO_COMPLETED, {});
+        if (onComplete) onComplete();
     }
 
     _playEventDialogue(sceneId) {
-        const scene = this._sceneData.get(sceneId);
-        if (scene) {
+        if (this._sceneData.has(sceneId)) {
             // DialogueSystem.start() will emit DIALOGUE_STARTED
             // DialogueUIRenderer will show the overlay and handle clicks
-            this._dialogueSystem.start(scene, 'event');
+            this._sceneRunner.runScene(sceneId, 'event');
         }
     }
 
+    /**
+     * Play the next waiting bonus scene unless a scene or dialogue is still playing
+     * (the rest follow one by one as each scene ends)
+     * @private
+     */
+    _playBonusScenes() {
+        if (this._bonusScenes.length === 0 || this._sceneRunner.isRunning() || this._dialogueSystem.isActive()) {
+            return;
+        }
+        this._playEventDialogue(this._bonusScenes.shift());
+    }
+
+    /**
+     * Play HYBRID_MOMENT and remember how it ended for the judgment
+     * ('acknowledged' when the owner accepts Fuji's ways, otherwise 'stubborn')
+     * @private
+     */
     _playHybridMoment() {
-        const scene = this._sceneData.get('HYBRID_MOMENT');
-        if (scene) {
+        if (this._sceneData.has('HYBRID_MOMENT')) {
             this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'owner' });
             this._eventBus.emit(GameEvents.CHARACTER_SHOWN, { characterId: 'mina' });
-            this._dialogueSystem.start(scene, 'hybrid');
+            this._sceneRunner.runScene('HYBRID_MOMENT', 'hybrid', (outcome) => {
+                this._gameState.update({ hybridMoment: outcome === 'acknowledged' ? 'acknowledged' : 'stubborn' });
+            });
         }
     }
 
     _onEpisodeCompleted(episodeId) {
-        const nextEpisode = episodeId + 1;
-        if (this._episodes.has(nextEpisode)) {
-            this._gameState.startEpisode(nextEpisode);
+        const nextEpisode = this.getEpisode(episodeId + 1);
+        if (nextEpisode) {
+            this._gameState.startEpisode(nextEpisode.id, { maxDays: nextEpisode.maxDays, carryOver: this.getCarryOver(nextEpisode.id) });
         }
     }
 
     // ===== Public Methods =====
 
+    /**
+     * Start an episode (player input: recorded in the journal)
+     * Resets the sprint and sets the episode's length; the intro is played separately.
+     * What carries over (skills, a share of EXP, items, affinity) is the episode's getCarryOver().
+     * @param {number} episodeId - Episode ID
+     * @returns {boolean} True if the episode exists
+     */
+    startEpisode(episodeId) {
+        const episode = this.getEpisode(episodeId);
+        if (!episode) {
+            console.error(`EpisodeManager.startEpisode: Unknown episode ${episodeId}`);
+            return false;
+        }
+
+        this._eventBus.emit(GameEvents.PLAYER_INPUT, { type: 'startEpisode', args: [episodeId] });
+        this._gameState.startEpisode(episodeId, { maxDays: episode.maxDays, carryOver: this.getCarryOver(episodeId) });
+        return true;
+    }
+
+    /**
+     * Start New Game+ after the finale (player input: recorded in the journal)
+     * Episode 1 again with harder Chimera Stew requirements, see GameState.startNewGamePlus().
+     */
+    startNewGamePlus() {
+        this._eventBus.emit(GameEvents.PLAYER_INPUT, { type: 'startNewGamePlus', args: [] });
+        this._gameState.startNewGamePlus();
+    }
+
+    /**
+     * What an episode keeps from the run before it
+     * @param {number} episodeId - Episode ID
+     * @returns {{skills: boolean, expRate: number, items: boolean, affinity: boolean}}
+     *     GameConfig.carryOver.episode with the episode's "carryOver" on top
+     */
+    getCarryOver(episodeId) {
+        const config = this.getEpisodeConfig(episodeId);
+        return { ...GameConfig.carryOver.episode, ...((config && config.carryOver) || {}) };
+    }
+
     /**
      * Get episode info
      * @param {number} episodeId - Episode ID
@@ -685,6 +731,31 @@ class EpisodeManager {
         return this.getEpisode(currentId);
     }
 
+    /**
+     * Chapter select entries, one per registered episode in id order
+     * An episode is unlocked once the one before it is cleared (the first always is).
+     * @param {Object<number, Object>} [records={}] - ProgressStore.getRecords() of the profile
+     * @returns {Array<{id: number, title: string, subtitle: string, guest: string|null,
+     *     cleared: boolean, best: Object|null, locked: boolean}>} Texts in the source language
+     */
+    getChapters(records = {}) {
+        const ids = [...this._episodes.keys()].sort((a, b) => a - b);
+        return ids.map((id, i) => {
+            const episode = this._episodes.get(id);
+            const record = records[id] || null;
+            const guest = episode.guest && this._content ? this._content.guests[episode.guest] : null;
+            return {
+                id,
+                title: episode.title,
+                subtitle: episode.subtitle || '',
+                guest: guest ? guest.name : null,
+                cleared: !!(record && record.cleared),
+                best: record,
+                locked: i > 0 && !(records[ids[i - 1]] && records[ids[i - 1]].cleared)
+            };
+        });
+    }
+
     /**
      * Check if current episode is complete
      * @returns {boolean}
@@ -697,39 +768,72 @@ class EpisodeManager {
 
     /**
      * Get Mina's tip based on game state
-     * @returns {string}
+     * Problems are told worried, a near perfect cycle or a balanced kitchen happily.
+     * With the specificTips perk (affinity with Mina) the tips name the numbers,
+     * and in Episode 1 she points at the skill the Chimera Stew lacks most.
+     * @returns {{message: string, expression: string}}
      */
     getMinaTip() {
         const state = this._gameState.getState();
+        const specific = this._gameState.hasPerk('specificTips');
         const tips = [];
+        const worried = (key, params) => tips.push({
+            message: I18n.t(specific ? `episode.tips.specific.${key}` : `episode.tips.${key}`, params),
+            expression: 'worried'
+        });
 
         if (state.stagnation >= 70) {
-            tips.push('停滞度が高いよ！違うアクションを試してみて！');
+            worried('stagnation', { stagnation: state.stagnation });
         }
         if (state.ingredientQuality < 30) {
-            tips.push('品質が下がってる...CI/CDメンテナンスで改善しよう！');
+            worried('quality', { quality: state.ingredientQuality });
         }
         if (state.oldManMood < 40) {
-            tips.push('お父さんの機嫌が悪いみたい...成功を積み重ねて！');
+            worried('mood', { mood: state.oldManMood });
         }
         if (state.technicalDebt > 5) {
-            tips.push('技術的負債が溜まってるね。CI/CDで返済しよう！');
+            worried('debt', { debt: state.technicalDebt });
         }
         if (state.currentIngredients === 0) {
-            tips.push('食材がないよ！CI/CDメンテナンスで補充して！');
+            worried('ingredients');
+        }
+        const lean = GameState.getBalanceLean(state.traditionScore);
+        if (lean !== 'balanced') {
+            const { balancedMin, balancedMax } = GameConfig.balance;
+            worried(`lean.${lean}`, { score: state.traditionScore, target: lean === 'tradition' ? balancedMax : balancedMin });
+        }
+        if (specific && state.currentEpisode === 1) {
+            const lacking = Object.entries(this._gameState.checkChimeraStewRequirements().details)
+                .filter(([, detail]) => !detail.passed)
+                .sort(([, a], [, b]) => (b.required - b.current) - (a.required - a.current))[0];
+            if (lacking) {
+                tips.push({
+                    message: I18n.t('episode.tips.specific.stewSkill', {
+                        skill: I18n.text(GameConfig.skills.names[lacking[0]]),
+                        levels: lacking[1].required - lacking[1].current
+                    }),
+                    expression: 'worried'
+                });
+            }
         }
 
-        // Perfect cycle hint
+        // Perfect cycle hint: one day action left to complete today's cycle
         const missing = this._gameState.getMissingActions();
-        if (state.actionHistory.length >= 2 && missing.length === 1) {
-            const actionNames = { 1: 'イテレーション試食', 2: 'CI/CDメンテナンス', 3: 'ユーザーフィードバック' };
-            tips.push(`次は「${actionNames[missing[0]]}」でパーフェクトサイクル！`);
+        if (state.currentPhase === 'day' && missing.length === 1) {
+            tips.push({
+                message: I18n.t('episode.tips.perfectCycle', { action: I18n.text(GameConfig.dayActions[missing[0]].name) }),
+                expression: 'happy'
+            });
         }
 
+        // Nothing to worry about: Mina whispers an agile tip instead
         if (tips.length === 0) {
-            tips.push('良い調子！バランスよくアクションを使い分けてね！');
+            tips.push({ message: I18n.t('episode.tips.balanced'), expression: 'happy' });
+            I18n.list('episode.tips.agile').forEach(message => tips.push({ message, expression: 'happy' }));
         }
 
+        // NOTE: Cosmetic pick from a UI button - intentionally NOT drawn from the game RNG
+        // so opening tips never changes the outcome of a seeded run
         return tips[Math.floor(Math.random() * tips.length)];
     }
 
@@ -738,7 +842,7 @@ class EpisodeManager {
      */
     showMinaTip() {
         const tip = this.getMinaTip();
-        this._eventBus.emit(GameEvents.MINA_TIP_SHOWN, { message: tip });
+        this._eventBus.emit(GameEvents.MINA_TIP_SHOWN, { message: tip.message, expression: tip.expression });
     }
 }
 
@@ -0,0 +1,166 @@
+/**
+ * HeadlessGame - Wires the core game systems without the DOM
+ *
+ * Used by ReplayEngine (journal replay) and the balance simulator:
+ * - Dialogue completes instantly (HeadlessDialogueRunner)
+ * - CeremonyManager transition delays are queued and flushed by runPending()
+ *   instead of waiting for real setTimeout calls
+ *
+ * Same seed + same inputs = same final state as the browser game.
+ *
+ * @class HeadlessGame
+ */
+
+/**
+ * Drop-in replacement for DialogueSystem that finishes every sequence at once
+ * Emits the same start/complete events so listeners behave as in the browser.
+ */
+class HeadlessDialogueRunner {
+    /**
+     * @param {EventBus} eventBus
+     */
+    constructor(eventBus) {
+        this._eventBus = eventBus;
+    }
+
+    start(dialogues, type = 'default', onComplete = null) {
+        if (dialogues && dialogues.length > 0) {
+            this._eventBus.emit(GameEvents.DIALOGUE_STARTED, { type, totalLines: dialogues.length });
+            this._eventBus.emit(GameEvents.DIALOGUE_COMPLETED, { type });
+        }
+        if (onComplete) onComplete();
+    }
+
+    advance() {}
+
+    skip() {}
+
+    rewind() {
+        return false;
+    }
+
+    isActive() {
+        return false;
+    }
+
+    isTyping() {
+        return false;
+    }
+
+    destroy() {}
+}
+
+class HeadlessGame {
+    /**
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] - RNG seed (random if omitted)
+     * @param {GameContent} [options.content] - Story content (defaults to ContentLoader.getDefault())
+     */
+    constructor(options = {}) {
+        const seed = options.seed !== undefined && options.seed !== null
+            ? options.seed
+            : SeededRandom.createSeed();
+
+        this._eventBus = new EventBus();
+        this._rng = new SeededRandom(seed);
+        this._gameState = new GameState(this._eventBus, this._rng);
+        this._dialogueSystem = new HeadlessDialogueRunner(this._eventBus);
+        this._kitchenEngine = new KitchenEngine(this._eventBus, this._gameState, this._rng);
+        this._episodeManager = new EpisodeManager(this._eventBus, this._dialogueSystem, this._gameState, options.content || ContentLoader.getDefault());
+        this._kitchenEngine.setEpisodeManager(this._episodeManager);
+        this._comboEngine = new ComboEngine(this._eventBus, this._gameState);
+        this._kitchenEngine.setComboEngine(this._comboEngine);
+        this._orderQueue = new OrderQueue(this._eventBus, this._gameState);
+        this._episodeManager.setOrderQueue(this._orderQueue);
+        this._qualityDecayEngine = new QualityDecayEngine(this._eventBus, this._gameState);
+        this._episodeManager.setQualityDecayEngine(this._qualityDecayEngine);
+        this._rivalEngine = new RivalEngine(this._eventBus, this._gameState);
+        this._episodeManager.setRivalEngine(this._rivalEngine);
+        this._demandEngine = new DemandEngine(this._eventBus, this._gameState);
+        this._episodeManager.setDemandEngine(this._demandEngine);
+        this._affinityEngine = new AffinityEngine(this._eventBus, this._gameState, options.content || ContentLoader.getDefault());
+        this._ceremonyManager = new CeremonyManager(this._eventBus, this._gameState, this._rng);
+        this._ceremonyManager.setEpisodeManager(this._episodeManager);
+
+        // Queue ceremony timers instead of waiting for them
+        this._pending = [];
+        this._ceremonyManager.setScheduler((callback) => this._pending.push(callback));
+    }
+
+    /**
+     * Run queued transition callbacks until the flow is idle
+     * (equivalent to the player waiting for every transition to finish)
+     * @returns {number} Number of callbacks executed
+     */
+    runPending() {
+        const maxCallbacks = 1000; // Guard against callbacks that keep re-queueing
+        let executed = 0;
+
+        while (this._pending.length > 0 && executed < maxCallbacks) {
+            const callback = this._pending.shift();
+            callback();
+            executed++;
+        }
+
+        if (this._pending.length > 0) {
+            console.error('HeadlessGame.runPending: Too many queued callbacks, stopping');
+            this._pending = [];
+        }
+        return executed;
+    }
+
+    // ===== Getters =====
+
+    get eventBus() {
+        return this._eventBus;
+    }
+
+    get rng() {
+        return this._rng;
+    }
+
+    get gameState() {
+        return this._gameState;
+    }
+
+    get kitchenEngine() {
+        return this._kitchenEngine;
+    }
+
+    get episodeManager() {
+        return this._episodeManager;
+    }
+
+    get ceremonyManager() {
+        return this._ceremonyManager;
+    }
+
+    get orderQueue() {
+        return this._orderQueue;
+    }
+
+    get qualityDecayEngine() {
+        return this._qualityDecayEngine;
+    }
+
+    get rivalEngine() {
+        return this._rivalEngine;
+    }
+
+    get demandEngine() {
+        return this._demandEngine;
+    }
+
+    get comboEngine() {
+        return this._comboEngine;
+    }
+
+    get affinityEngine() {
+        return this._affinityEngine;
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HeadlessGame, HeadlessDialogueRunner };
+}
@@ -0,0 +1,135 @@
+/**
+ * JournalRecorder - Records every player input of a run
+ *
+ * Listens to GameEvents.PLAYER_INPUT on the EventBus and keeps an ordered
+ * journal together with the run's seed and starting snapshot. The journal
+ * can be attached to bug reports and re-run with ReplayEngine.
+ *
+ * Recorded inputs:
+ * - executeAction (with options, e.g. study targetSkill)
+ * - startNewDay / commitSprintGoals / selectDailyFocus / endActionPhase / handlePivotChoice / proceedToNextDay / resume
+ * - handleChoice, retrySprint, startEpisode, startNewGamePlus
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only records, never changes game state
+ * - Open/Closed: New inputs only need to emit PLAYER_INPUT
+ *
+ * @class JournalRecorder
+ */
+
+/** Journal file identification */
+const JOURNAL_FORMAT = 'chef_game.journal';
+const JOURNAL_VERSION = 1;
+
+class JournalRecorder {
+    /**
+     * @param {EventBus} eventBus
+     * @param {GameState} gameState
+     * @param {CeremonyManager} [ceremonyManager=null] - For the starting snapshot
+     */
+    constructor(eventBus, gameState, ceremonyManager = null) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._ceremonyManager = ceremonyManager;
+
+        this._isRecording = false;
+        this._startedAt = null;
+        this._initial = null;
+        this._entries = [];
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this._eventBus.on(GameEvents.PLAYER_INPUT, (data) => this._onInput(data));
+
+        // A loaded save becomes the new starting point of the journal
+        this._eventBus.on(GameEvents.SAVE_LOADED, () => {
+            if (this._isRecording) this.start();
+        });
+    }
+
+    // ===== RECORDING =====
+
+    /**
+     * Start (or restart) recording from the current state
+     */
+    start() {
+        this._isRecording = true;
+        this._startedAt = Date.now();
+        this._entries = [];
+        this._initial = {
+            game: this._gameState.serialize(),
+            ceremony: this._ceremonyManager ? this._ceremonyManager.getSnapshot() : null
+        };
+    }
+
+    /**
+     * Stop recording (entries are kept)
+     */
+    stop() {
+        this._isRecording = false;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this._isRecording;
+    }
+
+    /**
+     * @returns {number} Number of recorded inputs
+     */
+    getEntryCount() {
+        return this._entries.length;
+    }
+
+    /**
+     * Record one input
+     * @private
+     */
+    _onInput(data) {
+        if (!this._isRecording || !data || !data.type) return;
+
+        this._entries.push({
+            type: data.type,
+            // Deep copy so later mutation of option objects can't change the journal
+            args: JSON.parse(JSON.stringify(data.args || [])),
+            day: this._gameState.get('day'),
+            phase: this._gameState.get('currentPhase')
+        });
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * Build the journal object
+     * The final serialized state is included so a replay can be verified.
+     * @returns {Object} Journal
+     */
+    getJournal() {
+        return {
+            format: JOURNAL_FORMAT,
+            version: JOURNAL_VERSION,
+            seed: this._initial ? this._initial.game.state.seed : this._gameState.get('seed'),
+            recordedAt: this._startedAt,
+            initial: this._initial,
+            entries: this._entries.map(entry => ({ ...entry, args: [...entry.args] })),
+            final: this._gameState.serialize()
+        };
+    }
+
+    /**
+     * Export the journal as a JSON string (for bug reports)
+     * @returns {string}
+     */
+    exportJSON() {
+        return JSON.stringify(this.getJournal(), null, 2);
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JournalRecorder, JOURNAL_FORMAT, JOURNAL_VERSION };
+}
@@ -7,6 +7,7 @@
  * - Night actions: Trial Cooking, Study, Rest
  * - Condition-based exp multipliers
  * - Dish Progress calculation
+ * - Action combos (ComboEngine, set with setComboEngine)
  *
  * @class KitchenEngine
  */
@@ -14,11 +15,14 @@ class KitchenEngine {
     /**
      * @param {EventBus} eventBus - Event bus for communication
      * @param {GameState} gameState - Game state manager
+     * @param {SeededRandom} [rng=null] - RNG for all rolls (defaults to GameState's shared RNG)
      */
-    constructor(eventBus, gameState) {
+    constructor(eventBus, gameState, rng = null) {
         this._eventBus = eventBus;
         this._gameState = gameState;
+        this._rng = rng || gameState.getRng();
         this._episodeManager = null;
+        this._comboEngine = null;
 
         // Action handlers
         this._dayActionHandlers = new Map();
@@ -38,6 +42,16 @@ class KitchenEngine {
         this._episodeManager = episodeManager;
     }
 
+    // ===== COMBO ENGINE =====
+
+    /**
+     * Set ComboEngine for action combos (no combos without one)
+     * @param {ComboEngine} comboEngine - Combo engine instance
+     */
+    setComboEngine(comboEngine) {
+        this._comboEngine = comboEngine;
+    }
+
     // ===== ACTION REGISTRATION =====
 
     /**
@@ -108,13 +122,13 @@ class KitchenEngine {
 
             // Check game over
             if (this._gameState.isGameOver()) {
-                return { success: false, message: 'ゲームオーバー' };
+                return { success: false, message: I18n.t('kitchen.gameOver') };
             }
 
             // Check actions remaining
             const remainingActions = this._gameState.getActionsRemaining();
             if (remainingActions <= 0) {
-                return { success: false, message: 'アクションがありません' };
+                return { success: false, message: I18n.t('kitchen.noActions') };
             }
 
             // Map button IDs to action names
@@ -143,7 +157,7 @@ class KitchenEngine {
 
             if (!actionName) {
                 console.error(`KitchenEngine: Unknown action ID "${actionId}" for phase "${phase}"`);
-                return { success: false, message: '不明なアクション' };
+                return { success: false, message: I18n.t('kitchen.unknownAction') };
             }
 
             // Get appropriate handler
@@ -152,9 +166,15 @@ class KitchenEngine {
 
             if (!handler) {
                 console.error(`KitchenEngine: Unknown action "${actionName}" for phase "${phase}"`);
-                return { success: false, message: '不明なアクション' };
+                return { success: false, message: I18n.t('kitchen.unknownAction') };
             }
 
+            // Journal: record accepted inputs only (rejected calls never change state)
+            this._eventBus.emit(GameEvents.PLAYER_INPUT, {
+                type: 'executeAction',
+                args: [actionId, { ...options }]
+            });
+
             // Execute action
             const result = handler(state, options.targetSkill);
 
@@ -168,7 +188,7 @@ class KitchenEngine {
                     console.warn(`KitchenEngine: Failed to consume action for ${actionName} - no actions remaining`);
                     return {
                         success: false,
-                        message: '<div class="result-item failure">アクションがありません</div>'
+                        message: `<div class="result-item failure">${I18n.t('kitchen.noActions')}</div>`
                     };
                 }
 
@@ -180,6 +200,8 @@ class KitchenEngine {
                     this._processExpGains(result.expGains, result);
                 }
 
+                const combos = this._comboEngine ? this._comboEngine.checkAction(actionName, result) : [];
+
                 // CRITICAL: Emit action executed event with updated state
                 // This ensures UI receives the latest state including updated remainingActions
                 const updatedState = this._gameState.getState();
@@ -191,6 +213,10 @@ class KitchenEngine {
                     state: updatedState
                 });
                 
+                if (this._comboEngine) {
+                    this._comboEngine.announce(combos);
+                }
+
                 console.log(`KitchenEngine: Action ${actionName} executed successfully, remainingActions: ${updatedState[phase === 'day' ? 'dayActionsRemaining' : 'nightActionsRemaining']}`);
             } else {
                 // Action failed (e.g., insufficient stamina)
@@ -198,20 +224,20 @@ class KitchenEngine {
                 this._eventBus.emit(GameEvents.ACTION_EXECUTED, {
                     actionId: actionName,
                     phase,
-                    message: result?.message || 'アクション実行失敗',
+                    message: result?.message || I18n.t('kitchen.actionFailed'),
                     result,
                     state: this._gameState.getState(),
                     success: false
                 });
             }
 
-            return result || { success: false, message: 'アクション実行に失敗しました' };
+            return result || { success: false, message: I18n.t('kitchen.actionFailed') };
         } catch (error) {
             // CRITICAL: Error handling to prevent game freeze
             console.error(`KitchenEngine.executeAction: Error executing action ${actionId}:`, error);
             return {
                 success: false,
-                message: '<div class="result-item failure">アクション実行中にエラーが発生しました</div>',
+                message: `<div class="result-item failure">${I18n.t('kitchen.actionError')}</div>`,
                 error: error.message
             };
         }
@@ -230,7 +256,7 @@ class KitchenEngine {
             if (state.stamina < config.staminaCost) {
                 return {
                     success: false,
-                    message: `<div class="result-item failure">体力が足りない！（必要: ${config.staminaCost}）</div>`
+                    message: `<div class="result-item failure">${I18n.t('kitchen.notEnoughStamina', { cost: config.staminaCost })}</div>`
                 };
             }
 
@@ -242,14 +268,14 @@ class KitchenEngine {
             if (!staminaConsumed) {
                 return {
                     success: false,
-                    message: `<div class="result-item failure">スタミナ消費に失敗しました</div>`
+                    message: `<div class="result-item failure">${I18n.t('kitchen.staminaError')}</div>`
                 };
             }
 
             // Calculate success
             const successRate = this._calculateSuccessRate(state);
             const isCritical = this._isCriticalSuccess();
-            const success = Math.random() < successRate;
+            const success = this._rng.chance(successRate);
 
             let message = '';
             const expGains = {};
@@ -269,26 +295,26 @@ class KitchenEngine {
                     expGains[skill] = Math.floor(baseExp * expMultiplier);
                 }
 
-                message = `<div class="result-item success">${config.icon} ${config.name}成功！</div>`;
+                message = `<div class="result-item success">${config.icon} ${I18n.t('kitchen.actionSuccess', { action: I18n.text(config.name) })}</div>`;
 
                 if (isCritical) {
-                    message = `<div class="result-item critical">🌟 クリティカル！ ${config.name}が大成功！</div>`;
+                    message = `<div class="result-item critical">🌟 ${I18n.t('kitchen.critical', { action: I18n.text(config.name) })}</div>`;
                     this._eventBus.emit('action:critical_success', { actionType });
                 }
 
                 // Show exp gains
                 for (const [skill, exp] of Object.entries(expGains)) {
-                    const skillName = GameConfig.skills.names[skill];
+                    const skillName = I18n.text(GameConfig.skills.names[skill]);
                     const multiplier = conditionInfo.expMultiplier;
                     const actualExp = Math.floor(exp * multiplier);
-                    message += `<div class="result-item exp-gain">${skillName} +${actualExp} EXP</div>`;
+                    message += `<div class="result-item exp-gain">${I18n.t('kitchen.expGain', { skill: skillName, exp: actualExp })}</div>`;
                 }
 
                 // Mood boost
                 this._gameState.adjust('oldManMood', isCritical ? 8 : 3, 0, 100);
             } else {
                 // Failure
-                message = `<div class="result-item failure">${config.icon} ${config.name}失敗...</div>`;
+                message = `<div class="result-item failure">${config.icon} ${I18n.t('kitchen.actionFailure', { action: I18n.text(config.name) })}</div>`;
 
                 // Small exp even on failure (learning from mistakes)
                 for (const [skill] of Object.entries(config.expRewards || {})) {
@@ -297,14 +323,14 @@ class KitchenEngine {
 
                 // Add tech debt on failure
                 this._gameState.increaseTechDebt(GameConfig.techDebt?.failurePenalty ?? 1);
-                message += `<div class="result-item negative">技術的負債 +${GameConfig.techDebt?.failurePenalty ?? 1}</div>`;
+                message += `<div class="result-item negative">${I18n.t('kitchen.debtUp', { amount: GameConfig.techDebt?.failurePenalty ?? 1 })}</div>`;
             }
 
             // Show condition effect
             if (conditionInfo.expMultiplier !== 1.0) {
                 const conditionText = conditionInfo.expMultiplier > 1
-                    ? `${conditionInfo.name}で経験値UP！ (x${conditionInfo.expMultiplier})`
-                    : `${conditionInfo.name}で経験値DOWN... (x${conditionInfo.expMultiplier})`;
+                    ? I18n.t('kitchen.conditionExpUp', { condition: I18n.text(conditionInfo.name), multiplier: conditionInfo.expMultiplier })
+                    : I18n.t('kitchen.conditionExpDown', { condition: I18n.text(conditionInfo.name), multiplier: conditionInfo.expMultiplier });
                 message += `<div class="result-item condition">${conditionInfo.icon} ${conditionText}</div>`;
             }
 
@@ -320,7 +346,7 @@ class KitchenEngine {
             console.error(`KitchenEngine._executeDayAction: Error executing action ${actionType}:`, error);
             return {
                 success: false,
-                message: `<div class="result-item failure">アクション実行中にエラーが発生しました</div>`,
+                message: `<div class="result-item failure">${I18n.t('kitchen.actionError')}</div>`,
                 error: error.message
             };
         }
@@ -340,7 +366,7 @@ class KitchenEngine {
         
         if (policy === 'challenge') {
             // 新しい挑戦: 成功判定（50%成功率）
-            const challengeSuccess = Math.random() < 0.5;
+            const challengeSuccess = this._rng.chance(0.5);
             if (!challengeSuccess) {
                 // 失敗: スタミナ-30
                 actualStaminaCost = 30;
@@ -356,7 +382,7 @@ class KitchenEngine {
         if (state.stamina < actualStaminaCost) {
             return {
                 success: false,
-                message: `<div class="result-item failure">体力が足りない！（必要: ${actualStaminaCost}）</div>`
+                message: `<div class="result-item failure">${I18n.t('kitchen.notEnoughStamina', { cost: actualStaminaCost })}</div>`
             };
         }
 
@@ -367,7 +393,7 @@ class KitchenEngine {
             // Should not happen if check above passed, but handle gracefully
             return {
                 success: false,
-                message: `<div class="result-item failure">スタミナ消費に失敗しました</div>`
+                message: `<div class="result-item failure">${I18n.t('kitchen.staminaError')}</div>`
             };
         }
 
@@ -378,17 +404,17 @@ class KitchenEngine {
         const newDebt = this._gameState.get('technicalDebt');
         const actualReduction = oldDebt - newDebt;
 
-        let message = `<div class="result-item success">${config.icon} ${config.name}完了！</div>`;
+        let message = `<div class="result-item success">${config.icon} ${I18n.t('kitchen.actionDone', { action: I18n.text(config.name) })}</div>`;
 
         if (actualReduction > 0) {
-            message += `<div class="result-item positive">技術的負債 -${actualReduction}</div>`;
+            message += `<div class="result-item positive">${I18n.t('kitchen.debtDown', { amount: actualReduction })}</div>`;
         } else {
-            message += `<div class="result-item neutral">厨房はすでにピカピカです</div>`;
+            message += `<div class="result-item neutral">${I18n.t('kitchen.alreadyClean')}</div>`;
         }
 
         // Small mood boost for keeping kitchen clean
         this._gameState.adjust('oldManMood', 2, 0, 100);
-        message += `<div class="result-item positive">老店主の機嫌 +2</div>`;
+        message += `<div class="result-item positive">${I18n.t('kitchen.moodUp', { amount: 2 })}</div>`;
 
         // CRITICAL: Always returns success: true with proper structure
         // No hidden flags or locks that could prevent completion
@@ -411,32 +437,39 @@ class KitchenEngine {
         if (state.stamina < config.staminaCost) {
             return {
                 success: false,
-                message: `<div class="result-item failure">体力が足りない！（必要: ${config.staminaCost}）</div>`
+                message: `<div class="result-item failure">${I18n.t('kitchen.notEnoughStamina', { cost: config.staminaCost })}</div>`
             };
         }
 
         // Consume stamina
         this._gameState.consumeStamina(config.staminaCost);
 
-        // Calculate dish progress gain
-        const progressGain = this._gameState.calculateDishProgressGain();
+        // Calculate dish progress gain (the owner's secret recipe adds to it)
+        const secretRecipe = this._gameState.hasPerk('secretRecipe');
+        const baseGain = this._gameState.calculateDishProgressGain();
+        const progressGain = secretRecipe
+            ? Math.floor(baseGain * (1 + GameConfig.affinity.perks.secretRecipe.dishProgress))
+            : baseGain;
         const conditionInfo = this._gameState.getConditionInfo();
 
         // Add progress
         const result = this._gameState.addDishProgress(progressGain);
 
-        let message = `<div class="result-item success">${config.icon} ${config.name}完了！</div>`;
-        message += `<div class="result-item dish-progress">名物料理の完成度 +${result.gained}%</div>`;
-        message += `<div class="result-item dish-total">完成度: ${result.newProgress}% / ${GameConfig.dishProgress.victoryThreshold}%</div>`;
+        let message = `<div class="result-item success">${config.icon} ${I18n.t('kitchen.actionDone', { action: I18n.text(config.name) })}</div>`;
+        message += `<div class="result-item dish-progress">${I18n.t('kitchen.dishProgress', { gained: result.gained })}</div>`;
+        if (secretRecipe) {
+            message += `<div class="result-item affinity-perk">${I18n.t('kitchen.secretRecipe', { percent: Math.round(GameConfig.affinity.perks.secretRecipe.dishProgress * 100) })}</div>`;
+        }
+        message += `<div class="result-item dish-total">${I18n.t('kitchen.dishTotal', { progress: result.newProgress, target: GameConfig.dishProgress.victoryThreshold })}</div>`;
 
         // Show skill contribution breakdown
         const skills = state.skills;
         const weights = GameConfig.dishProgress.skillWeights;
-        message += `<div class="result-item skill-contribution">スキル貢献: 包丁${Math.floor(skills.cutting * weights.cutting)} + 煮込み${Math.floor(skills.boiling * weights.boiling)} + 炒め${Math.floor(skills.frying * weights.frying)}</div>`;
+        message += `<div class="result-item skill-contribution">${I18n.t('kitchen.skillContribution', { cutting: Math.floor(skills.cutting * weights.cutting), boiling: Math.floor(skills.boiling * weights.boiling), frying: Math.floor(skills.frying * weights.frying) })}</div>`;
 
         // Show condition effect
         if (conditionInfo.dishProgressBonus !== 1.0) {
-            message += `<div class="result-item condition">${conditionInfo.icon} ${conditionInfo.name}効果 (x${conditionInfo.dishProgressBonus})</div>`;
+            message += `<div class="result-item condition">${conditionInfo.icon} ${I18n.t('kitchen.conditionEffect', { condition: I18n.text(conditionInfo.name), multiplier: conditionInfo.dishProgressBonus })}</div>`;
         }
 
         // Analysis exp gain
@@ -447,10 +480,10 @@ class KitchenEngine {
 
         // Check if dish is near completion
         if (result.newProgress >= GameConfig.dishProgress.victoryThreshold) {
-            message += `<div class="result-item perfect">名物料理が完成レベルに達した！</div>`;
+            message += `<div class="result-item perfect">${I18n.t('kitchen.dishComplete')}</div>`;
             this._eventBus.emit('dish:complete', { progress: result.newProgress });
         } else if (result.newProgress >= GameConfig.dishProgress.victoryThreshold - 20) {
-            message += `<div class="result-item hint">もう少しで完成...</div>`;
+            message += `<div class="result-item hint">${I18n.t('kitchen.dishAlmost')}</div>`;
         }
 
         return {
@@ -472,7 +505,7 @@ class KitchenEngine {
         if (!validSkills.includes(targetSkill)) {
             return {
                 success: false,
-                message: `<div class="result-item failure">研究対象を選んでください</div>`
+                message: `<div class="result-item failure">${I18n.t('kitchen.chooseStudy')}</div>`
             };
         }
 
@@ -480,7 +513,7 @@ class KitchenEngine {
         if (state.stamina < config.staminaCost) {
             return {
                 success: false,
-                message: `<div class="result-item failure">体力が足りない！（必要: ${config.staminaCost}）</div>`
+                message: `<div class="result-item failure">${I18n.t('kitchen.notEnoughStamina', { cost: config.staminaCost })}</div>`
             };
         }
 
@@ -495,15 +528,15 @@ class KitchenEngine {
             [targetSkill]: multipliedExp
         };
 
-        const skillName = GameConfig.skills.names[targetSkill];
+        const skillName = I18n.text(GameConfig.skills.names[targetSkill]);
         const conditionInfo = this._gameState.getConditionInfo();
         const actualExp = Math.floor(multipliedExp * conditionInfo.expMultiplier);
 
-        let message = `<div class="result-item success">${config.icon} ${skillName}の研究完了！</div>`;
-        message += `<div class="result-item exp-gain">${skillName} +${actualExp} EXP (研究ボーナス x${config.expMultiplier})</div>`;
+        let message = `<div class="result-item success">${config.icon} ${I18n.t('kitchen.studyDone', { skill: skillName })}</div>`;
+        message += `<div class="result-item exp-gain">${I18n.t('kitchen.studyExp', { skill: skillName, exp: actualExp, multiplier: config.expMultiplier })}</div>`;
 
         if (conditionInfo.expMultiplier !== 1.0) {
-            message += `<div class="result-item condition">${conditionInfo.icon} ${conditionInfo.name}効果 (x${conditionInfo.expMultiplier})</div>`;
+            message += `<div class="result-item condition">${conditionInfo.icon} ${I18n.t('kitchen.conditionEffect', { condition: I18n.text(conditionInfo.name), multiplier: conditionInfo.expMultiplier })}</div>`;
         }
 
         return {
@@ -524,34 +557,38 @@ class KitchenEngine {
         // 「休む」コマンド: スタミナ +60 回復（上限100） + 集中ボーナス付与
         const oldStamina = state.stamina;
         
-        // スタミナを +60 回復（上限100）
+        // スタミナを +60 回復（上限100）、ミナのお茶（好感度の特典）でさらに回復
         // recoverStamina()が自動的に上限チェックを行う
-        this._gameState.recoverStamina(60);
+        const minaTea = this._gameState.hasPerk('minaTea');
+        this._gameState.recoverStamina(60 + (minaTea ? GameConfig.affinity.perks.minaTea.stamina : 0));
         
         const newStamina = this._gameState.get('stamina');
         const actualRecovery = newStamina - oldStamina;
 
-        let message = `<div class="result-item success">${config.icon} ${config.name}完了！</div>`;
-        message += `<div class="result-item positive">体力全回復！ +${actualRecovery}（${newStamina}/100）</div>`;
+        let message = `<div class="result-item success">${config.icon} ${I18n.t('kitchen.actionDone', { action: I18n.text(config.name) })}</div>`;
+        message += `<div class="result-item positive">${I18n.t('kitchen.staminaRecovered', { amount: actualRecovery, stamina: newStamina })}</div>`;
+        if (minaTea) {
+            message += `<div class="result-item affinity-perk">🍵 ${I18n.t('kitchen.minaTea', { amount: GameConfig.affinity.perks.minaTea.stamina })}</div>`;
+        }
         
         // 集中ボーナス: 次のアクションで経験値+20%のボーナス（1回限り）
         // GameStateにフラグを設定し、次のアクション実行時に適用される
         this._gameState.update({ hasRestBonus: true });
 
         // Try to improve condition (高い確率で調子が改善)
-        const conditionImproved = Math.random() < config.conditionImproveChance;
+        const conditionImproved = this._rng.chance(config.conditionImproveChance);
         if (conditionImproved) {
             const oldCondition = state.condition;
             const newCondition = this._gameState.tryImproveCondition();
 
             if (newCondition !== oldCondition) {
                 const newInfo = this._gameState.getConditionInfo();
-                message += `<div class="result-item condition-up">${newInfo.icon} 調子が ${newInfo.name} になった！</div>`;
+                message += `<div class="result-item condition-up">${newInfo.icon} ${I18n.t('kitchen.conditionChanged', { condition: I18n.text(newInfo.name) })}</div>`;
             } else {
-                message += `<div class="result-item positive">💤 ゆっくり休めた（集中ボーナス付与）</div>`;
+                message += `<div class="result-item positive">💤 ${I18n.t('kitchen.restedWell')}</div>`;
             }
         } else {
-            message += `<div class="result-item positive">💤 完全に回復した（集中ボーナス付与）</div>`;
+            message += `<div class="result-item positive">💤 ${I18n.t('kitchen.restedFully')}</div>`;
         }
 
         return {
@@ -579,14 +616,14 @@ class KitchenEngine {
 
                 // Show rest bonus message if applied (only once)
                 if (expResult.restBonusApplied && !restBonusMessage) {
-                    restBonusMessage = `<div class="result-item rest-bonus">💤 集中ボーナス！ 経験値+20%</div>`;
+                    restBonusMessage = `<div class="result-item rest-bonus">💤 ${I18n.t('kitchen.restBonus')}</div>`;
                 }
 
                 if (expResult.levelUp) {
-                    const skillName = GameConfig.skills.names[skill];
+                    const skillName = I18n.text(GameConfig.skills.names[skill]);
                     const grade = this._gameState.getSkillGrade(expResult.newLevel);
 
-                    levelUpMessage += `<div class="result-item level-up">🎉 ${skillName} LEVEL UP! Lv.${expResult.newLevel} (${grade})</div>`;
+                    levelUpMessage += `<div class="result-item level-up">🎉 ${I18n.t('kitchen.levelUp', { skill: skillName, level: expResult.newLevel, grade })}</div>`;
 
                     this._eventBus.emit('skill:level_up', {
                         skill,
@@ -647,7 +684,7 @@ class KitchenEngine {
      * @private
      */
     _isCriticalSuccess() {
-        return Math.random() < GameConfig.successRate.criticalChance;
+        return this._rng.chance(GameConfig.successRate.criticalChance);
     }
 
     /**
@@ -0,0 +1,166 @@
+/**
+ * OrderQueue - Customer orders for the Goblin episode (第2話)
+ *
+ * Goblins keep arriving while the diner is open (day actions):
+ * - Arrival chance per action = orders.arrivalChancePerAction x modifiers.orderFrequency
+ * - Each order needs specific skills and uses modifiers.ingredientConsumption ingredients
+ *   (none under the speed focus); cooking it short eats up what is left
+ * - Patience counts down once per day action; an expired order hurts oldManMood
+ * - Cleaning doubles as a trip to the back door for fresh ingredients
+ *
+ * Orders are plain objects in GameState (`orders`, numbered by `nextOrderId`),
+ * so a reloaded save keeps the same goblins waiting. Arrivals and menus are
+ * rolled with GameState.getRng().
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages the order queue
+ * - Open/Closed: Menus, arrival rate, patience and stock limits are episodes.json
+ *   `orders` data; only the onStart (first orders) / onAction (serve, restock) hooks are code
+ * - Dependency Inversion: Emits ORDER_ARRIVED / COMPLETED / FAILED / EXPIRED; the order board
+ *   is drawn from `orders`, never by this class
+ *
+ * @class OrderQueue
+ */
+class OrderQueue {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     */
+    constructor(eventBus, gameState) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+    }
+
+    // ===== Episode Rules =====
+
+    /**
+     * Rule hooks for EpisodeManager.registerEpisodeRules()
+     * @param {Object} config - Episode config (data/episodes.json entry with `orders`)
+     * @returns {EpisodeRules}
+     */
+    createEpisodeRules(config) {
+        return {
+            onStart: () => {
+                for (let i = 0; i < config.orders.initialOrders; i++) {
+                    this._spawnOrder(config);
+                }
+            },
+            onAction: (state, data) => {
+                // The diner is closed at night
+                if (data.phase !== 'day') return;
+
+                if (data.actionId === 'cleaning') {
+                    this._gameState.adjust('currentIngredients', config.rules.restockPerCleaning, 0, config.orders.maxIngredients);
+                } else {
+                    this._serve(config, data);
+                }
+
+                this._tickPatience(config);
+
+                const chance = Math.min(1, config.orders.arrivalChancePerAction * config.modifiers.orderFrequency);
+                if (this._gameState.getRng().chance(chance)) {
+                    this._spawnOrder(config);
+                }
+            }
+        };
+    }
+
+    // ===== Queue Access =====
+
+    /**
+     * Orders waiting in the queue (oldest first)
+     * @returns {Array<Object>} { id, menuId, name, icon, skills, ingredients, patience, maxPatience }
+     */
+    getOrders() {
+        return (this._gameState.get('orders') || []).map(order => ({ ...order }));
+    }
+
+    // ===== Queue Mechanics =====
+
+    /**
+     * Add a new order unless the counter is full
+     * @private
+     */
+    _spawnOrder(config) {
+        const orders = this._gameState.get('orders') || [];
+        if (orders.length >= config.orders.maxOrders) return null;
+
+        const menu = this._gameState.getRng().pick(config.orders.menu);
+        const order = {
+            id: this._gameState.get('nextOrderId'),
+            menuId: menu.id,
+            name: menu.name,
+            icon: menu.icon,
+            skills: [...menu.skills],
+            ingredients: config.modifiers.ingredientConsumption,
+            patience: config.orders.patience,
+            maxPatience: config.orders.patience
+        };
+
+        this._gameState.update({
+            orders: [...orders, order],
+            nextOrderId: order.id + 1
+        });
+        this._eventBus.emit(GameEvents.ORDER_ARRIVED, { order: { ...order } });
+        return order;
+    }
+
+    /**
+     * Serve the oldest order the action's skills can cook
+     * A failed dish still burns the ingredients; the order keeps waiting.
+     * Without enough ingredients the attempt uses up the rest (the episode is lost at 0).
+     * @private
+     */
+    _serve(config, data) {
+        const usedSkills = Object.keys(data.result.expGains || {});
+        const state = this._gameState.getState();
+        const orders = state.orders || [];
+        const order = orders.find(o => o.skills.every(skill => usedSkills.includes(skill)));
+        if (!order) return;
+
+        // Speed focus: "調理で食材消費なし"
+        const cost = state.dailyFocusEffect && state.dailyFocusEffect.noIngredientCost ? 0 : order.ingredients;
+        const ingredients = state.currentIngredients;
+        if (ingredients < cost) {
+            this._gameState.update({ currentIngredients: 0 });
+            this._eventBus.emit(GameEvents.ORDER_FAILED, { order: { ...order }, reason: 'ingredients' });
+            return;
+        }
+        this._gameState.update({ currentIngredients: ingredients - cost });
+
+        if (!data.result.actionSuccess) {
+            this._eventBus.emit(GameEvents.ORDER_FAILED, { order: { ...order }, reason: 'botched' });
+            return;
+        }
+
+        this._gameState.update({
+            orders: orders.filter(o => o.id !== order.id),
+            ordersCompleted: this._gameState.get('ordersCompleted') + 1
+        });
+        this._eventBus.emit(GameEvents.ORDER_COMPLETED, { order: { ...order } });
+    }
+
+    /**
+     * Every waiting order loses one patience; empty patience = the goblin leaves
+     * @private
+     */
+    _tickPatience(config) {
+        const orders = this._gameState.get('orders') || [];
+        if (orders.length === 0) return;
+
+        const ticked = orders.map(order => ({ ...order, patience: order.patience - 1 }));
+        const expired = ticked.filter(order => order.patience <= 0);
+
+        this._gameState.update({ orders: ticked.filter(order => order.patience > 0) });
+
+        expired.forEach(order => {
+            this._gameState.adjust('oldManMood', -config.rules.missedOrderMoodPenalty, 0, 100);
+            this._eventBus.emit(GameEvents.ORDER_EXPIRED, { order });
+        });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OrderQueue };
+}
@@ -0,0 +1,141 @@
+/**
+ * QualityDecayEngine - Kitchen condition under the Dragonoid (第3話)
+ *
+ * Kitchen-condition model for ingredientQuality:
+ * - Every action decays quality by rules.qualityDecayPerAction x modifiers.qualityDecayRate
+ *   plus the extra decay of every unrepaired damage
+ * - Cleaning (掃除・手入れ) repairs the oldest damage first; on an intact kitchen
+ *   it restores rules.cleaningQualityRestore quality instead
+ * - While the diner is open (day actions) the Dragonoid may rampage and damage
+ *   the kitchen (burned station, smashed equipment...). Each damage hits quality
+ *   at once and keeps draining it until it has been repaired `repairsNeeded` times.
+ *
+ * Each damage keeps its own repair count in `kitchenDamage`, so half-finished
+ * repairs survive a save. Only day actions roll for a rampage, which keeps the
+ * night's study and rest from consuming RNG draws in episode 3.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only manages the kitchen condition
+ * - Open/Closed: Hazards (extra decay, repairs needed, quality hit, line) are
+ *   episodes.json `hazards.events`; adding one needs no code
+ * - Dependency Inversion: Emits KITCHEN_DAMAGED / KITCHEN_REPAIRED, the HUD reads the damage from state
+ *
+ * @class QualityDecayEngine
+ */
+class QualityDecayEngine {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     */
+    constructor(eventBus, gameState) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+    }
+
+    // ===== Episode Rules =====
+
+    /**
+     * Rule hooks for EpisodeManager.registerEpisodeRules()
+     * @param {Object} config - Episode config (data/episodes.json entry with `hazards`)
+     * @returns {EpisodeRules}
+     */
+    createEpisodeRules(config) {
+        return {
+            onAction: (state, data) => {
+                if (data.actionId === 'cleaning') {
+                    this._maintain(config);
+                } else {
+                    this._gameState.adjust('ingredientQuality', -this.getDecayPerAction(config), 0, 100);
+                }
+
+                // The Dragonoid only rampages while the diner is open
+                if (data.phase === 'day') {
+                    this._rollRampage(config);
+                }
+            }
+        };
+    }
+
+    // ===== Kitchen Condition =====
+
+    /**
+     * Quality lost by the next non-cleaning action
+     * @param {Object} config - Episode config
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {number}
+     */
+    getDecayPerAction(config, state = this._gameState.getState()) {
+        const base = Math.round(config.rules.qualityDecayPerAction * config.modifiers.qualityDecayRate);
+        return (state.kitchenDamage || []).reduce((sum, damage) => sum + damage.extraDecay, base);
+    }
+
+    /**
+     * Unrepaired damage (oldest first)
+     * @returns {Array<Object>} { id, hazardId, name, icon, extraDecay, repairsLeft, repairsNeeded }
+     */
+    getDamage() {
+        return (this._gameState.get('kitchenDamage') || []).map(damage => ({ ...damage }));
+    }
+
+    // ===== Mechanics =====
+
+    /**
+     * Cleaning: repair before polishing
+     * @private
+     */
+    _maintain(config) {
+        const damages = this._gameState.get('kitchenDamage') || [];
+        if (damages.length === 0) {
+            this._gameState.adjust('ingredientQuality', config.rules.cleaningQualityRestore, 0, 100);
+            return;
+        }
+
+        const [oldest, ...rest] = damages;
+        const repaired = { ...oldest, repairsLeft: oldest.repairsLeft - 1 };
+
+        if (repaired.repairsLeft > 0) {
+            this._gameState.update({ kitchenDamage: [repaired, ...rest] });
+            return;
+        }
+        this._gameState.update({ kitchenDamage: rest });
+        this._eventBus.emit(GameEvents.KITCHEN_REPAIRED, { damage: repaired });
+    }
+
+    /**
+     * The Dragonoid gets angrier as the food gets worse
+     * @private
+     */
+    _rollRampage(config) {
+        const hazards = config.hazards;
+        const damages = this._gameState.get('kitchenDamage') || [];
+        if (damages.length >= hazards.maxDamage) return;
+
+        const rng = this._gameState.getRng();
+        const angry = this._gameState.get('ingredientQuality') < config.winCondition.minQuality;
+        const chance = hazards.rampageChancePerAction * (angry ? hazards.lowQualityMultiplier : 1);
+        if (!rng.chance(chance)) return;
+
+        const hazard = rng.pick(hazards.events);
+        const damage = {
+            id: this._gameState.get('nextDamageId'),
+            hazardId: hazard.id,
+            name: hazard.name,
+            icon: hazard.icon,
+            extraDecay: hazard.extraDecay,
+            repairsLeft: hazard.repairsNeeded,
+            repairsNeeded: hazard.repairsNeeded
+        };
+
+        this._gameState.update({
+            kitchenDamage: [...damages, damage],
+            nextDamageId: damage.id + 1
+        });
+        this._gameState.adjust('ingredientQuality', -hazard.qualityHit, 0, 100);
+        this._eventBus.emit(GameEvents.KITCHEN_DAMAGED, { damage: { ...damage }, qualityHit: hazard.qualityHit, line: hazard.line });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QualityDecayEngine };
+}
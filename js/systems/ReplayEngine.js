@@ -0,0 +1,166 @@
+/**
+ * ReplayEngine - Re-runs a recorded journal headlessly
+ *
+ * Builds fresh GameState / KitchenEngine / CeremonyManager instances
+ * (HeadlessGame), restores the journal's seed and starting snapshot,
+ * then applies every recorded input in order. Queued ceremony transitions
+ * are flushed after each input, as if the player waited for them.
+ *
+ * Because every random roll comes from the seeded RNG, the replay reaches
+ * exactly the same final state as the recorded run.
+ *
+ * @class ReplayEngine
+ */
+
+/**
+ * Input type → how to apply it to a HeadlessGame
+ */
+const REPLAY_HANDLERS = {
+    executeAction: (game, args) => game.kitchenEngine.executeAction(args[0], args[1] || {}),
+    startNewDay: (game) => game.ceremonyManager.startNewDay(),
+    commitSprintGoals: (game, args) => game.ceremonyManager.commitSprintGoals(args[0]),
+    selectDailyFocus: (game, args) => game.ceremonyManager.selectDailyFocus(args[0]),
+    handlePivotChoice: (game, args) => game.ceremonyManager.handlePivotChoice(args[0]),
+    endActionPhase: (game) => game.ceremonyManager.endActionPhase(),
+    proceedToNextDay: (game) => game.ceremonyManager.proceedToNextDay(),
+    resume: (game) => game.ceremonyManager.resume(),
+    handleChoice: (game, args) => game.episodeManager.handleChoice(args[0]),
+    retrySprint: (game) => game.gameState.retrySprint(),
+    startEpisode: (game, args) => game.episodeManager.startEpisode(args[0]),
+    startNewGamePlus: (game) => game.episodeManager.startNewGamePlus()
+};
+
+class ReplayEngine {
+    /**
+     * Replay a journal
+     * @param {Object|string} journal - Journal object or its JSON text
+     * @returns {Object} { success, game, finalState, entriesApplied, matchesRecording, errors }
+     */
+    replay(journal) {
+        const errors = [];
+        const parsed = this._parse(journal, errors);
+        if (!parsed) {
+            return { success: false, game: null, finalState: null, entriesApplied: 0, matchesRecording: false, errors };
+        }
+
+        const game = new HeadlessGame({ seed: parsed.seed });
+
+        // Restore the starting point (a loaded save or the start of a run)
+        if (parsed.initial && parsed.initial.game) {
+            if (!game.gameState.deserialize(parsed.initial.game)) {
+                errors.push('初期状態を復元できませんでした');
+                return { success: false, game, finalState: null, entriesApplied: 0, matchesRecording: false, errors };
+            }
+            game.ceremonyManager.restoreSnapshot(parsed.initial.ceremony || null);
+        }
+
+        let entriesApplied = 0;
+        parsed.entries.forEach((entry, index) => {
+            const handler = REPLAY_HANDLERS[entry.type];
+            if (!handler) {
+                errors.push(`#${index}: 未知の入力 "${entry.type}"`);
+                return;
+            }
+
+            try {
+                handler(game, entry.args || []);
+                game.runPending();
+                entriesApplied++;
+            } catch (error) {
+                errors.push(`#${index}: ${entry.type} でエラー - ${error.message}`);
+            }
+        });
+
+        const finalData = game.gameState.serialize();
+        const matchesRecording = parsed.final
+            ? this.statesMatch(finalData, parsed.final)
+            : null;
+
+        return {
+            success: errors.length === 0,
+            game,
+            finalState: game.gameState.getState(),
+            entriesApplied,
+            matchesRecording,
+            errors
+        };
+    }
+
+    /**
+     * Compare two serialized states (GameState.serialize() output)
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {boolean}
+     */
+    statesMatch(a, b) {
+        return this._stableStringify(a) === this._stableStringify(b);
+    }
+
+    /**
+     * List top-level state keys that differ (useful in bug reports / test failures)
+     * @param {Object} a - Serialized state
+     * @param {Object} b - Serialized state
+     * @returns {string[]}
+     */
+    diffStates(a, b) {
+        const stateA = (a && a.state) || {};
+        const stateB = (b && b.state) || {};
+        const keys = new Set([...Object.keys(stateA), ...Object.keys(stateB)]);
+
+        return [...keys].filter(key =>
+            this._stableStringify(stateA[key]) !== this._stableStringify(stateB[key])
+        );
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * Validate and parse a journal
+     * @private
+     */
+    _parse(journal, errors) {
+        let data = journal;
+        if (typeof journal === 'string') {
+            try {
+                data = JSON.parse(journal);
+            } catch (error) {
+                errors.push(`ジャーナルのJSONが不正です: ${error.message}`);
+                return null;
+            }
+        }
+
+        if (!data || data.format !== JOURNAL_FORMAT) {
+            errors.push('ジャーナル形式ではありません');
+            return null;
+        }
+        if (data.version > JOURNAL_VERSION) {
+            errors.push(`未対応のジャーナルバージョンです: ${data.version}`);
+            return null;
+        }
+        if (!Array.isArray(data.entries)) {
+            errors.push('entries がありません');
+            return null;
+        }
+        return data;
+    }
+
+    /**
+     * JSON with sorted keys so property order doesn't matter
+     * @private
+     */
+    _stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this._stableStringify(item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayEngine, REPLAY_HANDLERS };
+}
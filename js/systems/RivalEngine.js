@@ -0,0 +1,178 @@
+/**
+ * RivalEngine - Srimon, the rival of the cooking battle (第4話)
+ *
+ * Every completed day Srimon grows by rivalConfig:
+ * - baseGrowthPerTurn ± variability (shared RNG)
+ * - x (1 + catchUpBonus) while he is behind the player
+ *
+ * With rivalConfig.hiddenScore his score is invisible: the player only gets
+ * a report whose clarity depends on the analysis (食材分析) skill.
+ * Win / loss checks always use the real rivalGrowth.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only runs the rival
+ * - Open/Closed: Another rival episode only needs a `rivalConfig` block; the
+ *   growth runs in the onDayComplete hook, the report refreshes on every action
+ * - Dependency Inversion: Emits RIVAL_ACTED / RIVAL_UPDATED, never touches the DOM
+ *
+ * @class RivalEngine
+ */
+
+// ===== PERSONALITY LINES =====
+/**
+ * Srimon's remarks by how the battle looks to him (I18n list keys)
+ * Picked by day (no RNG) so cosmetic lines never change a seeded run.
+ */
+const RIVAL_LINES = {
+    ahead: 'rival.lines.ahead',
+    close: 'rival.lines.close',
+    behind: 'rival.lines.behind'
+};
+
+class RivalEngine {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {GameState} gameState - Game state manager
+     */
+    constructor(eventBus, gameState) {
+        this._eventBus = eventBus;
+        this._gameState = gameState;
+        this._rivalConfigs = new Map(); // episode id → rivalConfig
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * The indicator follows every episode change (null report hides it) and language switch
+     * @private
+     */
+    _setupEventListeners() {
+        [GameEvents.EPISODE_STARTED, 'game:retry_sprint', GameEvents.SAVE_LOADED, GameEvents.LANGUAGE_CHANGED].forEach(event => {
+            this._eventBus.on(event, () => this._emitReport());
+        });
+    }
+
+    // ===== Episode Rules =====
+
+    /**
+     * Rule hooks for EpisodeManager.registerEpisodeRules()
+     * @param {Object} config - Episode config (data/episodes.json entry with `rivalConfig`)
+     * @returns {EpisodeRules}
+     */
+    createEpisodeRules(config) {
+        this._rivalConfigs.set(config.id, config.rivalConfig);
+
+        return {
+            // Growth / analysis change with every action
+            onAction: () => this._emitReport(),
+            onDayComplete: (state) => {
+                this._advance(state);
+                this._emitReport();
+            }
+        };
+    }
+
+    // ===== Rival Report =====
+
+    /**
+     * What the player can tell about the rival
+     * Clarity by analysis level: 'hidden' (？？？) → 'vague' (ahead/behind) → 'rough' (±range) → 'exact'
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Object|null} { clarity, status, text, rivalGrowth, range } or null outside the rival battle
+     */
+    getReport(state = this._gameState.getState()) {
+        const rival = this._rivalConfigs.get(state.currentEpisode);
+        if (!rival) return null;
+
+        const status = this._getMood(rival, state.rivalGrowth - state.growth);
+        const clarity = this._getClarity(rival, state.skills.analysis);
+
+        switch (clarity) {
+            case 'exact':
+                return { clarity, status, text: `${state.rivalGrowth} vs ${state.growth}`, rivalGrowth: state.rivalGrowth, range: null };
+
+            case 'rough': {
+                const step = rival.intel.roughStep;
+                const low = Math.floor(state.rivalGrowth / step) * step;
+                return { clarity, status, text: I18n.t('rival.report.rough', { low, high: low + step - 1, growth: state.growth }), rivalGrowth: null, range: [low, low + step - 1] };
+            }
+
+            case 'vague':
+                return { clarity, status, text: I18n.t(`rival.report.${status}`), rivalGrowth: null, range: null };
+
+            default:
+                return { clarity, status: null, text: I18n.t('rival.report.hidden'), rivalGrowth: null, range: null };
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} rival - rivalConfig
+     * @param {number} analysisLevel
+     * @returns {string} 'hidden' | 'vague' | 'rough' | 'exact'
+     */
+    _getClarity(rival, analysisLevel) {
+        if (!rival.hiddenScore) return 'exact';
+
+        const intel = rival.intel;
+        if (analysisLevel >= intel.exact) return 'exact';
+        if (analysisLevel >= intel.rough) return 'rough';
+        if (analysisLevel >= intel.vague) return 'vague';
+        return 'hidden';
+    }
+
+    // ===== Rival Turn =====
+
+    /**
+     * Srimon's day of cooking
+     * @private
+     */
+    _advance(state) {
+        const rival = this._rivalConfigs.get(state.currentEpisode);
+        const rng = this._gameState.getRng();
+
+        let gain = rival.baseGrowthPerTurn + rng.int(rival.variability * 2 + 1) - rival.variability;
+        if (state.rivalGrowth < state.growth) {
+            gain *= 1 + rival.catchUpBonus;
+        }
+        gain = Math.max(0, Math.round(gain));
+
+        const rivalGrowth = state.rivalGrowth + gain;
+        this._gameState.update({ rivalGrowth });
+
+        const report = this.getReport();
+        const lines = I18n.list(RIVAL_LINES[this._getMood(rival, rivalGrowth - state.growth)]);
+        this._eventBus.emit(GameEvents.RIVAL_ACTED, {
+            // The gain itself is part of the hidden score
+            gain: report.clarity === 'exact' ? gain : null,
+            line: lines[(state.day - 1) % lines.length],
+            report
+        });
+    }
+
+    /**
+     * How the battle looks from the real score (Srimon always knows it)
+     * @private
+     * @param {Object} rival - rivalConfig
+     * @param {number} lead - rivalGrowth - growth
+     * @returns {string} 'ahead' | 'close' | 'behind' (from Srimon's side)
+     */
+    _getMood(rival, lead) {
+        const margin = rival.closeMargin;
+        if (lead > margin) return 'ahead';
+        if (lead < -margin) return 'behind';
+        return 'close';
+    }
+
+    /**
+     * @private
+     */
+    _emitReport() {
+        this._eventBus.emit(GameEvents.RIVAL_UPDATED, { report: this.getReport() });
+    }
+}
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RivalEngine, RIVAL_LINES };
+}
@@ -0,0 +1,488 @@
+/**
+ * SceneScriptRunner - Interpreter for branching scene scripts
+ *
+ * A scene (data/scenes.json) is a list of commands. Plain lines are the
+ * common case, so a flat `{ speaker, text }` list is already a valid script.
+ *
+ *   { "speaker": "mina", "text": "..." }          Dialogue line
+ *   { "speaker": "owner", "expression": "angry", "text": "..." }  Line with an expression (CONTENT_SCHEMA.expressions)
+ *   { "label": "accept" }                          Jump target
+ *   { "jump": "accept" }                           Continue at a label of this scene
+ *   { "goto": "SCENE5_START" }                     Continue with another scene
+ *   { "choice": [option...], "speaker", "prompt" } Ask the player (any number of options)
+ *   { "set": { "metGoblin": true } }               Set story flags (state.flags)
+ *   { "adjust": { "oldManMood": 5 } }              Adjust a stat (SCENE_SCRIPT_STATS)
+ *   { "affinity": { "owner": 5 } }                 Change affinity with a character (AffinityEngine)
+ *   { "end": "gave_up" }                           Stop; the outcome goes to onComplete
+ *
+ * Every command (and every choice option) may have an `if` condition on GameState:
+ *   "oldManMood >= 60", "flag.metGoblin", "!flag.metGoblin && day > 3",
+ *   "playerChoice == 'agile'", "skills.analysis >= 5 || growth > 30"
+ * A choice option is { id, text, icon?, effect?, if?, set?, adjust?, affinity?, jump? | goto? }.
+ *
+ * Consecutive lines are played as one DialogueSystem sequence. A choice emits
+ * CHOICE_PRESENTED and waits for choose(); choose() emits CHOICE_SELECTED.
+ * SCENE_SCRIPT_ENDED follows onComplete when a script ends.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only runs scene scripts, DialogueSystem shows the lines
+ * - Open/Closed: Story branches are data, not code
+ * - Dependency Inversion: Talks to the UI only through EventBus / DialogueSystem
+ *
+ * @class SceneScriptRunner
+ */
+
+// ===== ADJUSTABLE STATS =====
+/**
+ * Stats a script may adjust → upper bound (lower bound is 0)
+ */
+const SCENE_SCRIPT_STATS = {
+    oldManMood: () => 100,
+    stagnation: () => 100,
+    ingredientQuality: () => 100,
+    princessSatisfaction: () => 100,
+    princessAnger: () => 100,
+    stamina: (state) => state.maxStamina,
+    technicalDebt: () => GameConfig.techDebt.max
+};
+
+// ===== CONDITIONS =====
+const CONDITION_TOKEN = /\s*(>=|<=|==|!=|&&|\|\||[<>!()]|-?\d+(?:\.\d+)?|'[^']*'|"[^"]*"|[A-Za-z_][\w.]*)/y;
+
+const CONDITION_COMPARE = {
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+class SceneScriptRunner {
+    /**
+     * @param {EventBus} eventBus - Event bus for communication
+     * @param {DialogueSystem} dialogueSystem - Plays the lines
+     * @param {GameState} gameState - Conditions read it, set / adjust write it
+     * @param {Function} getScene - (sceneId) => script, for `goto`
+     */
+    constructor(eventBus, dialogueSystem, gameState, getScene) {
+        this._eventBus = eventBus;
+        this._dialogueSystem = dialogueSystem;
+        this._gameState = gameState;
+        this._getScene = getScene;
+
+        this._run = null;
+    }
+
+    // ===== Public Methods =====
+
+    /**
+     * Run a scene script
+     * @param {Array} script - Scene commands
+     * @param {string} [type='default'] - Dialogue type for styling
+     * @param {Function} [onComplete] - (outcome) when the script ends; outcome is the `end` value or null
+     * @param {Object} [options]
+     * @param {string} [options.label] - Start at this label instead of the top
+     * @param {string} [options.sceneId] - Scene id the lines are tagged with (backlog)
+     */
+    run(script, type = 'default', onComplete = null, options = {}) {
+        this._run = { script: script || [], pc: 0, type, onComplete, choice: null, sceneId: options.sceneId || null };
+
+        if (options.label) {
+            const pc = this._findLabel(this._run.script, options.label);
+            if (pc === -1) {
+                console.error(`SceneScriptRunner.run: Unknown label "${options.label}"`);
+            } else {
+                this._run.pc = pc;
+            }
+        }
+        this._continue(this._run);
+    }
+
+    /**
+     * Run a scene by id (an unknown id plays as an empty scene)
+     * @param {string} sceneId - Scene id in data/scenes.json
+     * @param {string} [type='default'] - Dialogue type for styling
+     * @param {Function} [onComplete] - (outcome) when the script ends
+     * @param {Object} [options] - See run()
+     */
+    runScene(sceneId, type = 'default', onComplete = null, options = {}) {
+        const script = this._getScene(sceneId);
+        if (!script) {
+            console.error(`SceneScriptRunner: Unknown scene "${sceneId}"`);
+        }
+        this.run(script, type, onComplete, { ...options, sceneId });
+    }
+
+    /**
+     * Answer the choice the script is waiting for
+     * @param {string} choiceId - Option id
+     * @returns {boolean} True if the option was available
+     */
+    choose(choiceId) {
+        const run = this._run;
+        if (!run || !run.choice) {
+            console.warn(`SceneScriptRunner.choose: No choice is waiting (${choiceId})`);
+            return false;
+        }
+
+        const option = run.choice.find(o => o.id === choiceId);
+        if (!option) {
+            console.error(`SceneScriptRunner.choose: Unknown option "${choiceId}"`);
+            return false;
+        }
+
+        run.choice = null;
+        this._eventBus.emit(GameEvents.CHOICE_SELECTED, { choice: choiceId });
+        this._apply(option);
+
+        if (option.goto) {
+            this._goto(run, option.goto);
+        } else {
+            if (option.jump) this._jump(run, option.jump);
+            this._continue(run);
+        }
+        return true;
+    }
+
+    /**
+     * @returns {boolean} True while a script is playing (lines or a choice)
+     */
+    isRunning() {
+        return this._run !== null;
+    }
+
+    /**
+     * @returns {boolean} True while a choice waits for the player
+     */
+    isWaitingForChoice() {
+        return !!(this._run && this._run.choice);
+    }
+
+    /**
+     * Lines a script shows without asking anything (for static dialogue lists)
+     * Conditions and jumps follow the current state; set / adjust / affinity are not applied
+     * and a choice, goto or end stops the list.
+     * @param {Array} script - Scene commands
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {Array<DialogueLine>}
+     */
+    getLines(script, state = this._gameState.getState()) {
+        const lines = [];
+        let pc = 0;
+        // Guard against label loops in hand-written scripts
+        for (let steps = 0; pc < script.length && steps < script.length * 10; steps++) {
+            const command = script[pc++];
+            if (!this.test(command.if, state)) continue;
+
+            if (SceneScriptRunner.isLine(command)) {
+                lines.push(SceneScriptRunner.toLine(command));
+            } else if (command.choice || command.goto || command.end !== undefined) {
+                break;
+            } else if (command.jump) {
+                pc = this._findLabel(script, command.jump);
+                if (pc === -1) break;
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Evaluate a condition against the current state
+     * @param {string} [condition] - Empty = always true
+     * @param {Object} [state] - Defaults to the current state
+     * @returns {boolean}
+     */
+    test(condition, state = this._gameState.getState()) {
+        if (!condition) return true;
+        try {
+            return SceneScriptRunner.compileCondition(condition)(state);
+        } catch (error) {
+            console.error(`SceneScriptRunner: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * @param {Object} command - Scene command
+     * @returns {boolean} True for a dialogue line (a choice may name a speaker too)
+     */
+    static isLine(command) {
+        return command.speaker !== undefined && command.choice === undefined;
+    }
+
+    /**
+     * DialogueSystem line for a line command (the expression only when the script names one)
+     * @param {Object} command - Scene command ({ speaker, text, expression? })
+     * @param {string} [sceneId] - Scene the line belongs to
+     * @returns {DialogueLine}
+     */
+    static toLine(command, sceneId) {
+        const line = { speaker: command.speaker, text: command.text };
+        if (command.expression !== undefined) line.expression = command.expression;
+        if (sceneId !== undefined) line.scene = sceneId;
+        return line;
+    }
+
+    /**
+     * Compile a condition string (throws on a syntax error)
+     * @param {string} condition
+     * @returns {Function} (state) => boolean
+     */
+    static compileCondition(condition) {
+        const cache = SceneScriptRunner._conditionCache;
+        if (!cache.has(condition)) {
+            cache.set(condition, SceneScriptRunner._parseCondition(condition));
+        }
+        return cache.get(condition);
+    }
+
+    // ===== Interpreter =====
+
+    /**
+     * Run commands until the script waits (dialogue / choice) or ends
+     * @private
+     */
+    _continue(run) {
+        while (this._run === run) {
+            const command = run.script[run.pc];
+            if (!command) {
+                this._finish(run, null);
+                return;
+            }
+            run.pc++;
+
+            if (!this.test(command.if)) continue;
+
+            if (SceneScriptRunner.isLine(command)) {
+                this._playLines(run, command);
+                return;
+            }
+            if (command.choice) {
+                this._present(run, command);
+                return;
+            }
+            if (command.goto) {
+                this._goto(run, command.goto);
+                return;
+            }
+            if (command.end !== undefined) {
+                this._finish(run, command.end);
+                return;
+            }
+            if (command.jump) {
+                this._jump(run, command.jump);
+            }
+            this._apply(command);
+        }
+    }
+
+    /**
+     * Play this line and the lines right after it as one sequence
+     * @private
+     */
+    _playLines(run, first) {
+        const lines = [SceneScriptRunner.toLine(first, run.sceneId)];
+        while (run.script[run.pc] && SceneScriptRunner.isLine(run.script[run.pc])) {
+            const command = run.script[run.pc++];
+            if (this.test(command.if)) {
+                lines.push(SceneScriptRunner.toLine(command, run.sceneId));
+            }
+        }
+
+        this._dialogueSystem.start(lines, run.type, () => this._continue(run));
+    }
+
+    /**
+     * @private
+     */
+    _present(run, command) {
+        run.choice = command.choice.filter(option => this.test(option.if));
+        if (run.choice.length === 0) {
+            console.error('SceneScriptRunner: Every option of the choice is hidden');
+            run.choice = null;
+            this._continue(run);
+            return;
+        }
+
+        const character = command.speaker && this._dialogueSystem.getCharacter
+            ? this._dialogueSystem.getCharacter(command.speaker)
+            : null;
+        this._eventBus.emit(GameEvents.CHOICE_PRESENTED, {
+            speaker: command.speaker || null,
+            character,
+            prompt: command.prompt || '',
+            choices: run.choice.map(option => ({
+                id: option.id,
+                text: option.text,
+                icon: option.icon || null,
+                effect: option.effect || null
+            }))
+        });
+    }
+
+    /**
+     * `set`, `adjust` and `affinity` of a command or choice option
+     * @private
+     */
+    _apply(command) {
+        if (command.set) {
+            this._gameState.update({ flags: { ...this._gameState.get('flags'), ...command.set } });
+        }
+        if (command.adjust) {
+            const state = this._gameState.getState();
+            Object.entries(command.adjust).forEach(([stat, delta]) => {
+                const max = SCENE_SCRIPT_STATS[stat];
+                if (!max) {
+                    console.error(`SceneScriptRunner: Stat "${stat}" cannot be adjusted`);
+                    return;
+                }
+                this._gameState.adjust(stat, delta, 0, max(state));
+            });
+        }
+        if (command.affinity) {
+            Object.entries(command.affinity).forEach(([characterId, delta]) => {
+                this._gameState.adjustAffinity(characterId, delta, 'scene');
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _jump(run, label) {
+        const pc = this._findLabel(run.script, label);
+        if (pc === -1) {
+            console.error(`SceneScriptRunner: Unknown label "${label}"`);
+            run.pc = run.script.length;
+            return;
+        }
+        run.pc = pc;
+    }
+
+    /**
+     * @private
+     */
+    _goto(run, sceneId) {
+        this.runScene(sceneId, run.type, run.onComplete);
+    }
+
+    /**
+     * @private
+     */
+    _findLabel(script, label) {
+        return script.findIndex(command => command.label === label);
+    }
+
+    /**
+     * @private
+     */
+    _finish(run, outcome) {
+        if (this._run === run) {
+            this._run = null;
+        }
+        if (run.onComplete) run.onComplete(outcome);
+        this._eventBus.emit(GameEvents.SCENE_SCRIPT_ENDED, { sceneId: run.sceneId, outcome });
+    }
+
+    // ===== Condition Parser =====
+    // or := and ('||' and)* / and := not ('&&' not)* / not := '!' not | compare
+    // compare := value (op value)? / value := number | 'string' | true | false | null | name | '(' or ')'
+
+    /**
+     * @private
+     */
+    static _parseCondition(source) {
+        const tokens = [];
+        CONDITION_TOKEN.lastIndex = 0;
+        while (CONDITION_TOKEN.lastIndex < source.length) {
+            const start = CONDITION_TOKEN.lastIndex;
+            const match = CONDITION_TOKEN.exec(source);
+            if (!match) {
+                if (source.slice(start).trim() === '') break;
+                throw new Error(`Bad condition "${source}" at "${source.slice(start).trim()}"`);
+            }
+            tokens.push(match[1]);
+        }
+
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const fail = (what) => {
+            throw new Error(`Bad condition "${source}": ${what}`);
+        };
+
+        const parseOr = () => {
+            let left = parseAnd();
+            while (peek() === '||') {
+                pos++;
+                const a = left, b = parseAnd();
+                left = (state) => a(state) || b(state);
+            }
+            return left;
+        };
+        const parseAnd = () => {
+            let left = parseNot();
+            while (peek() === '&&') {
+                pos++;
+                const a = left, b = parseNot();
+                left = (state) => a(state) && b(state);
+            }
+            return left;
+        };
+        const parseNot = () => {
+            if (peek() === '!') {
+                pos++;
+                const inner = parseNot();
+                return (state) => !inner(state);
+            }
+            return parseCompare();
+        };
+        const parseCompare = () => {
+            const left = parseValue();
+            const compare = CONDITION_COMPARE[peek()];
+            if (!compare) return (state) => !!left(state);
+            pos++;
+            const right = parseValue();
+            return (state) => compare(left(state), right(state));
+        };
+        const parseValue = () => {
+            const token = tokens[pos++];
+            if (token === undefined) fail('unexpected end');
+            if (token === '(') {
+                const inner = parseOr();
+                if (tokens[pos++] !== ')') fail('missing ")"');
+                return inner;
+            }
+            if (/^-?\d/.test(token)) {
+                const number = Number(token);
+                return () => number;
+            }
+            if (/^['"]/.test(token)) {
+                const text = token.slice(1, -1);
+                return () => text;
+            }
+            if (token === 'true' || token === 'false' || token === 'null') {
+                const literal = JSON.parse(token);
+                return () => literal;
+            }
+            if (/^[A-Za-z_]/.test(token)) {
+                // flag.x → state.flags.x, anything else is a state path (skills.analysis)
+                const path = token.split('.');
+                if (path[0] === 'flag') path[0] = 'flags';
+                return (state) => path.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), state);
+            }
+            return fail(`unexpected "${token}"`);
+        };
+
+        const predicate = parseOr();
+        if (pos < tokens.length) fail(`unexpected "${tokens[pos]}"`);
+        return predicate;
+    }
+}
+
+SceneScriptRunner._conditionCache = new Map();
+
+// Export for ES6 modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneScriptRunner, SCENE_SCRIPT_STATS };
+}
@@ -3,6 +3,7 @@
  *
  * Renders:
  * - Phase transition telops
+ * - Sprint Planning overlay (Episode 1, Day 1)
  * - Morning Stand-up overlay
  * - Night Retrospective overlay
  * - Actions remaining indicator
@@ -14,14 +15,32 @@ class CeremonyUIRenderer {
      */
     constructor(eventBus) {
         this._eventBus = eventBus;
+        this._phase = null;
+        this._standup = null;
+        this._planning = null;
+        this._judgment = null;
+        this._retroCharts = null;
+        this._chartRenderer = null;
         this._setupEventListeners();
     }
 
+    /**
+     * Set the renderer for the burndown / velocity / tech debt charts (charts are skipped without one)
+     * @param {SprintChartUIRenderer} chartRenderer
+     */
+    setChartRenderer(chartRenderer) {
+        this._chartRenderer = chartRenderer;
+    }
+
     _setupEventListeners() {
         // Phase transitions
         this._eventBus.on('ceremony:phase_changed', (data) => this._onPhaseChanged(data));
         this._eventBus.on('ceremony:transition_start', (data) => this._onTransitionStart(data));
 
+        // Sprint planning
+        this._eventBus.on('ceremony:sprint_planning', (data) => this._showSprintPlanning(data));
+        this._eventBus.on('ceremony:sprint_goals_committed', () => this.hideSprintPlanning());
+
         // Morning stand-up
         this._eventBus.on('ceremony:morning_standup', (data) => this._showMorningStandup(data));
         this._eventBus.on('ceremony:focus_selected', (data) => this._onFocusSelected(data));
@@ -51,6 +70,88 @@ class CeremonyUIRenderer {
         this._eventBus.on('ceremony:judgment_failure', (data) => this._showJudgmentFailure(data));
         this._eventBus.on('ceremony:judgment_failure_shown', (data) => this._showContinueScreen(data));
         this._eventBus.on('ceremony:continue_screen_hide', () => this._hideContinueScreen());
+
+        // Language switch: redraw the overlay on screen
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, () => this._onLanguageChanged());
+    }
+
+    /**
+     * Redraw the phase indicator and the open planning / stand-up / judgment in the new language
+     * Lines the ceremony already generated keep their language, scene lines and names follow.
+     * @private
+     */
+    _onLanguageChanged() {
+        if (this._phase) this._updatePhaseIndicator(this._phase);
+
+        const planning = document.getElementById('sprint-planning');
+        if (this._planning && planning && !planning.classList.contains('hidden')) {
+            this._renderDialogueLines('planning-dialogue', this._planning.data.dialogues, 'dialogue-line', 'dialogue-speaker', 'dialogue-text-line');
+            this._renderPlanningGoals();
+        }
+
+        const standup = document.getElementById('morning-standup');
+        if (this._standup && standup && !standup.classList.contains('hidden')) {
+            this._renderDialogueLines('standup-dialogue', this._standup.dialogues, 'dialogue-line', 'dialogue-speaker', 'dialogue-text-line');
+        }
+
+        const retro = document.getElementById('night-retro');
+        if (retro && !retro.classList.contains('hidden')) {
+            this._renderCharts('retro-charts', this._retroCharts);
+        }
+
+        const judgment = document.getElementById('judgment-overlay');
+        if (this._judgment && judgment && !judgment.classList.contains('hidden')) {
+            this._renderJudgmentDialogue(this._judgment.data);
+            this._renderJudgmentCommitment(this._judgment.data);
+            this._renderCharts('judgment-charts', this._judgment.data.charts);
+            this._renderJudgmentButton(this._judgment.data, this._judgment.success);
+        }
+    }
+
+    /**
+     * Speaker label of a ceremony line ('' for the narrator)
+     * @private
+     * @param {string} speaker - Character id (or a name for lines without one)
+     * @returns {string}
+     */
+    _speakerLabel(speaker) {
+        if (speaker === 'narrator') return '';
+
+        const content = typeof ContentLoader !== 'undefined' ? ContentLoader.getDefault() : null;
+        const character = content ? content.characters[speaker] : null;
+        return I18n.t('ui.ceremony.speaker', { name: I18n.text(character ? character.name : speaker) });
+    }
+
+    /**
+     * Small face of the speaker for a line with an expression ('' otherwise)
+     * @private
+     * @param {DialogueLine} line
+     * @returns {string}
+     */
+    _faceImage(line) {
+        if (!line.expression) return '';
+
+        const content = typeof ContentLoader !== 'undefined' ? ContentLoader.getDefault() : null;
+        const sprite = CharacterDisplay.resolveSprite(content ? content.sprites[line.speaker] : null, line.expression);
+        if (!sprite) return '';
+        return `<img class="dialogue-face expression-${line.expression}" src="${sprite}" alt="">`;
+    }
+
+    /**
+     * Render { speaker, text, expression? } lines into a container
+     * @private
+     */
+    _renderDialogueLines(containerId, dialogues, lineClass, speakerClass, textClass) {
+        const container = document.getElementById(containerId);
+        if (!container || !dialogues) return;
+
+        container.innerHTML = dialogues.map(d => `
+            <div class="${lineClass}">
+                ${this._faceImage(d)}
+                <span class="${speakerClass}">${this._speakerLabel(d.speaker)}</span>
+                <span class="${textClass}">${DialogueMarkup.parse(I18n.text(d.text)).text}</span>
+            </div>
+        `).join('');
     }
 
     // ===== PHASE TRANSITIONS =====
@@ -70,6 +171,7 @@ class CeremonyUIRenderer {
         }
 
         // Update Phase Indicator in HUD
+        this._phase = phase;
         this._updatePhaseIndicator(phase);
         
         // Update action buttons visibility
@@ -112,16 +214,16 @@ class CeremonyUIRenderer {
             case 'day':
                 phaseEl.classList.add('phase-action');
                 if (iconEl) iconEl.textContent = '☀️';
-                if (textEl) textEl.textContent = '昼・業務';
+                if (textEl) textEl.textContent = I18n.t('ui.ceremony.phaseDay');
                 break;
             case 'night':
                 phaseEl.classList.add('phase-night');
                 if (iconEl) iconEl.textContent = '🌙';
-                if (textEl) textEl.textContent = '夜・自習';
+                if (textEl) textEl.textContent = I18n.t('ui.ceremony.phaseNight');
                 break;
             default:
                 if (iconEl) iconEl.textContent = '⏳';
-                if (textEl) textEl.textContent = '準備中';
+                if (textEl) textEl.textContent = I18n.t('ui.ceremony.phasePreparing');
         }
     }
 
@@ -130,9 +232,9 @@ class CeremonyUIRenderer {
 
         // Show telop based on phase
         if (to === 'day') {
-            this._showTelop('☀️', '昼の業務', '3アクション実行可能');
+            this._showTelop('☀️', I18n.t('ui.ceremony.telopDay'), I18n.t('ui.ceremony.telopActions', { count: 3 }));
         } else if (to === 'night') {
-            this._showTelop('🌙', '夜の自習', '1アクション実行可能');
+            this._showTelop('🌙', I18n.t('ui.ceremony.telopNight'), I18n.t('ui.ceremony.telopActions', { count: 1 }));
         }
     }
 
@@ -156,6 +258,95 @@ class CeremonyUIRenderer {
         }, 1500);
     }
 
+    // ===== SPRINT PLANNING =====
+
+    _showSprintPlanning(data) {
+        const overlay = document.getElementById('sprint-planning');
+        const dayEl = document.getElementById('planning-day');
+        const maxDayEl = document.getElementById('planning-max-day');
+
+        if (!overlay) return;
+        // The player edits a copy of the proposed goals until committing
+        this._planning = { data, goals: { ...data.defaults, skills: { ...data.defaults.skills } } };
+
+        if (dayEl) dayEl.textContent = data.day;
+        if (maxDayEl) maxDayEl.textContent = data.maxDays || 7;
+
+        this._renderDialogueLines('planning-dialogue', data.dialogues, 'dialogue-line', 'dialogue-speaker', 'dialogue-text-line');
+        this._renderPlanningGoals();
+
+        this._hideActionPhase();
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Skill steppers and the dish / tech debt options (listeners are attached on every render)
+     * @private
+     */
+    _renderPlanningGoals() {
+        const skillsEl = document.getElementById('planning-skills');
+        const dishEl = document.getElementById('planning-dish');
+        const debtEl = document.getElementById('planning-debt');
+        if (!this._planning) return;
+
+        const { data, goals } = this._planning;
+        const { skillMin, skillMax } = data.options;
+
+        if (skillsEl) {
+            skillsEl.innerHTML = Object.entries(goals.skills).map(([skill, level]) => `
+                <div class="planning-skill">
+                    <span class="planning-skill-name">${I18n.text(GameConfig.skills.names[skill] || skill)}</span>
+                    <button class="planning-step" data-skill="${skill}" data-step="-1" ${level <= skillMin ? 'disabled' : ''}>−</button>
+                    <span class="planning-skill-level">${I18n.t('ui.planning.level', { level })}</span>
+                    <button class="planning-step" data-skill="${skill}" data-step="1" ${level >= skillMax ? 'disabled' : ''}>＋</button>
+                    <span class="planning-skill-required">${I18n.t('ui.planning.required', { level: data.defaults.skills[skill] })}</span>
+                </div>
+            `).join('');
+            skillsEl.querySelectorAll('.planning-step').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const skill = btn.dataset.skill;
+                    const level = goals.skills[skill] + parseInt(btn.dataset.step, 10);
+                    goals.skills[skill] = Math.max(skillMin, Math.min(skillMax, level));
+                    this._renderPlanningGoals();
+                });
+            });
+        }
+
+        const renderOptions = (container, goalId, labelKey) => {
+            if (!container) return;
+            container.innerHTML = data.options[goalId].map(value => `
+                <button class="planning-option ${goals[goalId] === value ? 'selected' : ''}" data-value="${value}">
+                    ${I18n.t(labelKey, { value })}
+                </button>
+            `).join('');
+            container.querySelectorAll('.planning-option').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    goals[goalId] = parseInt(btn.dataset.value, 10);
+                    this._renderPlanningGoals();
+                });
+            });
+        };
+        renderOptions(dishEl, 'dishProgress', 'ui.planning.dishOption');
+        renderOptions(debtEl, 'techDebtCeiling', 'ui.planning.debtOption');
+    }
+
+    /**
+     * Goals the player set on the planning overlay
+     * @returns {Object|null} { skills, dishProgress, techDebtCeiling } for CeremonyManager.commitSprintGoals()
+     */
+    getPlannedGoals() {
+        if (!this._planning) return null;
+        const { goals } = this._planning;
+        return { ...goals, skills: { ...goals.skills } };
+    }
+
+    hideSprintPlanning() {
+        const overlay = document.getElementById('sprint-planning');
+        if (overlay) {
+            overlay.classList.add('hidden');
+        }
+    }
+
     // ===== MORNING STAND-UP =====
 
     _showMorningStandup(data) {
@@ -164,10 +355,10 @@ class CeremonyUIRenderer {
         const overlay = document.getElementById('morning-standup');
         const dayEl = document.getElementById('standup-day');
         const maxDayEl = document.getElementById('standup-max-day');
-        const dialogueContainer = document.getElementById('standup-dialogue');
         const crisisIndicator = document.getElementById('crisis-indicator');
 
         if (!overlay) return;
+        this._standup = data;
 
         // Update day counter (Day X / 7 format)
         if (dayEl) dayEl.textContent = day;
@@ -183,14 +374,7 @@ class CeremonyUIRenderer {
         }
 
         // Render dialogues
-        if (dialogueContainer) {
-            dialogueContainer.innerHTML = dialogues.map(d => `
-                <div class="dialogue-line">
-                    <span class="dialogue-speaker">${d.speaker === 'narrator' ? '' : d.speaker + '：'}</span>
-                    <span class="dialogue-text-line">${d.text}</span>
-                </div>
-            `).join('');
-        }
+        this._renderDialogueLines('standup-dialogue', dialogues, 'dialogue-line', 'dialogue-speaker', 'dialogue-text-line');
 
         // Hide action phase elements
         this._hideActionPhase();
@@ -353,6 +537,17 @@ class CeremonyUIRenderer {
         // Generate lesson learned
         this._generateRetroLesson(summary);
 
+        // Burndown / velocity / tech debt across the sprint so far
+        this._retroCharts = data.charts || null;
+        this._renderCharts('retro-charts', this._retroCharts);
+
+        // Agile maxim of the day (picked by day, so a replayed night shows the same one)
+        const tipEl = document.getElementById('retro-agile-tip');
+        if (tipEl) {
+            const tips = I18n.list('ui.retro.agileTips');
+            tipEl.textContent = I18n.t('ui.retro.agileTip', { tip: tips[(day - 1) % tips.length] });
+        }
+
         // Show overlay
         overlay.classList.remove('hidden');
     }
@@ -380,23 +575,24 @@ class CeremonyUIRenderer {
         const lessons = [];
 
         if (summary.growthChange > 5) {
-            lessons.push('「今日は大きく成長できた！」');
+            lessons.push(I18n.t('ui.retro.lessons.bigGrowth'));
         } else if (summary.growthChange < 0) {
-            lessons.push('「失敗から学ぶことも多い...」');
+            lessons.push(I18n.t('ui.retro.lessons.learnFromFailure'));
         }
 
         if (summary.failedActions >= 2) {
-            lessons.push('「同じ失敗を繰り返さないようにしよう」');
+            lessons.push(I18n.t('ui.retro.lessons.repeatedFailure'));
         }
 
         if (summary.stagnationChange > 10) {
-            lessons.push('「もっとバリエーションが必要だ」');
+            lessons.push(I18n.t('ui.retro.lessons.needVariety'));
         }
 
         if (lessons.length === 0) {
-            lessons.push('「明日はもっと上手くやれる」');
+            lessons.push(I18n.t('ui.retro.lessons.tomorrow'));
         }
 
+        // NOTE: UI-only flavor text - intentionally NOT drawn from the game RNG (headless runs have no UI)
         lessonEl.textContent = lessons[Math.floor(Math.random() * lessons.length)];
     }
 
@@ -462,12 +658,7 @@ class CeremonyUIRenderer {
         if (effectEl) effectEl.textContent = data.effect;
 
         if (dialogueEl && data.dialogues) {
-            dialogueEl.innerHTML = data.dialogues.map(d => `
-                <div class="crisis-dialogue-line">
-                    <span class="crisis-speaker">${d.speaker === 'narrator' ? '' : d.speaker + '：'}</span>
-                    <span class="crisis-text">${d.text}</span>
-                </div>
-            `).join('');
+            this._renderDialogueLines('crisis-dialogue', data.dialogues, 'crisis-dialogue-line', 'crisis-speaker', 'crisis-text');
         }
 
         // Hide action phase
@@ -510,25 +701,19 @@ class CeremonyUIRenderer {
 
         const resultEl = document.getElementById('judgment-result');
         const growthEl = document.getElementById('judgment-growth');
-        const dialogueEl = document.getElementById('judgment-dialogue');
         const rewardEl = document.getElementById('judgment-reward');
-        const continueBtn = document.getElementById('judgment-continue');
 
+        this._judgment = { data, success: true };
         overlay.classList.remove('hidden');
         overlay.classList.add('success');
         overlay.classList.remove('failure');
 
-        if (resultEl) resultEl.textContent = '採用決定！';
-        if (growthEl) growthEl.textContent = `成長: ${data.growth} / ${data.requiredGrowth}`;
+        if (resultEl) resultEl.textContent = data.title || I18n.t('ui.judgment.hired');
+        if (growthEl) growthEl.textContent = data.goalText || I18n.t('ui.judgment.growth', { growth: data.growth, target: data.requiredGrowth });
 
-        if (dialogueEl && data.dialogues) {
-            dialogueEl.innerHTML = data.dialogues.map(d => `
-                <div class="judgment-dialogue-line">
-                    <span class="judgment-speaker">${d.speaker === 'narrator' ? '' : d.speaker + '：'}</span>
-                    <span class="judgment-text">${d.text}</span>
-                </div>
-            `).join('');
-        }
+        this._renderJudgmentDialogue(data);
+        this._renderJudgmentCommitment(data);
+        this._renderCharts('judgment-charts', data.charts);
 
         if (rewardEl && data.reward) {
             rewardEl.innerHTML = `
@@ -539,12 +724,11 @@ class CeremonyUIRenderer {
                 </div>
             `;
             rewardEl.classList.remove('hidden');
+        } else if (rewardEl) {
+            rewardEl.classList.add('hidden');
         }
 
-        if (continueBtn) {
-            continueBtn.textContent = '第2話へ進む';
-            continueBtn.dataset.action = 'next-episode';
-        }
+        this._renderJudgmentButton(data, true);
     }
 
     /**
@@ -559,39 +743,97 @@ class CeremonyUIRenderer {
 
         const resultEl = document.getElementById('judgment-result');
         const growthEl = document.getElementById('judgment-growth');
-        const dialogueEl = document.getElementById('judgment-dialogue');
         const rewardEl = document.getElementById('judgment-reward');
-        const continueBtn = document.getElementById('judgment-continue');
 
+        this._judgment = { data, success: false };
         overlay.classList.remove('hidden');
         overlay.classList.add('failure');
         overlay.classList.remove('success');
 
-        if (resultEl) resultEl.textContent = '不採用...';
-        if (growthEl) growthEl.textContent = `成長: ${data.growth} / ${GameConfig.episode1.growthTarget || 50}`;
-
-        if (dialogueEl && data.dialogues) {
-            dialogueEl.innerHTML = data.dialogues.map(d => `
-                <div class="judgment-dialogue-line">
-                    <span class="judgment-speaker">${d.speaker === 'narrator' ? '' : d.speaker + '：'}</span>
-                    <span class="judgment-text">${d.text}</span>
-                </div>
-            `).join('');
+        if (resultEl) resultEl.textContent = data.title || I18n.t('ui.judgment.rejected');
+        if (growthEl) {
+            growthEl.textContent = data.goalText ||
+                I18n.t('ui.judgment.growth', { growth: data.growth, target: GameConfig.episode1.growthTarget || 50 });
         }
 
+        this._renderJudgmentDialogue(data);
+        this._renderJudgmentCommitment(data);
+        this._renderCharts('judgment-charts', data.charts);
+
         if (rewardEl) {
             rewardEl.classList.add('hidden');
         }
 
-        if (continueBtn) {
-            continueBtn.textContent = '続ける';
-            continueBtn.dataset.action = 'show-continue';
-        }
+        this._renderJudgmentButton(data, false);
 
         // Emit event to show continue screen after dialogue
         this._eventBus.emit('ceremony:judgment_failure_shown', data);
     }
 
+    /**
+     * @private
+     */
+    _renderJudgmentDialogue(data) {
+        this._renderDialogueLines('judgment-dialogue', data.dialogues, 'judgment-dialogue-line', 'judgment-speaker', 'judgment-text');
+    }
+
+    /**
+     * Sprint charts into an overlay section (hidden before the first night or without a chart renderer)
+     * @private
+     * @param {string} elementId
+     * @param {Object|null} charts - GameState.getSprintCharts() result
+     */
+    _renderCharts(elementId, charts) {
+        const container = document.getElementById(elementId);
+        if (!container) return;
+
+        if (!this._chartRenderer) {
+            container.classList.add('hidden');
+            return;
+        }
+        this._chartRenderer.render(container, charts || null);
+    }
+
+    /**
+     * Commitment accuracy of the sprint goals (hidden when none were committed)
+     * @private
+     */
+    _renderJudgmentCommitment(data) {
+        const commitmentEl = document.getElementById('judgment-commitment');
+        if (!commitmentEl) return;
+
+        const commitment = data.commitment;
+        commitmentEl.classList.toggle('hidden', !commitment);
+        if (commitment) {
+            commitmentEl.textContent = I18n.t('ui.judgment.commitment', commitment);
+        }
+    }
+
+    /**
+     * Continue button of the judgment: next episode / New Game+ after the finale (success) or continue (failure)
+     * @private
+     */
+    _renderJudgmentButton(data, success) {
+        const continueBtn = document.getElementById('judgment-continue');
+        if (!continueBtn) return;
+
+        // Episode 1 has no nextEpisode field: it always leads to Episode 2
+        const nextEpisode = data.episode ? data.nextEpisode : 2;
+        const titleBtn = document.getElementById('judgment-title');
+        if (titleBtn) titleBtn.classList.toggle('hidden', !success || !!nextEpisode);
+
+        if (!success) {
+            continueBtn.textContent = I18n.t('ui.judgment.continue');
+            continueBtn.dataset.action = 'show-continue';
+            return;
+        }
+
+        continueBtn.textContent = nextEpisode
+            ? I18n.t('ui.judgment.nextEpisode', { episode: nextEpisode })
+            : I18n.t('ui.judgment.newGamePlus');
+        continueBtn.dataset.action = nextEpisode ? 'next-episode' : 'new-game-plus';
+    }
+
     /**
      * Hide Judgment overlay
      */
@@ -0,0 +1,168 @@
+/**
+ * ChapterSelectUIRenderer - Renders the chapter select (episode progression map)
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only renders the chapter list overlay
+ * - Dependency Inversion: Emits UI events, doesn't call EpisodeManager / ProgressStore directly
+ *
+ * Emits:
+ * - 'ui:chapter_selected' { episodeId }
+ * - 'ui:profile_selected' { profileId }
+ *
+ * @class ChapterSelectUIRenderer
+ */
+class ChapterSelectUIRenderer {
+    /**
+     * @param {EventBus} eventBus
+     */
+    constructor(eventBus) {
+        this._eventBus = eventBus;
+        this._chapters = [];
+        this._profiles = [];
+        this._activeProfile = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, () => {
+            if (this.isVisible()) this.render(this._chapters, this._profiles, this._activeProfile);
+        });
+    }
+
+    // ===== PUBLIC =====
+
+    /**
+     * Show the chapter select
+     * @param {Array<Object>} chapters - From EpisodeManager.getChapters()
+     * @param {string[]} profiles - From ProgressStore.getProfileIds()
+     * @param {string} activeProfile - From ProgressStore.getActiveProfile()
+     */
+    show(chapters, profiles, activeProfile) {
+        const overlay = document.getElementById('chapter-select');
+        if (!overlay) return;
+
+        this.render(chapters, profiles, activeProfile);
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the chapter select
+     */
+    hide() {
+        const overlay = document.getElementById('chapter-select');
+        if (overlay) overlay.classList.add('hidden');
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isVisible() {
+        const overlay = document.getElementById('chapter-select');
+        return !!overlay && !overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Rebuild the profile row and the chapter list
+     * CRITICAL: innerHTML is cleared first so listeners are not duplicated
+     * @param {Array<Object>} chapters
+     * @param {string[]} profiles
+     * @param {string} activeProfile
+     */
+    render(chapters, profiles, activeProfile) {
+        this._chapters = chapters;
+        this._profiles = profiles;
+        this._activeProfile = activeProfile;
+
+        const titleEl = document.getElementById('chapter-select-title');
+        if (titleEl) titleEl.textContent = I18n.t('ui.chapters.title');
+
+        this._renderProfiles();
+
+        const listEl = document.getElementById('chapter-list');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        chapters.forEach(chapter => listEl.appendChild(this._createChapter(chapter)));
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * One button per profile, the active one highlighted
+     * @private
+     */
+    _renderProfiles() {
+        const rowEl = document.getElementById('chapter-profiles');
+        if (!rowEl) return;
+
+        rowEl.innerHTML = '';
+        this._profiles.forEach((profileId, i) => {
+            const btn = document.createElement('button');
+            btn.className = `save-language-btn${profileId === this._activeProfile ? ' active' : ''}`;
+            btn.textContent = I18n.t('ui.chapters.profile', { number: i + 1 });
+            btn.addEventListener('click', () => {
+                this._eventBus.emit('ui:profile_selected', { profileId });
+            });
+            rowEl.appendChild(btn);
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} chapter - EpisodeManager.getChapters() entry
+     * @returns {HTMLElement}
+     */
+    _createChapter(chapter) {
+        const row = document.createElement('div');
+        row.className = `save-slot chapter-entry${chapter.locked ? ' chapter-locked' : ''}${chapter.cleared ? ' chapter-cleared' : ''}`;
+
+        const guest = chapter.guest
+            ? I18n.t('ui.chapters.guest', { name: I18n.text(chapter.guest) })
+            : I18n.t('ui.chapters.noGuest');
+
+        const info = document.createElement('div');
+        info.className = 'save-slot-info';
+        info.innerHTML = `
+            <span class="save-slot-name">${chapter.locked ? '&#x1F512; ' : ''}${I18n.text(chapter.title)}</span>
+            <span class="chapter-subtitle">${chapter.subtitle}</span>
+            <span class="save-slot-detail">${guest}　${this._formatResult(chapter)}</span>
+        `;
+        row.appendChild(info);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'save-slot-buttons';
+        if (!chapter.locked) {
+            const btn = document.createElement('button');
+            btn.className = 'save-slot-btn save-slot-load';
+            btn.textContent = I18n.t(chapter.cleared ? 'ui.chapters.replay' : 'ui.chapters.play');
+            btn.addEventListener('click', () => {
+                this._eventBus.emit('ui:chapter_selected', { episodeId: chapter.id });
+            });
+            buttons.appendChild(btn);
+        }
+        row.appendChild(buttons);
+
+        return row;
+    }
+
+    /**
+     * Clear status and best result
+     * @private
+     */
+    _formatResult(chapter) {
+        if (chapter.locked) return I18n.t('ui.chapters.locked');
+        if (!chapter.best) return I18n.t('ui.chapters.notPlayed');
+
+        const status = I18n.t(chapter.cleared ? 'ui.chapters.cleared' : 'ui.chapters.notCleared');
+        const best = chapter.best.bestClearDay !== null
+            ? I18n.t('ui.chapters.bestClear', { growth: chapter.best.bestGrowth, day: chapter.best.bestClearDay })
+            : I18n.t('ui.chapters.best', { growth: chapter.best.bestGrowth });
+        return `${status} ${best}`;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChapterSelectUIRenderer };
+}
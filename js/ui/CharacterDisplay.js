@@ -5,21 +5,63 @@
  * - Slide-in character entry animations
  * - "Talk-and-Jump" effect for active speaker
  * - Brightness dimming for non-speaking characters
+ * - Expressions: a line may name one (neutral, angry, happy, surprised, worried);
+ *   the sprite cross-fades to the expression image, or stays on the base sprite
+ *   when the character has none (the expression-<name> class still shows the mood)
+ * - Episode guests are registered on demand (config.getGuest, i.e. EpisodeManager.getEpisodeGuest)
+ *   with a stage slot from data ("stage", see CONTENT_SCHEMA.stagePositions) and an entrance
+ *   that fits their personality
+ * - A generated silhouette stands in for any sprite whose image file is missing
  * - Smooth transitions using anime.js
  */
 
+// ===== GUEST STAGING =====
+/**
+ * Guest personality → silhouette color and entrance animation
+ * entrance(side) returns anime.js params; side is -1 when entering from the left, 1 from the right.
+ * `shake: true` shakes the screen when the entrance lands.
+ */
+const GUEST_STAGING = {
+    // Goblin: bounds in, already hungry
+    hungry: {
+        color: '#5b7f3a',
+        entrance: (side) => ({ translateX: [side * 200, 0], translateY: [0, -50, 0, -25, 0], opacity: [0, 1], duration: 800, easing: 'easeOutQuad' })
+    },
+    // Dragonoid: stomps down from above and shakes the diner
+    destructive: {
+        color: '#9c2f2f',
+        entrance: () => ({ translateY: [-320, 0], scale: [1.1, 1], opacity: [0, 1], duration: 450, easing: 'easeInQuad', shake: true })
+    },
+    // Srimon: glides in without a wasted move
+    rival: {
+        color: '#3a4f8a',
+        entrance: (side) => ({ translateX: [side * 300, 0], opacity: [0, 1], duration: 900, easing: 'easeOutExpo' })
+    },
+    // Elf princess: appears in a glow
+    demanding: {
+        color: '#a884c9',
+        entrance: () => ({ scale: [1.08, 1], opacity: [0, 1], filter: ['brightness(1.8)', 'brightness(1)'], duration: 1000, easing: 'easeOutSine' })
+    }
+};
+
 class CharacterDisplay {
     /**
      * @param {EventBus} eventBus - Event bus for communication
      * @param {Object} config - Configuration options
+     * @param {Object<string, Object>} [config.sprites] - Sprites from content ({ base, expressions } by character id)
+     * @param {Function} [config.getGuest] - () => guest of the current episode (data/characters.json guests) or null
      */
     constructor(eventBus, config = {}) {
         this._eventBus = eventBus;
         this._config = {
             containerSelector: config.containerSelector || '.vn-stage',
+            layerSelector: config.layerSelector || '.vn-character-layer',
             transitionDuration: config.transitionDuration || 400,
             dimOpacity: config.dimOpacity || 0.7,
-            speakerScale: config.speakerScale || 1.02
+            speakerScale: config.speakerScale || 1.02,
+            expressionFadeDuration: config.expressionFadeDuration || 250,
+            sprites: config.sprites || {},
+            getGuest: config.getGuest || (() => null)
         };
 
         // Character registry
@@ -39,7 +81,10 @@ class CharacterDisplay {
 
     registerCharacter(character) {
         this._characters.set(character.id, {
+            expressions: {},
+            silhouette: CharacterDisplay.createSilhouette(),
             ...character,
+            expression: 'neutral',
             visible: false,
             hasEntered: false
         });
@@ -49,6 +94,75 @@ class CharacterDisplay {
         return this._characters.get(id) || null;
     }
 
+    /**
+     * Register an episode guest and add their sprite to the stage (once per guest)
+     * @param {Object} guest - Guest from data/characters.json ({ id, name, sprite, personality, stage })
+     * @returns {Object|null} The registered character
+     */
+    registerGuest(guest) {
+        if (!guest || !guest.id) return null;
+        if (this._characters.has(guest.id)) return this._characters.get(guest.id);
+
+        const layer = document.querySelector(this._config.layerSelector);
+        if (!layer) return null;
+
+        const positions = CONTENT_SCHEMA.stagePositions;
+        const stage = guest.stage || 'center-right';
+        const staging = GUEST_STAGING[guest.personality] || {};
+
+        const element = document.createElement('div');
+        element.id = `vn-char-${guest.id}`;
+        element.className = `vn-character vn-guest position-${stage} hidden`;
+        const img = document.createElement('img');
+        img.className = 'vn-sprite-img';
+        img.alt = I18n.text(guest.name);
+        element.appendChild(img);
+        layer.appendChild(element);
+
+        this.registerCharacter({
+            id: guest.id,
+            name: guest.name,
+            image: guest.sprite || null,
+            expressions: guest.expressions || {},
+            position: stage,
+            elementId: element.id,
+            entryDirection: positions.indexOf(stage) < positions.indexOf('center') ? 'left' : 'right',
+            personality: guest.personality || null,
+            silhouette: CharacterDisplay.createSilhouette(staging.color)
+        });
+
+        const character = this._characters.get(guest.id);
+        this._loadSprite(img, character.image || character.silhouette, character);
+        return character;
+    }
+
+    /**
+     * Placeholder sprite: a figure silhouette as an SVG data URL
+     * @param {string} [color] - Fill color
+     * @returns {string}
+     */
+    static createSilhouette(color = '#4a4a4a') {
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="600" viewBox="0 0 300 600">'
+            + `<g fill="${color}" fill-opacity="0.85">`
+            + '<circle cx="150" cy="130" r="70"/>'
+            + '<path d="M40 600 C40 330 90 230 150 230 C210 230 260 330 260 600 Z"/>'
+            + '</g>'
+            + '<text x="150" y="158" font-size="80" font-family="sans-serif" text-anchor="middle" fill="#fff" fill-opacity="0.6">?</text>'
+            + '</svg>';
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    }
+
+    /**
+     * Registered character, or the current episode's guest registered on first use
+     * @private
+     */
+    _ensureCharacter(id) {
+        if (this._characters.has(id)) return this._characters.get(id);
+
+        const guest = this._config.getGuest();
+        return guest && guest.id === id ? this.registerGuest(guest) : null;
+    }
+
     _registerDefaultCharacters() {
         // === IMAGE PATH CONSTANTS ===
         const SPRITES = {
@@ -56,12 +170,14 @@ class CharacterDisplay {
             MINA: 'ミナ.png',
             OWNER: '親父.png'
         };
+        const sprites = this._config.sprites;
 
         // Fuji - Main character (center position when speaking)
         this.registerCharacter({
             id: 'fuji',
             name: 'フジ',
-            image: SPRITES.FUJI,
+            image: sprites.fuji ? sprites.fuji.base : SPRITES.FUJI,
+            expressions: sprites.fuji ? sprites.fuji.expressions : {},
             position: 'center',
             elementId: 'vn-char-fuji',
             entryDirection: 'left'
@@ -71,7 +187,8 @@ class CharacterDisplay {
         this.registerCharacter({
             id: 'mina',
             name: 'ミナ',
-            image: SPRITES.MINA,
+            image: sprites.mina ? sprites.mina.base : SPRITES.MINA,
+            expressions: sprites.mina ? sprites.mina.expressions : {},
             position: 'left',
             elementId: 'vn-char-mina',
             entryDirection: 'left'
@@ -81,7 +198,8 @@ class CharacterDisplay {
         this.registerCharacter({
             id: 'owner',
             name: '老店主',
-            image: SPRITES.OWNER,
+            image: sprites.owner ? sprites.owner.base : SPRITES.OWNER,
+            expressions: sprites.owner ? sprites.owner.expressions : {},
             position: 'right',
             elementId: 'vn-char-owner',
             entryDirection: 'right'
@@ -108,9 +226,12 @@ class CharacterDisplay {
             this.hideCharacter(data.characterId);
         });
 
-        // CHARACTER_SPEAKING - highlight and animate speaker
+        // CHARACTER_SPEAKING - highlight and animate speaker, then show the line's expression
+        // (a character entering the stage gets it without a cross-fade)
         this._eventBus.on(GameEvents.CHARACTER_SPEAKING, (data) => {
+            const entering = !this.isVisible(data.characterId);
             this.focusOnCharacter(data.characterId);
+            this.setExpression(data.characterId, data.expression, { animate: !entering });
         });
 
         // Scene changes - hide all
@@ -157,6 +278,38 @@ class CharacterDisplay {
         }
     }
 
+    /**
+     * Entry animation of a character: a guest's personality entrance, or the slide-in
+     * @private
+     */
+    _animateEntrance(element, character) {
+        const staging = GUEST_STAGING[character.personality];
+        if (!staging || typeof anime === 'undefined') {
+            this._animateEntry(element, character.entryDirection);
+            return;
+        }
+
+        const { shake, ...params } = staging.entrance(character.entryDirection === 'left' ? -1 : 1);
+        anime.remove(element);
+        element.style.opacity = '0';
+
+        anime({
+            targets: element,
+            ...params,
+            complete: () => {
+                if (!shake) return;
+                this._eventBus.emit(GameEvents.DIALOGUE_SHAKE, { type: 'entrance' });
+                if (typeof gameEffects !== 'undefined') {
+                    gameEffects.playSound('error');
+                }
+            }
+        });
+
+        if (typeof gameEffects !== 'undefined') {
+            gameEffects.playSound('click');
+        }
+    }
+
     /**
      * Animate character exit with fade-out
      */
@@ -225,31 +378,79 @@ class CharacterDisplay {
         });
     }
 
+    /**
+     * Cross-fade the sprite: a copy with the new image fades in over it, then replaces it
+     * @private
+     */
+    _crossFade(img, src, character) {
+        if (typeof anime === 'undefined' || !img.parentNode) {
+            this._loadSprite(img, src, character);
+            return;
+        }
+
+        img.parentNode.querySelectorAll('.vn-sprite-next').forEach(node => node.remove());
+        const next = img.cloneNode();
+        next.classList.add('vn-sprite-next');
+        next.style.opacity = '0';
+        this._loadSprite(next, src, character);
+        img.parentNode.appendChild(next);
+
+        anime({
+            targets: next,
+            opacity: [0, 1],
+            duration: this._config.expressionFadeDuration,
+            easing: 'easeOutQuad',
+            complete: () => {
+                img.src = next.src;
+                next.remove();
+            }
+        });
+    }
+
+    /**
+     * Load a sprite; a missing image falls back to the base sprite, then to the silhouette
+     * @private
+     */
+    _loadSprite(img, src, character) {
+        const fallbacks = [character.image, character.silhouette]
+            .filter((url, i, all) => url && url !== src && all.indexOf(url) === i);
+        img.onerror = () => {
+            const next = fallbacks.shift();
+            if (next) {
+                img.src = next;
+            } else {
+                img.onerror = null;
+            }
+        };
+        img.src = src;
+    }
+
     // ===== Display Methods =====
 
     /**
      * Show a character with entry animation
      */
     showCharacter(characterId, options = {}) {
-        const character = this._characters.get(characterId);
+        const character = this._ensureCharacter(characterId);
         if (!character || !character.elementId) return;
 
         const element = document.getElementById(character.elementId);
         if (!element) return;
 
-        // Update image
+        // Update image (a new entry starts neutral)
         const img = element.querySelector('.vn-sprite-img');
         if (img && character.image) {
-            img.src = character.image;
-            img.alt = character.name;
+            this._loadSprite(img, CharacterDisplay.resolveSprite(character, character.expression), character);
+            img.alt = I18n.text(character.name);
         }
+        this._setExpressionClass(element, character.expression);
 
         // Show element
         element.classList.remove('hidden', 'char-exit');
 
         // Play entry animation if first time
         if (!character.hasEntered) {
-            this._animateEntry(element, character.entryDirection);
+            this._animateEntrance(element, character);
             character.hasEntered = true;
         } else {
             // Fade in if already entered before
@@ -303,6 +504,7 @@ class CharacterDisplay {
             }
             // Reset entry state for next scene
             char.hasEntered = false;
+            char.expression = 'neutral';
         });
     }
 
@@ -310,7 +512,7 @@ class CharacterDisplay {
      * Focus on speaking character with Talk-and-Jump effect
      */
     focusOnCharacter(characterId) {
-        const character = this._characters.get(characterId);
+        const character = this._ensureCharacter(characterId);
 
         // Narrator has no sprite
         if (characterId === 'narrator' || !character || !character.elementId) {
@@ -344,7 +546,7 @@ class CharacterDisplay {
                 // Show speaking character if not visible
                 if (!char.visible) {
                     element.classList.remove('hidden');
-                    this._animateEntry(element, char.entryDirection);
+                    this._animateEntrance(element, char);
                     char.visible = true;
                     char.hasEntered = true;
                     this._activeCharacters.add(id);
@@ -379,6 +581,58 @@ class CharacterDisplay {
         });
     }
 
+    /**
+     * Show an expression (unknown or missing expressions fall back to the base sprite)
+     * @param {string} characterId
+     * @param {string|null} expression - 'angry', 'happy'...; null = neutral
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Cross-fade instead of swapping at once
+     */
+    setExpression(characterId, expression, options = {}) {
+        const character = this._characters.get(characterId);
+        if (!character || !character.elementId) return;
+
+        const element = document.getElementById(character.elementId);
+        if (!element) return;
+
+        const name = expression || 'neutral';
+        const previous = CharacterDisplay.resolveSprite(character, character.expression);
+        const next = CharacterDisplay.resolveSprite(character, name);
+        character.expression = name;
+        this._setExpressionClass(element, name);
+
+        const img = element.querySelector('.vn-sprite-img');
+        if (!img || !next) return;
+
+        if (options.animate === false) {
+            this._loadSprite(img, next, character);
+        } else if (next !== previous) {
+            this._crossFade(img, next, character);
+        }
+    }
+
+    /**
+     * Image for an expression: the expression sprite, or the base sprite
+     * @param {Object} sprite - { image | base, expressions } (a registered character or a content sprite)
+     * @param {string|null} expression
+     * @returns {string|null}
+     */
+    static resolveSprite(sprite, expression) {
+        if (!sprite) return null;
+        const expressions = sprite.expressions || {};
+        return (expression && expressions[expression]) || sprite.image || sprite.base || null;
+    }
+
+    /**
+     * @private
+     */
+    _setExpressionClass(element, expression) {
+        Array.from(element.classList)
+            .filter(name => name.startsWith('expression-'))
+            .forEach(name => element.classList.remove(name));
+        element.classList.add(`expression-${expression}`);
+    }
+
     /**
      * Set speaking character (alternative method)
      */
@@ -415,16 +669,16 @@ class CharacterDisplay {
     }
 
     /**
-     * Move character to position
+     * Move character to a stage position (CONTENT_SCHEMA.stagePositions)
      */
     moveCharacter(characterId, position) {
-        const character = this._characters.get(characterId);
+        const character = this._ensureCharacter(characterId);
         if (!character || !character.elementId) return;
 
         const element = document.getElementById(character.elementId);
         if (!element) return;
 
-        element.classList.remove('position-left', 'position-right', 'position-center', 'position-center-left');
+        CONTENT_SCHEMA.stagePositions.forEach(slot => element.classList.remove(`position-${slot}`));
         element.classList.add(`position-${position}`);
         character.position = position;
     }
@@ -21,17 +21,26 @@ class DialogueUIRenderer {
             dialogueText: elements.dialogueText || 'vn-text',
             sceneTitle: elements.sceneTitle || 'vn-scene-title',
             choiceOverlay: elements.choiceOverlay || 'choice-overlay',
+            choiceSpeaker: elements.choiceSpeaker || 'choice-speaker',
+            choiceQuestion: elements.choiceQuestion || 'choice-question',
+            choiceButtons: elements.choiceButtons || 'choice-buttons',
             minaTipModal: elements.minaTipModal || 'mina-tip-modal',
             minaTipText: elements.minaTipText || 'mina-tip-text',
             bgCurrent: elements.bgCurrent || 'vn-bg-current',
             bgNext: elements.bgNext || 'vn-bg-next',
-            fadeOverlay: elements.fadeOverlay || 'vn-fade-overlay'
+            fadeOverlay: elements.fadeOverlay || 'vn-fade-overlay',
+            backlogOverlay: elements.backlogOverlay || 'backlog-overlay',
+            backlogList: elements.backlogList || 'backlog-list'
         };
 
         this._currentScene = null;
+        this._currentSceneTitle = '';
+        this._currentLine = null;
+        this._currentChoice = null;
         this._currentBackground = null;
         this._isTransitioning = false;
         this._isFading = false;
+        this._shakeTimeout = null;
         this._setupEventListeners();
     }
 
@@ -41,6 +50,7 @@ class DialogueUIRenderer {
         this._eventBus.on(GameEvents.DIALOGUE_ADVANCED, this._onDialogueAdvanced.bind(this));
         this._eventBus.on(GameEvents.DIALOGUE_COMPLETED, this._onDialogueCompleted.bind(this));
         this._eventBus.on('dialogue:typing', this._onTyping.bind(this));
+        this._eventBus.on(GameEvents.DIALOGUE_SHAKE, this._onDialogueShake.bind(this));
 
         // Scene events
         this._eventBus.on(GameEvents.SCENE_CHANGED, this._onSceneChanged.bind(this));
@@ -55,6 +65,9 @@ class DialogueUIRenderer {
 
         // Mina tip events
         this._eventBus.on(GameEvents.MINA_TIP_SHOWN, this._onMinaTipShown.bind(this));
+
+        // Language switch: redraw the names and choices on screen (DialogueSystem retypes the line)
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, this._onLanguageChanged.bind(this));
     }
 
     // ===== DOM Helpers =====
@@ -82,6 +95,7 @@ class DialogueUIRenderer {
 
     _onDialogueAdvanced(data) {
         const { line, character, type } = data;
+        this._currentLine = data;
 
         // Update speaker name (new structure with .name-text span)
         const speakerEl = this._getElement('speakerName');
@@ -95,7 +109,7 @@ class DialogueUIRenderer {
                 if (nameTextEl) nameTextEl.textContent = '';
             } else {
                 dialogueBox.classList.remove('narrator-mode');
-                const displayName = character ? character.name : line.speaker;
+                const displayName = I18n.text(character ? character.name : line.speaker);
                 if (nameTextEl) {
                     nameTextEl.textContent = displayName;
                 } else {
@@ -117,18 +131,80 @@ class DialogueUIRenderer {
         const textEl = this._getElement('dialogueText');
         if (!textEl) return;
 
-        if (data.isComplete) {
-            textEl.innerHTML = data.text;
-        } else {
-            textEl.innerHTML = data.text + '<span class="typing-cursor">|</span>';
+        textEl.innerHTML = '';
+        this._renderMarkup(textEl, data.segments || [{ type: 'text', text: data.text }], data.visibleChars);
+
+        if (!data.isComplete) {
+            const cursor = document.createElement('span');
+            cursor.className = 'typing-cursor';
+            cursor.textContent = '|';
+            textEl.appendChild(cursor);
+        }
+    }
+
+    /**
+     * {shake} in the text: shake the dialogue scene once
+     */
+    _onDialogueShake() {
+        const overlay = this._getElement('overlay');
+        if (!overlay) return;
+
+        // Restart the animation if a shake is already running
+        overlay.classList.remove('screen-shake');
+        void overlay.offsetWidth;
+        overlay.classList.add('screen-shake');
+        clearTimeout(this._shakeTimeout);
+        this._shakeTimeout = setTimeout(() => overlay.classList.remove('screen-shake'), GameConfig.ui.screenShakeDuration);
+    }
+
+    /**
+     * Append DialogueMarkup segments to an element (text via textContent only)
+     * @private
+     * @param {HTMLElement} container
+     * @param {MarkupSegment[]} segments - DialogueMarkup.parse(text).segments
+     * @param {number} [visibleChars] - Characters typed so far (all when omitted)
+     */
+    _renderMarkup(container, segments, visibleChars = Infinity) {
+        let remaining = visibleChars;
+
+        for (const segment of segments) {
+            if (segment.type !== 'text') continue;
+            if (remaining <= 0) break;
+
+            const shown = segment.text.slice(0, remaining);
+            remaining -= shown.length;
+
+            let node = document.createTextNode(shown);
+            if (segment.ruby) {
+                const ruby = document.createElement('ruby');
+                const rt = document.createElement('rt');
+                rt.textContent = segment.ruby;
+                ruby.append(node, rt);
+                node = ruby;
+            }
+            if (segment.color) {
+                const span = document.createElement('span');
+                span.className = 'vn-text-color';
+                span.style.color = segment.color;
+                span.appendChild(node);
+                node = span;
+            }
+            if (segment.bold) {
+                const strong = document.createElement('strong');
+                strong.className = 'vn-text-bold';
+                strong.appendChild(node);
+                node = strong;
+            }
+            container.appendChild(node);
         }
     }
 
     _onSceneChanged(data) {
         const { title } = data;
+        this._currentSceneTitle = title || '';
         const titleEl = this._getElement('sceneTitle');
         if (titleEl) {
-            titleEl.textContent = title || '';
+            titleEl.textContent = I18n.text(this._currentSceneTitle);
         }
     }
 
@@ -273,6 +349,9 @@ class DialogueUIRenderer {
         const vnOverlay = this._getElement('overlay');
         const choiceOverlay = this._getElement('choiceOverlay');
 
+        this._currentChoice = data;
+        this._renderChoices(data);
+
         if (vnOverlay) vnOverlay.classList.add('hidden');
         if (choiceOverlay) {
             setTimeout(() => {
@@ -282,6 +361,7 @@ class DialogueUIRenderer {
     }
 
     _onChoiceSelected(data) {
+        this._currentChoice = null;
         const choiceOverlay = this._getElement('choiceOverlay');
         const vnOverlay = this._getElement('overlay');
 
@@ -294,15 +374,54 @@ class DialogueUIRenderer {
         }
     }
 
-    _onMinaTipShown(data) {
-        const { message } = data;
-        const modal = this._getElement('minaTipModal');
-        const textEl = this._getElement('minaTipText');
+    /**
+     * One button per option of the scene script's choice
+     * main.js handles clicks on [data-choice-id]
+     * @private
+     */
+    _renderChoices(data) {
+        const speakerEl = this._getElement('choiceSpeaker');
+        const questionEl = this._getElement('choiceQuestion');
+        const buttonsEl = this._getElement('choiceButtons');
+
+        if (speakerEl) speakerEl.textContent = data.character ? I18n.text(data.character.name) : '';
+        if (questionEl) questionEl.textContent = I18n.text(data.prompt || '');
+        if (!buttonsEl) return;
+
+        buttonsEl.innerHTML = '';
+        (data.choices || []).forEach(choice => {
+            const button = document.createElement('button');
+            button.className = 'choice-btn';
+            button.dataset.choiceId = choice.id;
+            button.innerHTML = `
+                ${choice.icon ? `<span class="choice-icon">${choice.icon}</span>` : ''}
+                <span class="choice-text">
+                    <span class="choice-label"></span>
+                    ${choice.effect ? '<span class="choice-effect"></span>' : ''}
+                </span>
+            `;
+            button.querySelector('.choice-label').textContent = I18n.text(choice.text);
+            if (choice.effect) {
+                button.querySelector('.choice-effect').textContent = I18n.text(choice.effect);
+            }
+            buttonsEl.appendChild(button);
+        });
+    }
 
-        if (modal && textEl) {
-            textEl.textContent = message;
-            modal.classList.remove('hidden');
-        }
+    /**
+     * Redraw what this renderer put on screen in the new language
+     * @private
+     */
+    _onLanguageChanged() {
+        const titleEl = this._getElement('sceneTitle');
+        if (titleEl) titleEl.textContent = I18n.text(this._currentSceneTitle);
+
+        if (this._currentLine) this._onDialogueAdvanced(this._currentLine);
+        if (this._currentChoice) this._renderChoices(this._currentChoice);
+    }
+
+    _onMinaTipShown(data) {
+        this.showMinaTip(data.message, data.expression);
     }
 
     // ===== Public Methods =====
@@ -323,6 +442,88 @@ class DialogueUIRenderer {
         if (overlay) overlay.classList.add('hidden');
     }
 
+    // ===== Backlog =====
+
+    /**
+     * Show the dialogue backlog, scrolled to the latest line
+     * main.js handles clicks on [data-backlog-position]
+     * @param {BacklogEntry[]} entries - DialogueBacklog.getEntries()
+     * @param {Function} canRewind - (position) => boolean
+     */
+    showBacklog(entries, canRewind) {
+        const overlay = this._getElement('backlogOverlay');
+        if (!overlay) return;
+
+        this.renderBacklog(entries, canRewind);
+        overlay.classList.remove('hidden');
+
+        const list = this._getElement('backlogList');
+        if (list) list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Redraw the backlog list (lines can arrive while it is open)
+     * @param {BacklogEntry[]} entries
+     * @param {Function} canRewind - (position) => boolean
+     */
+    renderBacklog(entries, canRewind) {
+        const list = this._getElement('backlogList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'backlog-empty';
+            empty.textContent = I18n.t('dialogue.backlogEmpty');
+            list.appendChild(empty);
+            return;
+        }
+
+        entries.forEach((entry, position) => {
+            const item = document.createElement('div');
+            item.className = 'backlog-entry';
+            if (entry.skipped) item.classList.add('skipped');
+            if (entry.speaker === 'narrator') item.classList.add('narrator');
+
+            if (canRewind(position)) {
+                item.classList.add('rewindable');
+                item.dataset.backlogPosition = String(position);
+                const rewind = document.createElement('span');
+                rewind.className = 'backlog-rewind';
+                rewind.textContent = '↺';
+                item.appendChild(rewind);
+            }
+            if (entry.name) {
+                const name = document.createElement('div');
+                name.className = 'backlog-name';
+                name.textContent = I18n.text(entry.name);
+                item.appendChild(name);
+            }
+            const text = document.createElement('div');
+            text.className = 'backlog-text';
+            this._renderMarkup(text, DialogueMarkup.parse(I18n.text(entry.text)).segments);
+            item.appendChild(text);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Hide the dialogue backlog
+     */
+    hideBacklog() {
+        const overlay = this._getElement('backlogOverlay');
+        if (overlay) overlay.classList.add('hidden');
+    }
+
+    /**
+     * @returns {boolean} True while the backlog is open
+     */
+    isBacklogVisible() {
+        const overlay = this._getElement('backlogOverlay');
+        return !!overlay && !overlay.classList.contains('hidden');
+    }
+
     /**
      * Close Mina tip modal
      */
@@ -334,16 +535,32 @@ class DialogueUIRenderer {
     /**
      * Show Mina tip/cheer modal
      * @param {string} message - Message to display
+     * @param {string} [expression] - Mina's expression ('worried', 'happy'...); neutral when omitted
      */
-    showMinaTip(message) {
+    showMinaTip(message, expression) {
         const modal = this._getElement('minaTipModal');
-        const textEl = document.getElementById('mina-tip-text');
+        const textEl = this._getElement('minaTipText');
         if (modal && textEl) {
             textEl.textContent = message;
+            this._setMinaExpression(modal, expression || 'neutral');
             modal.classList.remove('hidden');
         }
     }
 
+    /**
+     * Mina's face in the tip modal: her expression sprite, or the base sprite with the mood class
+     * @private
+     */
+    _setMinaExpression(modal, expression) {
+        const avatar = modal.querySelector('.mina-avatar');
+        if (!avatar) return;
+
+        const content = typeof ContentLoader !== 'undefined' ? ContentLoader.getDefault() : null;
+        const sprite = CharacterDisplay.resolveSprite(content ? content.sprites.mina : null, expression);
+        if (sprite) avatar.src = sprite;
+        avatar.className = `mina-avatar expression-${expression}`;
+    }
+
     /**
      * Setup click handler for dialogue advancement
      * @param {Function} advanceCallback - Function to call on click
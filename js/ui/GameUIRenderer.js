@@ -17,11 +17,15 @@ class GameUIRenderer {
     /**
      * @param {EventBus} eventBus - Event bus for communication
      * @param {Object} config - Configuration overrides
+     * @param {Function} [config.getAffinityCharacters] - (state) => character ids shown with hearts (AffinityEngine)
+     * @param {Function} [config.getComboHints] - (state) => [{ comboId, actionId }] the next action would complete (ComboEngine)
      */
     constructor(eventBus, config = {}) {
         this._eventBus = eventBus;
         this._config = {
             maxGrowth: config.maxGrowth || GameConfig.growth.max,
+            getAffinityCharacters: config.getAffinityCharacters || ((state) => Object.keys(state.affinity || {})),
+            getComboHints: config.getComboHints || (() => []),
             actionNames: config.actionNames || {
                 1: '皿洗い',
                 2: '下準備',
@@ -65,11 +69,12 @@ class GameUIRenderer {
      */
     _cacheElements() {
         const elementIds = [
-            'day', 'max-day', 'episode-num', 'episode-title',
+            'day', 'max-day', 'episode-num', 'episode-title', 'new-game-plus',
             'growth-val', 'growth-meter', 'mood-val', 'reputation-meter',
             'stagnation-val', 'stagnation-warning',
-            'quality-val', 'ingredients-val', 'debt-val',
-            'balance-indicator', 'balance-status',
+            'quality-val', 'ingredients-val', 'debt-val', 'affinity-badge', 'affinity-hearts',
+            'sprint-goals-badge', 'sprint-goals-val', 'sprint-goals-panel',
+            'balance-gauge', 'balance-indicator', 'combo-chain', 'combo-slots', 'combo-hint',
             'stamina-fill', 'stamina-val',
             'skill-cutting-level', 'skill-cutting-grade', 'skill-cutting-exp',
             'skill-boiling-level', 'skill-boiling-grade', 'skill-boiling-exp',
@@ -138,6 +143,13 @@ class GameUIRenderer {
         this._eventBus.on('skill:level_up', this._onSkillLevelUp.bind(this));
         this._eventBus.on('ceremony:phase_changed', this._onPhaseChanged.bind(this));
         this._eventBus.on('condition:changed', this._onConditionChanged.bind(this));
+        this._eventBus.on(GameEvents.EPISODE_GOAL_PROGRESS, this._onEpisodeGoalProgress.bind(this));
+        this._eventBus.on(GameEvents.RIVAL_UPDATED, this._onRivalUpdated.bind(this));
+        this._eventBus.on(GameEvents.RIVAL_ACTED, this._onRivalActed.bind(this));
+        this._eventBus.on(GameEvents.REQUIREMENT_CHANGED, this._onRequirementChanged.bind(this));
+        this._eventBus.on(GameEvents.KITCHEN_DAMAGED, this._onKitchenDamaged.bind(this));
+        this._eventBus.on(GameEvents.AFFINITY_THRESHOLD_REACHED, this._onAffinityThresholdReached.bind(this));
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, this._onLanguageChanged.bind(this));
     }
 
     // ===== Event Handlers =====
@@ -175,6 +187,29 @@ class GameUIRenderer {
         }
     }
 
+    /**
+     * Redraw the HUD, tickets and buttons in the new language
+     * (the result panel keeps the last action's log)
+     * @private
+     */
+    _onLanguageChanged() {
+        const state = this._prevState;
+        if (!state) return;
+
+        this._cachedValues = {};
+        this._renderScoreboard(state);
+        this._renderAffinity(state);
+        this._renderSprintGoals(state);
+        this._renderBalance(state);
+        this._renderComboMeter(state);
+        this._renderOrderTickets(state);
+        this._renderKitchenDamage(state);
+        this._renderChallenge(state);
+        this._renderActionButtons(state);
+        this._renderCondition(state);
+        this._updateActionButtonsForPhase(state);
+    }
+
     _onGameOver(data) {
         const commandMenu = document.querySelector('.pawa-command-menu');
         const gameoverEl = document.getElementById('gameover');
@@ -191,7 +226,7 @@ class GameUIRenderer {
         if (commandMenu) commandMenu.style.display = 'none';
         if (endingEl) endingEl.classList.remove('hidden');
         if (messageEl) {
-            messageEl.textContent = '老店主がついに成長を認めた！';
+            messageEl.textContent = I18n.t('ui.game.victory');
         }
     }
 
@@ -203,7 +238,7 @@ class GameUIRenderer {
         } else if (episode === 2) {
             const messageEl = this._getElement('message');
             if (messageEl) {
-                messageEl.textContent = '第2話クリア！ 変化への対応力を身につけた！';
+                messageEl.textContent = I18n.t('ui.game.episode2Clear');
             }
         }
     }
@@ -235,7 +270,7 @@ class GameUIRenderer {
      */
     _onSkillLevelUp(data) {
         const { skill, newLevel, grade } = data;
-        const skillName = GameConfig.skills.names[skill] || skill;
+        const skillName = I18n.text(GameConfig.skills.names[skill] || skill);
 
         this._showLevelUpNotification(skillName, newLevel, grade);
 
@@ -295,13 +330,13 @@ class GameUIRenderer {
 
     _showStatChanges(prevState, newState) {
         const changes = [
-            { key: 'growth', label: '成長', element: 'growth-meter' },
-            { key: 'stagnation', label: '停滞', element: 'stagnation-val', invert: true },
-            { key: 'oldManMood', label: '機嫌', element: 'mood-val' },
-            { key: 'ingredientQuality', label: '品質', element: 'quality-val' }
+            { key: 'growth', element: 'growth-meter' },
+            { key: 'stagnation', element: 'stagnation-val', invert: true },
+            { key: 'oldManMood', element: 'mood-val' },
+            { key: 'ingredientQuality', element: 'quality-val' }
         ];
 
-        changes.forEach(({ key, label, element, invert }) => {
+        changes.forEach(({ key, element, invert }) => {
             const diff = newState[key] - prevState[key];
             if (diff !== 0) {
                 const el = this._getElement(element);
@@ -352,6 +387,13 @@ class GameUIRenderer {
         this._clearPreviousDayUI(state);
         
         this._renderScoreboard(state);
+        this._renderKitchenBadges(state);
+        this._renderAffinity(state);
+        this._renderSprintGoals(state);
+        this._renderBalance(state);
+        this._renderComboMeter(state);
+        this._renderOrderTickets(state);
+        this._renderKitchenDamage(state);
         this._renderChallenge(state);
         this._renderSkillPanel(state);
         this._renderStaminaBar(state);
@@ -412,18 +454,360 @@ class GameUIRenderer {
             if (el) el.textContent = val;
 
             const titleEl = this._getElement('episode-title');
-            const episodeTitles = {
-                1: '7日間の試用期間',
-                2: 'ゴブリン襲来',
-                3: 'ドラゴンの猛攻',
-                4: 'ライバル対決',
-                5: 'エルフ姫の宴'
-            };
-            if (titleEl) titleEl.textContent = episodeTitles[val] || '';
+            const title = I18n.t(`ui.hud.episodeTitles.${val}`);
+            if (titleEl) titleEl.textContent = title.startsWith('ui.') ? '' : title;
+        });
+
+        this._updateIfChanged('newGamePlus', state.newGamePlus || 0, (val) => {
+            const el = this._getElement('new-game-plus');
+            if (!el) return;
+            el.textContent = val > 0 ? I18n.t('ui.hud.newGamePlus', { cycle: val }) : '';
+            el.classList.toggle('hidden', val === 0);
+        });
+    }
+
+    /**
+     * Quality / ingredients / tech debt badges around the hero
+     * @private
+     */
+    _renderKitchenBadges(state) {
+        [
+            ['ingredientQuality', 'quality-val'],
+            ['currentIngredients', 'ingredients-val'],
+            ['technicalDebt', 'debt-val']
+        ].forEach(([key, elementId]) => {
+            this._updateIfChanged(key, state[key], (val) => {
+                const el = this._getElement(elementId);
+                if (el) el.textContent = val;
+            });
+        });
+    }
+
+    /**
+     * Affinity with Mina, the owner and the episode's guest as hearts (hidden before anyone is met)
+     * @private
+     */
+    _renderAffinity(state) {
+        const affinity = state.affinity || {};
+        const ids = this._config.getAffinityCharacters(state).filter(id => id in affinity);
+        const affinityKey = ids.map(id => `${id}:${affinity[id]}`).join(',');
+
+        this._updateIfChanged('affinity', affinityKey, () => {
+            const badge = this._getElement('affinity-badge');
+            const container = this._getElement('affinity-hearts');
+            if (badge) badge.classList.toggle('hidden', ids.length === 0);
+            if (!container) return;
+
+            container.innerHTML = ids.map(id => {
+                const hearts = AffinityEngine.toHearts(affinity[id]);
+                return `
+                    <span class="affinity-entry" data-character-id="${id}" title="${I18n.t('ui.affinity.value', { value: affinity[id], max: GameConfig.affinity.max })}">
+                        <span class="affinity-name">${this._characterName(id)}</span>
+                        <span class="affinity-hearts">${'♥'.repeat(hearts.filled)}${'♡'.repeat(hearts.total - hearts.filled)}</span>
+                    </span>
+                `;
+            }).join('');
+        });
+    }
+
+    /**
+     * Sprint goals from sprint planning: the badge shows how many are met, the panel
+     * (toggleSprintGoals) lists each goal for the mid-sprint review
+     * @private
+     */
+    _renderSprintGoals(state) {
+        const review = GameState.evaluateSprintGoals(state);
+        const reviewKey = review ? review.goals.map(goal => `${goal.target}:${goal.current}`).join(',') : '';
+
+        this._updateIfChanged('sprintGoals', reviewKey, () => {
+            const badge = this._getElement('sprint-goals-badge');
+            const value = this._getElement('sprint-goals-val');
+            const panel = this._getElement('sprint-goals-panel');
+            if (badge) badge.classList.toggle('hidden', !review);
+            if (!review) {
+                if (panel) panel.classList.add('hidden');
+                return;
+            }
+            if (value) value.textContent = I18n.t('ui.sprintGoals.progress', { met: review.met, total: review.total });
+            if (!panel) return;
+
+            panel.innerHTML = `
+                <div class="sprint-goals-title">${I18n.t('ui.sprintGoals.title')}</div>
+                ${review.goals.map(goal => `
+                    <div class="sprint-goal ${goal.met ? 'met' : 'behind'}">
+                        <span class="sprint-goal-mark">${goal.met ? '✔' : '…'}</span>
+                        <span class="sprint-goal-name">${I18n.t(`ceremony.goals.${goal.id}`, {
+                            skill: goal.skill ? I18n.text(GameConfig.skills.names[goal.skill] || goal.skill) : '',
+                            target: goal.target
+                        })}</span>
+                        <span class="sprint-goal-current">${I18n.t('ui.sprintGoals.current', { current: goal.current })}</span>
+                    </div>
+                `).join('')}
+            `;
+        });
+    }
+
+    /**
+     * Open / close the sprint goals panel (HUD 📋 badge)
+     */
+    toggleSprintGoals() {
+        const panel = this._getElement('sprint-goals-panel');
+        if (panel && this._prevState && this._prevState.sprintGoals) {
+            panel.classList.toggle('hidden');
+        }
+    }
+
+    /**
+     * Tradition/innovation gauge: tradition on the left, innovation on the right
+     * @private
+     */
+    _renderBalance(state) {
+        this._updateIfChanged('traditionScore', state.traditionScore, (score) => {
+            const lean = GameState.getBalanceLean(score);
+            const indicator = this._getElement('balance-indicator');
+            const gauge = this._getElement('balance-gauge');
+            if (indicator) {
+                indicator.style.left = `${100 - score}%`;
+                indicator.classList.remove('tradition-heavy', 'innovation-heavy', 'balanced');
+                indicator.classList.add(lean === 'balanced' ? 'balanced' : `${lean}-heavy`);
+            }
+            if (gauge) gauge.title = I18n.t(`ui.balance.${lean}`);
+        });
+    }
+
+    /**
+     * Combo meter: today's day actions, the chain and the next combo within reach
+     * @private
+     */
+    _renderComboMeter(state) {
+        const dayActions = (state.todayActions || []).filter(id => id in GameConfig.dayActions);
+        const combosToday = state.combosToday || [];
+        const hints = this._config.getComboHints(state);
+        const comboKey = `${dayActions.join(',')}|${combosToday.join(',')}|${state.comboChain}|${hints.map(hint => hint.comboId).join(',')}`;
+
+        this._updateIfChanged('comboMeter', comboKey, () => {
+            const chainEl = this._getElement('combo-chain');
+            const slotsEl = this._getElement('combo-slots');
+            const hintEl = this._getElement('combo-hint');
+            const chain = state.comboChain || 0;
+
+            if (chainEl) {
+                chainEl.textContent = chain > 0
+                    ? I18n.t('ui.combo.chain', { chain, multiplier: ComboEngine.getMultiplier(chain) })
+                    : '';
+                chainEl.classList.toggle('hidden', chain === 0);
+            }
+
+            if (slotsEl) {
+                const perfect = combosToday.includes('perfectCycle');
+                const slots = [];
+                for (let i = 0; i < GameConfig.phases.DAY.actionsAllowed; i++) {
+                    const action = GameConfig.dayActions[dayActions[i]];
+                    slots.push(action
+                        ? `<div class="cycle-slot filled${perfect ? ' perfect' : ''}" title="${I18n.text(action.name)}">${action.icon}</div>`
+                        : '<div class="cycle-slot empty">?</div>');
+                }
+                slotsEl.innerHTML = slots.join('');
+            }
+
+            if (hintEl) {
+                const combos = GameConfig.combos.list;
+                const actions = { ...GameConfig.dayActions, ...GameConfig.nightActions };
+                if (hints.length > 0) {
+                    hintEl.textContent = I18n.t('ui.combo.hint', {
+                        action: I18n.text(actions[hints[0].actionId].name),
+                        combo: I18n.text(combos[hints[0].comboId].name)
+                    });
+                } else if (combosToday.length > 0) {
+                    hintEl.textContent = I18n.t('ui.combo.today', {
+                        combos: combosToday.filter(id => id in combos).map(id => `${combos[id].icon}${I18n.text(combos[id].name)}`).join(I18n.t('ui.combo.separator'))
+                    });
+                } else {
+                    hintEl.textContent = '';
+                }
+            }
+        });
+    }
+
+    /**
+     * Episode 2 order queue as tickets (hidden while nobody is waiting)
+     * @private
+     */
+    _renderOrderTickets(state) {
+        const orders = state.orders || [];
+        const ticketsKey = orders.map(order => `${order.id}:${order.patience}`).join(',');
+
+        this._updateIfChanged('orderTickets', ticketsKey, () => {
+            const container = this._getElement('order-tickets');
+            if (!container) return;
+
+            container.classList.toggle('hidden', orders.length === 0);
+            container.innerHTML = orders.map(order => {
+                const skills = order.skills
+                    .map(skill => I18n.text(GameConfig.skills.names[skill] || skill))
+                    .join(I18n.t('ui.orders.skillSeparator'));
+                const patience = Math.round((order.patience / order.maxPatience) * 100);
+                const urgent = order.patience <= 1 ? ' urgent' : '';
+                return `
+                    <div class="order-ticket${urgent}" data-order-id="${order.id}">
+                        <span class="ticket-icon">${order.icon}</span>
+                        <span class="ticket-name">${I18n.text(order.name)}</span>
+                        <span class="ticket-skills">${I18n.t('ui.orders.needs', { skills, ingredients: order.ingredients })}</span>
+                        <div class="ticket-patience"><div class="ticket-patience-fill" style="width: ${patience}%"></div></div>
+                    </div>
+                `;
+            }).join('');
+        });
+    }
+
+    /**
+     * Episode 3 kitchen damage with repair progress (hidden while intact)
+     * @private
+     */
+    _renderKitchenDamage(state) {
+        const damages = state.kitchenDamage || [];
+        const damageKey = damages.map(damage => `${damage.id}:${damage.repairsLeft}`).join(',');
+
+        this._updateIfChanged('kitchenDamage', damageKey, () => {
+            const container = this._getElement('kitchen-damage');
+            if (!container) return;
+
+            container.classList.toggle('hidden', damages.length === 0);
+            container.innerHTML = damages.map(damage => {
+                const repaired = damage.repairsNeeded - damage.repairsLeft;
+                return `
+                    <div class="damage-card" data-damage-id="${damage.id}">
+                        <span class="damage-icon">${damage.icon}</span>
+                        <span class="damage-name">${I18n.text(damage.name)}</span>
+                        <span class="damage-repair">${I18n.t('ui.damage.repair', { repaired, needed: damage.repairsNeeded })}${damage.extraDecay > 0 ? I18n.t('ui.damage.decay', { decay: damage.extraDecay }) : ''}</span>
+                    </div>
+                `;
+            }).join('');
         });
     }
 
-    // Removed: _renderMeters, _renderSecondaryStats, _renderBalanceGauge, _renderCycleDisplay methods deleted
+    /**
+     * Episode 2-5 goal badge (hidden when progress is null)
+     * @private
+     */
+    _onEpisodeGoalProgress(data) {
+        const badge = this._getElement('episode-goal');
+        if (!badge) return;
+
+        const progress = data ? data.progress : null;
+        badge.classList.toggle('hidden', !progress);
+        if (!progress) return;
+
+        const labelEl = this._getElement('episode-goal-label');
+        const valueEl = this._getElement('episode-goal-val');
+        if (labelEl) labelEl.textContent = progress.label;
+        if (valueEl) valueEl.textContent = progress.text;
+    }
+
+    /**
+     * Episode 4 rival indicator (clearer with higher analysis skill)
+     * @private
+     */
+    _onRivalUpdated(data) {
+        const indicator = this._getElement('rival-indicator');
+        if (!indicator) return;
+
+        const report = data ? data.report : null;
+        indicator.classList.toggle('hidden', !report);
+        if (!report) return;
+
+        ['hidden', 'vague', 'rough', 'exact'].forEach(clarity => {
+            indicator.classList.toggle(`clarity-${clarity}`, report.clarity === clarity);
+        });
+        ['ahead', 'close', 'behind'].forEach(status => {
+            indicator.classList.toggle(`rival-${status}`, report.status === status);
+        });
+
+        const valueEl = this._getElement('rival-val');
+        if (valueEl) valueEl.textContent = report.text;
+    }
+
+    /**
+     * Srimon's remark after his day of cooking
+     * @private
+     */
+    _onRivalActed(data) {
+        const messageEl = this._getElement('message');
+        if (messageEl && data.line) {
+            messageEl.textContent = this._quote('srimon', data.line);
+        }
+    }
+
+    /**
+     * Episode 3: the Dragonoid wrecks part of the kitchen
+     * @private
+     */
+    _onKitchenDamaged(data) {
+        const messageEl = this._getElement('message');
+        if (messageEl && data.line) {
+            messageEl.textContent = this._quote('dragonoid', I18n.text(data.line));
+        }
+
+        const gameContainer = this._getElement('game-container');
+        if (gameContainer) {
+            gameContainer.classList.add('screen-shake');
+            setTimeout(() => gameContainer.classList.remove('screen-shake'),
+                       GameConfig.ui.screenShakeDuration);
+        }
+    }
+
+    /**
+     * Episode 5: the princess announces a new demand
+     * @private
+     */
+    _onRequirementChanged(data) {
+        const messageEl = this._getElement('message');
+        if (messageEl && data.line) {
+            messageEl.textContent = this._quote('elfPrincess', I18n.text(data.line));
+        }
+        if (data.previous) {
+            this._spawnFloatingText(I18n.t('ui.game.demandChanged', { icon: data.icon, name: I18n.text(data.name) }), 'negative', window.innerWidth / 2, window.innerHeight / 3);
+        }
+    }
+
+    /**
+     * An affinity threshold was reached: a new heart and the perk it unlocked
+     * @private
+     */
+    _onAffinityThresholdReached(data) {
+        const name = this._characterName(data.characterId);
+        const hearts = AffinityEngine.toHearts(data.level);
+        this._spawnFloatingText(I18n.t('ui.affinity.reached', { name, hearts: '♥'.repeat(Math.max(1, hearts.filled)) }), 'perfect', window.innerWidth / 2, window.innerHeight / 3);
+
+        const messageEl = this._getElement('message');
+        if (messageEl && data.perk) {
+            messageEl.textContent = I18n.t(`ui.affinity.perks.${data.perk}`);
+        }
+    }
+
+    /**
+     * A guest's line with their name: スリモン「...」
+     * @private
+     * @param {string} characterId - Speaker id in data/characters.json
+     * @param {string} line - Already translated line
+     * @returns {string}
+     */
+    _quote(characterId, line) {
+        return I18n.t('ui.game.quote', { name: this._characterName(characterId), line });
+    }
+
+    /**
+     * @private
+     * @param {string} characterId - Speaker id in data/characters.json
+     * @returns {string} Translated name (the id if unknown)
+     */
+    _characterName(characterId) {
+        const content = typeof ContentLoader !== 'undefined' ? ContentLoader.getDefault() : null;
+        const character = content ? content.characters[characterId] : null;
+        return I18n.text(character ? character.name : characterId);
+    }
+
+    // Removed: _renderMeters, _renderSecondaryStats, _renderCycleDisplay methods deleted
 
     _renderChallenge(state) {
         // Challenge changes less frequently, so dirty-check with composite key
@@ -433,23 +817,17 @@ class GameUIRenderer {
             const challengeEl = document.getElementById('todays-challenge');
             if (!challengeEl) return;
 
-            const challenges = [
-                '客足が多い日。迅速な対応が重要！',
-                '老店主が監視中。慎重に行動せよ。',
-                '仕入れ問題発生。リソースを節約！',
-                '曖昧な注文多し。傾聴の好機！',
-                '設備劣化注意。整備に集中すべし。'
-            ];
+            const challenges = I18n.list('ui.challenge.daily');
 
-            let labelText = '今日の目標';
+            let labelText = I18n.t('ui.challenge.todaysGoal');
             let challengeText = '';
 
             if (state.specialCustomer) {
-                labelText = '緊急依頼';
-                challengeText = `${state.specialCustomer.name}の要求に対応せよ！`;
+                labelText = I18n.t('ui.challenge.urgent');
+                challengeText = I18n.t('ui.challenge.customer', { name: I18n.text(state.specialCustomer.name) });
             } else if (state.requirementChangeActive) {
-                labelText = '仕様変更';
-                challengeText = '顧客が注文を変更しました！';
+                labelText = I18n.t('ui.challenge.specChange');
+                challengeText = I18n.t('ui.challenge.orderChanged');
             } else {
                 challengeText = challenges[state.day % challenges.length];
             }
@@ -618,11 +996,9 @@ class GameUIRenderer {
             const adjustedCost = Math.floor(baseCost * staminaMultiplier);
             switch (policy) {
                 case 'quality':
-                    return ` ※品質重視 (体力${adjustedCost})`;
                 case 'speed':
-                    return ` ※スピード重視 (体力${adjustedCost})`;
                 case 'challenge':
-                    return ` ※新しい挑戦 (成功時2倍/失敗時-30)`;
+                    return I18n.t(`ui.actions.policy.${policy}`, { cost: adjustedCost });
                 default:
                     return '';
             }
@@ -634,10 +1010,10 @@ class GameUIRenderer {
         if (phase === 'day') {
             // Day actions: 掃除・皿洗い, 下準備, 火の番, 休む
             const dayActionConfigs = [
-                { id: 1, name: 'cleaning', icon: '&#x1F37D;', label: '掃除・皿洗い', cost: costs[1], class: 'cmd-orange', phase: 'day' },
-                { id: 2, name: 'chopping', icon: '&#x1F52A;', label: '下準備', cost: costs[2], class: 'cmd-blue', phase: 'day' },
-                { id: 3, name: 'heatControl', icon: '&#x1F525;', label: '火の番', cost: costs[3], class: 'cmd-green', phase: 'day' },
-                { id: 4, name: 'rest', icon: '&#x1F4A4;', label: '休む', cost: 0, class: 'cmd-pink', phase: 'day' }
+                { id: 1, name: 'cleaning', icon: '&#x1F37D;', label: I18n.text(GameConfig.dayActions.cleaning.name), cost: costs[1], class: 'cmd-orange', phase: 'day' },
+                { id: 2, name: 'chopping', icon: '&#x1F52A;', label: I18n.text(GameConfig.dayActions.chopping.name), cost: costs[2], class: 'cmd-blue', phase: 'day' },
+                { id: 3, name: 'heatControl', icon: '&#x1F525;', label: I18n.text(GameConfig.dayActions.heatControl.name), cost: costs[3], class: 'cmd-green', phase: 'day' },
+                { id: 4, name: 'rest', icon: '&#x1F4A4;', label: I18n.t('ui.actions.restDay'), cost: 0, class: 'cmd-pink', phase: 'day' }
             ];
             
             dayActionConfigs.forEach(config => {
@@ -665,7 +1041,9 @@ class GameUIRenderer {
                 btn.innerHTML = `
                     <span class="cmd-icon">${config.icon}</span>
                     <span class="cmd-label">${config.label}</span>
-                    <span class="cmd-cost">${config.id === 4 ? `+${GameConfig.stamina.restRecovery}回復` : `体力${adjustedCost}${policyLabel}`}</span>
+                    <span class="cmd-cost">${config.id === 4
+                        ? I18n.t('ui.actions.recovery', { amount: GameConfig.stamina.restRecovery })
+                        : I18n.t('ui.actions.cost', { cost: adjustedCost }) + policyLabel}</span>
                 `;
                 
                 // CRITICAL: Ensure buttons are clickable
@@ -676,9 +1054,9 @@ class GameUIRenderer {
         } else if (phase === 'night') {
             // Night actions: シチュー試作, 研究, 休息
             const nightActionConfigs = [
-                { id: 1, name: 'trialCooking', icon: '&#x1F372;', label: 'シチュー試作', cost: costs[1] || 25, class: 'cmd-purple', phase: 'night' },
-                { id: 2, name: 'study', icon: '&#x1F4D6;', label: '研究', cost: costs[2] || 15, class: 'cmd-cyan', phase: 'night' },
-                { id: 3, name: 'rest', icon: '&#x1F4A4;', label: '休息', cost: 0, class: 'cmd-pink', phase: 'night' }
+                { id: 1, name: 'trialCooking', icon: '&#x1F372;', label: I18n.text(GameConfig.nightActions.trialCooking.name), cost: costs[1] || 25, class: 'cmd-purple', phase: 'night' },
+                { id: 2, name: 'study', icon: '&#x1F4D6;', label: I18n.text(GameConfig.nightActions.study.name), cost: costs[2] || 15, class: 'cmd-cyan', phase: 'night' },
+                { id: 3, name: 'rest', icon: '&#x1F4A4;', label: I18n.text(GameConfig.nightActions.rest.name), cost: 0, class: 'cmd-pink', phase: 'night' }
             ];
             
             nightActionConfigs.forEach(config => {
@@ -701,7 +1079,9 @@ class GameUIRenderer {
                 btn.innerHTML = `
                     <span class="cmd-icon">${config.icon}</span>
                     <span class="cmd-label">${config.label}</span>
-                    <span class="cmd-cost">${config.id === 3 ? `+${GameConfig.stamina.restRecovery}回復` : `体力${config.cost}`}</span>
+                    <span class="cmd-cost">${config.id === 3
+                        ? I18n.t('ui.actions.recovery', { amount: GameConfig.stamina.restRecovery })
+                        : I18n.t('ui.actions.cost', { cost: config.cost })}</span>
                 `;
                 
                 btn.style.zIndex = '10000'; // Ensure night buttons are on top
@@ -760,8 +1140,6 @@ class GameUIRenderer {
 
     // ===== Helper Methods =====
 
-    // Removed: _isPerfectCycle, _getMissingActions methods deleted
-
     _triggerFujiBounce() {
         const fujiImage = document.getElementById('fuji-image');
         if (fujiImage) {
@@ -776,7 +1154,7 @@ class GameUIRenderer {
 
         if (clearEl) clearEl.classList.remove('hidden');
         if (messageEl) {
-            messageEl.textContent = '第1話クリア：革新の第一歩';
+            messageEl.textContent = I18n.t('ui.game.episode1Clear');
         }
     }
 
@@ -850,7 +1228,7 @@ class GameUIRenderer {
             const conditionEl = document.getElementById('condition-indicator');
 
             if (iconEl) iconEl.textContent = conditionInfo.icon;
-            if (textEl) textEl.textContent = conditionInfo.name;
+            if (textEl) textEl.textContent = I18n.text(conditionInfo.name);
             if (conditionEl) {
                 conditionEl.className = `hud-block hud-condition condition-${state.condition}`;
             }
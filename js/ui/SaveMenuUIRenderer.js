@@ -0,0 +1,216 @@
+/**
+ * SaveMenuUIRenderer - Renders the save/load slot menu
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only renders the slot list overlay
+ * - Dependency Inversion: Emits UI events, doesn't call SaveManager directly
+ *
+ * Emits:
+ * - 'ui:save_slot_selected' { slotId, mode: 'save' | 'load' }
+ * - 'ui:new_game_requested' (title prompt only)
+ * - 'ui:language_selected' { language }
+ *
+ * @class SaveMenuUIRenderer
+ */
+class SaveMenuUIRenderer {
+    /**
+     * @param {EventBus} eventBus
+     */
+    constructor(eventBus) {
+        this._eventBus = eventBus;
+        this._isTitlePrompt = false;
+        this._slots = [];
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        // Refresh the list after a save so the slot shows the new day
+        this._eventBus.on(GameEvents.SAVE_WRITTEN, (data) => {
+            if (!data.isAutosave && this.isVisible()) {
+                this._showNotice(I18n.t('ui.save.saved'));
+            }
+        });
+
+        this._eventBus.on(GameEvents.LANGUAGE_CHANGED, () => {
+            if (this.isVisible()) this._renderHeader();
+        });
+    }
+
+    // ===== PUBLIC =====
+
+    /**
+     * Show the menu
+     * @param {Array<{slotId: string, info: Object|null}>} slots - From SaveManager.listSlots()
+     * @param {Object} [options]
+     * @param {boolean} [options.titlePrompt=false] - Show as "continue?" prompt (load only + new game + chapters)
+     */
+    show(slots, options = {}) {
+        const overlay = document.getElementById('save-menu');
+        if (!overlay) return;
+
+        this._isTitlePrompt = options.titlePrompt || false;
+        this.render(slots);
+        this._renderHeader();
+
+        // Title prompt only: new game and the chapter select
+        ['save-menu-new-game', 'save-menu-chapters'].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) btn.classList.toggle('hidden', !this._isTitlePrompt);
+        });
+
+        const closeBtn = document.getElementById('save-menu-close');
+        if (closeBtn) closeBtn.classList.toggle('hidden', this._isTitlePrompt);
+
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the menu
+     */
+    hide() {
+        const overlay = document.getElementById('save-menu');
+        if (overlay) overlay.classList.add('hidden');
+        this._isTitlePrompt = false;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isVisible() {
+        const overlay = document.getElementById('save-menu');
+        return !!overlay && !overlay.classList.contains('hidden');
+    }
+
+    /**
+     * Rebuild the slot list
+     * CRITICAL: innerHTML is cleared first so listeners are not duplicated
+     * @param {Array<{slotId: string, info: Object|null}>} slots
+     */
+    render(slots) {
+        const listEl = document.getElementById('save-slot-list');
+        if (!listEl) return;
+
+        listEl.innerHTML = '';
+        this._slots = slots;
+
+        slots.forEach(({ slotId, info }) => {
+            const isAutosave = slotId === GameConfig.save.autosaveSlot;
+            const row = document.createElement('div');
+            row.className = `save-slot${info ? '' : ' save-slot-empty'}`;
+
+            const label = document.createElement('div');
+            label.className = 'save-slot-info';
+            label.innerHTML = `
+                <span class="save-slot-name">${isAutosave ? I18n.t('ui.save.autosave') : I18n.t('ui.save.slot', { number: slotId.replace('slot', '') })}</span>
+                <span class="save-slot-detail">${this._formatInfo(info)}</span>
+            `;
+            row.appendChild(label);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'save-slot-buttons';
+
+            // Autosave slot is written by the game only
+            if (!isAutosave && !this._isTitlePrompt) {
+                buttons.appendChild(this._createButton(I18n.t('ui.save.save'), slotId, 'save'));
+            }
+            if (info) {
+                buttons.appendChild(this._createButton(I18n.t('ui.save.load'), slotId, 'load'));
+            }
+
+            row.appendChild(buttons);
+            listEl.appendChild(row);
+        });
+    }
+
+    // ===== PRIVATE =====
+
+    /**
+     * Title, language row and slot texts (redrawn when the language changes)
+     * @private
+     */
+    _renderHeader() {
+        const titleEl = document.getElementById('save-menu-title');
+        if (titleEl) {
+            titleEl.textContent = I18n.t(this._isTitlePrompt ? 'ui.save.continueTitle' : 'ui.save.title');
+        }
+
+        this._renderLanguages();
+        this.render(this._slots);
+    }
+
+    /**
+     * One button per loaded catalog, the current language highlighted
+     * @private
+     */
+    _renderLanguages() {
+        const rowEl = document.getElementById('save-menu-language');
+        const i18n = I18n.getDefault();
+        if (!rowEl || !i18n) return;
+
+        rowEl.innerHTML = `<span class="save-menu-language-label">${I18n.t('ui.save.language')}</span>`;
+        i18n.getLanguages().forEach(({ id, name }) => {
+            const btn = document.createElement('button');
+            btn.className = `save-language-btn${id === i18n.getLanguage() ? ' active' : ''}`;
+            btn.textContent = name;
+            btn.addEventListener('click', () => {
+                this._eventBus.emit('ui:language_selected', { language: id });
+            });
+            rowEl.appendChild(btn);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createButton(text, slotId, mode) {
+        const btn = document.createElement('button');
+        btn.className = `save-slot-btn save-slot-${mode}`;
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+            this._eventBus.emit('ui:save_slot_selected', { slotId, mode });
+        });
+        return btn;
+    }
+
+    /**
+     * Format slot summary for display
+     * @private
+     * @param {Object|null} info - SaveManager.getSlotInfo() result
+     * @returns {string}
+     */
+    _formatInfo(info) {
+        if (!info) return I18n.t('ui.save.empty');
+
+        const phaseKey = info.ceremonyPhase === 'action'
+            ? (info.currentPhase === 'night' ? 'night' : 'day')
+            : info.ceremonyPhase;
+        const phase = phaseKey ? I18n.t(`ui.save.phases.${phaseKey}`) : '';
+        const date = info.savedAt ? new Date(info.savedAt).toLocaleString() : '';
+
+        return I18n.t('ui.save.slotInfo', {
+            episode: info.episode || 1,
+            day: info.day,
+            maxDays: info.maxDays || 7,
+            phase: phase.startsWith('ui.') ? '' : phase,
+            date
+        });
+    }
+
+    /**
+     * @private
+     */
+    _showNotice(message) {
+        const noticeEl = document.getElementById('save-menu-notice');
+        if (!noticeEl) return;
+
+        noticeEl.textContent = message;
+        noticeEl.classList.remove('hidden');
+        setTimeout(() => noticeEl.classList.add('hidden'), 1500);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveMenuUIRenderer };
+}
@@ -0,0 +1,164 @@
+/**
+ * SprintChartUIRenderer - Draws the sprint charts (burndown / velocity / tech debt)
+ *
+ * Takes the chart data from GameState.getSprintCharts() and draws up to three small
+ * inline SVG charts (Episodes 2-5 have no burndown). Used by CeremonyUIRenderer for
+ * the night retrospective and the judgment screen.
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only turns chart data into markup
+ * - Dependency Inversion: Never reads GameState, only the data it is given
+ *
+ * @class SprintChartUIRenderer
+ */
+
+/** Drawing area of one chart (SVG user units) */
+const CHART_SIZE = { width: 200, height: 90, padX: 18, padY: 10 };
+
+class SprintChartUIRenderer {
+    // ===== PUBLIC =====
+
+    /**
+     * Draw the charts into a container (hidden when there is no history yet)
+     * @param {HTMLElement|null} container
+     * @param {Object|null} charts - GameState.getSprintCharts() result
+     */
+    render(container, charts) {
+        if (!container) return;
+
+        container.classList.toggle('hidden', !charts);
+        if (!charts) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = [
+            charts.burndown ? this._renderBurndown(charts) : '',
+            this._renderVelocity(charts),
+            this._renderTechDebt(charts)
+        ].join('');
+    }
+
+    // ===== CHARTS =====
+
+    /**
+     * Remaining Chimera Stew skill levels against the ideal line
+     * @private
+     */
+    _renderBurndown(charts) {
+        const { burndown, maxDays } = charts;
+        const scale = this._scale(maxDays, Math.max(burndown.start, 1));
+        const last = burndown.remaining[burndown.remaining.length - 1];
+
+        return this._card('burndown', I18n.t('ui.charts.burndown'), `
+            ${this._line(burndown.ideal, scale, 'chart-ideal')}
+            ${this._line(burndown.remaining, scale, 'chart-remaining')}
+            ${this._dots(burndown.remaining, scale, 'chart-remaining')}
+        `, maxDays, I18n.t('ui.charts.remaining', { value: last.value, start: burndown.start }));
+    }
+
+    /**
+     * EXP earned per day with the sprint average
+     * @private
+     */
+    _renderVelocity(charts) {
+        const { velocity, maxDays } = charts;
+        const max = Math.max(...velocity.points.map(point => point.value), velocity.average, 1);
+        const scale = this._scale(maxDays, max);
+        const barWidth = Math.max(4, (CHART_SIZE.width - CHART_SIZE.padX * 2) / maxDays * 0.6);
+
+        const bars = velocity.points.map(point => {
+            const top = scale.y(Math.max(point.value, 0));
+            return `<rect class="chart-bar" x="${scale.x(point.day) - barWidth / 2}" y="${top}"
+                width="${barWidth}" height="${scale.y(0) - top}"></rect>`;
+        }).join('');
+        const average = [{ day: 0, value: velocity.average }, { day: maxDays, value: velocity.average }];
+
+        return this._card('velocity', I18n.t('ui.charts.velocity'), `
+            ${bars}
+            ${this._line(average, scale, 'chart-average')}
+        `, maxDays, I18n.t('ui.charts.average', { value: velocity.average }));
+    }
+
+    /**
+     * Tech debt per night with the committed ceiling
+     * @private
+     */
+    _renderTechDebt(charts) {
+        const { techDebt, maxDays } = charts;
+        const scale = this._scale(maxDays, techDebt.max);
+        const last = techDebt.points[techDebt.points.length - 1];
+        const ceiling = techDebt.ceiling === null
+            ? ''
+            : this._line([{ day: 0, value: techDebt.ceiling }, { day: maxDays, value: techDebt.ceiling }], scale, 'chart-ceiling');
+
+        return this._card('tech-debt', I18n.t('ui.charts.techDebt'), `
+            ${ceiling}
+            ${this._line(techDebt.points, scale, 'chart-debt')}
+            ${this._dots(techDebt.points, scale, 'chart-debt')}
+        `, maxDays, techDebt.ceiling === null
+            ? I18n.t('ui.charts.debt', { value: last.value })
+            : I18n.t('ui.charts.debtCeiling', { value: last.value, ceiling: techDebt.ceiling }));
+    }
+
+    // ===== SVG HELPERS =====
+
+    /**
+     * Map day / value to SVG coordinates (day 0 = before the first day)
+     * @private
+     */
+    _scale(maxDays, maxValue) {
+        const { width, height, padX, padY } = CHART_SIZE;
+        const round = (n) => Math.round(n * 10) / 10;
+        return {
+            x: (day) => round(padX + (width - padX * 2) * day / maxDays),
+            y: (value) => round(height - padY - (height - padY * 2) * Math.min(value, maxValue) / maxValue)
+        };
+    }
+
+    /**
+     * @private
+     */
+    _line(points, scale, className) {
+        const coords = points.map(point => `${scale.x(point.day)},${scale.y(point.value)}`).join(' ');
+        return `<polyline class="${className}" points="${coords}"></polyline>`;
+    }
+
+    /**
+     * @private
+     */
+    _dots(points, scale, className) {
+        return points.map(point =>
+            `<circle class="${className}" cx="${scale.x(point.day)}" cy="${scale.y(point.value)}" r="2.5"></circle>`
+        ).join('');
+    }
+
+    /**
+     * One chart with its title, day axis and caption
+     * @private
+     */
+    _card(id, title, body, maxDays, caption) {
+        const { width, height, padX, padY } = CHART_SIZE;
+        const scale = this._scale(maxDays, 1);
+        const days = Array.from({ length: maxDays }, (_, i) => i + 1).map(day =>
+            `<text class="chart-axis-label" x="${scale.x(day)}" y="${height - 1}">${day}</text>`
+        ).join('');
+
+        return `
+            <div class="sprint-chart chart-${id}">
+                <div class="sprint-chart-title">${title}</div>
+                <svg class="sprint-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${title}">
+                    <line class="chart-axis" x1="${padX}" y1="${height - padY}" x2="${width - padX}" y2="${height - padY}"></line>
+                    ${days}
+                    ${body}
+                </svg>
+                <div class="sprint-chart-caption">${caption}</div>
+            </div>
+        `;
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SprintChartUIRenderer };
+}
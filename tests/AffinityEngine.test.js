@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / AffinityEngine / I18n are available globally from setup.js
+
+const AFFINITY = ContentLoader.getDefault().affinity;
+
+/**
+ * KitchenEngine の ACTION_EXECUTED と同じ形のイベント
+ */
+function actionDone(game, actionId, result) {
+    game.eventBus.emit(GameEvents.ACTION_EXECUTED, {
+        actionId,
+        phase: 'day',
+        result: { success: true, actionSuccess: true, ...result },
+        state: game.gameState.getState()
+    });
+}
+
+/**
+ * 夜の行動をひとつ実行できる状態にする
+ */
+function atNight(game, overrides = {}) {
+    game.gameState.update({ currentPhase: 'night', nightActionsRemaining: 1, ...overrides });
+}
+
+describe('AffinityEngine', () => {
+    let game;
+    let reached;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 18 });
+        reached = [];
+        game.eventBus.on(GameEvents.AFFINITY_THRESHOLD_REACHED, (data) => reached.push(data));
+    });
+
+    describe('好感度の変化', () => {
+        it('新しいゲームではミナと店主がデータの初期値から始まること', () => {
+            expect(game.gameState.get('affinity')).toEqual({ owner: AFFINITY.owner.initial, mina: AFFINITY.mina.initial });
+            expect(game.affinityEngine.getTrackedCharacters()).toEqual(['owner', 'mina']);
+        });
+
+        it('エピソードのゲストは登場したときに加わること', () => {
+            game.episodeManager.startEpisode(2);
+
+            expect(game.gameState.get('affinity').goblin).toBe(AFFINITY.goblin.initial);
+            expect(game.affinityEngine.getTrackedCharacters()).toEqual(['owner', 'mina', 'goblin']);
+        });
+
+        it('行動の結果で店主・ミナ・ゲストの好感度が変わること', () => {
+            game.episodeManager.startEpisode(2);
+            const before = game.gameState.get('affinity');
+            const gains = GameConfig.affinity.actions;
+
+            actionDone(game, 'chopping', { isCritical: true });
+            actionDone(game, 'heatControl', { actionSuccess: false });
+            actionDone(game, 'rest', {});
+
+            const after = game.gameState.get('affinity');
+            expect(after.owner - before.owner).toBe(gains.success.owner + gains.critical.owner + gains.failure.owner);
+            expect(after.mina - before.mina).toBe(gains.failure.mina + gains.rest.mina);
+            expect(after.goblin - before.goblin).toBe(gains.success.guest);
+        });
+
+        it('0 から上限の範囲に収まり、変わらなければイベントを出さないこと', () => {
+            const changed = [];
+            game.eventBus.on(GameEvents.AFFINITY_CHANGED, (data) => changed.push(data));
+
+            expect(game.gameState.adjustAffinity('owner', -500)).toBe(0);
+            expect(game.gameState.adjustAffinity('owner', -1)).toBe(0);
+            expect(game.gameState.adjustAffinity('mina', 500, 'scene')).toBe(GameConfig.affinity.max);
+
+            expect(changed).toEqual([
+                { characterId: 'owner', from: AFFINITY.owner.initial, to: 0, delta: -AFFINITY.owner.initial, reason: 'action' },
+                { characterId: 'mina', from: AFFINITY.mina.initial, to: GameConfig.affinity.max, delta: GameConfig.affinity.max - AFFINITY.mina.initial, reason: 'scene' }
+            ]);
+        });
+
+        it('シーンの選択肢で好感度が変わること', () => {
+            game.episodeManager.playEpisodeIntro(1);
+            game.episodeManager.handleChoice('agile');
+
+            expect(game.gameState.get('affinity')).toEqual({ owner: AFFINITY.owner.initial + 5, mina: AFFINITY.mina.initial + 5 });
+        });
+
+        it('ハートは heartSize ごとに1つ増えること', () => {
+            const { heartSize, max } = GameConfig.affinity;
+
+            expect(AffinityEngine.toHearts(heartSize - 1)).toEqual({ filled: 0, total: max / heartSize });
+            expect(AffinityEngine.toHearts(heartSize * 2)).toEqual({ filled: 2, total: max / heartSize });
+            expect(AffinityEngine.toHearts(max + 50).filled).toBe(max / heartSize);
+        });
+    });
+
+    describe('閾値', () => {
+        it('閾値を越えると一度だけイベントが出て特典が解放されること', () => {
+            game.gameState.adjustAffinity('mina', 40 - AFFINITY.mina.initial);
+            game.gameState.adjustAffinity('mina', -5);
+            game.gameState.adjustAffinity('mina', 5);
+
+            expect(reached).toEqual([{ characterId: 'mina', level: 40, perk: 'specificTips', scene: null }]);
+            expect(game.gameState.hasPerk('specificTips')).toBe(true);
+            expect(game.gameState.get('affinityMilestones')).toEqual(['mina:40']);
+        });
+
+        it('一度に複数の閾値を越えたらすべて解放し、ボーナスシーンを再生すること', () => {
+            const ended = [];
+            game.eventBus.on(GameEvents.SCENE_SCRIPT_ENDED, (data) => ended.push(data.sceneId));
+
+            game.gameState.adjustAffinity('owner', 70);
+
+            expect(reached.map(data => data.level)).toEqual([30, 60]);
+            expect(game.gameState.get('perks')).toEqual(['recipeHints', 'secretRecipe']);
+            expect(ended).toEqual(['AFFINITY_OWNER_SECRET']);
+            expect(game.gameState.get('flags').ownerSharedRecipe).toBe(true);
+        });
+
+        it('シーンの途中で越えたボーナスシーンはそのシーンの後に流れること', () => {
+            const started = [];
+            game.eventBus.on(GameEvents.DIALOGUE_STARTED, (data) => started.push(data.type));
+            game.gameState.adjustAffinity('mina', 58 - AFFINITY.mina.initial);
+
+            game.episodeManager.playEpisodeIntro(1);
+            started.length = 0;
+            game.episodeManager.handleChoice('agile');
+
+            // SCENE5_START (intro) first, then the tea scene (event)
+            expect(reached.map(data => data.scene)).toEqual([null, 'AFFINITY_MINA_TEA']);
+            expect(started).toEqual(['intro', 'event']);
+        });
+    });
+
+    describe('特典', () => {
+        it('ミナのお茶で休息の回復量が増えること', () => {
+            atNight(game, { stamina: 10 });
+            game.kitchenEngine.executeAction('rest');
+            const plain = game.gameState.get('stamina') - 10;
+
+            game.gameState.update({ perks: ['minaTea'] });
+            atNight(game, { stamina: 10 });
+            const result = game.kitchenEngine.executeAction('rest');
+
+            expect(game.gameState.get('stamina') - 10).toBe(plain + GameConfig.affinity.perks.minaTea.stamina);
+            expect(result.message).toContain(I18n.t('kitchen.minaTea', { amount: GameConfig.affinity.perks.minaTea.stamina }));
+        });
+
+        it('親父の秘伝でシチュー試作の完成度が上がりやすくなること', () => {
+            game.gameState.update({ perks: ['secretRecipe'], skills: { cutting: 5, boiling: 5, frying: 5, analysis: 5 } });
+            const base = game.gameState.calculateDishProgressGain();
+            atNight(game);
+
+            const result = game.kitchenEngine.executeAction('trialCooking');
+
+            expect(result.progressGain).toBe(Math.floor(base * (1 + GameConfig.affinity.perks.secretRecipe.dishProgress)));
+        });
+
+        it('秘伝のヒントは朝会で日ごとに順番に出て、乱数を使わないこと', () => {
+            const morning = [];
+            game.eventBus.on('ceremony:morning_standup', (data) => morning.push(data.dialogues));
+            game.gameState.update({ perks: ['recipeHints'], day: 2 });
+
+            game.ceremonyManager.startNewDay();
+
+            const hints = I18n.list('ceremony.owner.recipeHints');
+            expect(morning[0][1]).toEqual({ speaker: 'owner', text: hints[1 % hints.length] });
+            const withoutPerk = new HeadlessGame({ seed: 18 });
+            withoutPerk.gameState.update({ day: 2 });
+            withoutPerk.ceremonyManager.startNewDay();
+            expect(game.rng.getState()).toBe(withoutPerk.rng.getState());
+        });
+    });
+
+    describe('セーブ', () => {
+        it('好感度・到達した閾値・特典はエピソードをまたいで残り、セーブされること', () => {
+            game.gameState.adjustAffinity('mina', 40 - AFFINITY.mina.initial);
+            game.episodeManager.startEpisode(3);
+            game.gameState.retrySprint();
+
+            const saved = game.gameState.serialize();
+            const loaded = new HeadlessGame({ seed: 1 });
+            expect(loaded.gameState.deserialize(saved)).toBe(true);
+
+            expect(loaded.gameState.get('affinity')).toEqual(game.gameState.get('affinity'));
+            expect(loaded.gameState.get('affinityMilestones')).toEqual(['mina:40']);
+            expect(loaded.gameState.hasPerk('specificTips')).toBe(true);
+        });
+
+        it('v6 のセーブには好感度なしが補われること', () => {
+            const v6 = { version: 6, state: { day: 2, currentEpisode: 2, flags: {} }, rngState: null };
+
+            expect(game.gameState.deserialize(v6)).toBe(true);
+            expect(game.gameState.get('affinity')).toEqual({});
+            expect(game.gameState.get('perks')).toEqual([]);
+        });
+    });
+});
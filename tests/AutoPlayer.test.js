@@ -0,0 +1,237 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { AutoPlayer } from '../js/systems/AutoPlayer.js';
+import { createAutoPlayStrategies } from '../js/systems/AutoPlayStrategies.js';
+import { JournalRecorder } from '../js/systems/JournalRecorder.js';
+import { ReplayEngine } from '../js/systems/ReplayEngine.js';
+
+// GameConfig / GameEvents / HeadlessGame are available globally from setup.js
+
+const DAY_ACTIONS = {
+    chopping: GameConfig.dayActions.chopping,
+    heatControl: GameConfig.dayActions.heatControl,
+    cleaning: GameConfig.dayActions.cleaning
+};
+
+const NIGHT_ACTIONS = {
+    trialCooking: GameConfig.nightActions.trialCooking,
+    study: GameConfig.nightActions.study,
+    rest: GameConfig.nightActions.rest
+};
+
+/**
+ * 戦略に渡す状態（HeadlessGame の初期状態を上書き）
+ */
+function makeState(overrides = {}) {
+    const state = new HeadlessGame({ seed: 1 }).gameState.getState();
+    return { ...state, ...overrides };
+}
+
+describe('AutoPlayStrategies', () => {
+    let strategies;
+
+    beforeEach(() => {
+        strategies = createAutoPlayStrategies();
+    });
+
+    it('4種類のボットが揃っていること', () => {
+        expect(Object.keys(strategies)).toEqual(['greedy-exp', 'rest-when-tired', 'debt-averse', 'chimera-target']);
+    });
+
+    it('どのボットも昼夜で実行可能な行動を返すこと', () => {
+        Object.values(strategies).forEach(strategy => {
+            const day = strategy.chooseAction(makeState({ currentPhase: 'day' }), DAY_ACTIONS);
+            expect(Object.keys(DAY_ACTIONS)).toContain(day.actionId);
+
+            const night = strategy.chooseAction(makeState({ currentPhase: 'night', stamina: 60 }), NIGHT_ACTIONS);
+            expect(Object.keys(NIGHT_ACTIONS)).toContain(night.actionId);
+            if (night.actionId === 'study') {
+                expect(['cutting', 'boiling', 'frying', 'analysis']).toContain(night.options.targetSkill);
+            }
+        });
+    });
+
+    it('greedy-exp は経験値が最も多い行動を選ぶこと', () => {
+        const greedy = strategies['greedy-exp'];
+        expect(greedy.chooseAction(makeState({ currentPhase: 'day' }), DAY_ACTIONS).actionId).toBe('heatControl');
+        expect(greedy.chooseAction(makeState({ currentPhase: 'day', stamina: 25 }), DAY_ACTIONS).actionId).toBe('chopping');
+        expect(greedy.choosePivot(makeState({ technicalDebt: 20 }))).toBe(false);
+    });
+
+    it('rest-when-tired は体力が少ないと休むこと', () => {
+        const bot = strategies['rest-when-tired'];
+        expect(bot.chooseAction(makeState({ currentPhase: 'night', stamina: 40 }), NIGHT_ACTIONS).actionId).toBe('rest');
+        expect(bot.chooseAction(makeState({ currentPhase: 'day', stamina: 40 }), DAY_ACTIONS).actionId).toBe('cleaning');
+        expect(bot.chooseAction(makeState({ currentPhase: 'night', stamina: 90 }), NIGHT_ACTIONS).actionId).toBe('study');
+    });
+
+    it('debt-averse は負債があれば掃除して方向転換すること', () => {
+        const bot = strategies['debt-averse'];
+        expect(bot.chooseAction(makeState({ currentPhase: 'day', technicalDebt: 3 }), DAY_ACTIONS).actionId).toBe('cleaning');
+        expect(bot.chooseAction(makeState({ currentPhase: 'day', technicalDebt: 0 }), DAY_ACTIONS).actionId).toBe('heatControl');
+        expect(bot.choosePivot(makeState({ technicalDebt: 3 }))).toBe(true);
+    });
+
+    it('chimera-target は要求に一番遠いスキルを研究し、残り日数が少ないと試作すること', () => {
+        const bot = strategies['chimera-target'];
+        const skills = { cutting: 6, boiling: 2, frying: 4, analysis: 3 };
+
+        const study = bot.chooseAction(makeState({ currentPhase: 'night', day: 1, skills }), NIGHT_ACTIONS);
+        expect(study).toEqual({ actionId: 'study', options: { targetSkill: 'boiling' } });
+
+        const trial = bot.chooseAction(makeState({ currentPhase: 'night', day: 6, skills, dishProgress: 50 }), NIGHT_ACTIONS);
+        expect(trial.actionId).toBe('trialCooking');
+
+        // 残りの夜を全部使っても届かない完成度は追わず、要求の穴を埋める
+        const outOfReach = bot.chooseAction(makeState({ currentPhase: 'night', day: 6, skills, dishProgress: 0 }), NIGHT_ACTIONS);
+        expect(outOfReach).toEqual({ actionId: 'study', options: { targetSkill: 'boiling' } });
+    });
+
+    it('chimera-target は初期状態の1日目の夜に研究すること', () => {
+        const bot = strategies['chimera-target'];
+        const night = bot.chooseAction(makeState({ currentPhase: 'night', stamina: 60 }), NIGHT_ACTIONS);
+
+        expect(night.actionId).toBe('study');
+        expect(night.options.targetSkill).toBe(bot.chooseStudyTarget(makeState()));
+    });
+});
+
+describe('AutoPlayer', () => {
+    let game;
+    let autoPlayer;
+    let strategies;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 2024 });
+        strategies = createAutoPlayStrategies();
+        autoPlayer = new AutoPlayer(game.eventBus, game.gameState, game.kitchenEngine, game.ceremonyManager);
+    });
+
+    /**
+     * step() を審判まで繰り返す
+     */
+    function playToEnd() {
+        let steps = 0;
+        while (!autoPlayer.getOutcome() && steps < 200 && autoPlayer.step()) {
+            game.runPending();
+            steps++;
+        }
+        return steps;
+    }
+
+    it('朝会が始まる前は何もしないこと', () => {
+        autoPlayer.setStrategy(strategies['greedy-exp']);
+        expect(autoPlayer.step()).toBeNull();
+    });
+
+    it('どのボットでも7日目の審判まで進むこと', () => {
+        Object.values(strategies).forEach(strategy => {
+            game = new HeadlessGame({ seed: 7 });
+            autoPlayer = new AutoPlayer(game.eventBus, game.gameState, game.kitchenEngine, game.ceremonyManager);
+            autoPlayer.setStrategy(strategy);
+
+            game.ceremonyManager.startNewDay();
+            playToEnd();
+
+            expect(['pass', 'fail', 'gameover']).toContain(autoPlayer.getOutcome()?.result);
+            if (autoPlayer.getOutcome().result !== 'gameover') {
+                expect(game.gameState.get('day')).toBe(GameConfig.episode1.maxDays);
+            }
+        });
+    });
+
+    it('自動プレイの入力もジャーナルに記録され、リプレイで再現できること', () => {
+        const recorder = new JournalRecorder(game.eventBus, game.gameState, game.ceremonyManager);
+        recorder.start();
+        autoPlayer.setStrategy(strategies['chimera-target']);
+
+        game.ceremonyManager.startNewDay();
+        game.runPending();
+        playToEnd();
+
+        const result = new ReplayEngine().replay(recorder.getJournal());
+        expect(result.errors).toEqual([]);
+        expect(result.matchesRecording).toBe(true);
+    });
+
+    it('start() で審判まで自動で進み、終わると停止すること', () => {
+        const timers = [];
+        autoPlayer = new AutoPlayer(game.eventBus, game.gameState, game.kitchenEngine, game.ceremonyManager, {
+            scheduler: (callback) => timers.push(callback)
+        });
+        const stopped = [];
+        game.eventBus.on('autoplay:stopped', (data) => stopped.push(data));
+
+        game.ceremonyManager.startNewDay();
+        expect(autoPlayer.start(strategies['rest-when-tired'])).toBe(true);
+
+        let ticks = 0;
+        while (timers.length > 0 && ticks < 500) {
+            timers.shift()();
+            game.runPending();
+            ticks++;
+        }
+
+        expect(autoPlayer.isRunning()).toBe(false);
+        expect(stopped).toHaveLength(1);
+        expect(stopped[0].reason).toBe('finished');
+    });
+
+    it('行動中に負債が上限に達すると、ゲームオーバーとして止まること', () => {
+        const timers = [];
+        autoPlayer = new AutoPlayer(game.eventBus, game.gameState, game.kitchenEngine, game.ceremonyManager, {
+            scheduler: (callback) => timers.push(callback)
+        });
+        const stopped = [];
+        game.eventBus.on('autoplay:stopped', (data) => stopped.push(data));
+
+        game.ceremonyManager.startNewDay();
+        autoPlayer.start(strategies['greedy-exp']);
+        while (game.gameState.get('ceremonyPhase') !== 'action' && timers.length > 0) {
+            timers.shift()();
+            game.runPending();
+        }
+        game.gameState.update({ technicalDebt: GameConfig.techDebt.max });
+
+        let ticks = 0;
+        while (timers.length > 0 && ticks < 50) {
+            timers.shift()();
+            ticks++;
+        }
+
+        expect(timers).toHaveLength(0);
+        expect(autoPlayer.getOutcome()).toEqual({ result: 'gameover', reason: 'techDebt' });
+        expect(stopped).toEqual([{ reason: 'finished', outcome: { result: 'gameover', reason: 'techDebt' } }]);
+    });
+
+    it('スプリント計画では戦略が選んだ目標を約束すること', () => {
+        autoPlayer.setStrategy(strategies['greedy-exp']);
+        game.ceremonyManager.startNewDay();
+
+        expect(autoPlayer.step()).toBe('commitSprintGoals');
+        expect(game.gameState.get('sprintGoals')).toEqual(game.gameState.getDefaultSprintGoals());
+        expect(game.gameState.get('ceremonyPhase')).toBe('standup');
+    });
+
+    it('isBusy の間は待つこと', () => {
+        let busy = true;
+        const timers = [];
+        autoPlayer = new AutoPlayer(game.eventBus, game.gameState, game.kitchenEngine, game.ceremonyManager, {
+            scheduler: (callback) => timers.push(callback),
+            isBusy: () => busy
+        });
+
+        game.ceremonyManager.startNewDay();
+        autoPlayer.start(strategies['greedy-exp']);
+        timers.shift()();
+        expect(game.gameState.get('ceremonyPhase')).toBe('planning');
+
+        busy = false;
+        timers.shift()();
+        expect(game.gameState.get('ceremonyPhase')).toBe('standup');
+        timers.shift()();
+        expect(game.gameState.get('ceremonyPhase')).toBe('action');
+
+        autoPlayer.stop();
+        expect(autoPlayer.isRunning()).toBe(false);
+    });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { BalanceSimulator, SIMULATION_CSV_COLUMNS } from '../js/systems/BalanceSimulator.js';
+
+// GameConfig / GameEvents / HeadlessGame are available globally from setup.js
+
+describe('BalanceSimulator', () => {
+    let simulator;
+
+    beforeEach(() => {
+        simulator = new BalanceSimulator();
+    });
+
+    describe('スプリントの実行', () => {
+        it('1回のスプリントが審判かゲームオーバーまで進むこと', () => {
+            const result = simulator.runSprint('rotation', 7);
+
+            expect(['pass', 'fail', 'gameover']).toContain(result.outcome);
+            if (result.outcome !== 'gameover') {
+                expect(result.finalDay).toBe(GameConfig.episode1.maxDays);
+            }
+        });
+
+        it('同じシードなら同じ結果になること', () => {
+            const a = simulator.run({ strategy: 'random', runs: 5, seed: 100 });
+            const b = simulator.run({ strategy: 'random', runs: 5, seed: 100 });
+            expect(a.results).toEqual(b.results);
+            expect(a.results.map(r => r.seed)).toEqual([100, 101, 102, 103, 104]);
+        });
+
+        it('登録した戦略で実行できること', () => {
+            const alwaysClean = {
+                id: 'always-clean',
+                chooseFocus: () => 'speed',
+                chooseAction: (state) => ({ actionId: state.currentPhase === 'day' ? 'cleaning' : 'rest', options: {} }),
+                choosePivot: () => false
+            };
+            expect(simulator.registerStrategy(alwaysClean)).toBe(true);
+
+            const report = simulator.run({ strategy: 'always-clean', runs: 3, seed: 1 });
+            expect(report.strategy).toBe('always-clean');
+            report.results.forEach(result => {
+                expect(result.cutting).toBe(0);
+                expect(result.technicalDebt).toBe(0);
+            });
+        });
+
+        it('昼の途中で負債が上限に達したスプリントは負債のゲームオーバーとして数えること', () => {
+            const execute = KitchenEngine.prototype.executeAction;
+            const spy = vi.spyOn(KitchenEngine.prototype, 'executeAction').mockImplementation(function (...args) {
+                const result = execute.apply(this, args);
+                if (this._gameState.get('day') === 2) {
+                    this._gameState.update({ technicalDebt: GameConfig.techDebt.max });
+                }
+                return result;
+            });
+
+            const report = simulator.run({ strategy: 'rotation', runs: 2, seed: 53 });
+            spy.mockRestore();
+
+            report.results.forEach(result => {
+                expect(result).toMatchObject({ outcome: 'gameover', gameOverReason: 'techDebt', finalDay: 2 });
+            });
+            expect(report.summary.techDebtGameOverRate).toBeGreaterThan(0);
+            expect(report.summary.stalledRate).toBe(0);
+        });
+
+        it('不正な戦略は登録できないこと', () => {
+            expect(simulator.registerStrategy({ id: 'broken' })).toBe(false);
+            expect(simulator.run({ strategy: 'broken' })).toBeNull();
+        });
+    });
+
+    describe('集計', () => {
+        it('合格率・ゲームオーバー率・スキル分布を集計すること', () => {
+            const results = [
+                { outcome: 'pass', gameOverReason: null, cutting: 6, boiling: 8, frying: 4, analysis: 3, dishProgress: 80, technicalDebt: 0, failedActions: 0, skillsPassed: true, dishComplete: true },
+                { outcome: 'fail', gameOverReason: null, cutting: 2, boiling: 1, frying: 0, analysis: 0, dishProgress: 20, technicalDebt: 6, failedActions: 3, skillsPassed: false, dishComplete: false },
+                { outcome: 'gameover', gameOverReason: 'techDebt', cutting: 1, boiling: 1, frying: 1, analysis: 0, dishProgress: 0, technicalDebt: 30, failedActions: 10, skillsPassed: false, dishComplete: false },
+                { outcome: 'fail', gameOverReason: null, cutting: 2, boiling: 9, frying: 4, analysis: 1, dishProgress: 40, technicalDebt: 3, failedActions: 1, skillsPassed: false, dishComplete: false }
+            ];
+
+            const summary = simulator.summarize(results);
+            expect(summary.runs).toBe(4);
+            expect(summary.passRate).toBe(0.25);
+            expect(summary.failRate).toBe(0.5);
+            expect(summary.techDebtGameOverRate).toBe(0.25);
+            expect(summary.gameOverReasons).toEqual({ techDebt: 1 });
+            expect(summary.skills.cutting.distribution).toEqual({ 1: 1, 2: 2, 6: 1 });
+            expect(summary.skills.boiling.requirementMetRate).toBe(0.5);
+            expect(summary.skills.cutting.max).toBe(6);
+        });
+    });
+
+    describe('出力', () => {
+        it('CSV はヘッダーと1プレイ1行で出力されること', () => {
+            const report = simulator.run({ strategy: 'rotation', runs: 3, seed: 5 });
+            const lines = simulator.toCSV(report.results).trim().split('\n');
+
+            expect(lines[0]).toBe(SIMULATION_CSV_COLUMNS.join(','));
+            expect(lines).toHaveLength(4);
+            expect(lines[1].startsWith('1,rotation,5,')).toBe(true);
+        });
+
+        it('JSON に設定値とサマリーが含まれること', () => {
+            const report = simulator.run({ strategy: 'rotation', runs: 2, seed: 5 });
+            const json = JSON.parse(simulator.toJSON([report]));
+
+            expect(json.config.chimeraStewRequirements).toEqual(GameConfig.episode1.chimeraStewRequirements);
+            expect(json.reports[0].summary.runs).toBe(2);
+            expect(json.reports[0].results).toBeUndefined();
+        });
+    });
+});
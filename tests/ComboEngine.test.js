@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// GameConfig / GameEvents / HeadlessGame / ComboEngine are available globally from setup.js
+
+describe('ComboEngine', () => {
+    let game;
+    let gameState;
+    let combo;
+
+    /**
+     * 行動を記録してコンボを判定する（KitchenEngine の成否の乱数を使わずにルールだけ確認する）
+     */
+    function act(actionId) {
+        gameState.recordAction(actionId);
+        const result = { message: '' };
+        const triggered = combo.checkAction(actionId, result);
+        return { triggered, message: result.message, ids: triggered.map(c => c.comboId) };
+    }
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 22 });
+        gameState = game.gameState;
+        combo = game.comboEngine;
+        gameState.update({ stagnation: 50, technicalDebt: 20, oldManMood: 50, ingredientQuality: 50 });
+    });
+
+    describe('コンボの判定', () => {
+        it('下準備・火の番・掃除を順不同でそろえるとパーフェクトサイクルになること', () => {
+            act('cleaning');
+            act('heatControl');
+            const { ids, triggered } = act('chopping');
+
+            expect(ids).toEqual(['perfectCycle']);
+            expect(triggered[0]).toMatchObject({ chain: 1, multiplier: 1, count: 1 });
+            expect(triggered[0].effects).toEqual(GameConfig.combos.list.perfectCycle.effects);
+            expect(gameState.get('stagnation')).toBe(35);
+        });
+
+        it('順番どおりのコンボは並びが違うと出ないこと', () => {
+            act('heatControl');
+            expect(act('chopping').ids).toEqual([]);
+            expect(act('heatControl').ids).toEqual(['prepToFire']);
+        });
+
+        it('after のコンボはパーフェクトサイクルのあとの夜だけ出ること', () => {
+            ['chopping', 'heatControl', 'cleaning'].forEach(act);
+            expect(act('study').ids).toEqual(['reviewNight']);
+
+            gameState.advanceDay();
+            ['chopping', 'chopping', 'cleaning'].forEach(act);
+            expect(act('study').ids).toEqual([]);
+        });
+
+        it('同じコンボは1日1回だけで、回数が数えられること', () => {
+            act('chopping');
+            act('heatControl');
+            act('cleaning');
+            expect(gameState.get('combosToday')).toEqual(['prepToFire', 'perfectCycle']);
+
+            gameState.advanceDay();
+            expect(gameState.get('combosToday')).toEqual([]);
+            act('chopping');
+            expect(act('heatControl').triggered[0].count).toBe(2);
+            expect(gameState.get('comboCounts')).toEqual({ prepToFire: 2, perfectCycle: 1 });
+        });
+    });
+
+    describe('チェイン', () => {
+        it('コンボが続くと倍率が上がり、上限で止まること', () => {
+            expect(ComboEngine.getMultiplier(1)).toBe(1);
+            expect(ComboEngine.getMultiplier(2)).toBe(1.5);
+            expect(ComboEngine.getMultiplier(GameConfig.combos.maxChain + 3)).toBe(ComboEngine.getMultiplier(GameConfig.combos.maxChain));
+        });
+
+        it('チェイン中のコンボは効果が倍率で大きくなること', () => {
+            act('chopping');
+            act('heatControl');
+            const { triggered, message } = act('cleaning');
+
+            expect(triggered[0]).toMatchObject({ comboId: 'perfectCycle', chain: 2, multiplier: 1.5 });
+            expect(triggered[0].effects.stagnation).toBe(Math.round(-15 * 1.5));
+            expect(message).toContain('result-item combo-chain');
+
+            const night = act('study').triggered[0];
+            expect(night).toMatchObject({ comboId: 'reviewNight', chain: 3, multiplier: 2 });
+            expect(night.effects.stagnation).toBe(-20);
+        });
+
+        it('同じ行動を続けるとチェインが切れること', () => {
+            act('chopping');
+            act('heatControl');
+            expect(gameState.get('comboChain')).toBe(1);
+
+            const { message } = act('heatControl');
+            expect(gameState.get('comboChain')).toBe(0);
+            expect(message).toContain(I18n.t('kitchen.comboBroken', { chain: 1 }));
+        });
+
+        it('コンボのないまま夜の行動を終えるとチェインが切れ、コンボがあればつながること', () => {
+            gameState.update({ comboChain: 2 });
+            ['cleaning', 'heatControl', 'cleaning'].forEach(act);
+            act('rest');
+            expect(gameState.get('comboChain')).toBe(0);
+
+            gameState.advanceDay();
+            ['chopping', 'heatControl', 'cleaning'].forEach(act);
+            act('rest');
+            expect(gameState.get('comboChain')).toBe(2);
+        });
+    });
+
+    describe('ヒントと通知', () => {
+        it('次の一手でそろうコンボを教えてくれること', () => {
+            act('chopping');
+            expect(combo.getHints()).toEqual([{ comboId: 'prepToFire', actionId: 'heatControl' }]);
+
+            act('cleaning');
+            expect(combo.getHints()).toContainEqual({ comboId: 'perfectCycle', actionId: 'heatControl' });
+        });
+
+        it('実際の行動でコンボが届き、最初のパーフェクトサイクルだけシーンが流れること', () => {
+            const combos = [];
+            const cycles = [];
+            game.eventBus.on(GameEvents.COMBO_TRIGGERED, (data) => combos.push(data.comboId));
+            game.eventBus.on(GameEvents.PERFECT_CYCLE, (data) => cycles.push(data.count));
+            const scene = vi.spyOn(game.episodeManager, '_playEventDialogue');
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('speed');
+            game.runPending();
+
+            ['chopping', 'heatControl'].forEach(actionId => game.kitchenEngine.executeAction(actionId));
+            const result = game.kitchenEngine.executeAction('cleaning');
+
+            expect(combos).toEqual(['prepToFire', 'perfectCycle']);
+            expect(cycles).toEqual([1]);
+            expect(scene).toHaveBeenCalledWith('PERFECT_CYCLE');
+            expect(result.message).toContain('result-item combo');
+
+            scene.mockClear();
+            game.eventBus.emit(GameEvents.PERFECT_CYCLE, { comboId: 'perfectCycle', count: 2 });
+            expect(scene).not.toHaveBeenCalled();
+        });
+
+        it('コンボの判定で乱数を引かないこと', () => {
+            const rngState = game.rng.getState();
+            ['chopping', 'heatControl', 'cleaning', 'trialCooking'].forEach(act);
+            expect(game.rng.getState()).toEqual(rngState);
+        });
+    });
+
+    describe('設定の検証', () => {
+        it('知らない行動・コンボ・効果はエラーを出して外すこと', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            const custom = new ComboEngine(game.eventBus, gameState, {
+                chainStep: 0.5,
+                maxChain: 3,
+                list: {
+                    ok: { name: 'ok', icon: '✅', sequence: ['rest'], effects: { stamina: 5 } },
+                    dance: { name: 'dance', icon: '💃', sequence: ['dancing'], after: 'ghost', effects: { luck: 1, stamina: 'lots' } },
+                    empty: { name: 'empty', icon: '❔', sequence: [] }
+                }
+            });
+
+            expect(Object.keys(custom.getCombos())).toEqual(['ok']);
+            expect(error.mock.calls.map(call => call[0])).toEqual([
+                'ComboEngine: combo dance: unknown action "dancing"',
+                'ComboEngine: combo dance: unknown combo "ghost" in after',
+                'ComboEngine: combo dance: unknown effect "luck"',
+                'ComboEngine: combo dance: effects.stamina must be a number',
+                'ComboEngine: combo empty: sequence must be a non-empty list of actions'
+            ]);
+            error.mockRestore();
+        });
+
+        it('v9 のセーブの連続パーフェクトサイクルはチェインとして引き継ぐこと', () => {
+            const v9 = { version: 9, state: { day: 4, perfectCycleStreak: 2 }, rngState: null };
+
+            expect(gameState.deserialize(v9)).toBe(true);
+            expect(gameState.get('comboChain')).toBe(2);
+            expect(gameState.get('combosToday')).toEqual([]);
+            expect(gameState.get('perfectCycleStreak')).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { ContentValidator, CONTENT_FILES, CONTENT_SCHEMA } from '../js/systems/ContentLoader.js';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader are available globally from setup.js
+
+const ROOT = path.resolve(import.meta.dirname, '..');
+
+/**
+ * data/*.json をそのまま読んだ生データ（テストごとに書き換えてよいコピー）
+ */
+function readRaw() {
+    const raw = {};
+    Object.entries(CONTENT_FILES).forEach(([key, file]) => {
+        raw[key] = JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+    });
+    return raw;
+}
+
+function episode(raw, id) {
+    return raw.episodes.episodes.find(e => e.id === id);
+}
+
+describe('ContentLoader', () => {
+    let raw;
+    let validator;
+
+    beforeEach(() => {
+        raw = readRaw();
+        validator = new ContentValidator();
+    });
+
+    describe('同梱のコンテンツ', () => {
+        it('data/*.json にスキーマ違反がないこと', () => {
+            expect(validator.validate(raw)).toEqual([]);
+            expect(ContentLoader.getDefault().errors).toEqual([]);
+        });
+
+        it('エピソード・シーン・登場人物が読み込まれること', () => {
+            const content = ContentLoader.getDefault();
+
+            expect(Object.keys(content.episodes)).toEqual(['1', '2', '3', '4', '5']);
+            expect(content.scenes.SCENE1_RESCUE.length).toBeGreaterThan(0);
+            expect(content.characters.elfPrincess).toEqual({ name: 'エルフ姫', position: 'right' });
+            expect(content.guests.goblin.catchphrase).toBeTruthy();
+        });
+
+        it('非同期読み込みでも同じ内容になること', async () => {
+            const content = await ContentLoader.load(async (file) => fs.readFileSync(path.join(ROOT, file), 'utf8'));
+            expect(content).toEqual(ContentLoader.getDefault());
+        });
+    });
+
+    describe('スキーマ検証', () => {
+        it('存在しない話者を報告すること', () => {
+            raw.scenes.scenes.EP2_INTRO.push({ speaker: 'ghost', text: '...' });
+
+            expect(validator.validate(raw)).toEqual([
+                `scene EP2_INTRO[${raw.scenes.scenes.EP2_INTRO.length - 1}]: unknown speaker "ghost"`
+            ]);
+        });
+
+        it('存在しないシーンIDを報告すること', () => {
+            episode(raw, 3).scenes.clear = 'EP3_CLEAR_TYPO';
+            delete raw.scenes.scenes.HYBRID_MOMENT;
+
+            expect(validator.validate(raw)).toEqual([
+                'episode 3: unknown scene id "EP3_CLEAR_TYPO" (scenes.clear)',
+                'scenes: missing engine scene "HYBRID_MOMENT"'
+            ]);
+        });
+
+        it('不正な勝敗条件の種類を報告すること', () => {
+            episode(raw, 4).winCondition.type = 'rival_battel';
+            delete episode(raw, 5).lossCondition;
+
+            expect(validator.validate(raw)).toEqual([
+                'episode 4: bad winCondition type "rival_battel"',
+                'episode 5: missing lossCondition'
+            ]);
+        });
+
+        it('ゲスト・メカニクスの参照ミスを報告すること', () => {
+            episode(raw, 2).guest = 'orc';
+            episode(raw, 3).mechanic = 'earthquake';
+            delete episode(raw, 4).rivalConfig;
+
+            expect(validator.validate(raw)).toEqual([
+                'episode 2: unknown guest "orc"',
+                'episode 3: unknown mechanic "earthquake"',
+                'episode 4: mechanic "rival" needs "rivalConfig"'
+            ]);
+        });
+
+        it('引き継ぎルールの誤りを報告すること', () => {
+            episode(raw, 2).carryOver = { expRate: 1.5, gold: true };
+            episode(raw, 3).carryOver = { skills: 'yes' };
+
+            expect(validator.validate(raw)).toEqual([
+                'episode 2: carryOver.expRate must be a number from 0 to 1',
+                'episode 2: unknown carryOver key "gold"',
+                'episode 3: carryOver.skills must be true or false'
+            ]);
+        });
+
+        it('シーンスクリプトの誤りを報告すること', () => {
+            raw.scenes.scenes.HYBRID_MOMENT.push(
+                { jump: 'nowhere' },
+                { speaker: 'owner', text: '...', if: 'oldManMood >' },
+                { speaker: 'owner', text: '{b}おい！！' },
+                { adjust: { growth: 10 } },
+                { choice: [{ id: 'x', text: 'X' }, { id: 'x', text: 'Y', goto: 'NO_SCENE' }] }
+            );
+            const base = raw.scenes.scenes.HYBRID_MOMENT.length - 5;
+
+            expect(validator.validate(raw)).toEqual([
+                `scene HYBRID_MOMENT[${base}]: unknown label "nowhere"`,
+                `scene HYBRID_MOMENT[${base + 1}]: Bad condition "oldManMood >": unexpected end`,
+                `scene HYBRID_MOMENT[${base + 2}]: markup {b} is not closed`,
+                `scene HYBRID_MOMENT[${base + 3}]: stat "growth" cannot be adjusted`,
+                `scene HYBRID_MOMENT[${base + 4}].choice[1]: duplicate id "x"`,
+                `scene HYBRID_MOMENT[${base + 4}].choice[1]: unknown scene id "NO_SCENE"`
+            ]);
+        });
+
+        it('知らない表情を報告し、立ち絵を表情ごとに引けること', () => {
+            raw.scenes.scenes.PERFECT_CYCLE.push({ speaker: 'mina', expression: 'sleepy', text: '...' });
+            raw.characters.cast.owner.expressions = { angry: '親父_怒り.png', crying: '親父_涙.png' };
+
+            expect(validator.validate(raw)).toEqual([
+                'character owner: unknown expression "crying"',
+                `scene PERFECT_CYCLE[${raw.scenes.scenes.PERFECT_CYCLE.length - 1}]: unknown expression "sleepy"`
+            ]);
+
+            const { sprites } = ContentLoader.getDefault();
+            expect(sprites.owner).toEqual({ base: '親父.png', expressions: {} });
+            expect(sprites.narrator).toBeUndefined();
+        });
+
+        it('ゲストの知らない立ち位置を報告すること', () => {
+            raw.characters.guests.dragonoid.stage = 'backstage';
+
+            expect(validator.validate(raw)).toEqual([
+                'character dragonoid: unknown stage position "backstage"'
+            ]);
+            expect(CONTENT_SCHEMA.stagePositions.length).toBeGreaterThanOrEqual(4);
+        });
+
+        it('好感度の閾値とシーンの affinity の誤りを報告すること', () => {
+            raw.characters.cast.mina.affinity.thresholds.push({ level: 120, perk: 'freeLunch', scene: 'NO_SCENE' });
+            raw.scenes.scenes.PERFECT_CYCLE.push({ affinity: { ghost: 5, mina: 'lots' } });
+            const last = raw.scenes.scenes.PERFECT_CYCLE.length - 1;
+            const i = raw.characters.cast.mina.affinity.thresholds.length - 1;
+
+            expect(validator.validate(raw)).toEqual([
+                `character mina: affinity.thresholds[${i}]: level must be a number from 1 to ${GameConfig.affinity.max}`,
+                `character mina: affinity.thresholds[${i}]: unknown perk "freeLunch"`,
+                `character mina: affinity.thresholds[${i}]: unknown scene id "NO_SCENE"`,
+                `scene PERFECT_CYCLE[${last}]: unknown character "ghost" in affinity`,
+                `scene PERFECT_CYCLE[${last}]: affinity.mina must be a number`
+            ]);
+            expect(ContentLoader.getDefault().affinity.mina.initial).toBe(raw.characters.cast.mina.affinity.initial);
+        });
+
+        it('問題は読み込み時に console.error で報告され、ゲームは続行できること', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            episode(raw, 2).scenes.intro = 'NOPE';
+
+            const content = ContentLoader.build(raw);
+
+            expect(content.errors).toHaveLength(1);
+            expect(error).toHaveBeenCalledWith('ContentLoader: episode 2: unknown scene id "NOPE" (scenes.intro)');
+            expect(content.episodes[2]).toBeDefined();
+            error.mockRestore();
+        });
+
+        it('壊れたJSONはファイル名つきのエラーになること', () => {
+            expect(() => ContentLoader.loadSync((file) => file === CONTENT_FILES.scenes ? '{ "scenes": ' : '{}'))
+                .toThrow(CONTENT_FILES.scenes);
+        });
+    });
+
+    describe('データだけで増やすエピソード', () => {
+        it('既存のメカニクスとシーンを使う新エピソードが遊べること', () => {
+            raw.episodes.episodes.push({
+                ...episode(raw, 2),
+                id: 6,
+                title: '番外編：ゴブリン再び',
+                scenes: { intro: 'EP2_INTRO', clear: 'EP2_CLEAR', failed: 'EP2_FAILED' }
+            });
+            const content = ContentLoader.build(raw);
+            const game = new HeadlessGame({ seed: 6, content });
+
+            expect(content.errors).toEqual([]);
+            expect(game.episodeManager.startEpisode(6)).toBe(true);
+            expect(game.gameState.get('orders')).toHaveLength(content.episodes[6].orders.initialOrders);
+            expect(game.episodeManager.getEndingDialogue(6, 'success')).toEqual(content.scenes.EP2_CLEAR);
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / emitAction are available globally from setup.js
+
+const CONFIG = ContentLoader.getDefault().episodes[5];
+
+describe('DemandEngine', () => {
+    let game;
+    let changes;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 55 });
+        changes = [];
+        game.eventBus.on(GameEvents.REQUIREMENT_CHANGED, (data) => changes.push(data));
+        game.episodeManager.startEpisode(5);
+    });
+
+    describe('要望', () => {
+        it('エピソード開始時に最初の要望が告げられること', () => {
+            expect(changes).toHaveLength(1);
+            expect(changes[0]).toMatchObject({ episode: 5, previous: null, demand: game.gameState.get('princessDemand') });
+            expect(changes[0].line).toBe(game.demandEngine.getDemand().line);
+        });
+
+        it('スキル指定と味の好みの両方があること', () => {
+            const kinds = new Set(CONFIG.demands.map(d => d.kind));
+            expect([...kinds].sort()).toEqual(['flavor', 'skill']);
+
+            // 旧セーブのスキル id もそのまま要望として読めること
+            Object.keys(GameConfig.skills.names).forEach(skill => {
+                expect(game.demandEngine.getDemand(skill).skills).toEqual([skill]);
+            });
+        });
+
+        it('味の好みはどれかのスキルで応えられること', () => {
+            expect(game.demandEngine.matches('crispy', ['frying'])).toBe(true);
+            expect(game.demandEngine.matches('crispy', ['cutting'])).toBe(true);
+            expect(game.demandEngine.matches('crispy', ['boiling'])).toBe(false);
+            expect(game.demandEngine.matches('unknown', ['boiling'])).toBe(false);
+        });
+
+        it('1日の終わりに気が変わると別の要望になり、イベントが届くこと', () => {
+            vi.spyOn(game.rng, 'chance').mockReturnValue(true);
+            const before = game.gameState.get('princessDemand');
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+
+            expect(changes).toHaveLength(2);
+            expect(changes[1].previous).toBe(before);
+            expect(changes[1].demand).not.toBe(before);
+            expect(game.gameState.get('princessDemand')).toBe(changes[1].demand);
+            expect(game.rng.chance).toHaveBeenCalledWith(CONFIG.modifiers.demandChangeChance);
+        });
+
+        it('気が変わらない日は要望がそのままであること', () => {
+            vi.spyOn(game.rng, 'chance').mockReturnValue(false);
+            const before = game.gameState.get('princessDemand');
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+
+            expect(changes).toHaveLength(1);
+            expect(game.gameState.get('princessDemand')).toBe(before);
+        });
+    });
+
+    describe('満足と怒り', () => {
+        beforeEach(() => {
+            game.gameState.update({ princessDemand: 'mellow' });
+        });
+
+        it('要望に合う料理の成功で満足すること', () => {
+            emitAction(game, 'heatControl', { expGains: { boiling: 20, frying: 18 } });
+
+            expect(game.gameState.get('princessSatisfaction')).toBe(CONFIG.rules.satisfactionPerMatch);
+            expect(game.gameState.get('princessAnger')).toBe(0);
+        });
+
+        it('要望と違う料理や失敗で怒ること', () => {
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+            expect(game.gameState.get('princessAnger')).toBe(CONFIG.rules.angerPerMiss);
+
+            emitAction(game, 'heatControl', { actionSuccess: false, expGains: { boiling: 5, frying: 5 } });
+            expect(game.gameState.get('princessAnger')).toBe(CONFIG.rules.angerPerMiss * 2);
+            expect(game.gameState.get('princessSatisfaction')).toBe(0);
+        });
+
+        it('掃除や休息では何も変わらないこと', () => {
+            emitAction(game, 'cleaning');
+
+            expect(game.gameState.get('princessSatisfaction')).toBe(0);
+            expect(game.gameState.get('princessAnger')).toBe(0);
+        });
+
+        it('実際の調理でも要望に合えば満足し、外せば怒ること', () => {
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('quality');
+            game.runPending();
+            const chance = vi.spyOn(game.rng, 'chance').mockReturnValue(true);
+
+            game.kitchenEngine.executeAction('heatControl');
+            game.runPending();
+            expect(game.gameState.get('princessSatisfaction')).toBe(CONFIG.rules.satisfactionPerMatch);
+
+            chance.mockReturnValue(false);
+            game.kitchenEngine.executeAction('heatControl');
+            game.runPending();
+            expect(game.gameState.get('princessAnger')).toBe(CONFIG.rules.angerPerMiss);
+        });
+
+        it('怒りが限界に達すると敗北になること', () => {
+            game.gameState.update({ princessAnger: 100 - CONFIG.rules.angerPerMiss });
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+
+            expect(game.episodeManager.evaluateEpisode()).toEqual({ result: 'failure', reason: 'loss' });
+        });
+    });
+});
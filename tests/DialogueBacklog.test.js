@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../js/core/EventBus.js';
+import { GameState } from '../js/core/GameState.js';
+import { SaveManager } from '../js/core/SaveManager.js';
+import { DialogueSystem } from '../js/systems/DialogueSystem.js';
+import { DialogueBacklog } from '../js/systems/DialogueBacklog.js';
+
+// GameConfig / GameEvents / SceneScriptRunner / createMemoryStorage are available globally from setup.js
+
+const CHARACTERS = {
+    mina: { name: 'ミナ', position: 'left' },
+    owner: { name: '老店主', position: 'right' },
+    narrator: { name: '', position: 'center' }
+};
+
+describe('DialogueBacklog', () => {
+    let eventBus;
+    let gameState;
+    let dialogueSystem;
+    let backlog;
+
+    /**
+     * 1行進める（タイピング中なら全文表示してから次へ）
+     */
+    function next() {
+        if (dialogueSystem.isTyping()) dialogueSystem.advance();
+        dialogueSystem.advance();
+    }
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        eventBus = new EventBus();
+        gameState = new GameState(eventBus, new SeededRandom(1));
+        dialogueSystem = new DialogueSystem(eventBus, gameState, { characters: { ...CHARACTERS } });
+        backlog = new DialogueBacklog(eventBus, dialogueSystem);
+    });
+
+    afterEach(() => {
+        dialogueSystem.destroy();
+        vi.useRealTimers();
+    });
+
+    describe('記録', () => {
+        it('表示した台詞を話者・シーンID・種類つきで記録すること', () => {
+            const runner = new SceneScriptRunner(eventBus, dialogueSystem, gameState, () => [
+                { speaker: 'mina', text: 'いらっしゃい' },
+                { speaker: 'narrator', text: '店は静かだ' }
+            ]);
+            runner.runScene('TEST_SCENE', 'intro');
+            next();
+
+            expect(backlog.getEntries()).toEqual([
+                { speaker: 'mina', name: 'ミナ', text: 'いらっしゃい', sceneId: 'TEST_SCENE', type: 'intro', sequence: 1, index: 0, skipped: false },
+                { speaker: 'narrator', name: '', text: '店は静かだ', sceneId: 'TEST_SCENE', type: 'intro', sequence: 1, index: 1, skipped: false }
+            ]);
+        });
+
+        it('シーン外の台詞はシーンIDなしで記録されること', () => {
+            dialogueSystem.start([{ speaker: 'owner', text: 'おい' }], 'event');
+            expect(backlog.getEntries()[0]).toMatchObject({ name: '老店主', sceneId: null, type: 'event' });
+        });
+
+        it('スキップした台詞も読めるように残ること', () => {
+            dialogueSystem.start([
+                { speaker: 'mina', text: '1' },
+                { speaker: 'mina', text: '2' },
+                { speaker: 'owner', text: '3' }
+            ], 'intro');
+            dialogueSystem.skip();
+
+            expect(backlog.getEntries().map(e => [e.text, e.index, e.skipped])).toEqual([
+                ['1', 0, false],
+                ['2', 1, true],
+                ['3', 2, true]
+            ]);
+            expect(backlog.getEntries()[2].name).toBe('老店主');
+        });
+
+        it('シーンやエピソードをまたいで記録が続き、上限を超えると古い行から消えること', () => {
+            const lines = Array.from({ length: GameConfig.backlog.maxEntries + 5 }, (_, i) => ({ speaker: 'mina', text: `line ${i}` }));
+            dialogueSystem.start(lines.slice(0, 10), 'intro');
+            dialogueSystem.skip();
+            dialogueSystem.start(lines.slice(10), 'event');
+            dialogueSystem.skip();
+
+            const entries = backlog.getEntries();
+            expect(entries).toHaveLength(GameConfig.backlog.maxEntries);
+            expect(entries[0].text).toBe('line 5');
+            expect(entries.at(-1).text).toBe(`line ${GameConfig.backlog.maxEntries + 4}`);
+        });
+    });
+
+    describe('巻き戻し', () => {
+        beforeEach(() => {
+            dialogueSystem.start([{ speaker: 'mina', text: 'old' }], 'intro');
+            next();
+            dialogueSystem.start([
+                { speaker: 'mina', text: 'A' },
+                { speaker: 'owner', text: 'B' },
+                { speaker: 'mina', text: 'C' }
+            ], 'intro');
+            next();
+            next();
+        });
+
+        it('表示中の会話の前の行だけが巻き戻せること', () => {
+            // old / A / B / C（C が表示中）
+            expect([0, 1, 2, 3].map(position => backlog.canRewind(position))).toEqual([false, true, true, false]);
+        });
+
+        it('巻き戻すとその行から表示し直し、後の記録が消えること', () => {
+            const rewound = vi.fn();
+            eventBus.on(GameEvents.DIALOGUE_REWOUND, rewound);
+
+            expect(backlog.rewindTo(1)).toBe(true);
+
+            expect(rewound).toHaveBeenCalledWith({ index: 0, type: 'intro' });
+            expect(dialogueSystem.getCurrentLine().text).toBe('A');
+            expect(backlog.getEntries().map(e => e.text)).toEqual(['old', 'A']);
+
+            next();
+            expect(backlog.getEntries().map(e => e.text)).toEqual(['old', 'A', 'B']);
+        });
+
+        it('会話が終わった行や前の会話の行は巻き戻せないこと', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(backlog.rewindTo(0)).toBe(false);
+            next();
+            expect(dialogueSystem.isActive()).toBe(false);
+            expect(backlog.rewindTo(1)).toBe(false);
+            warn.mockRestore();
+        });
+
+        it('選択肢をはさんだ行は巻き戻せないこと', () => {
+            const runner = new SceneScriptRunner(eventBus, dialogueSystem, gameState, () => null);
+            runner.run([
+                { speaker: 'owner', text: 'どうする？' },
+                { choice: [{ id: 'yes', text: 'やる' }] },
+                { speaker: 'owner', text: 'よし' },
+                { speaker: 'owner', text: 'はじめるぞ' }
+            ], 'intro');
+            next();
+            runner.choose('yes');
+            next();
+
+            const entries = backlog.getEntries();
+            const question = entries.findIndex(e => e.text === 'どうする？');
+            expect(backlog.canRewind(question)).toBe(false);
+            expect(backlog.canRewind(entries.findIndex(e => e.text === 'よし'))).toBe(true);
+        });
+    });
+
+    describe('セーブ', () => {
+        it('セーブに含まれ、ロードで戻ること（読み直しはできない）', () => {
+            const storage = createMemoryStorage();
+            const saveManager = new SaveManager(eventBus, gameState, null, storage);
+            saveManager.setDialogueBacklog(backlog);
+
+            dialogueSystem.start([{ speaker: 'mina', text: 'A' }, { speaker: 'mina', text: 'B' }], 'intro');
+            next();
+            saveManager.save('slot1');
+
+            backlog.clear();
+            expect(backlog.getEntries()).toEqual([]);
+
+            expect(saveManager.load('slot1')).toBe(true);
+            expect(backlog.getEntries().map(e => e.text)).toEqual(['A', 'B']);
+            expect(backlog.canRewind(0)).toBe(false);
+        });
+
+        it('バックログのない古いセーブは空で始まること', () => {
+            dialogueSystem.start([{ speaker: 'mina', text: 'A' }], 'intro');
+            backlog.restoreSnapshot(undefined);
+
+            expect(backlog.getEntries()).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventBus } from '../js/core/EventBus.js';
+import { DialogueSystem, DialogueMarkup } from '../js/systems/DialogueSystem.js';
+
+// GameConfig / GameEvents are available globally from setup.js
+
+describe('DialogueMarkup', () => {
+    describe('parse', () => {
+        it('マークアップのない文はそのまま1つのテキストになること', () => {
+            expect(DialogueMarkup.parse('いらっしゃい')).toEqual({
+                segments: [{ type: 'text', text: 'いらっしゃい', bold: false, color: null, speed: null, ruby: null }],
+                text: 'いらっしゃい'
+            });
+        });
+
+        it('強調・色・速度・ルビ・間・揺れを分解すること', () => {
+            const { segments, text } = DialogueMarkup.parse(
+                '{shake}{b}{color=red}おい！！{/color}{/b}{pause=500}{ruby=いかい}異界{/ruby}の{speed=120}...{/speed}{pause}'
+            );
+
+            expect(text).toBe('おい！！異界の...');
+            expect(segments).toEqual([
+                { type: 'shake' },
+                { type: 'text', text: 'おい！！', bold: true, color: 'red', speed: null, ruby: null },
+                { type: 'pause', duration: 500 },
+                { type: 'text', text: '異界', bold: false, color: null, speed: null, ruby: 'いかい' },
+                { type: 'text', text: 'の', bold: false, color: null, speed: null, ruby: null },
+                { type: 'text', text: '...', bold: false, color: null, speed: 120, ruby: null },
+                { type: 'pause', duration: DialogueMarkup.DEFAULT_PAUSE }
+            ]);
+        });
+
+        it('{{ は "{" そのもの、知らないタグは書いたまま残ること', () => {
+            expect(DialogueMarkup.parse('{{b} と {wave}').text).toBe('{b} と {wave}');
+        });
+    });
+
+    describe('validate', () => {
+        it('正しいマークアップは問題なしになること', () => {
+            expect(DialogueMarkup.validate('{b}{color=#c0392b}A{/color}{/b}{pause=300}{ruby=よ}読{/ruby}{shake}{{')).toEqual([]);
+        });
+
+        it('知らないタグ・閉じ忘れ・不正な値を報告すること', () => {
+            expect(DialogueMarkup.validate('{wave}A{b}B{speed=fast}C{/speed}{/color}{pause=soon}')).toEqual([
+                'unknown markup {wave}',
+                'markup {speed=fast} has a bad value',
+                'markup {/speed} does not close an open tag',
+                'markup {/color} does not close an open tag',
+                'markup {pause=soon} needs a duration in ms',
+                'markup {b} is not closed'
+            ]);
+        });
+    });
+});
+
+describe('DialogueSystem', () => {
+    let eventBus;
+    let dialogueSystem;
+    let typing;
+    let shakes;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        eventBus = new EventBus();
+        dialogueSystem = new DialogueSystem(eventBus, null, { typingSpeed: 30 });
+        typing = [];
+        shakes = 0;
+        eventBus.on('dialogue:typing', (data) => typing.push(data));
+        eventBus.on(GameEvents.DIALOGUE_SHAKE, () => shakes++);
+    });
+
+    afterEach(() => {
+        dialogueSystem.destroy();
+        vi.useRealTimers();
+    });
+
+    describe('タイピング', () => {
+        it('文字ごとにマークアップを除いた文と表示済みの文字数を送ること', () => {
+            dialogueSystem.start([{ speaker: 'owner', text: '{b}帰れ{/b}。' }]);
+            vi.advanceTimersByTime(60);
+
+            expect(typing.at(-1)).toMatchObject({ text: '帰れ', fullText: '帰れ。', visibleChars: 2, isComplete: false });
+            expect(typing.at(-1).segments[0]).toMatchObject({ text: '帰れ', bold: true });
+
+            vi.advanceTimersByTime(30);
+            expect(typing.at(-1)).toMatchObject({ text: '帰れ。', isComplete: true });
+            expect(dialogueSystem.isTyping()).toBe(false);
+        });
+
+        it('{pause} の間は文字が進まないこと', () => {
+            dialogueSystem.start([{ speaker: 'owner', text: 'ふん{pause=400}帰れ' }]);
+            vi.advanceTimersByTime(60);
+            expect(typing.at(-1).text).toBe('ふん');
+
+            vi.advanceTimersByTime(399);
+            expect(typing.at(-1).text).toBe('ふん');
+
+            vi.advanceTimersByTime(31);
+            expect(typing.at(-1).text).toBe('ふん帰');
+        });
+
+        it('{speed} の中だけ打つ速さが変わること', () => {
+            dialogueSystem.start([{ speaker: 'owner', text: '{speed=100}..{/speed}A' }]);
+            vi.advanceTimersByTime(99);
+            expect(typing).toHaveLength(0);
+
+            vi.advanceTimersByTime(1);
+            expect(typing.at(-1).text).toBe('.');
+
+            vi.advanceTimersByTime(130);
+            expect(typing.at(-1)).toMatchObject({ text: '..A', isComplete: true });
+        });
+
+        it('{shake} は打ち進めた位置で1回だけ揺れること', () => {
+            dialogueSystem.start([{ speaker: 'owner', text: 'ん？{shake}おい！！' }]);
+            vi.advanceTimersByTime(30);
+            expect(shakes).toBe(0);
+
+            vi.advanceTimersByTime(30);
+            expect(typing.at(-1).text).toBe('ん？');
+            expect(shakes).toBe(1);
+
+            vi.advanceTimersByTime(1000);
+            expect(shakes).toBe(1);
+        });
+    });
+
+    describe('読み飛ばし', () => {
+        it('タイピング中に進めると全文が出て、飛ばした揺れも1回起きること', () => {
+            dialogueSystem.start([
+                { speaker: 'owner', text: '{pause=2000}{shake}{shake}{b}おい！！{/b}' },
+                { speaker: 'mina', text: '次' }
+            ]);
+            dialogueSystem.advance();
+
+            expect(typing.at(-1)).toMatchObject({ text: 'おい！！', visibleChars: 4, isComplete: true });
+            expect(shakes).toBe(1);
+            expect(dialogueSystem.getCurrentLine().speaker).toBe('owner');
+
+            // No timers of the first line are left to type over the next one
+            dialogueSystem.advance();
+            vi.advanceTimersByTime(5000);
+            expect(typing.at(-1)).toMatchObject({ text: '次', isComplete: true });
+            expect(shakes).toBe(1);
+        });
+
+        it('スキップすると残りの揺れや間を待たずに会話が終わること', () => {
+            const onComplete = vi.fn();
+            dialogueSystem.start([{ speaker: 'owner', text: '{pause=2000}{shake}おい' }], 'intro', onComplete);
+            dialogueSystem.skip();
+            vi.advanceTimersByTime(5000);
+
+            expect(onComplete).toHaveBeenCalledTimes(1);
+            expect(dialogueSystem.isActive()).toBe(false);
+            expect(shakes).toBe(0);
+            expect(typing).toHaveLength(0);
+        });
+    });
+
+    describe('表情', () => {
+        it('話者の表情を CHARACTER_SPEAKING で送り、指定がなければ null になること', () => {
+            const withCast = new DialogueSystem(eventBus, null, {
+                characters: { owner: { name: '老店主', position: 'right' } }
+            });
+            const speaking = [];
+            eventBus.on(GameEvents.CHARACTER_SPEAKING, (data) => speaking.push(data));
+
+            withCast.start([
+                { speaker: 'owner', expression: 'angry', text: 'おい！！' },
+                { speaker: 'owner', text: '帰れ。' }
+            ]);
+            withCast.advance();
+            withCast.advance();
+
+            expect(speaking.map(data => data.expression)).toEqual(['angry', null]);
+            withCast.destroy();
+        });
+    });
+});
@@ -0,0 +1,304 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { JournalRecorder } from '../js/systems/JournalRecorder.js';
+import { ReplayEngine } from '../js/systems/ReplayEngine.js';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / emitAction are available globally from setup.js
+
+const EPISODES = ContentLoader.getDefault().episodes;
+
+/**
+ * 朝会→掃除×3→休息 で1日を終え、夜の振り返りまで進める
+ */
+function playQuietDay(game) {
+    game.ceremonyManager.selectDailyFocus('speed');
+    game.runPending();
+    ['cleaning', 'cleaning', 'cleaning'].forEach(actionId => {
+        game.kitchenEngine.executeAction(actionId);
+        game.runPending();
+    });
+    game.kitchenEngine.executeAction('rest');
+    game.runPending();
+}
+
+describe('Episodes 2-5', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 555 });
+    });
+
+    describe('エピソード開始', () => {
+        it('日数と進行状況がリセットされ、スキルは引き継がれること', () => {
+            game.gameState.update({ skills: { cutting: 6, boiling: 8, frying: 4, analysis: 3 }, ordersCompleted: 4 });
+
+            expect(game.episodeManager.startEpisode(2)).toBe(true);
+
+            const state = game.gameState.getState();
+            expect(state.currentEpisode).toBe(2);
+            expect(state.day).toBe(1);
+            expect(state.maxDays).toBe(EPISODES[2].maxDays);
+            expect(state.ordersCompleted).toBe(0);
+            expect(state.skills.boiling).toBe(8);
+            expect(state.growth).toBeGreaterThan(0);
+        });
+
+        it('存在しないエピソードは開始できないこと', () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            expect(game.episodeManager.startEpisode(9)).toBe(false);
+            expect(game.gameState.get('currentEpisode')).toBe(1);
+            errorSpy.mockRestore();
+        });
+
+        it('第2話以降の導入シーンの後に INTRO_COMPLETED が届くこと', () => {
+            const completed = [];
+            game.eventBus.on(GameEvents.INTRO_COMPLETED, (data) => completed.push(data));
+
+            game.episodeManager.startEpisode(3);
+            game.episodeManager.playEpisodeIntro(3);
+
+            expect(completed).toEqual([{ episode: 3 }]);
+            expect(game.gameState.get('introComplete')).toBe(true);
+        });
+    });
+
+    describe('エピソードごとのルール', () => {
+        it('第2話: 注文キューのルールが登録されていること', () => {
+            game.episodeManager.startEpisode(2);
+
+            expect(game.gameState.get('orders')).toHaveLength(EPISODES[2].orders.initialOrders);
+            expect(game.episodeManager.getEpisodeProgress().text).toBe('0 / 10（待ち1）');
+        });
+
+        it('第3話: 行動ごとに品質が劣化し、掃除で回復すること', () => {
+            game.episodeManager.startEpisode(3);
+            vi.spyOn(game.rng, 'chance').mockReturnValue(false); // ドラゴノイドは暴れない
+
+            emitAction(game, 'chopping');
+            expect(game.gameState.get('ingredientQuality')).toBe(48);
+
+            emitAction(game, 'cleaning');
+            expect(game.gameState.get('ingredientQuality')).toBe(56);
+        });
+
+        it('第4話: ライバルは毎日成長し、負けていると追い上げること', () => {
+            game.episodeManager.startEpisode(4);
+            const rival = EPISODES[4].rivalConfig;
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+            const first = game.gameState.get('rivalGrowth');
+            expect(first).toBeGreaterThanOrEqual(rival.baseGrowthPerTurn - rival.variability);
+            expect(first).toBeLessThanOrEqual(rival.baseGrowthPerTurn + rival.variability);
+
+            game.gameState.update({ growth: 40 });
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 2, nextDay: 3 });
+            const gain = game.gameState.get('rivalGrowth') - first;
+            expect(gain).toBeGreaterThanOrEqual(Math.round((rival.baseGrowthPerTurn - rival.variability) * (1 + rival.catchUpBonus)));
+        });
+
+        it('第5話: 姫の要望のルールが登録されていること', () => {
+            game.episodeManager.startEpisode(5);
+
+            const demand = game.gameState.get('princessDemand');
+            expect(EPISODES[5].demands.map(d => d.id)).toContain(demand);
+            expect(game.episodeManager.getEpisodeProgress().text).toContain(game.demandEngine.getDemand().name);
+        });
+
+        it('第1話では乱数を消費しないこと', () => {
+            const before = game.rng.getState();
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+            expect(game.rng.getState()).toBe(before);
+            expect(game.gameState.get('ordersCompleted')).toBe(0);
+        });
+    });
+
+    describe('勝敗判定', () => {
+        it('勝利・敗北・時間切れを判定すること', () => {
+            game.episodeManager.startEpisode(2);
+            const state = game.gameState.getState();
+
+            expect(game.episodeManager.evaluateEpisode(state)).toBeNull();
+            expect(game.episodeManager.evaluateEpisode({ ...state, ordersCompleted: 10 })).toEqual({ result: 'success', reason: 'goal' });
+            expect(game.episodeManager.evaluateEpisode({ ...state, currentIngredients: 0 })).toEqual({ result: 'failure', reason: 'loss' });
+            expect(game.episodeManager.evaluateEpisode({ ...state, day: state.maxDays })).toEqual({ result: 'failure', reason: 'timeUp' });
+        });
+
+        it('夜の振り返りで目標達成なら次のエピソードへの審判が出ること', () => {
+            const successes = [];
+            game.eventBus.on('ceremony:judgment_success', (data) => successes.push(data));
+
+            game.episodeManager.startEpisode(2);
+            game.gameState.update({ ordersCompleted: 10 });
+            game.ceremonyManager.startNewDay();
+            playQuietDay(game);
+
+            expect(successes).toHaveLength(1);
+            expect(successes[0].episode).toBe(2);
+            expect(successes[0].nextEpisode).toBe(3);
+            expect(successes[0].dialogues.length).toBeGreaterThan(0);
+            expect(game.gameState.get('ceremonyPhase')).toBe('judgment');
+        });
+
+        it('最終話をクリアすると次のエピソードはないこと', () => {
+            const successes = [];
+            game.eventBus.on('ceremony:judgment_success', (data) => successes.push(data));
+
+            game.episodeManager.startEpisode(5);
+            game.gameState.update({ growth: 50, princessSatisfaction: 100 });
+            game.ceremonyManager.startNewDay();
+            playQuietDay(game);
+
+            expect(successes).toHaveLength(1);
+            expect(successes[0].nextEpisode).toBeNull();
+        });
+
+        it('失敗してもリトライでエピソードの最初からやり直せること', () => {
+            const failures = [];
+            game.eventBus.on('ceremony:judgment_failure', (data) => failures.push(data));
+
+            game.episodeManager.startEpisode(5);
+            game.gameState.update({ princessAnger: 100 });
+            game.ceremonyManager.startNewDay();
+            playQuietDay(game);
+
+            expect(failures).toHaveLength(1);
+            expect(failures[0].reason).toBe('loss');
+
+            game.gameState.retrySprint();
+            expect(game.gameState.get('currentEpisode')).toBe(5);
+            expect(game.gameState.get('day')).toBe(1);
+            expect(game.gameState.get('princessAnger')).toBe(0);
+            expect(game.gameState.get('princessDemand')).not.toBeNull();
+        });
+    });
+
+    describe('引き継ぎ / New Game+', () => {
+        const SKILLS = { cutting: 9, boiling: 4, frying: 7, analysis: 2 };
+        const EXP = { cutting: 80, boiling: 40, frying: 10, analysis: 0 };
+
+        it('エピソードごとのルールでスキル・経験値・アイテム・好感度を引き継ぐこと', () => {
+            game.gameState.update({ skills: SKILLS, experience: EXP, items: ['ownerKnife'] });
+            game.gameState.adjustAffinity('mina', 20);
+            const affinity = game.gameState.get('affinity');
+
+            game.episodeManager.startEpisode(3);
+
+            const { expRate } = game.episodeManager.getCarryOver(3);
+            expect(game.gameState.get('skills')).toEqual(SKILLS);
+            expect(game.gameState.get('experience').cutting).toBe(Math.floor(EXP.cutting * expRate));
+            expect(game.gameState.hasItem('ownerKnife')).toBe(true);
+            expect(game.gameState.get('affinity')).toMatchObject(affinity);
+        });
+
+        it('エピソードの carryOver が既定値を上書きすること', () => {
+            expect(game.episodeManager.getCarryOver(2)).toEqual({ ...GameConfig.carryOver.episode, expRate: 1 });
+
+            game.gameState.update({ skills: SKILLS, experience: EXP, items: ['ownerKnife'] });
+            game.episodeManager.startEpisode(1);
+
+            expect(game.gameState.get('skills')).toEqual({ cutting: 0, boiling: 0, frying: 0, analysis: 0 });
+            expect(game.gameState.get('experience').cutting).toBe(0);
+            expect(game.gameState.hasItem('ownerKnife')).toBe(true);
+        });
+
+        it('引き継がない好感度は特典ごとリセットされること', () => {
+            game.gameState.update({ perks: ['minaTea'], affinityMilestones: ['mina:60'] });
+            game.gameState.startEpisode(2, { carryOver: { skills: true, items: true, affinity: false } });
+
+            expect(game.gameState.get('perks')).toEqual([]);
+            expect(game.gameState.get('affinityMilestones')).toEqual([]);
+            expect(game.gameState.get('affinity').goblin).toBe(ContentLoader.getDefault().affinity.goblin.initial);
+        });
+
+        it('リトライではスキルを保ち、経験値だけ retryExpRate で減ること', () => {
+            game.gameState.update({ skills: SKILLS, experience: EXP });
+            game.gameState.retrySprint();
+
+            expect(game.gameState.get('skills')).toEqual(SKILLS);
+            expect(game.gameState.get('experience').cutting).toBe(Math.floor(EXP.cutting * GameConfig.carryOver.retryExpRate));
+        });
+
+        it('第1話の審判に合格すると老店主の包丁を受け取ること', () => {
+            vi.spyOn(game.gameState, 'checkChimeraStewRequirements').mockReturnValue({ passed: true, details: {} });
+
+            game.ceremonyManager._triggerJudgmentScene(game.gameState.getState());
+
+            expect(game.gameState.get('items')).toEqual(['ownerKnife']);
+        });
+
+        it('New Game+ は第1話から始まり、要求スキルが上がり、スキルは上限まで引き継ぐこと', () => {
+            const { requirementBonus, skillCeiling } = GameConfig.carryOver.newGamePlus;
+            const base = GameConfig.episode1.chimeraStewRequirements;
+            game.episodeManager.startEpisode(5);
+            game.gameState.update({ skills: SKILLS, items: ['ownerKnife'] });
+
+            game.episodeManager.startNewGamePlus();
+            game.episodeManager.startNewGamePlus();
+
+            const state = game.gameState.getState();
+            expect(state.currentEpisode).toBe(1);
+            expect(state.newGamePlus).toBe(2);
+            expect(state.chimeraStewRequirements.boiling).toBe(base.boiling + requirementBonus * 2);
+            expect(state.skills).toEqual({ cutting: skillCeiling, boiling: 4, frying: skillCeiling, analysis: 2 });
+            expect(state.items).toEqual(['ownerKnife']);
+        });
+
+        it('New Game+ の要求スキルはスキルの最大レベルを超えないこと', () => {
+            game.gameState.update({ newGamePlus: 50 });
+            game.gameState.startNewGamePlus();
+
+            Object.values(game.gameState.get('chimeraStewRequirements')).forEach(required => {
+                expect(required).toBe(GameConfig.skills.maxLevel);
+            });
+        });
+    });
+
+    describe('セーブ / リプレイ', () => {
+        it('v2 のセーブにはエピソードの進行状況が補われること', () => {
+            const v2 = { version: 2, state: { day: 4, currentEpisode: 1 }, rngState: null };
+
+            expect(game.gameState.deserialize(v2)).toBe(true);
+            expect(game.gameState.get('day')).toBe(4);
+            expect(game.gameState.get('rivalGrowth')).toBe(0);
+            expect(game.gameState.get('princessDemand')).toBeNull();
+        });
+
+        it('v7 のセーブにはアイテムなし・1周目が補われること', () => {
+            const v7 = { version: 7, state: { day: 2, currentEpisode: 3 }, rngState: null };
+
+            expect(game.gameState.deserialize(v7)).toBe(true);
+            expect(game.gameState.get('items')).toEqual([]);
+            expect(game.gameState.get('newGamePlus')).toBe(0);
+        });
+
+        it('New Game+ を含むジャーナルがリプレイで再現されること', () => {
+            const recorder = new JournalRecorder(game.eventBus, game.gameState, game.ceremonyManager);
+            recorder.start();
+
+            game.episodeManager.startNewGamePlus();
+            game.ceremonyManager.startNewDay();
+            playQuietDay(game);
+
+            const result = new ReplayEngine().replay(recorder.getJournal());
+            expect(result.errors).toEqual([]);
+            expect(result.matchesRecording).toBe(true);
+            expect(result.finalState.newGamePlus).toBe(1);
+        });
+
+        it('エピソード開始を含むジャーナルがリプレイで再現されること', () => {
+            const recorder = new JournalRecorder(game.eventBus, game.gameState, game.ceremonyManager);
+            recorder.start();
+
+            game.episodeManager.startEpisode(5);
+            game.ceremonyManager.startNewDay();
+            playQuietDay(game);
+            game.ceremonyManager.proceedToNextDay();
+            game.runPending();
+
+            const result = new ReplayEngine().replay(recorder.getJournal());
+            expect(result.errors).toEqual([]);
+            expect(result.matchesRecording).toBe(true);
+            expect(result.finalState.currentEpisode).toBe(5);
+        });
+    });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { EventBus } from '../js/core/EventBus.js';
 import { GameState } from '../js/core/GameState.js';
 
@@ -746,4 +746,392 @@ describe('GameState', () => {
             expect(gameState.getPolicyStaminaMultiplier()).toBe(0.5);
         });
     });
+
+    describe('伝統・革新ゲージ', () => {
+        const recordDay = (actions) => actions.forEach(actionId => gameState.recordAction(actionId));
+
+        it('今日まだ使っていない昼の行動を返すこと', () => {
+            expect(gameState.getMissingActions()).toEqual(['chopping', 'heatControl', 'cleaning']);
+
+            recordDay(['heatControl', 'chopping']);
+            expect(gameState.getMissingActions()).toEqual(['cleaning']);
+        });
+
+        it('行動ごとにゲージが動き、同じ行動の繰り返しは伝統に傾くこと', () => {
+            const { initial, actions, repeatShift } = GameConfig.balance;
+
+            gameState.recordAction('chopping');
+            gameState.recordAction('chopping');
+            expect(gameState.get('traditionScore')).toBe(initial + actions.chopping * 2 + repeatShift);
+
+            gameState.recordAction('trialCooking');
+            expect(gameState.get('traditionScore')).toBe(initial + actions.chopping * 2 + repeatShift + actions.trialCooking);
+        });
+
+        it('ゲージが範囲内ならバランスが取れていると判定すること', () => {
+            const { balancedMin, balancedMax } = GameConfig.balance;
+            expect(gameState.isBalanced()).toBe(true);
+
+            gameState.update({ traditionScore: balancedMax + 1 });
+            expect(gameState.isBalanced()).toBe(false);
+            expect(GameState.getBalanceLean(balancedMax + 1)).toBe('tradition');
+            expect(GameState.getBalanceLean(balancedMin - 1)).toBe('innovation');
+            expect(GameState.getBalanceLean(balancedMin)).toBe('balanced');
+        });
+
+        it('v8 のセーブにはゲージの初期値とコンボなしが補われること', () => {
+            const v8 = { version: 8, state: { day: 3 }, rngState: null };
+
+            expect(gameState.deserialize(v8)).toBe(true);
+            expect(gameState.get('traditionScore')).toBe(GameConfig.balance.initial);
+            expect(gameState.get('comboChain')).toBe(0);
+            expect(gameState.get('comboCounts')).toEqual({});
+        });
+
+        it('v10 のセーブには HYBRID_MOMENT 未視聴が補われること', () => {
+            expect(gameState.deserialize({ version: 10, state: { day: 6 }, rngState: null })).toBe(true);
+            expect(gameState.get('hybridMoment')).toBeNull();
+        });
+
+        it('朝会の方針でゲージが動くこと', () => {
+            const game = new HeadlessGame({ seed: 23 });
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('experiment');
+
+            expect(game.gameState.get('traditionScore')).toBe(GameConfig.balance.initial + GameConfig.balance.policies.experiment);
+        });
+
+        it('毎晩、ゲージの傾きで親父さんの機嫌が変わること', () => {
+            const { mood } = GameConfig.balance;
+            gameState.update({ traditionScore: 90, oldManMood: 50 });
+            gameState.advanceDay();
+            expect(gameState.get('oldManMood')).toBe(50 + mood.tradition);
+
+            gameState.update({ traditionScore: 10, oldManMood: 50 });
+            gameState.advanceDay();
+            expect(gameState.get('oldManMood')).toBe(50 + mood.innovation);
+        });
+
+        it('ゲージが偏っていると朝会で親父さんが一言いい、ミナが戻し方を教えてくれること', () => {
+            const game = new HeadlessGame({ seed: 23 });
+            const mornings = [];
+            game.eventBus.on('ceremony:morning_standup', (data) => mornings.push(data.dialogues.map(d => d.text)));
+            game.gameState.update({ traditionScore: 20 });
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.commitSprintGoals();
+
+            expect(mornings[0]).toContain(I18n.list('ceremony.owner.balance.innovation')[0]);
+            expect(game.episodeManager.getMinaTip().message).toBe(I18n.t('episode.tips.lean.innovation'));
+        });
+
+        describe('HYBRID_MOMENT と審判', () => {
+            let game;
+            let hybrid;
+
+            beforeEach(() => {
+                game = new HeadlessGame({ seed: 23 });
+                hybrid = [];
+                game.eventBus.on(GameEvents.HYBRID_MOMENT, (data) => hybrid.push(data));
+                game.gameState.update({ day: GameConfig.balance.hybridMomentDay, oldManMood: 70 });
+            });
+
+            it('6日目の夜にゲージが真ん中なら HYBRID_MOMENT が流れ、親父さんが認めたことが残ること', () => {
+                game.ceremonyManager._showNightRetrospective();
+
+                expect(hybrid).toHaveLength(1);
+                expect(game.gameState.get('hybridMoment')).toBe('acknowledged');
+            });
+
+            it('親父さんの機嫌が悪ければ意地を張ったままになること', () => {
+                game.gameState.update({ oldManMood: 30 });
+                game.ceremonyManager._showNightRetrospective();
+
+                expect(game.gameState.get('hybridMoment')).toBe('stubborn');
+            });
+
+            it('ゲージが偏っていれば流れないこと', () => {
+                game.gameState.update({ traditionScore: 90 });
+                game.ceremonyManager._showNightRetrospective();
+
+                expect(hybrid).toHaveLength(0);
+                expect(game.gameState.get('hybridMoment')).toBeNull();
+            });
+
+            it('認められたうえで審判でもゲージが真ん中なら特別なエンディングになること', () => {
+                const results = [];
+                game.eventBus.on('ceremony:judgment_success', (data) => results.push(data));
+                vi.spyOn(game.gameState, 'checkChimeraStewRequirements').mockReturnValue({ passed: true, details: {} });
+                game.gameState.update({ hybridMoment: 'acknowledged' });
+
+                game.ceremonyManager._triggerJudgmentScene(game.gameState.getState());
+
+                expect(results[0]).toMatchObject({ ending: 'hybrid', title: I18n.t('ceremony.judgment.hybridTitle') });
+                expect(results[0].reward.item).toBe(I18n.t('ceremony.judgment.hybridRewardItem'));
+                expect(results[0].dialogues.map(d => d.text)).toContain(I18n.list('ceremony.judgment.hybrid')[0]);
+                expect(game.gameState.get('items')).toEqual(['ownerKnife', 'ownerRecipeBook']);
+            });
+
+            it('審判のときにゲージが偏っていればいつものエンディングになること', () => {
+                const results = [];
+                game.eventBus.on('ceremony:judgment_success', (data) => results.push(data));
+                vi.spyOn(game.gameState, 'checkChimeraStewRequirements').mockReturnValue({ passed: true, details: {} });
+                game.gameState.update({ hybridMoment: 'acknowledged', traditionScore: 90 });
+
+                game.ceremonyManager._triggerJudgmentScene(game.gameState.getState());
+
+                expect(results[0].ending).toBe('standard');
+                expect(results[0].reward.item).toBe(I18n.t('ceremony.judgment.rewardItem'));
+                expect(game.gameState.get('items')).toEqual(['ownerKnife']);
+            });
+        });
+
+        it('あとひとつでそろうとき、ミナが残りの行動を教えてくれること', () => {
+            const game = new HeadlessGame({ seed: 21 });
+            game.gameState.recordAction('chopping');
+            game.gameState.recordAction('cleaning');
+            const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+
+            expect(game.episodeManager.getMinaTip().message).toBe(
+                I18n.t('episode.tips.perfectCycle', { action: I18n.text(GameConfig.dayActions.heatControl.name) })
+            );
+            random.mockRestore();
+        });
+    });
+
+    describe('スプリント計画', () => {
+        let game;
+
+        beforeEach(() => {
+            game = new HeadlessGame({ seed: 24 });
+        });
+
+        it('第1話の1日目は朝会の前にスプリント計画が開かれること', () => {
+            const planning = [];
+            const standup = vi.fn();
+            game.eventBus.on('ceremony:sprint_planning', (data) => planning.push(data));
+            game.eventBus.on('ceremony:morning_standup', standup);
+
+            game.ceremonyManager.startNewDay();
+
+            expect(game.gameState.get('ceremonyPhase')).toBe('planning');
+            expect(standup).not.toHaveBeenCalled();
+            expect(planning[0].defaults).toEqual({
+                skills: { ...GameConfig.episode1.chimeraStewRequirements },
+                dishProgress: GameConfig.sprintPlanning.dishProgress.default,
+                techDebtCeiling: GameConfig.sprintPlanning.techDebtCeiling.default
+            });
+            expect(planning[0].dialogues.map(d => d.speaker)).toEqual(['owner', 'fuji', 'mina']);
+        });
+
+        it('目標を約束すると保存されて朝会に進むこと', () => {
+            const standup = vi.fn();
+            game.eventBus.on('ceremony:morning_standup', standup);
+            game.ceremonyManager.startNewDay();
+
+            expect(game.ceremonyManager.commitSprintGoals({ skills: { cutting: 4 }, dishProgress: 75 })).toBe(true);
+
+            expect(game.gameState.get('sprintGoals')).toEqual({
+                skills: { ...GameConfig.episode1.chimeraStewRequirements, cutting: 4 },
+                dishProgress: 75,
+                techDebtCeiling: GameConfig.sprintPlanning.techDebtCeiling.default
+            });
+            expect(game.gameState.get('ceremonyPhase')).toBe('standup');
+            expect(standup).toHaveBeenCalledTimes(1);
+
+            // 2日目以降は計画なしで朝会から始まる
+            game.gameState.advanceDay();
+            game.ceremonyManager.startNewDay();
+            expect(game.gameState.get('ceremonyPhase')).toBe('standup');
+        });
+
+        it('範囲外の目標はエラーを出して受け付けないこと', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            game.ceremonyManager.startNewDay();
+
+            expect(game.ceremonyManager.commitSprintGoals({ skills: { cutting: 0, baking: 3 }, techDebtCeiling: 7 })).toBe(false);
+
+            expect(error.mock.calls.map(call => call[0])).toEqual([
+                `GameState.normalizeSprintGoals: skills.cutting must be a level from 1 to ${GameConfig.skills.maxLevel}`,
+                'GameState.normalizeSprintGoals: unknown skill "baking"',
+                'GameState.normalizeSprintGoals: techDebtCeiling must be one of 5, 10, 15'
+            ]);
+            expect(game.gameState.get('sprintGoals')).toBeNull();
+            expect(game.gameState.get('ceremonyPhase')).toBe('planning');
+            error.mockRestore();
+        });
+
+        it('中間レビューの日にミナが遅れている目標を教えてくれること', () => {
+            const mornings = [];
+            game.eventBus.on('ceremony:morning_standup', (data) => mornings.push(data.dialogues.map(d => d.text)));
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.commitSprintGoals();
+            game.gameState.update({ day: GameConfig.sprintPlanning.reviewDay, technicalDebt: 0 });
+
+            game.ceremonyManager._showMorningStandup();
+
+            const review = game.ceremonyManager.getSprintReview();
+            const behind = review.goals.find(goal => !goal.met);
+            expect(review.goals.find(goal => goal.id === 'techDebt').met).toBe(true);
+            expect(mornings[1]).toContain(I18n.t('ceremony.planning.review', { met: review.met, total: review.total }));
+            expect(mornings[1]).toContain(I18n.t('ceremony.planning.reviewBehind', {
+                goal: game.ceremonyManager._describeGoal(behind),
+                current: behind.current
+            }));
+        });
+
+        it('審判で約束の達成率が評価されること', () => {
+            const results = [];
+            game.eventBus.on('ceremony:judgment_failure', (data) => results.push(data));
+            game.gameState.update({
+                sprintGoals: { skills: { cutting: 1, boiling: 1, frying: 1, analysis: 1 }, dishProgress: 50, techDebtCeiling: 10 },
+                skills: { cutting: 2, boiling: 2, frying: 1, analysis: 1 },
+                dishProgress: 0,
+                technicalDebt: 0
+            });
+
+            game.ceremonyManager._triggerJudgmentScene(game.gameState.getState());
+
+            expect(results[0].commitment).toMatchObject({ met: 5, total: 6, accuracy: 83 });
+            expect(results[0].dialogues.map(d => d.text)).toContain(
+                I18n.t('ceremony.report.commitmentPartial', { met: 5, total: 6, accuracy: 83 })
+            );
+        });
+
+        it('v11 のセーブには約束した目標がないこと', () => {
+            const v11 = { version: 11, state: { day: 3 }, rngState: null };
+
+            expect(game.gameState.deserialize(v11)).toBe(true);
+            expect(game.gameState.get('sprintGoals')).toBeNull();
+            expect(game.ceremonyManager.getSprintReview()).toBeNull();
+        });
+    });
+
+    describe('バーンダウンとベロシティ', () => {
+        let game;
+        let retros;
+
+        beforeEach(() => {
+            game = new HeadlessGame({ seed: 25 });
+            retros = [];
+            game.eventBus.on('ceremony:night_retro', (data) => retros.push(data));
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.commitSprintGoals({ techDebtCeiling: 5 });
+        });
+
+        it('キメラシチューまでに足りないスキルLvと、これまでの経験値の合計を数えること', () => {
+            const state = {
+                skills: { cutting: 2, boiling: 9, frying: 1, analysis: 3 },
+                experience: { cutting: 40, boiling: 0, frying: 10, analysis: 0 },
+                chimeraStewRequirements: { cutting: 6, boiling: 8, frying: 4, analysis: 3 }
+            };
+
+            expect(GameState.getRequirementGap(state)).toBe(4 + 0 + 3 + 0);
+            expect(GameState.getTotalExp(state)).toBe(15 * GameConfig.skills.expPerLevel + 50);
+        });
+
+        it('振り返りでその日の記録が残り、同じ日をもう一度振り返ると上書きされること', () => {
+            const start = game.gameState.getState();
+            game.gameState.addSkillExp('cutting', 30);
+            game.gameState.update({ technicalDebt: 4 });
+            game.ceremonyManager._showNightRetrospective();
+            game.ceremonyManager._showNightRetrospective();
+
+            const history = game.gameState.get('dayHistory');
+            const state = game.gameState.getState();
+            expect(history).toHaveLength(1);
+            expect(history[0]).toEqual({
+                day: 1,
+                skills: state.skills,
+                exp: GameState.getTotalExp(state),
+                expGained: GameState.getTotalExp(state) - GameState.getTotalExp(start),
+                dishProgress: state.dishProgress,
+                technicalDebt: 4,
+                stamina: state.stamina,
+                condition: state.condition,
+                failedActions: 0,
+                gapAtStart: GameState.getRequirementGap(start),
+                requirementGap: GameState.getRequirementGap(state)
+            });
+            expect(history[0].expGained).toBeGreaterThan(0);
+        });
+
+        it('振り返りにバーンダウン・ベロシティ・負債の推移が届くこと', () => {
+            const gap = GameState.getRequirementGap(game.gameState.getState());
+            game.gameState.update({ technicalDebt: 3 });
+            game.ceremonyManager._showNightRetrospective();
+            game.gameState.advanceDay();
+            game.ceremonyManager.startNewDay();
+            const skills = game.gameState.get('skills');
+            game.gameState.update({ technicalDebt: 8, skills: { ...skills, boiling: skills.boiling + 2 } });
+            game.ceremonyManager._showNightRetrospective();
+
+            const { charts } = retros[1];
+            const state = game.gameState.getState();
+            expect(charts.burndown.remaining).toEqual([
+                { day: 0, value: gap },
+                { day: 1, value: gap },
+                { day: 2, value: GameState.getRequirementGap(state) }
+            ]);
+            expect(charts.burndown.ideal).toEqual([{ day: 0, value: gap }, { day: state.maxDays, value: 0 }]);
+            expect(charts.velocity.points.map(point => point.day)).toEqual([1, 2]);
+            expect(charts.velocity.points[1].value).toBe(2 * GameConfig.skills.expPerLevel);
+            expect(charts.techDebt).toEqual({
+                points: [{ day: 1, value: 3 }, { day: 2, value: 8 }],
+                ceiling: 5,
+                max: GameConfig.techDebt.max
+            });
+        });
+
+        it('審判の画面にもスプリント全体のグラフが届くこと', () => {
+            const results = [];
+            game.eventBus.on('ceremony:judgment_failure', (data) => results.push(data));
+            game.gameState.update({ day: game.gameState.get('maxDays') });
+
+            game.ceremonyManager._showNightRetrospective();
+
+            expect(results[0].charts).toEqual(GameState.getSprintCharts(game.gameState.getState()));
+            expect(results[0].charts.velocity.points).toHaveLength(1);
+        });
+
+        it('第2話以降の審判ではキメラシチューのバーンダウンを出さないこと', () => {
+            const results = [];
+            game.eventBus.on('ceremony:judgment_failure', (data) => results.push(data));
+            game.episodeManager.startEpisode(2);
+            game.ceremonyManager.startNewDay();
+            game.gameState.update({ day: game.gameState.get('maxDays') });
+
+            game.ceremonyManager._showNightRetrospective();
+
+            expect(results[0]).toMatchObject({ episode: 2 });
+            expect(results[0].charts.burndown).toBeNull();
+            expect(results[0].charts.velocity.points).toHaveLength(1);
+            expect(results[0].charts.techDebt.points).toHaveLength(1);
+        });
+
+        it('Day 1 に戻ると記録と約束も最初からになること', () => {
+            game.ceremonyManager._showNightRetrospective();
+            game.gameState.advanceDay();
+
+            game.gameState.resetToDay1();
+
+            expect(game.gameState.get('day')).toBe(1);
+            expect(game.gameState.get('dayHistory')).toEqual([]);
+            expect(game.gameState.get('sprintGoals')).toBeNull();
+            expect(game.gameState.get('comboChain')).toBe(0);
+        });
+
+        it('記録とグラフで乱数を引かないこと', () => {
+            const rngState = game.rng.getState();
+            game.ceremonyManager._showNightRetrospective();
+            expect(game.rng.getState()).toEqual(rngState);
+        });
+
+        it('v12 のセーブは記録なしから始まり、振り返るまでグラフが出ないこと', () => {
+            const v12 = { version: 12, state: { day: 5 }, rngState: null };
+
+            expect(game.gameState.deserialize(v12)).toBe(true);
+            expect(game.gameState.get('dayHistory')).toEqual([]);
+            expect(GameState.getSprintCharts(game.gameState.getState())).toBeNull();
+        });
+    });
 });
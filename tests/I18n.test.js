@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { I18n } from '../js/core/I18n.js';
+import { CONTENT_FILES } from '../js/systems/ContentLoader.js';
+
+// GameConfig / GameEvents / HeadlessGame / I18n (default translator) are available globally from setup.js
+
+const ROOT = path.resolve(import.meta.dirname, '..');
+const JAPANESE = /[ぁ-んァ-ン一-龥]/;
+
+/**
+ * data/i18n/*.json をそのまま読んだ生データ
+ */
+function readCatalogs() {
+    const catalogs = {};
+    GameConfig.i18n.languages.forEach(language => {
+        catalogs[language] = JSON.parse(fs.readFileSync(path.join(ROOT, I18n.getFile(language)), 'utf8'));
+    });
+    return catalogs;
+}
+
+/**
+ * 日本語を含む文字列をすべて集める（画像のファイル名は表示文ではないので除く）
+ */
+function collectJapanese(value, found = new Set()) {
+    if (typeof value === 'string') {
+        if (JAPANESE.test(value) && !/\.png$/.test(value)) found.add(value);
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(child => collectJapanese(child, found));
+    }
+    return found;
+}
+
+describe('I18n', () => {
+    let i18n;
+
+    beforeEach(() => {
+        i18n = new I18n({
+            ja: {
+                name: '日本語',
+                messages: { greet: 'ようこそ{name}さん', only: '日本語だけ', pool: ['{day}日目', '{b}晴れ{/b}'] }
+            },
+            en: {
+                name: 'English',
+                messages: { greet: 'Welcome, {name}', pool: ['Day {day}', '{b}Sunny{/b}'] },
+                content: { 'ミナ': 'Mina' }
+            }
+        }, 'en');
+    });
+
+    describe('メッセージ', () => {
+        it('{name} を埋め込み、渡していないマークアップはそのまま残すこと', () => {
+            expect(i18n.t('greet', { name: 'Fuji' })).toBe('Welcome, Fuji');
+            expect(i18n.list('pool', { day: 3 })).toEqual(['Day 3', '{b}Sunny{/b}']);
+        });
+
+        it('訳がなければ日本語、どこにもなければキーを返すこと', () => {
+            expect(i18n.t('only')).toBe('日本語だけ');
+            expect(i18n.t('nothing.here')).toBe('nothing.here');
+            expect(i18n.list('nothing')).toEqual([]);
+        });
+
+        it('データの表示文は原文で引き、訳がなければ原文のままにすること', () => {
+            expect(i18n.text('ミナ')).toBe('Mina');
+            expect(i18n.text('老店主')).toBe('老店主');
+
+            i18n.setLanguage('ja');
+            expect(i18n.text('ミナ')).toBe('ミナ');
+        });
+
+        it('知らない言語には切り替わらないこと', () => {
+            expect(i18n.setLanguage('fr')).toBe(false);
+            expect(i18n.getLanguage()).toBe('en');
+            expect(i18n.getLanguages()).toEqual([{ id: 'ja', name: '日本語' }, { id: 'en', name: 'English' }]);
+        });
+    });
+
+    describe('カタログの検証', () => {
+        it('抜け・リストの長さ違い・プレースホルダー違いを報告すること', () => {
+            expect(I18n.validate({
+                ja: { messages: { a: '{x}です', list: ['1', '2'], nested: { b: 'B' } } },
+                en: { messages: { a: 'is {y}', list: ['1'], nested: {} } }
+            })).toEqual([
+                'en: "a" placeholders differ from the source',
+                'en: "list" must be a list of 2',
+                'en: missing message "nested.b"'
+            ]);
+        });
+
+        it('問題は読み込み時に console.warn で報告され、翻訳は使えること', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const built = I18n.build({ ja: { messages: { a: 'A' } }, en: { messages: {} } }, 'en');
+
+            expect(warn).toHaveBeenCalledWith('I18n: en: missing message "a"');
+            expect(built.t('a')).toBe('A');
+            warn.mockRestore();
+        });
+
+        it('壊れたJSONはファイル名つきのエラーになること', () => {
+            expect(() => I18n.loadSync((file) => file.endsWith('en.json') ? '{ "messages": ' : '{}'))
+                .toThrow(I18n.getFile('en'));
+        });
+    });
+
+    describe('同梱のカタログ', () => {
+        it('英語カタログに日本語との抜けや食い違いがないこと', () => {
+            expect(I18n.validate(readCatalogs())).toEqual([]);
+        });
+
+        it('data/*.json と GameConfig の表示文すべてに英訳があること', () => {
+            const { en } = readCatalogs();
+            const sources = new Set();
+            Object.values(CONTENT_FILES).forEach(file => {
+                collectJapanese(JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8')), sources);
+            });
+            collectJapanese(GameConfig.skills.names, sources);
+            [GameConfig.condition.levels, GameConfig.phases, GameConfig.dayActions, GameConfig.nightActions].forEach(group => {
+                Object.values(group).forEach(entry => collectJapanese([entry.name, entry.description], sources));
+            });
+
+            expect([...sources].filter(source => !en.content[source])).toEqual([]);
+        });
+    });
+
+    describe('ゲーム中の切り替え', () => {
+        afterEach(() => {
+            I18n.getDefault().setLanguage('ja');
+        });
+
+        it('英語に切り替えると朝会の台詞と行動結果が英語になること', () => {
+            I18n.getDefault().setLanguage('en');
+            const game = new HeadlessGame({ seed: 15 });
+            const morning = [];
+            game.eventBus.on('ceremony:morning_standup', (data) => morning.push(data));
+
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.commitSprintGoals();
+            game.ceremonyManager.selectDailyFocus('quality');
+            const result = game.kitchenEngine.executeAction(1);
+
+            expect(morning[0].dialogues.every(d => !JAPANESE.test(d.text))).toBe(true);
+            expect(result.message).not.toMatch(JAPANESE);
+        });
+    });
+});
@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { JournalRecorder } from '../js/systems/JournalRecorder.js';
+import { ReplayEngine } from '../js/systems/ReplayEngine.js';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / emitAction are available globally from setup.js
+
+const CONFIG = ContentLoader.getDefault().episodes[2];
+
+/**
+ * 注文を1件だけ並べる（忍耐は設定どおり）
+ */
+function makeOrder(id, skills, overrides = {}) {
+    return {
+        id,
+        menuId: 'test',
+        name: 'テスト料理',
+        icon: '🍽',
+        skills,
+        ingredients: CONFIG.modifiers.ingredientConsumption,
+        patience: CONFIG.orders.patience,
+        maxPatience: CONFIG.orders.patience,
+        ...overrides
+    };
+}
+
+describe('OrderQueue', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 77 });
+        game.episodeManager.startEpisode(2);
+        // 来客を止めて、キューの動きだけを見る
+        vi.spyOn(game.rng, 'chance').mockReturnValue(false);
+    });
+
+    describe('来客', () => {
+        it('エピソード開始とリトライで最初の注文が並ぶこと', () => {
+            const orders = game.orderQueue.getOrders();
+            expect(orders).toHaveLength(CONFIG.orders.initialOrders);
+            expect(orders[0].patience).toBe(CONFIG.orders.patience);
+            expect(orders[0].ingredients).toBe(CONFIG.modifiers.ingredientConsumption);
+            expect(CONFIG.orders.menu.map(menu => menu.id)).toContain(orders[0].menuId);
+
+            game.gameState.update({ orders: [], ordersCompleted: 3 });
+            game.gameState.retrySprint();
+            expect(game.orderQueue.getOrders()).toHaveLength(CONFIG.orders.initialOrders);
+            expect(game.gameState.get('ordersCompleted')).toBe(0);
+        });
+
+        it('来客の確率は orderFrequency 倍になること', () => {
+            emitAction(game, 'cleaning');
+
+            expect(game.rng.chance).toHaveBeenCalledWith(CONFIG.orders.arrivalChancePerAction * CONFIG.modifiers.orderFrequency);
+        });
+
+        it('来客があれば注文が増え、満席なら増えないこと', () => {
+            const arrived = [];
+            game.eventBus.on(GameEvents.ORDER_ARRIVED, (data) => arrived.push(data.order));
+            game.rng.chance.mockReturnValue(true);
+
+            emitAction(game, 'cleaning');
+            expect(game.orderQueue.getOrders()).toHaveLength(CONFIG.orders.initialOrders + 1);
+            expect(arrived).toHaveLength(1);
+
+            for (let i = 0; i < CONFIG.orders.maxOrders; i++) {
+                emitAction(game, 'cleaning');
+            }
+            expect(game.orderQueue.getOrders().length).toBeLessThanOrEqual(CONFIG.orders.maxOrders);
+        });
+
+        it('夜の行動では注文が動かないこと', () => {
+            const before = game.orderQueue.getOrders();
+            emitAction(game, 'study', { phase: 'night', expGains: { cutting: 54 } });
+
+            expect(game.orderQueue.getOrders()).toEqual(before);
+            expect(game.rng.chance).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('提供', () => {
+        beforeEach(() => {
+            game.gameState.update({
+                orders: [makeOrder(1, ['boiling', 'frying']), makeOrder(2, ['cutting'])],
+                currentIngredients: 5
+            });
+        });
+
+        it('必要なスキルを使った成功で一番古い注文を出し、食材を使うこと', () => {
+            const completed = [];
+            game.eventBus.on(GameEvents.ORDER_COMPLETED, (data) => completed.push(data.order));
+
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+
+            expect(completed.map(order => order.id)).toEqual([2]);
+            expect(game.gameState.get('ordersCompleted')).toBe(1);
+            expect(game.gameState.get('currentIngredients')).toBe(5 - CONFIG.modifiers.ingredientConsumption);
+            expect(game.orderQueue.getOrders().map(order => order.id)).toEqual([1]);
+        });
+
+        it('スキルが一部しか足りない注文は出せないこと', () => {
+            game.gameState.update({ orders: [makeOrder(1, ['boiling', 'frying'])] });
+            emitAction(game, 'study', { expGains: { boiling: 54 } });
+
+            expect(game.gameState.get('ordersCompleted')).toBe(0);
+            expect(game.gameState.get('currentIngredients')).toBe(5);
+        });
+
+        it('失敗すると食材だけ失い、注文は残ること', () => {
+            const failed = [];
+            game.eventBus.on(GameEvents.ORDER_FAILED, (data) => failed.push(data));
+
+            emitAction(game, 'heatControl', { actionSuccess: false, expGains: { boiling: 5, frying: 5 } });
+
+            expect(failed[0].reason).toBe('botched');
+            expect(game.gameState.get('ordersCompleted')).toBe(0);
+            expect(game.gameState.get('currentIngredients')).toBe(5 - CONFIG.modifiers.ingredientConsumption);
+            expect(game.orderQueue.getOrders().map(order => order.id)).toEqual([1, 2]);
+        });
+
+        it('食材が足りないと出せず、残りの食材を使い切ること', () => {
+            const failed = [];
+            game.eventBus.on(GameEvents.ORDER_FAILED, (data) => failed.push(data));
+            game.gameState.update({ currentIngredients: 1 });
+
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+
+            expect(failed[0].reason).toBe('ingredients');
+            expect(game.gameState.get('currentIngredients')).toBe(0);
+            expect(game.gameState.get('ordersCompleted')).toBe(0);
+        });
+
+        it('スピード重視の日は食材を使わずに出せること', () => {
+            game.gameState.update({ dailyFocusEffect: { noIngredientCost: true } });
+
+            emitAction(game, 'chopping', { expGains: { cutting: 25 } });
+
+            expect(game.gameState.get('ordersCompleted')).toBe(1);
+            expect(game.gameState.get('currentIngredients')).toBe(5);
+        });
+
+        it('掃除で食材を仕入れること', () => {
+            emitAction(game, 'cleaning');
+            expect(game.gameState.get('currentIngredients')).toBe(5 + CONFIG.rules.restockPerCleaning);
+        });
+    });
+
+    describe('食材切れ', () => {
+        it('実際の調理で食材を使い切ると、その夜に第2話の負けになること', () => {
+            const failures = [];
+            game.eventBus.on('ceremony:judgment_failure', (data) => failures.push(data));
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('quality');
+            game.runPending();
+            game.gameState.update({ orders: [makeOrder(1, ['cutting']), makeOrder(2, ['cutting'])], currentIngredients: 3 });
+
+            ['chopping', 'chopping', 'chopping'].forEach(actionId => {
+                game.kitchenEngine.executeAction(actionId);
+                game.runPending();
+            });
+            expect(game.gameState.get('currentIngredients')).toBe(0);
+
+            game.kitchenEngine.executeAction('rest');
+            game.runPending();
+
+            expect(failures).toHaveLength(1);
+            expect(failures[0]).toMatchObject({ episode: 2, reason: 'loss' });
+        });
+    });
+
+    describe('忍耐', () => {
+        it('昼の行動ごとに忍耐が減り、尽きると帰って親父の機嫌が下がること', () => {
+            const expired = [];
+            game.eventBus.on(GameEvents.ORDER_EXPIRED, (data) => expired.push(data.order));
+            game.gameState.update({ orders: [makeOrder(1, ['cutting'], { patience: 2 })] });
+            const mood = game.gameState.get('oldManMood');
+
+            emitAction(game, 'cleaning');
+            expect(game.orderQueue.getOrders()[0].patience).toBe(1);
+
+            emitAction(game, 'cleaning');
+            expect(expired.map(order => order.id)).toEqual([1]);
+            expect(game.orderQueue.getOrders()).toEqual([]);
+            expect(game.gameState.get('oldManMood')).toBe(mood - CONFIG.rules.missedOrderMoodPenalty);
+        });
+    });
+
+    describe('セーブ / リプレイ', () => {
+        it('v3 のセーブには空の注文キューが補われること', () => {
+            const v3 = { version: 3, state: { day: 2, currentEpisode: 2, ordersCompleted: 4 }, rngState: null };
+
+            expect(game.gameState.deserialize(v3)).toBe(true);
+            expect(game.gameState.get('orders')).toEqual([]);
+            expect(game.gameState.get('nextOrderId')).toBe(1);
+            expect(game.gameState.get('ordersCompleted')).toBe(4);
+        });
+
+        it('第2話の営業がリプレイで再現されること', () => {
+            game = new HeadlessGame({ seed: 2 });
+            const recorder = new JournalRecorder(game.eventBus, game.gameState, game.ceremonyManager);
+            recorder.start();
+
+            game.episodeManager.startEpisode(2);
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('speed');
+            game.runPending();
+            ['chopping', 'heatControl', 'cleaning', 'rest'].forEach(actionId => {
+                game.kitchenEngine.executeAction(actionId);
+                game.runPending();
+            });
+
+            const result = new ReplayEngine().replay(recorder.getJournal());
+            expect(result.errors).toEqual([]);
+            expect(result.matchesRecording).toBe(true);
+            expect(result.finalState.orders).toEqual(game.gameState.get('orders'));
+        });
+    });
+});
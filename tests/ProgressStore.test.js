@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { ProgressStore } from '../js/core/ProgressStore.js';
+
+// GameConfig / GameEvents / HeadlessGame / createMemoryStorage are available globally from setup.js
+
+/**
+ * エピソードの審判まで進んだことにする
+ */
+function finishEpisode(game, episodeId, { cleared, growth, day }) {
+    game.gameState.update({ currentEpisode: episodeId, growth, day });
+    game.eventBus.emit(cleared ? 'ceremony:judgment_success' : 'ceremony:judgment_failure', { episode: episodeId });
+}
+
+describe('ProgressStore', () => {
+    let game;
+    let storage;
+    let progress;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 19 });
+        storage = createMemoryStorage();
+        progress = new ProgressStore(game.eventBus, game.gameState, storage);
+    });
+
+    describe('クリア状況の記録', () => {
+        it('審判の結果から、クリア・最高成長値・最短クリア日を記録すること', () => {
+            finishEpisode(game, 1, { cleared: false, growth: 40, day: 7 });
+            finishEpisode(game, 1, { cleared: true, growth: 52, day: 7 });
+            finishEpisode(game, 2, { cleared: true, growth: 30, day: 8 });
+            finishEpisode(game, 2, { cleared: true, growth: 20, day: 6 });
+
+            expect(progress.getRecords()).toEqual({
+                1: { cleared: true, bestGrowth: 52, bestClearDay: 7 },
+                2: { cleared: true, bestGrowth: 30, bestClearDay: 6 }
+            });
+        });
+
+        it('一度クリアした話は失敗やゲームオーバーでも未クリアに戻らないこと', () => {
+            finishEpisode(game, 3, { cleared: true, growth: 30, day: 9 });
+            game.eventBus.emit(GameEvents.GAME_OVER, { reason: 'techDebt' });
+
+            expect(progress.isCleared(3)).toBe(true);
+            expect(progress.getRecords()[3].bestClearDay).toBe(9);
+        });
+
+        it('ロード後に同じ審判がもう一度出ても結果は変わらないこと', () => {
+            finishEpisode(game, 1, { cleared: true, growth: 55, day: 7 });
+            const before = storage.getItem(`${GameConfig.progress.storageKey}.profile1`);
+
+            finishEpisode(game, 1, { cleared: true, growth: 55, day: 7 });
+
+            expect(storage.getItem(`${GameConfig.progress.storageKey}.profile1`)).toBe(before);
+        });
+
+        it('記録するたびに PROGRESS_UPDATED を出すこと', () => {
+            const updates = [];
+            game.eventBus.on(GameEvents.PROGRESS_UPDATED, (data) => updates.push(data));
+
+            finishEpisode(game, 1, { cleared: true, growth: 50, day: 7 });
+
+            expect(updates).toEqual([{ profileId: 'profile1', records: progress.getRecords() }]);
+        });
+    });
+
+    describe('プロフィール', () => {
+        it('クリア状況はプロフィールごとに分かれ、選んだプロフィールは次回も使われること', () => {
+            finishEpisode(game, 1, { cleared: true, growth: 50, day: 7 });
+            expect(progress.setActiveProfile('profile2')).toBe(true);
+
+            expect(progress.hasAnyClear()).toBe(false);
+            expect(progress.getRecords('profile1')[1].cleared).toBe(true);
+
+            const reopened = new ProgressStore(game.eventBus, game.gameState, storage);
+            expect(reopened.getActiveProfile()).toBe('profile2');
+        });
+
+        it('知らないプロフィールには切り替わらないこと', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(progress.setActiveProfile('nobody')).toBe(false);
+            expect(progress.getActiveProfile()).toBe(GameConfig.progress.profiles[0]);
+            error.mockRestore();
+        });
+
+        it('壊れたデータは未プレイとして扱うこと', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            storage.setItem(`${GameConfig.progress.storageKey}.profile1`, '{ broken');
+
+            expect(progress.getRecords()).toEqual({});
+            expect(error).toHaveBeenCalled();
+            error.mockRestore();
+        });
+    });
+
+    describe('チャプター一覧 (EpisodeManager.getChapters)', () => {
+        it('登録されたエピソードごとにタイトル・ゲスト・結果・ロック状態を返すこと', () => {
+            finishEpisode(game, 1, { cleared: true, growth: 50, day: 7 });
+            finishEpisode(game, 2, { cleared: false, growth: 12, day: 10 });
+
+            const chapters = game.episodeManager.getChapters(progress.getRecords());
+            const content = ContentLoader.getDefault();
+
+            expect(chapters.map(chapter => chapter.id)).toEqual(Object.keys(content.episodes).map(Number));
+            expect(chapters[0]).toEqual({
+                id: 1,
+                title: content.episodes[1].title,
+                subtitle: content.episodes[1].subtitle,
+                guest: null,
+                cleared: true,
+                best: { cleared: true, bestGrowth: 50, bestClearDay: 7 },
+                locked: false
+            });
+            expect(chapters[1]).toMatchObject({ guest: content.guests.goblin.name, cleared: false, locked: false });
+            expect(chapters[2]).toMatchObject({ best: null, locked: true });
+        });
+
+        it('記録がなければ第1話だけが選べること', () => {
+            const locked = game.episodeManager.getChapters().map(chapter => chapter.locked);
+
+            expect(locked[0]).toBe(false);
+            expect(locked.slice(1).every(Boolean)).toBe(true);
+        });
+    });
+});
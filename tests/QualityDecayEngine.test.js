@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / emitAction are available globally from setup.js
+
+const CONFIG = ContentLoader.getDefault().episodes[3];
+const BASE_DECAY = Math.round(CONFIG.rules.qualityDecayPerAction * CONFIG.modifiers.qualityDecayRate);
+
+/**
+ * 損傷を1件置く
+ */
+function makeDamage(id, overrides = {}) {
+    return {
+        id,
+        hazardId: 'burnedStation',
+        name: 'コンロ炎上',
+        icon: '🔥',
+        extraDecay: 2,
+        repairsLeft: 2,
+        repairsNeeded: 2,
+        ...overrides
+    };
+}
+
+describe('QualityDecayEngine', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 303 });
+        game.episodeManager.startEpisode(3);
+        // ドラゴノイドを止めて、劣化だけを見る
+        vi.spyOn(game.rng, 'chance').mockReturnValue(false);
+    });
+
+    describe('品質の劣化', () => {
+        it('行動ごとに qualityDecayRate 倍で劣化すること（夜も）', () => {
+            emitAction(game, 'chopping');
+            expect(game.gameState.get('ingredientQuality')).toBe(50 - BASE_DECAY);
+
+            emitAction(game, 'study', { phase: 'night' });
+            expect(game.gameState.get('ingredientQuality')).toBe(50 - BASE_DECAY * 2);
+        });
+
+        it('損傷があると劣化が速くなること', () => {
+            game.gameState.update({ kitchenDamage: [makeDamage(1), makeDamage(2, { extraDecay: 1 })] });
+
+            expect(game.qualityDecayEngine.getDecayPerAction(CONFIG)).toBe(BASE_DECAY + 3);
+            emitAction(game, 'heatControl');
+            expect(game.gameState.get('ingredientQuality')).toBe(50 - BASE_DECAY - 3);
+        });
+
+        it('品質は0未満にならず、0で敗北になること', () => {
+            game.gameState.update({ ingredientQuality: 1 });
+            emitAction(game, 'chopping');
+
+            expect(game.gameState.get('ingredientQuality')).toBe(0);
+            expect(game.episodeManager.evaluateEpisode()).toEqual({ result: 'failure', reason: 'loss' });
+        });
+        it('実際の調理と掃除でも同じように劣化・回復すること', () => {
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('quality');
+            game.runPending();
+            const quality = game.gameState.get('ingredientQuality');
+
+            game.kitchenEngine.executeAction('chopping');
+            game.runPending();
+            expect(game.gameState.get('ingredientQuality')).toBe(quality - BASE_DECAY);
+
+            game.kitchenEngine.executeAction('cleaning');
+            game.runPending();
+            expect(game.gameState.get('ingredientQuality')).toBe(quality - BASE_DECAY + CONFIG.rules.cleaningQualityRestore);
+        });
+    });
+
+    describe('掃除と修理', () => {
+        it('壊れていなければ掃除で品質が回復すること', () => {
+            emitAction(game, 'cleaning');
+            expect(game.gameState.get('ingredientQuality')).toBe(50 + CONFIG.rules.cleaningQualityRestore);
+        });
+
+        it('損傷は古い順に修理され、直るまで品質は回復しないこと', () => {
+            const repaired = [];
+            game.eventBus.on(GameEvents.KITCHEN_REPAIRED, (data) => repaired.push(data.damage));
+            game.gameState.update({ kitchenDamage: [makeDamage(1), makeDamage(2, { repairsLeft: 1, repairsNeeded: 1 })] });
+
+            emitAction(game, 'cleaning');
+            expect(game.qualityDecayEngine.getDamage().map(d => [d.id, d.repairsLeft])).toEqual([[1, 1], [2, 1]]);
+            expect(game.gameState.get('ingredientQuality')).toBe(50);
+
+            emitAction(game, 'cleaning');
+            emitAction(game, 'cleaning');
+            expect(repaired.map(d => d.id)).toEqual([1, 2]);
+            expect(game.qualityDecayEngine.getDamage()).toEqual([]);
+
+            emitAction(game, 'cleaning');
+            expect(game.gameState.get('ingredientQuality')).toBe(50 + CONFIG.rules.cleaningQualityRestore);
+        });
+    });
+
+    describe('ドラゴノイドの破壊', () => {
+        it('暴れると設備が壊れ、品質が一気に落ちること', () => {
+            const damaged = [];
+            game.eventBus.on(GameEvents.KITCHEN_DAMAGED, (data) => damaged.push(data));
+            game.rng.chance.mockReturnValue(true);
+
+            emitAction(game, 'cleaning');
+
+            expect(damaged).toHaveLength(1);
+            const hazard = CONFIG.hazards.events.find(h => h.id === damaged[0].damage.hazardId);
+            expect(damaged[0].line).toBe(hazard.line);
+            expect(game.qualityDecayEngine.getDamage()[0]).toMatchObject({ id: 1, repairsLeft: hazard.repairsNeeded });
+            expect(game.gameState.get('ingredientQuality')).toBe(50 + CONFIG.rules.cleaningQualityRestore - hazard.qualityHit);
+        });
+
+        it('損傷は maxDamage まで、夜は暴れないこと', () => {
+            game.rng.chance.mockReturnValue(true);
+
+            emitAction(game, 'study', { phase: 'night' });
+            expect(game.qualityDecayEngine.getDamage()).toEqual([]);
+
+            for (let i = 0; i < CONFIG.hazards.maxDamage + 2; i++) {
+                emitAction(game, 'chopping');
+            }
+            expect(game.qualityDecayEngine.getDamage()).toHaveLength(CONFIG.hazards.maxDamage);
+        });
+
+        it('品質が低いと暴れやすくなること', () => {
+            emitAction(game, 'chopping');
+            expect(game.rng.chance).toHaveBeenLastCalledWith(CONFIG.hazards.rampageChancePerAction);
+
+            game.gameState.update({ ingredientQuality: CONFIG.winCondition.minQuality - 1 });
+            emitAction(game, 'chopping');
+            expect(game.rng.chance).toHaveBeenLastCalledWith(CONFIG.hazards.rampageChancePerAction * CONFIG.hazards.lowQualityMultiplier);
+        });
+    });
+
+    describe('セーブ', () => {
+        it('v4 のセーブには損傷なしの厨房が補われること', () => {
+            const v4 = { version: 4, state: { day: 3, currentEpisode: 3, ingredientQuality: 40 }, rngState: null };
+
+            expect(game.gameState.deserialize(v4)).toBe(true);
+            expect(game.gameState.get('kitchenDamage')).toEqual([]);
+            expect(game.gameState.get('nextDamageId')).toBe(1);
+        });
+
+        it('エピソードのやり直しで損傷が消えること', () => {
+            game.gameState.update({ kitchenDamage: [makeDamage(1)], nextDamageId: 2 });
+            game.gameState.retrySprint();
+
+            expect(game.gameState.get('kitchenDamage')).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { HeadlessGame } from '../js/systems/HeadlessGame.js';
+import { JournalRecorder, JOURNAL_FORMAT } from '../js/systems/JournalRecorder.js';
+import { ReplayEngine } from '../js/systems/ReplayEngine.js';
+import { SaveManager } from '../js/core/SaveManager.js';
+
+// GameConfig / GameEvents / game classes are available globally from setup.js
+
+/**
+ * 朝会→昼3回→夜1回→振り返り の流れで数日プレイする
+ */
+function playDays(game, days) {
+    const focusIds = ['quality', 'speed', 'experiment'];
+    const studySkills = ['boiling', 'cutting', 'frying', 'analysis'];
+
+    for (let i = 0; i < days; i++) {
+        const day = game.gameState.get('day');
+        game.ceremonyManager.selectDailyFocus(focusIds[day % 3]);
+        game.runPending();
+
+        // 下準備 → 皿洗い ×2（スタミナ切れで詰まらない組み合わせ）
+        [2, 1, 1].forEach(actionId => {
+            game.kitchenEngine.executeAction(actionId);
+            game.runPending();
+        });
+
+        // 夜: 奇数日は研究、偶数日は休息
+        if (day % 2 === 1) {
+            game.kitchenEngine.executeAction(2, { targetSkill: studySkills[day % 4] });
+        } else {
+            game.kitchenEngine.executeAction(3);
+        }
+        game.runPending();
+
+        if (day % 3 === 0) {
+            game.ceremonyManager.handlePivotChoice(true);
+        }
+        game.ceremonyManager.proceedToNextDay();
+        game.runPending();
+    }
+}
+
+describe('JournalRecorder / ReplayEngine', () => {
+    let game;
+    let recorder;
+    let replayEngine;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 4242 });
+        recorder = new JournalRecorder(game.eventBus, game.gameState, game.ceremonyManager);
+        recorder.start();
+        replayEngine = new ReplayEngine();
+    });
+
+    describe('記録', () => {
+        it('シードと入力が記録されること', () => {
+            game.episodeManager.handleChoice('agile');
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.selectDailyFocus('quality');
+
+            const journal = recorder.getJournal();
+            expect(journal.format).toBe(JOURNAL_FORMAT);
+            expect(journal.seed).toBe(4242);
+            expect(journal.entries.map(e => e.type)).toEqual(['handleChoice', 'startNewDay', 'selectDailyFocus']);
+            expect(journal.entries[2].args).toEqual(['quality']);
+        });
+
+        it('スプリント計画で約束した目標が記録され、再生で同じ目標になること', () => {
+            game.ceremonyManager.startNewDay();
+            game.ceremonyManager.commitSprintGoals({ skills: { boiling: 6 }, techDebtCeiling: 5 });
+
+            const entry = recorder.getJournal().entries[1];
+            expect(entry.type).toBe('commitSprintGoals');
+            expect(entry.args[0]).toEqual(game.gameState.get('sprintGoals'));
+
+            const result = replayEngine.replay(recorder.getJournal());
+            expect(result.errors).toEqual([]);
+            expect(result.finalState.sprintGoals).toEqual(game.gameState.get('sprintGoals'));
+        });
+
+        it('研究の対象スキルがオプションごと記録されること', () => {
+            game.gameState.update({ currentPhase: 'night' });
+            game.kitchenEngine.executeAction(2, { targetSkill: 'boiling' });
+
+            const entry = recorder.getJournal().entries[0];
+            expect(entry.type).toBe('executeAction');
+            expect(entry.args).toEqual([2, { targetSkill: 'boiling' }]);
+            expect(entry.phase).toBe('night');
+        });
+
+        it('実行されなかった入力は記録されないこと', () => {
+            game.gameState.update({ dayActionsRemaining: 0 });
+            game.kitchenEngine.executeAction(2);
+            expect(recorder.getEntryCount()).toBe(0);
+        });
+
+        it('proceedToNextDay が startNewDay を二重に記録しないこと', () => {
+            game.gameState.update({ currentPhase: 'night' });
+            game.ceremonyManager.proceedToNextDay();
+
+            expect(recorder.getJournal().entries.map(e => e.type)).toEqual(['proceedToNextDay']);
+        });
+    });
+
+    describe('リプレイ', () => {
+        it('7日間のスプリントを再生すると同じ最終状態になること', () => {
+            game.episodeManager.handleChoice('agile');
+            game.ceremonyManager.startNewDay();
+            game.runPending();
+            playDays(game, 7);
+
+            const journalText = JSON.stringify(recorder.getJournal());
+            const result = replayEngine.replay(journalText);
+
+            expect(result.errors).toEqual([]);
+            expect(result.matchesRecording).toBe(true);
+            expect(result.finalState).toEqual(game.gameState.getState());
+            expect(result.finalState.judgmentTriggered).toBe(true);
+        });
+
+        it('途中でロードしたセーブを起点に再生できること', () => {
+            const saveManager = new SaveManager(game.eventBus, game.gameState, game.ceremonyManager, {
+                data: new Map(),
+                getItem(key) { return this.data.has(key) ? this.data.get(key) : null; },
+                setItem(key, value) { this.data.set(key, value); },
+                removeItem(key) { this.data.delete(key); }
+            });
+
+            game.ceremonyManager.startNewDay();
+            playDays(game, 2);
+            saveManager.save('slot1');
+            playDays(game, 1);
+
+            saveManager.load('slot1');
+            game.ceremonyManager.resume();
+            playDays(game, 2);
+
+            const journal = recorder.getJournal();
+            expect(journal.initial.game.state.day).toBe(3);
+            expect(journal.entries[0].type).toBe('resume');
+
+            const result = replayEngine.replay(journal);
+            expect(result.matchesRecording).toBe(true);
+        });
+
+        it('状態が異なる場合は差分のキーを返すこと', () => {
+            game.ceremonyManager.startNewDay();
+            playDays(game, 1);
+            const journal = recorder.getJournal();
+            journal.final.state.stamina += 1;
+
+            const result = replayEngine.replay(journal);
+            expect(result.matchesRecording).toBe(false);
+            expect(replayEngine.diffStates(result.game.gameState.serialize(), journal.final)).toEqual(['stamina']);
+        });
+
+        it('不正なジャーナルや未知の入力はエラーとして報告されること', () => {
+            expect(replayEngine.replay('{not json').success).toBe(false);
+            expect(replayEngine.replay({ format: 'other' }).success).toBe(false);
+
+            const journal = recorder.getJournal();
+            journal.entries.push({ type: 'teleport', args: [] });
+            const result = replayEngine.replay(journal);
+            expect(result.success).toBe(false);
+            expect(result.errors[0]).toContain('teleport');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { RIVAL_LINES } from '../js/systems/RivalEngine.js';
+
+// GameConfig / GameEvents / HeadlessGame / ContentLoader / I18n are available globally from setup.js
+
+const RIVAL = ContentLoader.getDefault().episodes[4].rivalConfig;
+
+/**
+ * 分析スキルだけを変えた状態
+ */
+function withAnalysis(game, analysis, overrides = {}) {
+    return {
+        ...game.gameState.getState(),
+        skills: { ...game.gameState.get('skills'), analysis },
+        ...overrides
+    };
+}
+
+describe('RivalEngine', () => {
+    let game;
+    let reports;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 404 });
+        reports = [];
+        game.eventBus.on(GameEvents.RIVAL_UPDATED, (data) => reports.push(data.report));
+        game.episodeManager.startEpisode(4);
+    });
+
+    describe('ライバルの手番', () => {
+        it('1日ごとに設定どおり成長し、セリフを言うこと', () => {
+            const acted = [];
+            game.eventBus.on(GameEvents.RIVAL_ACTED, (data) => acted.push(data));
+            game.gameState.update({ growth: 0 });
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+
+            const rivalGrowth = game.gameState.get('rivalGrowth');
+            expect(rivalGrowth).toBeGreaterThanOrEqual(RIVAL.baseGrowthPerTurn - RIVAL.variability);
+            expect(rivalGrowth).toBeLessThanOrEqual(RIVAL.baseGrowthPerTurn + RIVAL.variability);
+            expect(acted).toHaveLength(1);
+            expect(Object.values(RIVAL_LINES).flatMap(key => I18n.list(key))).toContain(acted[0].line);
+        });
+
+        it('負けているときは追い上げボーナスで伸びること', () => {
+            game.gameState.update({ growth: 40, rivalGrowth: 10 });
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+
+            const gain = game.gameState.get('rivalGrowth') - 10;
+            expect(gain).toBeGreaterThanOrEqual(Math.round((RIVAL.baseGrowthPerTurn - RIVAL.variability) * (1 + RIVAL.catchUpBonus)));
+        });
+
+        it('見えないスコアでは成長量も伏せられること', () => {
+            const acted = [];
+            game.eventBus.on(GameEvents.RIVAL_ACTED, (data) => acted.push(data));
+            game.gameState.update({ skills: { ...game.gameState.get('skills'), analysis: 0 } });
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+
+            expect(acted[0].gain).toBeNull();
+            expect(acted[0].report.text).toBe('？？？');
+        });
+
+        it('セリフの選択で乱数を消費しないこと', () => {
+            game.gameState.update({ growth: 0 });
+            const rng = new SeededRandom(1);
+            rng.setState(game.rng.getState());
+            rng.int(RIVAL.variability * 2 + 1);
+
+            game.eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+            expect(game.rng.getState()).toBe(rng.getState());
+        });
+    });
+
+    describe('ライバル表示', () => {
+        it('分析スキルが高いほどはっきり見えること', () => {
+            const engine = game.rivalEngine;
+            const state = { growth: 20, rivalGrowth: 27 };
+
+            expect(engine.getReport(withAnalysis(game, 0, state))).toMatchObject({ clarity: 'hidden', status: null, text: '？？？' });
+            expect(engine.getReport(withAnalysis(game, RIVAL.intel.vague, state))).toMatchObject({ clarity: 'vague', status: 'ahead', text: '劣勢' });
+            expect(engine.getReport(withAnalysis(game, RIVAL.intel.rough, state))).toMatchObject({ clarity: 'rough', range: [25, 29], rivalGrowth: null });
+            expect(engine.getReport(withAnalysis(game, RIVAL.intel.exact, state))).toMatchObject({ clarity: 'exact', rivalGrowth: 27, text: '27 vs 20' });
+        });
+
+        it('接戦・優勢を判定すること', () => {
+            const engine = game.rivalEngine;
+            expect(engine.getReport(withAnalysis(game, RIVAL.intel.vague, { growth: 20, rivalGrowth: 20 + RIVAL.closeMargin })).text).toBe('接戦');
+            expect(engine.getReport(withAnalysis(game, RIVAL.intel.vague, { growth: 20, rivalGrowth: 10 })).text).toBe('優勢');
+        });
+
+        it('エピソード開始と行動のたびに表示が更新され、第4話以外では消えること', () => {
+            expect(reports.at(-1)).not.toBeNull();
+
+            game.eventBus.emit(GameEvents.ACTION_EXECUTED, {
+                actionId: 'cleaning',
+                phase: 'day',
+                result: { success: true, actionSuccess: true, expGains: {} },
+                state: game.gameState.getState()
+            });
+            expect(reports).toHaveLength(2);
+
+            game.episodeManager.startEpisode(5);
+            expect(reports.at(-1)).toBeNull();
+        });
+
+        it('目標バッジにライバルのスコアを出さないこと', () => {
+            game.gameState.update({ rivalGrowth: 33 });
+            const progress = game.episodeManager.getEpisodeProgress();
+
+            expect(progress.label).toBe('品評会');
+            expect(progress.text).not.toContain('33');
+        });
+    });
+
+    describe('勝敗判定', () => {
+        it('ライバルの実際のスコアで判定すること', () => {
+            const state = game.gameState.getState();
+
+            expect(game.episodeManager.evaluateEpisode({ ...state, growth: 10, rivalGrowth: 20 })).toBeNull();
+            expect(game.episodeManager.evaluateEpisode({ ...state, growth: 10, rivalGrowth: 10 + ContentLoader.getDefault().episodes[4].lossCondition.rivalLeadThreshold }))
+                .toEqual({ result: 'failure', reason: 'loss' });
+            expect(game.episodeManager.evaluateEpisode({ ...state, day: 15, growth: 30, rivalGrowth: 29 }))
+                .toEqual({ result: 'success', reason: 'goal' });
+            expect(game.episodeManager.evaluateEpisode({ ...state, day: 15, growth: 30, rivalGrowth: 30 }))
+                .toEqual({ result: 'failure', reason: 'timeUp' });
+        });
+    });
+});
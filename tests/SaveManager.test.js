@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
+import { EventBus } from '../js/core/EventBus.js';
+import { GameState } from '../js/core/GameState.js';
+import { SaveManager } from '../js/core/SaveManager.js';
+import { CeremonyManager } from '../js/systems/CeremonyManager.js';
+
+// GameConfig / createMemoryStorage should be available globally from setup.js
+
+describe('SaveManager', () => {
+    let eventBus;
+    let gameState;
+    let ceremonyManager;
+    let storage;
+    let saveManager;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        eventBus = new EventBus();
+        gameState = new GameState(eventBus);
+        ceremonyManager = new CeremonyManager(eventBus, gameState);
+        storage = createMemoryStorage();
+        saveManager = new SaveManager(eventBus, gameState, ceremonyManager, storage);
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('GameState.serialize / deserialize', () => {
+        it('シリアライズ結果にスキーマバージョンが含まれること', () => {
+            const data = gameState.serialize();
+            expect(data.version).toBe(GameConfig.save.schemaVersion);
+            expect(data.state.day).toBe(1);
+        });
+
+        it('オートモードは保存されないこと', () => {
+            gameState.toggleAutoMode();
+            const data = gameState.serialize();
+            expect(data.state.isAutoMode).toBeUndefined();
+        });
+
+        it('シリアライズした状態を復元できること', () => {
+            gameState.addSkillExp('boiling', 250);
+            gameState.update({ day: 4, stamina: 35, currentPolicy: 'quality' });
+            const data = JSON.parse(JSON.stringify(gameState.serialize()));
+
+            const restored = new GameState(new EventBus());
+            expect(restored.deserialize(data)).toBe(true);
+
+            expect(restored.get('day')).toBe(4);
+            expect(restored.get('stamina')).toBe(35);
+            expect(restored.get('skills').boiling).toBe(gameState.get('skills').boiling);
+            expect(restored.get('currentPolicy')).toBe('quality');
+        });
+
+        it('バージョンなしの旧形式（生のstate）をマイグレーションできること', () => {
+            const legacy = { ...gameState.getState(), day: 3 };
+            delete legacy.ceremonyPhase;
+
+            expect(gameState.deserialize(legacy)).toBe(true);
+            expect(gameState.get('day')).toBe(3);
+            expect(gameState.get('ceremonyPhase')).toBe('standup');
+        });
+
+        it('欠けているフィールドは初期値で補われること', () => {
+            const data = { version: GameConfig.save.schemaVersion, state: { day: 5, skills: { cutting: 4 } } };
+
+            expect(gameState.deserialize(data)).toBe(true);
+            expect(gameState.get('day')).toBe(5);
+            expect(gameState.get('skills')).toEqual({ cutting: 4, boiling: 0, frying: 0, analysis: 0 });
+            expect(gameState.get('stamina')).toBe(GameConfig.stamina.initial);
+        });
+
+        it('未来のバージョンや不正なデータは拒否されること', () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(gameState.deserialize(null)).toBe(false);
+            expect(gameState.deserialize({ version: 999, state: {} })).toBe(false);
+            expect(gameState.get('day')).toBe(1);
+
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('スロット', () => {
+        it('3つ以上の手動スロットとオートセーブがあること', () => {
+            const ids = saveManager.getSlotIds();
+            expect(ids.filter(id => id !== GameConfig.save.autosaveSlot).length).toBeGreaterThanOrEqual(3);
+            expect(ids).toContain(GameConfig.save.autosaveSlot);
+        });
+
+        it('スロットごとに別々に保存・読み込みできること', () => {
+            gameState.update({ day: 2 });
+            saveManager.save('slot1');
+            gameState.update({ day: 5 });
+            saveManager.save('slot2');
+
+            saveManager.load('slot1');
+            expect(gameState.get('day')).toBe(2);
+            saveManager.load('slot2');
+            expect(gameState.get('day')).toBe(5);
+        });
+
+        it('スロット情報に日付とフェーズが含まれること', () => {
+            gameState.update({ day: 3, currentPhase: 'night', ceremonyPhase: 'action' });
+            saveManager.save('slot3');
+
+            const info = saveManager.getSlotInfo('slot3');
+            expect(info.day).toBe(3);
+            expect(info.currentPhase).toBe('night');
+            expect(info.ceremonyPhase).toBe('action');
+            expect(saveManager.getSlotInfo('slot1')).toBeNull();
+        });
+
+        it('壊れたデータや未知のスロットは読み込まないこと', () => {
+            const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+            storage.setItem(`${GameConfig.save.storageKey}.slot1`, '{broken');
+
+            expect(saveManager.hasSave('slot1')).toBe(false);
+            expect(saveManager.load('slot1')).toBe(false);
+            expect(saveManager.save('slot99')).toBe(false);
+
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('オートセーブ', () => {
+        it('advanceDay でオートセーブされること', () => {
+            gameState.advanceDay();
+
+            const info = saveManager.getSlotInfo(GameConfig.save.autosaveSlot);
+            expect(info).not.toBeNull();
+            expect(info.day).toBe(2);
+            expect(info.ceremonyPhase).toBe('standup');
+        });
+
+        it('ceremony:day_complete でオートセーブされること', () => {
+            eventBus.emit('ceremony:day_complete', { completedDay: 1, nextDay: 2 });
+            expect(saveManager.hasSave(GameConfig.save.autosaveSlot)).toBe(true);
+        });
+
+        it('夜のうちに負けが決まった日はオートセーブを上書きしないこと', () => {
+            gameState.advanceDay();
+            gameState.update({ technicalDebt: GameConfig.techDebt.max });
+
+            gameState.advanceDay();
+            eventBus.emit('ceremony:day_complete', { completedDay: 2, nextDay: 3 });
+
+            expect(saveManager.getSlotInfo(GameConfig.save.autosaveSlot).day).toBe(2);
+        });
+    });
+
+    describe('フェーズ復元', () => {
+        it('朝会で保存したデータを読み込むと朝会が再表示されること', () => {
+            ceremonyManager.startNewDay();
+            ceremonyManager.commitSprintGoals();
+            saveManager.save('slot1');
+
+            const standupSpy = vi.fn();
+            eventBus.on('ceremony:morning_standup', standupSpy);
+
+            saveManager.load('slot1');
+            ceremonyManager.resume();
+
+            expect(standupSpy).toHaveBeenCalledTimes(1);
+        });
+
+        it('昼の業務中に保存したデータは行動フェーズから再開すること', () => {
+            ceremonyManager.startNewDay();
+            ceremonyManager.selectDailyFocus('quality');
+            vi.advanceTimersByTime(1500);
+            gameState.consumeAction();
+            saveManager.save('slot1');
+
+            const phaseSpy = vi.fn();
+            const actionStartSpy = vi.fn();
+            eventBus.on('ceremony:phase_changed', phaseSpy);
+            eventBus.on('ceremony:action_phase_start', actionStartSpy);
+
+            saveManager.load('slot1');
+            ceremonyManager.resume();
+
+            expect(gameState.get('dayActionsRemaining')).toBe(2);
+            expect(phaseSpy).toHaveBeenCalledWith(expect.objectContaining({ phase: 'day' }));
+            expect(actionStartSpy).toHaveBeenCalledTimes(1);
+            expect(ceremonyManager.getDailyFocus().id).toBe('quality');
+        });
+
+        it('夜の自習中に保存したデータは夜フェーズから再開すること', () => {
+            gameState.update({ currentPhase: 'night', ceremonyPhase: 'action', dayActionsRemaining: 0 });
+            saveManager.save('slot1');
+
+            const phaseSpy = vi.fn();
+            eventBus.on('ceremony:phase_changed', phaseSpy);
+
+            saveManager.load('slot1');
+            ceremonyManager.resume();
+
+            expect(phaseSpy).toHaveBeenCalledWith(expect.objectContaining({ phase: 'night' }));
+        });
+
+        it('負けが決まったデータを読み込むと、朝会ではなくゲームオーバーになること', () => {
+            gameState.update({ oldManMood: 0 });
+            saveManager.autosave();
+
+            const gameOverSpy = vi.fn();
+            const standupSpy = vi.fn();
+            eventBus.on(GameEvents.GAME_OVER, gameOverSpy);
+            eventBus.on('ceremony:morning_standup', standupSpy);
+
+            expect(saveManager.load(GameConfig.save.autosaveSlot)).toBe(true);
+            ceremonyManager.resume();
+
+            expect(gameOverSpy).toHaveBeenCalledTimes(1);
+            expect(gameOverSpy.mock.calls[0][0].reason).toBe('mood');
+            expect(standupSpy).not.toHaveBeenCalled();
+        });
+
+        it('振り返り中に保存したデータは振り返りが再表示されること', () => {
+            gameState.update({ currentPhase: 'night', nightActionsRemaining: 0 });
+            ceremonyManager._showNightRetrospective();
+            saveManager.save('slot1');
+
+            const retroSpy = vi.fn();
+            eventBus.on('ceremony:night_retro', retroSpy);
+
+            saveManager.load('slot1');
+            ceremonyManager.resume();
+
+            expect(gameState.get('ceremonyPhase')).toBe('retro');
+            expect(retroSpy).toHaveBeenCalledTimes(1);
+        });
+    });
+});
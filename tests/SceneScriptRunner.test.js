@@ -0,0 +1,296 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { EventBus } from '../js/core/EventBus.js';
+import { GameState } from '../js/core/GameState.js';
+
+// GameConfig / GameEvents / HeadlessGame / SceneScriptRunner are available globally from setup.js
+
+/**
+ * 表示された台詞を記録し、すぐに読み終える DialogueSystem の代わり
+ */
+function createRecordingDialogue() {
+    return {
+        sequences: [],
+        start(lines, type, onComplete) {
+            this.sequences.push(lines.map(line => line.text));
+            if (onComplete) onComplete();
+        },
+        getCharacter(id) {
+            return id === 'owner' ? { name: '老店主', position: 'right' } : null;
+        }
+    };
+}
+
+describe('SceneScriptRunner', () => {
+    let eventBus;
+    let gameState;
+    let dialogue;
+    let scenes;
+    let runner;
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        gameState = new GameState(eventBus, new SeededRandom(1));
+        dialogue = createRecordingDialogue();
+        scenes = {};
+        runner = new SceneScriptRunner(eventBus, dialogue, gameState, (id) => scenes[id] || null);
+    });
+
+    describe('台詞とジャンプ', () => {
+        it('台詞だけの配列は1つの会話として流れ、null で終わること', () => {
+            const onComplete = vi.fn();
+            runner.run([
+                { speaker: 'mina', text: 'A' },
+                { speaker: 'owner', text: 'B' }
+            ], 'intro', onComplete);
+
+            expect(dialogue.sequences).toEqual([['A', 'B']]);
+            expect(onComplete).toHaveBeenCalledWith(null);
+        });
+
+        it('条件つきの台詞とジャンプで分岐すること', () => {
+            const script = [
+                { speaker: 'owner', text: 'start' },
+                { jump: 'angry', if: 'oldManMood < 50' },
+                { speaker: 'owner', text: 'happy' },
+                { speaker: 'owner', text: 'very happy', if: 'oldManMood >= 90' },
+                { end: 'happy' },
+                { label: 'angry' },
+                { speaker: 'owner', text: 'angry' }
+            ];
+            const outcomes = [];
+
+            gameState.update({ oldManMood: 95 });
+            runner.run(script, 'event', (outcome) => outcomes.push(outcome));
+            gameState.update({ oldManMood: 30 });
+            runner.run(script, 'event', (outcome) => outcomes.push(outcome));
+
+            expect(dialogue.sequences).toEqual([['start'], ['happy', 'very happy'], ['start'], ['angry']]);
+            expect(outcomes).toEqual(['happy', null]);
+        });
+
+        it('goto で別のシーンに続き、結果が最初の呼び出し元に返ること', () => {
+            scenes.NEXT = [{ speaker: 'mina', text: 'next' }, { end: 'done' }];
+            const onComplete = vi.fn();
+
+            runner.run([{ speaker: 'mina', text: 'first' }, { goto: 'NEXT' }], 'intro', onComplete);
+
+            expect(dialogue.sequences).toEqual([['first'], ['next']]);
+            expect(onComplete).toHaveBeenCalledWith('done');
+        });
+
+        it('ラベルから途中再生できること', () => {
+            runner.run([{ speaker: 'mina', text: 'skip me' }, { label: 'here' }, { speaker: 'mina', text: 'here' }], 'intro', null, { label: 'here' });
+            expect(dialogue.sequences).toEqual([['here']]);
+        });
+    });
+
+    describe('選択肢', () => {
+        let presented;
+        let selected;
+        let script;
+
+        beforeEach(() => {
+            presented = [];
+            selected = [];
+            eventBus.on(GameEvents.CHOICE_PRESENTED, (data) => presented.push(data));
+            eventBus.on(GameEvents.CHOICE_SELECTED, (data) => selected.push(data.choice));
+            script = [
+                { speaker: 'owner', text: 'どうする？' },
+                { choice: [
+                    { id: 'a', text: 'A', icon: '💡', effect: '機嫌 UP', adjust: { oldManMood: 10 }, set: { tookA: true }, jump: 'after' },
+                    { id: 'b', text: 'B', adjust: { oldManMood: -10 } },
+                    { id: 'c', text: 'C', if: 'flag.secretUnlocked' }
+                ], speaker: 'owner', prompt: '選べ' },
+                { speaker: 'owner', text: 'B を選んだ' },
+                { label: 'after' },
+                { speaker: 'owner', text: 'おわり' }
+            ];
+        });
+
+        it('条件を満たす選択肢だけが提示され、選ぶまで待つこと', () => {
+            const onComplete = vi.fn();
+            runner.run(script, 'intro', onComplete);
+
+            expect(presented).toHaveLength(1);
+            expect(presented[0]).toMatchObject({ speaker: 'owner', character: { name: '老店主' }, prompt: '選べ' });
+            expect(presented[0].choices).toEqual([
+                { id: 'a', text: 'A', icon: '💡', effect: '機嫌 UP' },
+                { id: 'b', text: 'B', icon: null, effect: null }
+            ]);
+            expect(runner.isWaitingForChoice()).toBe(true);
+            expect(onComplete).not.toHaveBeenCalled();
+        });
+
+        it('選ぶとフラグ・ステータスが変わり、ジャンプ先に進むこと', () => {
+            runner.run(script, 'intro');
+            expect(runner.choose('a')).toBe(true);
+
+            expect(selected).toEqual(['a']);
+            expect(gameState.get('oldManMood')).toBe(80);
+            expect(gameState.get('flags')).toEqual({ tookA: true });
+            expect(dialogue.sequences.at(-1)).toEqual(['おわり']);
+            expect(runner.isWaitingForChoice()).toBe(false);
+        });
+
+        it('ジャンプのない選択肢は次の行から続くこと', () => {
+            runner.run(script, 'intro');
+            runner.choose('b');
+
+            expect(gameState.get('oldManMood')).toBe(60);
+            expect(dialogue.sequences.slice(-2)).toEqual([['B を選んだ'], ['おわり']]);
+        });
+
+        it('フラグが立つと隠れた選択肢が出ること', () => {
+            gameState.update({ flags: { secretUnlocked: true } });
+            runner.run(script, 'intro');
+
+            expect(presented[0].choices.map(c => c.id)).toEqual(['a', 'b', 'c']);
+        });
+
+        it('提示されていない選択肢は選べないこと', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+            runner.run(script, 'intro');
+
+            expect(runner.choose('c')).toBe(false);
+            expect(runner.isWaitingForChoice()).toBe(true);
+            error.mockRestore();
+        });
+    });
+
+    describe('条件式', () => {
+        const state = {
+            day: 4,
+            oldManMood: 60,
+            playerChoice: 'agile',
+            skills: { analysis: 5 },
+            flags: { metGoblin: true }
+        };
+
+        it.each([
+            ['oldManMood >= 60', true],
+            ['oldManMood > 60', false],
+            ['flag.metGoblin', true],
+            ['!flag.metGoblin', false],
+            ['flag.unknown', false],
+            ['!flag.metSrimon && day > 3', true],
+            ["playerChoice == 'agile'", true],
+            ['playerChoice != "agile"', false],
+            ['skills.analysis >= 5 || day > 10', true],
+            ['(day < 3 || oldManMood == 60) && !(skills.analysis < 5)', true],
+            ['flag.missing.deep == null', false]
+        ])('%s → %s', (condition, expected) => {
+            expect(runner.test(condition, state)).toBe(expected);
+        });
+
+        it('文法の誤りはコンパイル時にエラーになること', () => {
+            expect(() => SceneScriptRunner.compileCondition('oldManMood >=')).toThrow('Bad condition');
+            expect(() => SceneScriptRunner.compileCondition('day > 3 &&& growth')).toThrow('Bad condition');
+            expect(() => SceneScriptRunner.compileCondition('(day > 3')).toThrow('missing ")"');
+        });
+    });
+
+    describe('ステータス変更', () => {
+        it('上限と下限で止まり、変更できないステータスは無視されること', () => {
+            const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            runner.run([{ adjust: { oldManMood: 50, stagnation: -100, growth: 10 } }]);
+
+            expect(gameState.get('oldManMood')).toBe(100);
+            expect(gameState.get('stagnation')).toBe(0);
+            expect(gameState.get('growth')).toBe(0);
+            expect(error).toHaveBeenCalledWith('SceneScriptRunner: Stat "growth" cannot be adjusted');
+            error.mockRestore();
+        });
+    });
+
+    describe('getLines', () => {
+        it('状態に応じた分岐の台詞だけを返し、状態は変えないこと', () => {
+            const script = [
+                { speaker: 'mina', text: 'A' },
+                { jump: 'skip', if: 'flag.skip' },
+                { speaker: 'mina', text: 'B' },
+                { label: 'skip' },
+                { set: { seen: true } },
+                { speaker: 'mina', text: 'C' },
+                { end: 'x' },
+                { speaker: 'mina', text: 'D' }
+            ];
+
+            expect(runner.getLines(script).map(l => l.text)).toEqual(['A', 'B', 'C']);
+            expect(runner.getLines(script, { flags: { skip: true } }).map(l => l.text)).toEqual(['A', 'C']);
+            expect(gameState.get('flags')).toEqual({});
+        });
+
+        it('表情つきの台詞は expression を渡すこと', () => {
+            expect(runner.getLines([
+                { speaker: 'owner', expression: 'angry', text: 'おい！！' },
+                { speaker: 'mina', text: 'A' }
+            ])).toEqual([
+                { speaker: 'owner', expression: 'angry', text: 'おい！！' },
+                { speaker: 'mina', text: 'A' }
+            ]);
+        });
+    });
+
+    describe('EpisodeManager との連携', () => {
+        let game;
+
+        beforeEach(() => {
+            game = new HeadlessGame({ seed: 12 });
+        });
+
+        it('第1話の挑戦を受けると機嫌が上がり、導入が終わること', () => {
+            const introCompleted = vi.fn();
+            game.eventBus.on(GameEvents.INTRO_COMPLETED, introCompleted);
+
+            game.episodeManager.handleChoice('agile');
+
+            expect(game.gameState.get('oldManMood')).toBe(75);
+            expect(game.gameState.get('introComplete')).toBe(true);
+            expect(introCompleted).toHaveBeenCalledTimes(1);
+        });
+
+        it('挑戦を断るとバッドエンドになること', () => {
+            const gameOver = vi.fn();
+            game.eventBus.on(GameEvents.GAME_OVER, gameOver);
+
+            game.episodeManager.handleChoice('obedient');
+
+            expect(game.gameState.get('oldManMood')).toBe(60);
+            expect(gameOver).toHaveBeenCalledWith(expect.objectContaining({ reason: 'gave_up' }));
+        });
+
+        it('ゲストの登場でフラグが立つこと', () => {
+            game.episodeManager.startEpisode(2);
+            game.episodeManager.playEpisodeIntro(2);
+
+            expect(game.gameState.get('flags').metGoblin).toBe(true);
+        });
+
+        it('HYBRID_MOMENT は親父の機嫌で展開が変わること', () => {
+            game.gameState.update({ oldManMood: 80 });
+            game.eventBus.emit('episode1:hybrid_moment');
+            expect(game.gameState.get('flags').ownerAcknowledged).toBe(true);
+
+            game.gameState.update({ oldManMood: 30, flags: {} });
+            game.eventBus.emit('episode1:hybrid_moment');
+            expect(game.gameState.get('flags').ownerAcknowledged).toBeUndefined();
+        });
+
+        it('フラグはエピソードをまたいで残り、セーブされること', () => {
+            game.gameState.update({ flags: { metGoblin: true } });
+            game.episodeManager.startEpisode(3);
+            game.gameState.retrySprint();
+
+            expect(game.gameState.get('flags')).toEqual({ metGoblin: true });
+            expect(game.gameState.serialize().state.flags).toEqual({ metGoblin: true });
+        });
+
+        it('v5 のセーブにはフラグなしが補われること', () => {
+            const v5 = { version: 5, state: { day: 2, currentEpisode: 2 }, rngState: null };
+
+            expect(game.gameState.deserialize(v5)).toBe(true);
+            expect(game.gameState.get('flags')).toEqual({});
+        });
+    });
+});
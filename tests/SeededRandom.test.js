@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import { EventBus } from '../js/core/EventBus.js';
+import { GameState } from '../js/core/GameState.js';
+import { SeededRandom } from '../js/core/SeededRandom.js';
+import { KitchenEngine } from '../js/systems/KitchenEngine.js';
+
+// GameConfig should be available globally from setup.js
+
+/**
+ * 同じ入力で7日間を進めるヘルパー（昼: 下準備/火の番/皿洗い、夜: 試作）
+ */
+function playSprint(seed) {
+    const eventBus = new EventBus();
+    const gameState = new GameState(eventBus, new SeededRandom(seed));
+    const kitchenEngine = new KitchenEngine(eventBus, gameState);
+
+    for (let day = 1; day <= 7; day++) {
+        kitchenEngine.executeAction(2);
+        kitchenEngine.executeAction(3);
+        kitchenEngine.executeAction(1);
+        gameState.transitionToNight();
+        kitchenEngine.executeAction(day % 2 === 0 ? 3 : 1);
+        gameState.advanceDay();
+    }
+    return gameState.getState();
+}
+
+describe('SeededRandom', () => {
+    describe('乱数生成', () => {
+        it('同じシードなら同じ数列になること', () => {
+            const a = new SeededRandom(42);
+            const b = new SeededRandom(42);
+            const seqA = Array.from({ length: 20 }, () => a.next());
+            const seqB = Array.from({ length: 20 }, () => b.next());
+            expect(seqA).toEqual(seqB);
+        });
+
+        it('違うシードなら違う数列になること', () => {
+            const a = new SeededRandom(1);
+            const b = new SeededRandom(2);
+            expect(a.next()).not.toBe(b.next());
+        });
+
+        it('next() が 0 以上 1 未満を返すこと', () => {
+            const rng = new SeededRandom(7);
+            for (let i = 0; i < 1000; i++) {
+                const value = rng.next();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        it('文字列シード（URLパラメータ）も使えること', () => {
+            expect(new SeededRandom('123').getSeed()).toBe(123);
+            expect(new SeededRandom('curry').getSeed()).toBe(new SeededRandom('curry').getSeed());
+        });
+
+        it('getState/setState で途中から同じ数列を再開できること', () => {
+            const rng = new SeededRandom(99);
+            rng.next();
+            const position = rng.getState();
+            const expected = [rng.next(), rng.next()];
+
+            const resumed = new SeededRandom(99);
+            resumed.setState(position);
+            expect([resumed.next(), resumed.next()]).toEqual(expected);
+        });
+    });
+
+    describe('ゲームへの組み込み', () => {
+        it('シードが GameState に保存されること', () => {
+            const gameState = new GameState(new EventBus(), new SeededRandom(2024));
+            expect(gameState.get('seed')).toBe(2024);
+        });
+
+        it('同じシードと同じ入力なら同じスプリントになること', () => {
+            expect(playSprint(12345)).toEqual(playSprint(12345));
+        });
+
+        it('セーブデータから乱数の位置まで復元されること', () => {
+            const gameState = new GameState(new EventBus(), new SeededRandom(555));
+            gameState.getRng().next();
+            const data = gameState.serialize();
+            const expected = gameState.getRng().next();
+
+            const restored = new GameState(new EventBus(), new SeededRandom(1));
+            restored.deserialize(data);
+
+            expect(restored.get('seed')).toBe(555);
+            expect(restored.getRng().next()).toBe(expected);
+        });
+
+        it('シードのない旧バージョンのセーブは現在のシードを使うこと', () => {
+            const gameState = new GameState(new EventBus(), new SeededRandom(777));
+            const v1 = { version: 1, state: { day: 2 } };
+
+            expect(gameState.deserialize(v1)).toBe(true);
+            expect(gameState.get('day')).toBe(2);
+            expect(gameState.get('seed')).toBe(777);
+        });
+    });
+});
@@ -2,11 +2,90 @@
 // This file runs before all tests
 
 import { beforeEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
 
 // Import GameConfig and GameEvents globally for tests
 import { GameConfig } from '../js/core/GameConfig.js';
-import { GameEvents } from '../js/core/EventBus.js';
+import { I18n } from '../js/core/I18n.js';
+import { EventBus, GameEvents } from '../js/core/EventBus.js';
+import { SeededRandom } from '../js/core/SeededRandom.js';
+import { GameState } from '../js/core/GameState.js';
+import { DialogueMarkup } from '../js/systems/DialogueSystem.js';
+import { SceneScriptRunner, SCENE_SCRIPT_STATS } from '../js/systems/SceneScriptRunner.js';
+import { ContentLoader } from '../js/systems/ContentLoader.js';
+import { KitchenEngine } from '../js/systems/KitchenEngine.js';
+import { ComboEngine } from '../js/systems/ComboEngine.js';
+import { OrderQueue } from '../js/systems/OrderQueue.js';
+import { QualityDecayEngine } from '../js/systems/QualityDecayEngine.js';
+import { RivalEngine } from '../js/systems/RivalEngine.js';
+import { AffinityEngine } from '../js/systems/AffinityEngine.js';
+import { DemandEngine } from '../js/systems/DemandEngine.js';
+import { EpisodeManager } from '../js/systems/EpisodeManager.js';
+import { CeremonyManager } from '../js/systems/CeremonyManager.js';
+import { HeadlessGame } from '../js/systems/HeadlessGame.js';
+import { AutoPlayStrategy } from '../js/systems/AutoPlayStrategies.js';
+import { AutoPlayer } from '../js/systems/AutoPlayer.js';
+import { JOURNAL_FORMAT, JOURNAL_VERSION } from '../js/systems/JournalRecorder.js';
 
 // Make them globally available
 globalThis.GameConfig = GameConfig;
 globalThis.GameEvents = GameEvents;
+globalThis.SeededRandom = SeededRandom;
+globalThis.I18n = I18n;
+
+// Classes wired by HeadlessGame / ReplayEngine (browser globals)
+globalThis.EventBus = EventBus;
+globalThis.GameState = GameState;
+globalThis.DialogueMarkup = DialogueMarkup;
+globalThis.SceneScriptRunner = SceneScriptRunner;
+globalThis.SCENE_SCRIPT_STATS = SCENE_SCRIPT_STATS;
+globalThis.ContentLoader = ContentLoader;
+globalThis.KitchenEngine = KitchenEngine;
+globalThis.ComboEngine = ComboEngine;
+globalThis.OrderQueue = OrderQueue;
+globalThis.QualityDecayEngine = QualityDecayEngine;
+globalThis.RivalEngine = RivalEngine;
+globalThis.AffinityEngine = AffinityEngine;
+globalThis.DemandEngine = DemandEngine;
+globalThis.EpisodeManager = EpisodeManager;
+globalThis.CeremonyManager = CeremonyManager;
+globalThis.HeadlessGame = HeadlessGame;
+globalThis.AutoPlayStrategy = AutoPlayStrategy;
+globalThis.AutoPlayer = AutoPlayer;
+globalThis.JOURNAL_FORMAT = JOURNAL_FORMAT;
+globalThis.JOURNAL_VERSION = JOURNAL_VERSION;
+
+// Story content (data/*.json) and message catalogs (data/i18n/*.json), loaded like initGame does in the browser
+const ROOT = path.resolve(import.meta.dirname, '..');
+const readFile = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+ContentLoader.setDefault(ContentLoader.loadSync(readFile));
+I18n.setDefault(I18n.loadSync(readFile));
+
+// ===== SHARED FIXTURES =====
+
+/**
+ * 実行済みアクションのイベントを直接流す（成否の乱数を使わずにルールだけ確認する）
+ * 本物の行動は game.kitchenEngine.executeAction で流すこと
+ */
+globalThis.emitAction = (game, actionId, { phase = 'day', actionSuccess = true, expGains = {} } = {}) => {
+    game.eventBus.emit(GameEvents.ACTION_EXECUTED, {
+        actionId,
+        phase,
+        result: { success: true, actionSuccess, expGains },
+        state: game.gameState.getState()
+    });
+};
+
+/**
+ * テスト用のインメモリストレージ（localStorage互換）
+ */
+globalThis.createMemoryStorage = () => {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key),
+        _data: data
+    };
+};
@@ -0,0 +1,155 @@
+/**
+ * simulate.js - Headless balance simulator (Node CLI)
+ *
+ * Loads the same browser scripts as index.html into a sandbox (no DOM)
+ * and runs BalanceSimulator.
+ *
+ * Usage:
+ *   npm run simulate -- --runs 5000 --strategy greedy-exp,chimera-target --seed 42
+ *   npm run simulate -- --format csv --out results.csv
+ *
+ * Options:
+ *   --runs <n>          Sprints per strategy (default 1000)
+ *   --strategy <ids>    Comma-separated strategy ids (default: all registered)
+ *   --seed <seed>       Base seed; run i uses seed + i (default: random)
+ *   --format json|csv   json = summary per strategy, csv = one row per run (default json)
+ *   --include-runs      json only: include every per-run row
+ *   --out <file>        Write to a file instead of stdout
+ *   --list              Print strategy ids and exit
+ *
+ * A one-line summary per strategy is always printed to stderr.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Scripts in index.html load order (only what the simulator needs) */
+const SCRIPTS = [
+    'js/core/EventBus.js',
+    'js/core/GameConfig.js',
+    'js/core/I18n.js',
+    'js/core/SeededRandom.js',
+    'js/core/GameState.js',
+    'js/systems/DialogueSystem.js',
+    'js/systems/SceneScriptRunner.js',
+    'js/systems/ContentLoader.js',
+    'js/systems/KitchenEngine.js',
+    'js/systems/ComboEngine.js',
+    'js/systems/OrderQueue.js',
+    'js/systems/QualityDecayEngine.js',
+    'js/systems/RivalEngine.js',
+    'js/systems/AffinityEngine.js',
+    'js/systems/DemandEngine.js',
+    'js/systems/EpisodeManager.js',
+    'js/systems/CeremonyManager.js',
+    'js/systems/HeadlessGame.js',
+    'js/systems/AutoPlayStrategies.js',
+    'js/systems/AutoPlayer.js',
+    'js/systems/BalanceSimulator.js'
+];
+
+function parseArgs(argv) {
+    const args = { runs: 1000, strategy: null, seed: null, format: 'json', includeRuns: false, out: null, list: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--runs': args.runs = parseInt(argv[++i], 10); break;
+            case '--strategy': args.strategy = argv[++i]; break;
+            case '--seed': args.seed = argv[++i]; break;
+            case '--format': args.format = argv[++i]; break;
+            case '--include-runs': args.includeRuns = true; break;
+            case '--out': args.out = argv[++i]; break;
+            case '--list': args.list = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(args.runs) || args.runs < 1) {
+        throw new Error('--runs must be a positive integer');
+    }
+    if (!['json', 'csv'].includes(args.format)) {
+        throw new Error('--format must be json or csv');
+    }
+    return args;
+}
+
+/**
+ * Evaluate the game scripts in one shared context, like <script> tags,
+ * and load the story content (data/*.json) as initGame does in the browser
+ * Game code logs every action, so console.log/warn are silenced.
+ */
+function loadGame() {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, info() {}, error: (...a) => console.error(...a) },
+        setTimeout,
+        clearTimeout
+    });
+
+    SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    context.readContentFile = (file) => fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext('ContentLoader.setDefault(ContentLoader.loadSync(readContentFile))', context);
+    vm.runInContext('I18n.setDefault(I18n.loadSync(readContentFile))', context);
+    return context;
+}
+
+function formatRate(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    const context = loadGame();
+    const simulator = vm.runInContext('new BalanceSimulator({ strategies: createAutoPlayStrategies() })', context);
+
+    if (args.list) {
+        console.log(simulator.getStrategyIds().join('\n'));
+        return;
+    }
+
+    const strategyIds = args.strategy ? args.strategy.split(',') : simulator.getStrategyIds();
+    const unknown = strategyIds.filter(id => !simulator.getStrategy(id));
+    if (unknown.length > 0) {
+        console.error(`Unknown strategy: ${unknown.join(', ')} (available: ${simulator.getStrategyIds().join(', ')})`);
+        process.exit(1);
+    }
+
+    const reports = strategyIds.map(id => {
+        const report = simulator.run({ strategy: id, runs: args.runs, seed: args.seed });
+        const s = report.summary;
+        console.error(
+            `${id}: pass ${formatRate(s.passRate)}, fail ${formatRate(s.failRate)}, ` +
+            `game over ${formatRate(s.gameOverRate)} (tech debt ${formatRate(s.techDebtGameOverRate)}), ` +
+            `stalled ${formatRate(s.stalledRate)} — ${report.runs} runs, seed ${report.baseSeed}`
+        );
+        return report;
+    });
+
+    const output = args.format === 'csv'
+        ? simulator.toCSV(reports.flatMap(report => report.results))
+        : simulator.toJSON(reports, { includeRuns: args.includeRuns }) + '\n';
+
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main();